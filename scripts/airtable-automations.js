@@ -8,6 +8,7 @@ const followupService = require('../services/followups');
 const callService = require('../services/calls');
 const teamMemberService = require('../services/teamMembers');
 const callerService = require('../services/callers');
+const mentorAssignment = require('../src/services/mentorAssignment');
 
 /**
  * AUTOMATION 1: Auto-Create Follow-up from Call
@@ -331,51 +332,24 @@ async function handleCrisisCall(callRecordId) {
 /**
  * AUTOMATION 6: Mentor Assignment by Specialty
  * 
- * When a new caller has a primary issue, suggest mentors with that specialty
+ * When a new caller has a primary issue, suggest mentors - ranked by the
+ * assignment engine on specialty, caseload, follow-ups and shift schedule
+ * (the same ranking as POST /api/callers/:id/assign-mentor { "mode": "auto" })
  */
 
 async function suggestMentorForCaller(callerRecordId) {
   try {
     console.log(`🔍 Finding mentor match for caller: ${callerRecordId}`);
-    
-    const caller = await callerService.getCallerById(callerRecordId);
-    const primaryIssue = caller['Primary Issue'];
-    
-    if (!primaryIssue) {
-      return {
-        success: false,
-        message: 'No primary issue specified'
-      };
-    }
 
-    const mentors = await teamMemberService.getMentorsBySpecialty(primaryIssue);
-    
-    // Sort by current availability and caseload
-    const sortedMentors = mentors.map(m => ({
-      id: m.id,
-      name: m.Name,
-      status: m['Current Status'],
-      specialties: m.Specialties,
-      isAvailable: m['Current Status'] === '🟢 Available',
-      phone: m['Phone/Extension']
-    })).sort((a, b) => {
-      // Available mentors first
-      if (a.isAvailable && !b.isAvailable) return -1;
-      if (!a.isAvailable && b.isAvailable) return 1;
-      return 0;
-    });
-
-    console.log(`  Found ${sortedMentors.length} mentors with specialty: ${primaryIssue}`);
-    
+    const result = await mentorAssignment.suggest(callerRecordId);
+
+    console.log(`  Ranked ${result.suggestions.length} mentors for: ${result.caller.primaryIssue || 'no primary issue'}`);
+
     return {
       success: true,
-      caller: {
-        id: caller.id,
-        callerId: caller['Caller ID'],
-        primaryIssue
-      },
-      suggestedMentors: sortedMentors,
-      bestMatch: sortedMentors[0] || null
+      caller: result.caller,
+      suggestedMentors: result.suggestions,
+      bestMatch: result.bestMatch
     };
   } catch (error) {
     console.error('Error suggesting mentor:', error);
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Local Airtable API Emulator
+ *
+ * Runs a stand-in for the Airtable REST API so the server and scripts
+ * can be exercised without touching the production base.
+ *
+ * Usage:
+ *   node scripts/airtable-emulator.js [--port 4010] [--seed seed.json]
+ *   npm run emulator
+ *
+ * Then start the server against it:
+ *   AIRTABLE_ENDPOINT_URL=http://127.0.0.1:4010 npm start
+ *
+ * Seed file format: { "Team Members": [{ "Name": "...", ... }], "Callers": [...] }
+ * Records are inserted into the base named by AIRTABLE_BASE_ID.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { AirtableEmulator } = require('../src/emulator/airtableEmulator');
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+async function main() {
+  const port = Number(getArg('--port') || process.env.AIRTABLE_EMULATOR_PORT || 4010);
+  const baseId = process.env.AIRTABLE_BASE_ID || 'appEmulator00000';
+  const emulator = new AirtableEmulator();
+
+  const seedFile = getArg('--seed');
+  if (seedFile) {
+    const seed = JSON.parse(fs.readFileSync(seedFile, 'utf8'));
+    Object.entries(seed).forEach(([table, records]) => {
+      emulator.seed(baseId, table, records);
+      console.log(`🌱 Seeded ${records.length} record(s) into ${table}`);
+    });
+  }
+
+  const url = await emulator.start(port);
+
+  console.log(`
+🧪 Airtable API Emulator
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+Listening on ${url}
+Base ID:     ${baseId}
+
+Point the app at it:
+  AIRTABLE_ENDPOINT_URL=${url}
+
+Data is in-memory and resets when this process stops.
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+`);
+
+  const shutdown = async () => {
+    console.log('\nShutting down emulator...');
+    await emulator.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
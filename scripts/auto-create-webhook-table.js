@@ -132,10 +132,18 @@ async function createWebhookEventsTable() {
             name: 'Call Start Time',
             type: 'singleLineText'
           },
+          {
+            name: 'Event Time',
+            type: 'singleLineText'
+          },
           {
             name: 'Raw JSON',
             type: 'multilineText'
           },
+          {
+            name: 'Fingerprint',
+            type: 'singleLineText'
+          },
           {
             name: 'Processed',
             type: 'checkbox',
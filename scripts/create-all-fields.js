@@ -61,6 +61,10 @@ const tableFieldDefinitions = {
       { name: 'Can receive callbacks' }, { name: 'Will call back only' }, { name: 'Either' }
     ]}},
     { name: 'Best Times', type: 'singleLineText' },
+    { name: 'Contact Window', type: 'multilineText' },
+    { name: 'Contact Window Status', type: 'singleSelect', options: { choices: [
+      { name: 'Parsed' }, { name: 'Needs Review' }
+    ]}},
     { name: 'Primary Issue', type: 'singleSelect', options: { choices: [
       { name: 'Emotional/Mental Health' },
       { name: 'Technology/Internet' },
@@ -122,15 +126,29 @@ const tableFieldDefinitions = {
     ]}},
     { name: 'Due Date/Time', type: 'dateTime', options: { timeZone: 'client', dateFormat: { name: 'us' }, timeFormat: { name: '12hour' }}},
     { name: 'Status', type: 'singleSelect', options: { choices: [
-      { name: 'Pending' }, { name: 'Completed' }, { name: 'Rescheduled' }, { name: 'No Answer' }, { name: 'Cancelled' }
+      { name: 'Pending' }, { name: 'Completed' }, { name: 'Rescheduled' }, { name: 'No Answer' }, { name: 'Cancelled' },
+      { name: 'Caller Will Call Back' }
     ]}},
     { name: 'Priority', type: 'singleSelect', options: { choices: [
       { name: 'Normal' }, { name: 'High' }, { name: 'Urgent' }
     ]}},
     { name: 'Notes', type: 'multilineText' },
     { name: 'Completed Date', type: 'date', options: { dateFormat: { name: 'us' }}},
-    { name: 'Outcome Notes', type: 'multilineText' }
-    // Link fields: Related Call, Caller, Assigned To
+    { name: 'Outcome Notes', type: 'multilineText' },
+    { name: 'SLA Policy', type: 'singleSelect', options: { choices: [
+      { name: 'Crisis' }, { name: 'Urgent' }, { name: 'Soon' }, { name: 'Routine' }
+    ]}},
+    { name: 'Escalation Level', type: 'number', options: { precision: 0 }},
+    { name: 'Last Escalated', type: 'dateTime', options: { timeZone: 'client', dateFormat: { name: 'us' }, timeFormat: { name: '12hour' }}},
+    { name: 'Escalation Log', type: 'multilineText' },
+    { name: 'Attempts', type: 'number', options: { precision: 0 }},
+    { name: 'Last Attempt', type: 'dateTime', options: { timeZone: 'client', dateFormat: { name: 'us' }, timeFormat: { name: '12hour' }}},
+    { name: 'Recurrence', type: 'singleLineText' },
+    { name: 'Recurrence Status', type: 'singleSelect', options: { choices: [
+      { name: 'Active' }, { name: 'Paused' }, { name: 'Ended' }
+    ]}},
+    { name: 'Contact Window Warning', type: 'singleLineText' }
+    // Link fields: Related Call, Caller, Assigned To, Escalated To, Previous Follow-up
   ],
   'Availability Schedule': [
     { name: 'Day', type: 'singleSelect', options: { choices: [
@@ -153,7 +171,12 @@ const linkFieldDefinitions = {
   ],
   'Calls': [
     { name: 'Received By', type: 'multipleRecordLinks', options: { linkedTableId: 'TEAM_MEMBERS_ID', prefersSingleRecordLink: false }},
-    { name: 'Mentor for Follow-up', type: 'multipleRecordLinks', options: { linkedTableId: 'TEAM_MEMBERS_ID', prefersSingleRecordLink: false }}
+    { name: 'Mentor for Follow-up', type: 'multipleRecordLinks', options: { linkedTableId: 'TEAM_MEMBERS_ID', prefersSingleRecordLink: false }},
+    { name: 'Follow-up', type: 'multipleRecordLinks', options: { linkedTableId: 'FOLLOWUPS_ID', prefersSingleRecordLink: true }}
+  ],
+  'Follow-ups': [
+    { name: 'Escalated To', type: 'multipleRecordLinks', options: { linkedTableId: 'TEAM_MEMBERS_ID', prefersSingleRecordLink: true }},
+    { name: 'Previous Follow-up', type: 'multipleRecordLinks', options: { linkedTableId: 'FOLLOWUPS_ID', prefersSingleRecordLink: true }}
   ],
   'Availability Schedule': []
 };
@@ -0,0 +1,128 @@
+/**
+ * Create Call Legs Table via Airtable API
+ * Uses Airtable Meta API to create the table the merger writes call legs to
+ * (one row per IVR menu, hunt group and extension rung on a call)
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const { tables, fields, selectOptions } = require('../src/config/airtable');
+
+const BASE_ID = process.env.AIRTABLE_BASE_ID;
+const API_KEY = process.env.AIRTABLE_PAT;
+const F = fields.callLegs;
+
+const headers = {
+  'Authorization': `Bearer ${API_KEY}`,
+  'Content-Type': 'application/json'
+};
+
+const dateTimeOptions = {
+  dateFormat: { name: 'iso' },
+  timeFormat: { name: '24hour' },
+  timeZone: 'America/New_York'
+};
+
+const choices = names => ({ choices: names.map(name => ({ name })) });
+
+async function createCallLegsTable() {
+  console.log('\n📋 CREATING CALL LEGS TABLE\n');
+  console.log('='.repeat(60));
+
+  try {
+    const baseMeta = await axios.get(
+      `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables`,
+      { headers }
+    );
+
+    if (baseMeta.data.tables.some(t => t.name === tables.callLegs)) {
+      console.log(`ℹ️  "${tables.callLegs}" already exists - nothing to do`);
+      return;
+    }
+
+    const callsTable = baseMeta.data.tables.find(t => t.name === tables.calls);
+    const teamMembersTable = baseMeta.data.tables.find(t => t.name === tables.teamMembers);
+
+    const response = await axios.post(
+      `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables`,
+      {
+        name: tables.callLegs,
+        description: 'One row per hop of a call (IVR menu, hunt group, each extension rung) - rebuilt on every merge',
+        fields: [
+          { name: F.LEG_ID, type: 'singleLineText' },
+          { name: F.TB_CALL_ID, type: 'singleLineText' },
+          { name: F.SEQUENCE, type: 'number', options: { precision: 0 } },
+          { name: F.UNIQUE_ID, type: 'singleLineText' },
+          { name: F.FROM_TYPE, type: 'singleSelect', options: choices(selectOptions.legTypes) },
+          { name: F.FROM_NAME, type: 'singleLineText' },
+          { name: F.FROM_NUMBER, type: 'singleLineText' },
+          { name: F.TO_TYPE, type: 'singleSelect', options: choices(selectOptions.legTypes) },
+          { name: F.TO_NAME, type: 'singleLineText' },
+          { name: F.TO_NUMBER, type: 'singleLineText' },
+          { name: F.STATE, type: 'singleSelect', options: choices(selectOptions.legStates) },
+          { name: F.RING_START, type: 'dateTime', options: dateTimeOptions },
+          { name: F.ANSWERED_AT, type: 'dateTime', options: dateTimeOptions },
+          { name: F.ENDED_AT, type: 'dateTime', options: dateTimeOptions },
+          { name: F.RING_SECONDS, type: 'number', options: { precision: 0 } },
+          { name: F.TALK_SECONDS, type: 'number', options: { precision: 0 } },
+          { name: F.TRANSFERRED_TO, type: 'singleLineText' },
+          { name: F.ENDED_BY, type: 'singleSelect', options: choices(['caller', 'agent', 'system']) }
+        ]
+      },
+      { headers }
+    );
+
+    const tableId = response.data.id;
+    console.log(`✅ Created table: ${response.data.name}`);
+    console.log(`   Table ID: ${tableId}`);
+    console.log(`   Fields created: ${response.data.fields.length}`);
+
+    // Link fields need the other tables' IDs
+    const links = [
+      { name: F.CALL, table: callsTable },
+      { name: F.TEAM_MEMBER, table: teamMembersTable }
+    ];
+
+    for (const link of links) {
+      if (!link.table) {
+        console.log(`⚠️  Skipped link field "${link.name}" - linked table not found`);
+        continue;
+      }
+      await axios.post(
+        `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables/${tableId}/fields`,
+        {
+          name: link.name,
+          type: 'multipleRecordLinks',
+          options: { linkedTableId: link.table.id }
+        },
+        { headers }
+      );
+      console.log(`✅ Created link field "${link.name}" → ${link.table.name}`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ Call Legs table created successfully!\n');
+    console.log('Legs are written the next time each call is merged.');
+
+  } catch (error) {
+    console.error('\n❌ Error creating table:', error.response?.data || error.message);
+
+    if (error.response?.status === 403) {
+      console.error('\n⚠️  Permission denied. Make sure your API token has schema write permissions.');
+    }
+
+    throw error;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  createCallLegsTable()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { createCallLegsTable };
@@ -0,0 +1,116 @@
+/**
+ * Create Callback Attempts Table via Airtable API
+ * Uses Airtable Meta API to create the table each try at reaching a caller
+ * for a follow-up is logged to (drives the callback retry policy)
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const { tables, fields, selectOptions } = require('../src/config/airtable');
+
+const BASE_ID = process.env.AIRTABLE_BASE_ID;
+const API_KEY = process.env.AIRTABLE_PAT;
+const F = fields.callbackAttempts;
+
+const headers = {
+  'Authorization': `Bearer ${API_KEY}`,
+  'Content-Type': 'application/json'
+};
+
+const dateTimeOptions = {
+  dateFormat: { name: 'iso' },
+  timeFormat: { name: '24hour' },
+  timeZone: 'America/New_York'
+};
+
+async function createCallbackAttemptsTable() {
+  console.log('\n📋 CREATING CALLBACK ATTEMPTS TABLE\n');
+  console.log('='.repeat(60));
+
+  try {
+    const baseMeta = await axios.get(
+      `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables`,
+      { headers }
+    );
+
+    if (baseMeta.data.tables.some(t => t.name === tables.callbackAttempts)) {
+      console.log(`ℹ️  "${tables.callbackAttempts}" already exists - nothing to do`);
+      return;
+    }
+
+    const response = await axios.post(
+      `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables`,
+      {
+        name: tables.callbackAttempts,
+        description: 'One row per try at reaching a caller for a follow-up',
+        fields: [
+          { name: F.ATTEMPT, type: 'singleLineText' },
+          { name: F.ATTEMPT_NUMBER, type: 'number', options: { precision: 0 } },
+          { name: F.ATTEMPTED_AT, type: 'dateTime', options: dateTimeOptions },
+          { name: F.RESULT, type: 'singleSelect', options: { choices: selectOptions.attemptResults.map(name => ({ name })) } },
+          { name: F.CHANNEL, type: 'singleSelect', options: { choices: selectOptions.attemptChannels.map(name => ({ name })) } },
+          { name: F.NEXT_ATTEMPT, type: 'dateTime', options: dateTimeOptions },
+          { name: F.NOTES, type: 'multilineText' }
+        ]
+      },
+      { headers }
+    );
+
+    const tableId = response.data.id;
+    console.log(`✅ Created table: ${response.data.name}`);
+    console.log(`   Table ID: ${tableId}`);
+    console.log(`   Fields created: ${response.data.fields.length}`);
+
+    // Link fields need the other tables' IDs
+    const tableNamed = name => baseMeta.data.tables.find(t => t.name === name);
+    const links = [
+      { name: F.FOLLOWUP, table: tableNamed(tables.followups) },
+      { name: F.CALLER, table: tableNamed(tables.callers) },
+      { name: F.TEAM_MEMBER, table: tableNamed(tables.teamMembers) },
+      { name: F.CALL, table: tableNamed(tables.calls) }
+    ];
+
+    for (const link of links) {
+      if (!link.table) {
+        console.log(`⚠️  Skipped link field "${link.name}" - linked table not found`);
+        continue;
+      }
+      await axios.post(
+        `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables/${tableId}/fields`,
+        {
+          name: link.name,
+          type: 'multipleRecordLinks',
+          options: { linkedTableId: link.table.id }
+        },
+        { headers }
+      );
+      console.log(`✅ Created link field "${link.name}" → ${link.table.name}`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ Callback Attempts table created successfully!\n');
+    console.log('Also add "Caller Will Call Back" to the Follow-ups Status choices, and the Attempts /');
+    console.log('Last Attempt fields (node scripts/create-all-fields.js).');
+
+  } catch (error) {
+    console.error('\n❌ Error creating table:', error.response?.data || error.message);
+
+    if (error.response?.status === 403) {
+      console.error('\n⚠️  Permission denied. Make sure your API token has schema write permissions.');
+    }
+
+    throw error;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  createCallbackAttemptsTable()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { createCallbackAttemptsTable };
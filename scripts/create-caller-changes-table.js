@@ -0,0 +1,116 @@
+/**
+ * Create Caller Changes Table via Airtable API
+ * Uses Airtable Meta API to create the table caller Status and Assigned Mentor
+ * changes are logged to (shown in the caller history)
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const { tables, fields, selectOptions } = require('../src/config/airtable');
+
+const BASE_ID = process.env.AIRTABLE_BASE_ID;
+const API_KEY = process.env.AIRTABLE_PAT;
+const F = fields.callerChanges;
+
+const headers = {
+  'Authorization': `Bearer ${API_KEY}`,
+  'Content-Type': 'application/json'
+};
+
+async function createCallerChangesTable() {
+  console.log('\n📋 CREATING CALLER CHANGES TABLE\n');
+  console.log('='.repeat(60));
+
+  try {
+    const baseMeta = await axios.get(
+      `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables`,
+      { headers }
+    );
+
+    if (baseMeta.data.tables.some(t => t.name === tables.callerChanges)) {
+      console.log(`ℹ️  "${tables.callerChanges}" already exists - nothing to do`);
+      return;
+    }
+
+    const callersTable = baseMeta.data.tables.find(t => t.name === tables.callers);
+    const teamMembersTable = baseMeta.data.tables.find(t => t.name === tables.teamMembers);
+
+    const response = await axios.post(
+      `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables`,
+      {
+        name: tables.callerChanges,
+        description: 'One row per change of a caller\'s Status or Assigned Mentor',
+        fields: [
+          { name: F.CHANGE, type: 'singleLineText' },
+          { name: F.FIELD, type: 'singleSelect', options: { choices: selectOptions.callerChangeFields.map(name => ({ name })) } },
+          { name: F.FROM_VALUE, type: 'singleLineText' },
+          { name: F.TO_VALUE, type: 'singleLineText' },
+          {
+            name: F.CHANGED_AT,
+            type: 'dateTime',
+            options: {
+              dateFormat: { name: 'iso' },
+              timeFormat: { name: '24hour' },
+              timeZone: 'America/New_York'
+            }
+          },
+          { name: F.CHANGED_BY, type: 'singleLineText' }
+        ]
+      },
+      { headers }
+    );
+
+    const tableId = response.data.id;
+    console.log(`✅ Created table: ${response.data.name}`);
+    console.log(`   Table ID: ${tableId}`);
+    console.log(`   Fields created: ${response.data.fields.length}`);
+
+    // Link fields need the other tables' IDs
+    const links = [
+      { name: F.CALLER, table: callersTable },
+      { name: F.MENTOR, table: teamMembersTable }
+    ];
+
+    for (const link of links) {
+      if (!link.table) {
+        console.log(`⚠️  Skipped link field "${link.name}" - linked table not found`);
+        continue;
+      }
+      await axios.post(
+        `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables/${tableId}/fields`,
+        {
+          name: link.name,
+          type: 'multipleRecordLinks',
+          options: { linkedTableId: link.table.id }
+        },
+        { headers }
+      );
+      console.log(`✅ Created link field "${link.name}" → ${link.table.name}`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ Caller Changes table created successfully!\n');
+    console.log('Changes are logged from now on - earlier assignments only show as the current mentor.');
+
+  } catch (error) {
+    console.error('\n❌ Error creating table:', error.response?.data || error.message);
+
+    if (error.response?.status === 403) {
+      console.error('\n⚠️  Permission denied. Make sure your API token has schema write permissions.');
+    }
+
+    throw error;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  createCallerChangesTable()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { createCallerChangesTable };
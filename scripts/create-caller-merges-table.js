@@ -0,0 +1,109 @@
+/**
+ * Create Caller Merges Table via Airtable API
+ * Uses Airtable Meta API to create the audit table duplicate-caller merges
+ * are logged to (one row per merge, with a snapshot of the removed records)
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const { tables, fields } = require('../src/config/airtable');
+
+const BASE_ID = process.env.AIRTABLE_BASE_ID;
+const API_KEY = process.env.AIRTABLE_PAT;
+const F = fields.callerMerges;
+
+const headers = {
+  'Authorization': `Bearer ${API_KEY}`,
+  'Content-Type': 'application/json'
+};
+
+async function createCallerMergesTable() {
+  console.log('\n📋 CREATING CALLER MERGES TABLE\n');
+  console.log('='.repeat(60));
+
+  try {
+    const baseMeta = await axios.get(
+      `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables`,
+      { headers }
+    );
+
+    if (baseMeta.data.tables.some(t => t.name === tables.callerMerges)) {
+      console.log(`ℹ️  "${tables.callerMerges}" already exists - nothing to do`);
+      return;
+    }
+
+    const callersTable = baseMeta.data.tables.find(t => t.name === tables.callers);
+
+    const response = await axios.post(
+      `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables`,
+      {
+        name: tables.callerMerges,
+        description: 'Audit log of duplicate callers merged into one record',
+        fields: [
+          { name: F.SUMMARY, type: 'singleLineText' },
+          { name: F.MERGED_CALLER_IDS, type: 'singleLineText' },
+          { name: F.MERGED_RECORDS, type: 'multilineText' },
+          { name: F.MATCH_REASONS, type: 'multilineText' },
+          { name: F.CALLS_MOVED, type: 'number', options: { precision: 0 } },
+          { name: F.FOLLOWUPS_MOVED, type: 'number', options: { precision: 0 } },
+          {
+            name: F.MERGED_AT,
+            type: 'dateTime',
+            options: {
+              dateFormat: { name: 'iso' },
+              timeFormat: { name: '24hour' },
+              timeZone: 'America/New_York'
+            }
+          },
+          { name: F.MERGED_BY, type: 'singleLineText' },
+          { name: F.NOTES, type: 'multilineText' }
+        ]
+      },
+      { headers }
+    );
+
+    const tableId = response.data.id;
+    console.log(`✅ Created table: ${response.data.name}`);
+    console.log(`   Table ID: ${tableId}`);
+    console.log(`   Fields created: ${response.data.fields.length}`);
+
+    if (callersTable) {
+      await axios.post(
+        `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables/${tableId}/fields`,
+        {
+          name: F.SURVIVING_CALLER,
+          type: 'multipleRecordLinks',
+          options: { linkedTableId: callersTable.id }
+        },
+        { headers }
+      );
+      console.log(`✅ Created link field "${F.SURVIVING_CALLER}" → ${callersTable.name}`);
+    } else {
+      console.log(`⚠️  Skipped link field "${F.SURVIVING_CALLER}" - linked table not found`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ Caller Merges table created successfully!\n');
+
+  } catch (error) {
+    console.error('\n❌ Error creating table:', error.response?.data || error.message);
+
+    if (error.response?.status === 403) {
+      console.error('\n⚠️  Permission denied. Make sure your API token has schema write permissions.');
+    }
+
+    throw error;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  createCallerMergesTable()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { createCallerMergesTable };
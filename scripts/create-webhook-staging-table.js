@@ -45,7 +45,9 @@ async function createWebhookStagingTable() {
     { name: 'Caller Name External', type: 'Text', desc: 'External caller name from carrier' },
     { name: 'Start Time', type: 'Text', desc: 'ISO timestamp for this event' },
     { name: 'Call Start Time', type: 'Text', desc: 'ISO timestamp when call first started' },
+    { name: 'Event Time', type: 'Text', desc: 'When this event happened, if the sender stamps events' },
     { name: 'Raw JSON', type: 'Long Text', desc: 'Complete webhook payload for debugging' },
+    { name: 'Fingerprint', type: 'Single line text', desc: 'Identifies repeated deliveries of the same event' },
     { name: 'Processed', type: 'Checkbox', desc: 'Checked when merged into Calls table' },
     { name: 'Merged Call Record', type: 'Link to Calls', desc: 'Link to final merged call record' }
   ];
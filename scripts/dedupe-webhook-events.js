@@ -0,0 +1,104 @@
+/**
+ * De-duplicate Webhook Events Script
+ *
+ * Telebroad retries (and server restarts behind ngrok/Render) deliver the same
+ * event more than once. New deliveries are de-duplicated at ingestion; this
+ * script cleans up repeated rows already in the staging table and backfills
+ * the Fingerprint column.
+ *
+ * Usage:
+ *   node scripts/dedupe-webhook-events.js           # dry run - report only
+ *   node scripts/dedupe-webhook-events.js --apply   # delete duplicates, backfill fingerprints,
+ *                                                    # re-merge the affected calls
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const storageConfig = require('../src/config/storage');
+const webhookEventService = require('../src/services/webhookEvents');
+const webhookMerger = require('../src/services/webhookMerger');
+
+const BASE_ID = process.env.AIRTABLE_BASE_ID;
+const API_KEY = process.env.AIRTABLE_PAT;
+const WEBHOOK_EVENTS_TABLE = process.env.AIRTABLE_WEBHOOK_EVENTS_TABLE || 'Webhook Events';
+
+/**
+ * Add the Fingerprint column to the live Airtable base if it is missing
+ */
+async function ensureFingerprintField() {
+  if (storageConfig.backend !== 'airtable' || process.env.AIRTABLE_ENDPOINT_URL) {
+    return;
+  }
+
+  const baseMeta = await axios.get(
+    `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables`,
+    { headers: { 'Authorization': `Bearer ${API_KEY}` } }
+  );
+
+  const table = baseMeta.data.tables.find(t => t.name === WEBHOOK_EVENTS_TABLE);
+  if (!table) {
+    throw new Error(`Table "${WEBHOOK_EVENTS_TABLE}" not found`);
+  }
+
+  if (table.fields.some(f => f.name === 'Fingerprint')) {
+    return;
+  }
+
+  await axios.post(
+    `https://api.airtable.com/v0/meta/bases/${BASE_ID}/tables/${table.id}/fields`,
+    {
+      name: 'Fingerprint',
+      type: 'singleLineText',
+      description: 'Hash of callId, UniqueId, status, send/destination and startTime - identifies repeated deliveries'
+    },
+    { headers: { 'Authorization': `Bearer ${API_KEY}`, 'Content-Type': 'application/json' } }
+  );
+  console.log('✅ Added Fingerprint field to Webhook Events');
+}
+
+async function dedupeWebhookEvents(apply) {
+  console.log('\n🧹 WEBHOOK EVENT DE-DUPLICATION\n');
+  console.log('='.repeat(60));
+  console.log(apply ? 'Mode: APPLY (duplicates will be deleted)' : 'Mode: DRY RUN (use --apply to delete)');
+
+  if (apply) {
+    await ensureFingerprintField();
+  }
+
+  const result = await webhookEventService.deduplicateEvents({ dryRun: !apply });
+
+  console.log(`\n   Events scanned: ${result.scanned}`);
+  console.log(`   Unique events: ${result.uniqueEvents}`);
+  console.log(`   Duplicate rows: ${result.duplicates}`);
+  console.log(`   Fingerprints to backfill: ${result.backfilled}`);
+
+  if (result.affectedCalls.length > 0) {
+    console.log('\n   Calls with duplicates:');
+    result.affectedCalls.forEach(callId => console.log(`     ${callId}`));
+  }
+
+  // Re-merge so Webhook Events counts and answered legs are corrected
+  if (apply) {
+    for (const callId of result.affectedCalls) {
+      await webhookMerger.processSingleCall(callId);
+    }
+  }
+
+  return result;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const apply = process.argv.includes('--apply');
+  dedupeWebhookEvents(apply)
+    .then(() => {
+      console.log('\n✅ Script complete\n');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Fatal error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { dedupeWebhookEvents };
@@ -0,0 +1,97 @@
+/**
+ * Duplicate Callers Script
+ *
+ * Lists Callers records that look like the same person (same normalized
+ * phone or shared calls, backed up by a similar name) and merges them once
+ * reviewed. A merge moves Calls, Follow-ups, Callback Attempts and Caller
+ * Changes to the surviving caller, combines Background Notes, deletes the
+ * duplicates and logs a Caller Merges row.
+ *
+ * Usage:
+ *   node scripts/find-duplicate-callers.js                          # list candidates
+ *   node scripts/find-duplicate-callers.js --min-score 0.6          # only strong candidates
+ *   node scripts/find-duplicate-callers.js --merge <keepId> <dupId> [dupId...] [--by "Name"]
+ */
+
+require('dotenv').config();
+const callerDuplicateService = require('../src/services/callerDuplicates');
+
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function listDuplicates(minScore) {
+  console.log('\n👥 DUPLICATE CALLERS\n');
+  console.log('='.repeat(60));
+
+  const groups = await callerDuplicateService.findDuplicates({ minScore });
+
+  if (groups.length === 0) {
+    console.log('✅ No likely duplicates found');
+    return groups;
+  }
+
+  groups.forEach((group, i) => {
+    console.log(`\n${i + 1}. Score ${group.score} (${group.confidence}) - ${group.reasons.join('; ')}`);
+    group.callers.forEach(caller => {
+      const keep = caller.id === group.suggestedSurvivor ? ' ← keep' : '';
+      console.log(`   ${caller.id}  ${caller.name || '(no name)'}  ${caller.phone || '(no phone)'}  ${caller.status || ''}  ${caller.calls} calls${keep}`);
+    });
+    const others = group.callers.filter(caller => caller.id !== group.suggestedSurvivor).map(caller => caller.id);
+    console.log(`   Merge: node scripts/find-duplicate-callers.js --merge ${group.suggestedSurvivor} ${others.join(' ')}`);
+  });
+
+  console.log(`\n📊 ${groups.length} candidate group(s)`);
+  return groups;
+}
+
+async function mergeDuplicates(survivorId, duplicateIds, mergedBy) {
+  console.log('\n🔗 MERGING CALLERS\n');
+  console.log('='.repeat(60));
+
+  const result = await callerDuplicateService.mergeCallers(survivorId, duplicateIds, { mergedBy });
+
+  console.log(`   Kept: ${survivorId}`);
+  console.log(`   Merged: ${result.mergedIds.join(', ')}`);
+  console.log(`   Calls moved: ${result.callsMoved}`);
+  console.log(`   Follow-ups moved: ${result.followupsMoved}`);
+  console.log(`   Callback attempts moved: ${result.attemptsMoved}`);
+  console.log(`   Caller changes moved: ${result.changesMoved}`);
+  console.log(`   Audit record: ${result.auditId}`);
+  return result;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const mergeIndex = process.argv.indexOf('--merge');
+  let run;
+
+  if (mergeIndex !== -1) {
+    const ids = [];
+    for (const arg of process.argv.slice(mergeIndex + 1)) {
+      if (arg.startsWith('--')) break;
+      ids.push(arg);
+    }
+    if (ids.length < 2) {
+      console.error('Usage: --merge <keepId> <duplicateId> [duplicateId...]');
+      process.exit(1);
+    }
+    run = mergeDuplicates(ids[0], ids.slice(1), argValue('--by') || 'CLI');
+  } else {
+    const minScore = parseFloat(argValue('--min-score'));
+    run = listDuplicates(Number.isFinite(minScore) ? minScore : undefined);
+  }
+
+  run
+    .then(() => {
+      console.log('\n✅ Script complete\n');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Fatal error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { listDuplicates, mergeDuplicates };
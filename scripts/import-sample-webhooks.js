@@ -3,24 +3,51 @@
  * 
  * Imports webhook events from the provided sample file
  * to test the staging table and merging process
+ *
+ * Usage:
+ *   node scripts/import-sample-webhooks.js [--file path/to/Webhook.txt] [--emulator]
+ *
+ * --emulator imports into an in-process Airtable emulator and runs the merge,
+ * so the whole pipeline can be tried without touching real data.
+ *
+ * Lines are raw webhook payloads, or webhook queue journal entries
+ * ({ receivedAt, payload }) - those keep their original arrival time, so
+ * answer / end times come out as they happened rather than all at import time.
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const webhookEventService = require('../src/services/webhookEvents');
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : null;
+}
 
 async function importSampleWebhooks() {
-  console.log('\n📥 IMPORTING SAMPLE WEBHOOK DATA\n');
+  const useEmulator = process.argv.includes('--emulator');
+  let emulator = null;
+
+  if (useEmulator) {
+    const { startInProcessEmulator } = require('../src/emulator/airtableEmulator');
+    emulator = await startInProcessEmulator();
+  }
+
+  // Required after the emulator starts so the Airtable client picks up its URL
+  const webhookEventService = require('../src/services/webhookEvents');
+
+  console.log(`\n📥 IMPORTING SAMPLE WEBHOOK DATA${emulator ? ' (emulator)' : ''}\n`);
   console.log('='.repeat(60));
 
   // Read the sample webhook file
-  const sampleFilePath = path.join('C:\\Users\\Computer\\Documents', 'Webhook.txt');
+  const sampleFilePath = getArg('--file') || path.join('C:\\Users\\Computer\\Documents', 'Webhook.txt');
   
   if (!fs.existsSync(sampleFilePath)) {
     console.error(`❌ Sample file not found: ${sampleFilePath}`);
     console.log('\n💡 Please create a file with webhook data at:');
     console.log('   C:\\Users\\Computer\\Documents\\Webhook.txt');
+    console.log('   (or pass --file <path>)');
+    if (emulator) await emulator.stop();
     return;
   }
 
@@ -30,6 +57,7 @@ async function importSampleWebhooks() {
   console.log(`📄 Found ${lines.length} webhook events in file\n`);
 
   let imported = 0;
+  let duplicates = 0;
   let errors = 0;
 
   for (let i = 0; i < lines.length; i++) {
@@ -37,12 +65,19 @@ async function importSampleWebhooks() {
     if (!line) continue;
 
     try {
-      const webhookData = JSON.parse(line);
-      
+      const parsed = JSON.parse(line);
+      const webhookData = parsed.payload || parsed;
+      const receivedAt = parsed.payload ? parsed.receivedAt : undefined;
+
       console.log(`${i + 1}. Processing: ${webhookData.callId} - ${webhookData.status} - ${webhookData.sendType} → ${webhookData.destinationType}`);
       
-      const result = await webhookEventService.createEvent(webhookData);
-      console.log(`   ✅ Saved: ${result.id}`);
+      const { duplicate, event } = await webhookEventService.ingestEvent(webhookData, receivedAt);
+      if (duplicate) {
+        console.log(`   ⏭️  Already imported: ${event.id}`);
+        duplicates++;
+        continue;
+      }
+      console.log(`   ✅ Saved: ${event.id}`);
       
       imported++;
     } catch (error) {
@@ -52,18 +87,28 @@ async function importSampleWebhooks() {
   }
 
   console.log('\n' + '='.repeat(60));
-  console.log(`✅ Import complete: ${imported} imported, ${errors} errors`);
+  console.log(`✅ Import complete: ${imported} imported, ${duplicates} duplicates skipped, ${errors} errors`);
   
   // Get unique call IDs
   const callIds = new Set();
   for (const line of lines) {
     try {
-      const data = JSON.parse(line.trim());
+      const parsed = JSON.parse(line.trim());
+      const data = parsed.payload || parsed;
       if (data.callId) callIds.add(data.callId);
     } catch (e) {}
   }
   
   console.log(`📊 Unique calls: ${callIds.size}`);
+
+  if (emulator) {
+    // Emulator data lives only as long as this process - merge now
+    const webhookMerger = require('../src/services/webhookMerger');
+    await webhookMerger.processUnprocessedEvents();
+    await emulator.stop();
+    return;
+  }
+
   console.log('\n💡 Next step: Run merge script to process these events');
   console.log('   node scripts/merge-webhook-events.js');
 }
@@ -42,6 +42,9 @@ async function mergeWebhookEvents() {
       if (call.ivrPath) {
         console.log(`   IVR Path: ${call.ivrPath}`);
       }
+      if (call.transfers > 0) {
+        console.log(`   Transfers: ${call.transfers}`);
+      }
       console.log('');
     });
 
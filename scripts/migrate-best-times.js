@@ -0,0 +1,97 @@
+/**
+ * Migrate Best Times Script
+ *
+ * Best Times used to be free text only. This script parses it on every caller
+ * that has no Contact Window yet into the structured window (days, times,
+ * time zone, "never" rules) and marks each one Parsed or Needs Review - the
+ * text it couldn't understand is listed for someone to check. New and edited
+ * Best Times are parsed when they are saved; this only catches up old records.
+ *
+ * Usage:
+ *   node scripts/migrate-best-times.js             # dry run - report only
+ *   node scripts/migrate-best-times.js --apply     # save the contact windows
+ *   node scripts/migrate-best-times.js --reparse   # include callers that already have one
+ */
+
+require('dotenv').config();
+const { tables, fields } = require('../src/config/airtable');
+const store = require('../src/storage');
+const contactWindows = require('../src/services/contactWindows');
+
+const F = fields.callers;
+
+async function migrateBestTimes(apply, reparse) {
+  console.log('\n🕘 BEST TIMES → CONTACT WINDOWS\n');
+  console.log('='.repeat(60));
+  console.log(apply ? 'Mode: APPLY (contact windows will be saved)' : 'Mode: DRY RUN (use --apply to save)');
+
+  const callers = await store.select(tables.callers, {});
+  const updates = [];
+  const needsReview = [];
+  let skipped = 0;
+
+  for (const caller of callers) {
+    const bestTimes = caller[F.BEST_TIMES];
+    if (!bestTimes) continue;
+    if (caller[F.CONTACT_WINDOW] && !reparse) {
+      skipped++;
+      continue;
+    }
+
+    const model = contactWindows.parse(bestTimes);
+    const status = contactWindows.status(model);
+    updates.push({
+      id: caller.id,
+      fields: { [F.CONTACT_WINDOW]: contactWindows.serialize(model), [F.CONTACT_WINDOW_STATUS]: status },
+      bestTimes,
+      summary: contactWindows.summary(model)
+    });
+    if (status === 'Needs Review') needsReview.push({ caller, bestTimes, unparsed: model.unparsed });
+  }
+
+  console.log(`\n   Callers scanned: ${callers.length}`);
+  console.log(`   To migrate: ${updates.length}`);
+  console.log(`   Needs review: ${needsReview.length}`);
+  console.log(`   Already migrated: ${skipped}`);
+
+  updates.forEach(update => {
+    const rules = [...update.summary.windows, ...update.summary.never.map(rule => `never ${rule}`)];
+    console.log(`     ${update.id}: "${update.bestTimes}" → ${rules.join('; ')}`);
+  });
+
+  if (needsReview.length > 0) {
+    console.log('\n   Not understood (check these callers):');
+    needsReview.forEach(entry => {
+      console.log(`     ${entry.caller.id} ${entry.caller[F.NAME] || ''}: "${entry.bestTimes}" - ${entry.unparsed.map(clause => `"${clause}"`).join(', ')}`);
+    });
+  }
+
+  if (apply && updates.length > 0) {
+    await store.updateMany(tables.callers, updates.map(({ id, fields: updateFields }) => ({ id, fields: updateFields })));
+    console.log(`\n✅ Updated ${updates.length} callers`);
+  }
+
+  return {
+    scanned: callers.length,
+    migrated: updates.length,
+    needsReview: needsReview.length,
+    skipped
+  };
+}
+
+// Run if called directly
+if (require.main === module) {
+  const apply = process.argv.includes('--apply');
+  const reparse = process.argv.includes('--reparse');
+  migrateBestTimes(apply, reparse)
+    .then(() => {
+      console.log('\n✅ Script complete\n');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Fatal error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateBestTimes };
@@ -0,0 +1,95 @@
+/**
+ * Normalize Caller Phones Script
+ *
+ * Callers created before phone normalization have their number saved as typed
+ * ("(718) 555-1234", "7185551234", ...). Lookups still find those spellings;
+ * this script rewrites them to E.164 so every record uses the same form.
+ * Numbers that don't normalize (extensions, typos) are listed and left alone.
+ *
+ * Usage:
+ *   node scripts/normalize-caller-phones.js           # dry run - report only
+ *   node scripts/normalize-caller-phones.js --apply   # save the normalized numbers
+ */
+
+require('dotenv').config();
+const { tables, fields } = require('../src/config/airtable');
+const phoneConfig = require('../src/config/phone');
+const store = require('../src/storage');
+const phoneNumbers = require('../src/shared/phone');
+
+const F = fields.callers;
+
+async function normalizeCallerPhones(apply) {
+  console.log('\n📞 CALLER PHONE NORMALIZATION\n');
+  console.log('='.repeat(60));
+  console.log(apply ? 'Mode: APPLY (phone numbers will be rewritten)' : 'Mode: DRY RUN (use --apply to save)');
+  console.log(`Default country: ${phoneConfig.defaultCountry}`);
+
+  const callers = await store.select(tables.callers, {});
+  const updates = [];
+  const invalid = [];
+  const byNumber = {};
+
+  for (const caller of callers) {
+    const current = caller[F.PHONE];
+    if (!current) continue;
+
+    const normalized = phoneNumbers.normalize(current);
+    if (!normalized) {
+      invalid.push(caller);
+      continue;
+    }
+
+    (byNumber[normalized] = byNumber[normalized] || []).push(caller);
+    if (normalized !== current) {
+      updates.push({ id: caller.id, fields: { [F.PHONE]: normalized }, from: current });
+    }
+  }
+
+  const shared = Object.entries(byNumber).filter(([, records]) => records.length > 1);
+
+  console.log(`\n   Callers scanned: ${callers.length}`);
+  console.log(`   To normalize: ${updates.length}`);
+  console.log(`   Not a valid number: ${invalid.length}`);
+  console.log(`   Numbers shared by more than one caller: ${shared.length}`);
+
+  updates.forEach(update => console.log(`     ${update.id}: ${update.from} → ${update.fields[F.PHONE]}`));
+
+  if (invalid.length > 0) {
+    console.log('\n   Left as is:');
+    invalid.forEach(caller => console.log(`     ${caller.id}: ${caller[F.PHONE]}`));
+  }
+
+  if (shared.length > 0) {
+    console.log('\n   Same number on several callers (review for duplicates):');
+    shared.forEach(([number, records]) => console.log(`     ${number}: ${records.map(r => r.id).join(', ')}`));
+  }
+
+  if (apply && updates.length > 0) {
+    await store.updateMany(tables.callers, updates.map(({ id, fields: updateFields }) => ({ id, fields: updateFields })));
+    console.log(`\n✅ Updated ${updates.length} callers`);
+  }
+
+  return {
+    scanned: callers.length,
+    normalized: updates.length,
+    invalid: invalid.length,
+    shared: shared.length
+  };
+}
+
+// Run if called directly
+if (require.main === module) {
+  const apply = process.argv.includes('--apply');
+  normalizeCallerPhones(apply)
+    .then(() => {
+      console.log('\n✅ Script complete\n');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Fatal error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { normalizeCallerPhones };
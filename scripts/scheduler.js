@@ -6,6 +6,11 @@
  *   - Daily digest at 8:00 AM
  *   - Auto-create follow-ups every 15 minutes
  *   - Overdue check every hour
+ *   - SLA escalation every 10 minutes
+ * 
+ * Nothing is sent during Shabbos or Yom Tov (worked out locally by the
+ * calendar service): alerts are skipped, and a digest that falls due then
+ * goes out at nightfall instead.
  * 
  * Usage:
  *   node scripts/scheduler.js
@@ -21,6 +26,9 @@ const callService = require('../src/services/calls');
 const followupService = require('../src/services/followups');
 const teamMemberService = require('../src/services/teamMembers');
 const callerService = require('../src/services/callers');
+const queueStats = require('../src/services/queueStats');
+const calendar = require('../src/services/calendar');
+const followupEscalation = require('../src/services/followupEscalation');
 
 // Configuration
 const config = {
@@ -36,6 +44,9 @@ const config = {
   // Urgent check interval (every 5 minutes)
   urgentInterval: process.env.URGENT_INTERVAL || '*/5 * * * *',
   
+  // SLA escalation interval (every 10 minutes)
+  escalationInterval: process.env.ESCALATION_INTERVAL || '*/10 * * * *',
+  
   // Email settings (if configured)
   alertEmail: process.env.ALERT_EMAIL,
   supervisorEmail: process.env.SUPERVISOR_EMAIL,
@@ -63,6 +74,34 @@ function log(level, message, data = null) {
   }
 }
 
+// Tasks waiting for the end of Shabbos / Yom Tov
+const heldTasks = new Set();
+
+/**
+ * Run a task unless it is Shabbos or Yom Tov
+ * @param {string} name - Task name for the log
+ * @param {Function} task - The task
+ * @param {Object} options - { catchUp: run it once at nightfall instead of skipping it }
+ */
+async function runUnlessRestricted(name, task, { catchUp = false } = {}) {
+  const window = calendar.windowAt(Date.now());
+  if (!window) return task();
+
+  const until = new Date(window.end).toLocaleString();
+  if (!catchUp) {
+    log('info', `Skipped during ${window.name}: ${name}`);
+    return;
+  }
+  if (heldTasks.has(name)) return;
+
+  heldTasks.add(name);
+  log('info', `Held for ${window.name}: ${name} (runs at ${until})`);
+  setTimeout(() => {
+    heldTasks.delete(name);
+    runUnlessRestricted(name, task, { catchUp });
+  }, window.end - Date.now() + 60 * 1000);
+}
+
 /**
  * Send notification via webhook (Slack/Teams)
  */
@@ -153,6 +192,12 @@ async function taskDailyDigest() {
   
   try {
     const digest = await followupService.getDailyDigest();
+    const until = new Date();
+    const queues = await queueStats.getStats({ since: new Date(until.getTime() - 24 * 60 * 60 * 1000), until })
+      .catch(error => {
+        log('warning', 'Hunt group stats unavailable', error.message);
+        return null;
+      });
     
     const date = new Date().toLocaleDateString('en-US', {
       weekday: 'long',
@@ -168,15 +213,23 @@ async function taskDailyDigest() {
     console.log(`  Overdue:    ${digest.overdue}`);
     console.log(`  Urgent:     ${digest.urgent}`);
     console.log(`  Total:      ${digest.total}`);
+    const queueLines = queues ? queues.huntGroups.map(formatHuntGroup) : [];
+    if (queueLines.length > 0) {
+      console.log('  Hunt groups (last 24h):');
+      queueLines.forEach(line => console.log(`    ${line}`));
+    }
     console.log('═'.repeat(50) + '\n');
     
-    // Send notification if there are items due
-    if (digest.dueToday > 0 || digest.overdue > 0) {
-      const message = `
+    // Send notification if there are items due or callers gave up waiting
+    if (digest.dueToday > 0 || digest.overdue > 0 || (queues && queues.totals.abandoned > 0)) {
+      let message = `
 📋 **Follow-ups Due Today**: ${digest.dueToday}
 ⚠️ **Overdue**: ${digest.overdue}
 🔴 **Urgent**: ${digest.urgent}
       `.trim();
+      if (queueLines.length > 0) {
+        message += `\n\n☎️ **Hunt groups (last 24h)**\n${queueLines.join('\n')}`;
+      }
       
       await sendNotification('Daily Follow-up Digest', message, digest.urgent > 0 ? 'high' : 'normal');
     }
@@ -187,6 +240,16 @@ async function taskDailyDigest() {
   }
 }
 
+/**
+ * One digest line per hunt group: callers, answered, abandoned, speed of answer
+ */
+function formatHuntGroup(group) {
+  const asa = group.averageSpeedOfAnswerSeconds !== null ? `${group.averageSpeedOfAnswerSeconds}s` : 'n/a';
+  const worst = group.worstHour !== null ? `, most abandoned at ${group.worstHour}:00` : '';
+  return `${group.name}: ${group.offered} callers, ${group.answered} answered, ${group.abandoned} abandoned ` +
+    `(avg answer ${asa}, longest wait ${group.longestWaitSeconds}s${worst})`;
+}
+
 /**
  * Task 3: Overdue Follow-up Alerts
  */
@@ -208,7 +271,9 @@ async function taskOverdueAlerts() {
       const id = f['Follow-up ID'] || f.id;
       const assignedTo = f['Assigned To'] || 'Unassigned';
       const dueDate = f['Due Date/Time'] ? new Date(f['Due Date/Time']).toLocaleDateString() : 'Unknown';
-      return `• #${id} - ${assignedTo} (was due: ${dueDate})`;
+      const days = calendar.daysOverdue(f['Due Date/Time']);
+      const late = days === 0 ? 'due earlier today' : `${days} day${days === 1 ? '' : 's'} overdue`;
+      return `• #${id} - ${assignedTo} (was due: ${dueDate}, ${late})`;
     }).join('\n');
     
     console.log('\n  🔴 OVERDUE FOLLOW-UPS:');
@@ -228,7 +293,37 @@ async function taskOverdueAlerts() {
 }
 
 /**
- * Task 4: Urgent Calls Check
+ * Task 4: SLA Escalation
+ */
+async function taskSlaEscalations() {
+  try {
+    const { escalations, failed } = await followupEscalation.escalate();
+    
+    if (failed.length > 0) {
+      log('error', `${failed.length} follow-up escalation(s) failed`, failed);
+    }
+    if (escalations.length === 0) {
+      return; // Silent when nothing moved up a stage
+    }
+    
+    log('warning', `${escalations.length} follow-up(s) escalated`);
+    
+    const lines = escalations.map(e => `• #${e.followupNumber || e.followupId} - ${e.message}`).join('\n');
+    const toSupervisor = escalations.some(e => e.stage === 3);
+    
+    await sendNotification(
+      toSupervisor ? '🚨 Follow-up SLA Escalated to Supervisor' : '⏱️ Follow-up SLA Breached',
+      `${escalations.length} follow-up(s) escalated:\n\n${lines}`,
+      toSupervisor ? 'urgent' : 'high'
+    );
+    
+  } catch (error) {
+    log('error', 'SLA escalation task failed', error.message);
+  }
+}
+
+/**
+ * Task 5: Urgent Calls Check
  */
 async function taskUrgentCheck() {
   try {
@@ -280,6 +375,8 @@ function startScheduler() {
   📊 Daily Digest:        8:00 AM daily
   ⏰ Overdue Check:       Every hour
   🚨 Urgent Check:        Every 5 minutes
+  ⏱️  SLA Escalation:      Every 10 minutes
+  🕯️  Shabbos / Yom Tov:   alerts paused, digest sent at nightfall
   ─────────────────────────────────────────────────────────────────
 
   Press Ctrl+C to stop the scheduler.
@@ -293,28 +390,35 @@ function startScheduler() {
 
   // Schedule: Daily digest (8:00 AM)
   cron.schedule(config.dailyDigestTime, () => {
-    taskDailyDigest();
+    runUnlessRestricted('Daily digest', taskDailyDigest, { catchUp: true });
   });
   log('success', 'Scheduled: Daily digest (8:00 AM)');
 
   // Schedule: Overdue check (every hour)
   cron.schedule(config.overdueInterval, () => {
-    taskOverdueAlerts();
+    runUnlessRestricted('Overdue alerts', taskOverdueAlerts);
   });
   log('success', 'Scheduled: Overdue alerts (hourly)');
 
   // Schedule: Urgent check (every 5 minutes)
   cron.schedule(config.urgentInterval, () => {
-    taskUrgentCheck();
+    runUnlessRestricted('Urgent check', taskUrgentCheck);
   });
   log('success', 'Scheduled: Urgent check (every 5 min)');
 
+  // Schedule: SLA escalation (every 10 minutes)
+  cron.schedule(config.escalationInterval, () => {
+    runUnlessRestricted('SLA escalation', taskSlaEscalations);
+  });
+  log('success', 'Scheduled: SLA escalation (every 10 min)');
+
   // Run initial checks on startup
   log('info', '\nRunning initial checks...\n');
   setTimeout(async () => {
     await taskCreateFollowups();
-    await taskOverdueAlerts();
-    await taskUrgentCheck();
+    await runUnlessRestricted('Overdue alerts', taskOverdueAlerts);
+    await runUnlessRestricted('Urgent check', taskUrgentCheck);
+    await runUnlessRestricted('SLA escalation', taskSlaEscalations);
     log('success', '\nScheduler is now running. Waiting for scheduled tasks...\n');
   }, 2000);
 }
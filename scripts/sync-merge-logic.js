@@ -0,0 +1,79 @@
+/**
+ * Sync Shared Merge Logic
+ *
+ * Airtable automations and Google Apps Script can't require() files, so the
+ * shared call merge (src/shared/callMerge.js) is embedded into them between
+ * the "BEGIN/END SHARED CALL MERGE" markers. This script rewrites those blocks.
+ *
+ * Usage:
+ *   node scripts/sync-merge-logic.js          # update embedded copies
+ *   node scripts/sync-merge-logic.js --check  # exit 1 if any copy has drifted
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE = path.join(ROOT, 'src', 'shared', 'callMerge.js');
+const TARGETS = [
+  path.join(ROOT, 'airtable-scripts', 'merge-webhook-to-calls.js'),
+  path.join(ROOT, 'google-apps-script', 'LevLehazin.gs')
+];
+
+const BEGIN_MARKER = '// >>> BEGIN SHARED CALL MERGE (generated - do not edit)';
+const END_MARKER = '// <<< END SHARED CALL MERGE';
+
+function embed(targetContent, sharedSource) {
+  const begin = targetContent.indexOf(BEGIN_MARKER);
+  const end = targetContent.indexOf(END_MARKER);
+  if (begin === -1 || end === -1 || end < begin) {
+    throw new Error('shared merge markers not found');
+  }
+
+  return targetContent.slice(0, begin + BEGIN_MARKER.length) +
+    '\n' + sharedSource.trim() + '\n' +
+    targetContent.slice(end);
+}
+
+function syncMergeLogic(checkOnly) {
+  const sharedSource = fs.readFileSync(SOURCE, 'utf8');
+  const stale = [];
+
+  TARGETS.forEach(target => {
+    const relative = path.relative(ROOT, target);
+    const current = fs.readFileSync(target, 'utf8');
+    const updated = embed(current, sharedSource);
+
+    if (updated === current) {
+      console.log(`✅ ${relative} is up to date`);
+      return;
+    }
+
+    if (checkOnly) {
+      console.log(`❌ ${relative} is out of date`);
+      stale.push(relative);
+    } else {
+      fs.writeFileSync(target, updated);
+      console.log(`🔄 Updated ${relative}`);
+    }
+  });
+
+  return stale;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const checkOnly = process.argv.includes('--check');
+  try {
+    const stale = syncMergeLogic(checkOnly);
+    if (stale.length > 0) {
+      console.log('\n💡 Run: npm run sync:merge');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { syncMergeLogic };
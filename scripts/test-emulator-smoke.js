@@ -0,0 +1,100 @@
+/**
+ * Smoke test: webhook → call → follow-up, end to end against the emulator
+ *
+ * Ingests one answered call's webhooks into the staging table, merges them
+ * into Calls and creates the call's follow-up, checking each step. Always runs
+ * against an in-process Airtable emulator, so no real data is touched.
+ *
+ * Usage:
+ *   node scripts/test-emulator-smoke.js   (npm test)
+ */
+
+require('dotenv').config();
+const os = require('os');
+
+const CALL_ID = 'smoke-call-1';
+const CALLER_NUMBER = '12125550123';
+const EXTENSION = '101';
+
+function check(condition, message) {
+  if (!condition) throw new Error(message);
+  console.log(`   ✅ ${message}`);
+}
+
+function webhook(status) {
+  return {
+    callId: CALL_ID,
+    UniqueId: 'smoke-leg-1',
+    status,
+    direction: 'inbound',
+    sendType: 'external',
+    sendNumber: CALLER_NUMBER,
+    destinationType: 'phone',
+    destinationNumber: EXTENSION,
+    calledNumber: '18005550100',
+    startTime: '2026-10-01T14:00:00Z',
+    callStartTime: '2026-10-01T14:00:00Z'
+  };
+}
+
+console.log('🧪 Smoke test: ingest → merge → follow-up (emulator)\n');
+
+async function runSmokeTest() {
+  const { startInProcessEmulator } = require('../src/emulator/airtableEmulator');
+  const emulator = await startInProcessEmulator();
+
+  try {
+    // Required after the emulator starts so the Airtable client picks up its URL
+    const webhookEventService = require('../src/services/webhookEvents');
+    const webhookMerger = require('../src/services/webhookMerger');
+    const callService = require('../src/services/calls');
+    const followupService = require('../src/services/followups');
+    const teamMemberService = require('../src/services/teamMembers');
+    const presenceConfig = require('../src/config/presence');
+
+    check(presenceConfig.stateFile.startsWith(os.tmpdir()), `Presence state kept in ${presenceConfig.stateFile}`);
+
+    const mentor = await teamMemberService.createMember({ name: 'Smoke Mentor', role: 'Mentor', phoneExtension: EXTENSION });
+
+    console.log('\n1️⃣ Ingesting webhooks...');
+    // Arrival times as a live call would have them
+    const events = [['ringing', '2026-10-01T14:00:01Z'], ['answered', '2026-10-01T14:00:11Z'], ['ended', '2026-10-01T14:05:11Z']];
+    for (const [status, receivedAt] of events) {
+      const { duplicate } = await webhookEventService.ingestEvent(webhook(status), receivedAt);
+      check(!duplicate, `Staged "${status}"`);
+    }
+    const { duplicate } = await webhookEventService.ingestEvent(webhook('ended'), '2026-10-01T14:05:12Z');
+    check(duplicate, 'Re-sent "ended" recognised as a duplicate');
+
+    console.log('\n2️⃣ Merging into Calls...');
+    const merged = await webhookMerger.processUnprocessedEvents();
+    check(merged.created === 1, 'One call created');
+
+    const call = await callService.findByTelebroadCallId(CALL_ID);
+    check(call, `Call ${CALL_ID} found`);
+    check((call['Caller'] || []).length === 1, 'Caller linked by phone');
+    check((call['Received By'] || []).includes(mentor.id), 'Answering extension linked to its team member');
+    check(call['Duration'] === 300, `Duration ${call['Duration']}s`);
+
+    const again = await webhookMerger.processUnprocessedEvents();
+    check(again.processed === 0, 'Nothing left to merge');
+
+    console.log('\n3️⃣ Creating the follow-up...');
+    const updated = await callService.updateCall(call.id, { mentorForFollowup: mentor.id });
+    const followup = await followupService.createFromCall(updated);
+    check((followup['Related Call'] || []).includes(call.id), 'Follow-up linked to the call');
+    check((followup['Caller'] || [])[0] === call['Caller'][0], 'Follow-up linked to the caller');
+
+    const open = await followupService.getOpenByAssignee(mentor.id);
+    check(open.some(record => record.id === followup.id), 'Follow-up on the mentor\'s open list');
+
+    console.log('\n✨ Smoke test passed!\n');
+  } finally {
+    await emulator.stop();
+  }
+}
+
+runSmokeTest().catch(error => {
+  console.error(`❌ Smoke test failed: ${error.message}`);
+  process.exit(1);
+});
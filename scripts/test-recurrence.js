@@ -0,0 +1,74 @@
+/**
+ * Test Script: Recurrence rules
+ *
+ * Reads the recurrence texts mentors type and checks each comes out as the
+ * rule they meant - or is refused, rather than turned into a weekly check-in.
+ * No Airtable needed.
+ *
+ * Usage:
+ *   node scripts/test-recurrence.js   (part of npm test)
+ */
+
+require('dotenv').config();
+const recurrence = require('../src/services/recurrence');
+
+const READS = [
+  ['weekly on Tuesday evening', 'Every week on Tuesday at 7:00 PM'],
+  ['on Tuesdays at 7pm', 'Every week on Tuesday at 7:00 PM'],
+  ['every Thursday', 'Every week on Thursday'],
+  ['every other Tuesday', 'Every 2 weeks on Tuesday'],
+  ['every other week', 'Every 2 weeks'],
+  ['every other day', 'Every 2 days'],
+  ['every two weeks', 'Every 2 weeks'],
+  ['every three days', 'Every 3 days'],
+  ['every 10 days', 'Every 10 days'],
+  ['Every 2 weeks on Tuesday at 7:00 PM', 'Every 2 weeks on Tuesday at 7:00 PM']
+];
+
+const REFUSED = [
+  'every month',
+  'every 2 months',
+  'every Monday and Thursday',
+  'every weekday',
+  'every so often'
+];
+
+console.log('🧪 Testing recurrence rules\n');
+
+let failed = 0;
+
+READS.forEach(([text, expected]) => {
+  let actual;
+  try {
+    actual = recurrence.format(recurrence.parse(text));
+  } catch (error) {
+    actual = `error: ${error.message}`;
+  }
+  if (actual === expected) {
+    console.log(`   ✅ "${text}" → ${actual}`);
+  } else {
+    console.log(`   ❌ "${text}" → ${actual} (expected ${expected})`);
+    failed++;
+  }
+});
+
+REFUSED.forEach(text => {
+  try {
+    const rule = recurrence.format(recurrence.parse(text));
+    console.log(`   ❌ "${text}" → ${rule} (expected it to be refused)`);
+    failed++;
+  } catch (error) {
+    if (error.message.startsWith("Can't read recurrence")) {
+      console.log(`   ✅ "${text}" refused`);
+    } else {
+      console.log(`   ❌ "${text}" refused with the wrong error: ${error.message}`);
+      failed++;
+    }
+  }
+});
+
+if (failed > 0) {
+  console.error(`\n❌ ${failed} recurrence test(s) failed\n`);
+  process.exit(1);
+}
+console.log('\n✨ All recurrence tests passed!\n');
@@ -1,9 +1,20 @@
-const { callService, contactService } = require('../src/services/airtable');
+// --emulator: run against an in-process Airtable emulator instead of the real base
+const useEmulator = process.argv.includes('--emulator');
 
-console.log('🧪 Testing Airtable Service Layer\n');
+console.log(`🧪 Testing Airtable Service Layer${useEmulator ? ' (emulator)' : ''}\n`);
 
 async function runTests() {
+  let emulator = null;
+
   try {
+    if (useEmulator) {
+      const { startInProcessEmulator } = require('../src/emulator/airtableEmulator');
+      emulator = await startInProcessEmulator();
+    }
+
+    // Required after the emulator starts so the Airtable client picks up its URL
+    const { callService, contactService } = require('../src/services/airtable');
+
     // Test 1: Fetch all calls
     console.log('1️⃣ Fetching all calls...');
     const calls = await callService.getAllCalls({ maxRecords: 5 });
@@ -19,6 +30,34 @@ async function runTests() {
     const contacts = await contactService.getAllContacts({ maxRecords: 5 });
     console.log(`   ✅ Found ${contacts.length} contact(s)`);
 
+    // Write tests are safe against the emulator, so they always run there
+    if (emulator) {
+      console.log('\n4️⃣ Creating a test call...');
+      const newCall = await callService.createCall({
+        callerNumber: '+1234567890',
+        direction: 'Inbound',
+        duration: 120,
+        status: 'Completed',
+        notes: 'Test call from API'
+      });
+      console.log('   ✅ Created call:', newCall.id);
+
+      console.log('\n5️⃣ Creating a test contact...');
+      const newContact = await contactService.createContact({
+        name: 'Test Contact',
+        phone: '+1234567890',
+        email: 'test@example.com',
+        company: 'Test Company'
+      });
+      console.log('   ✅ Created contact:', newContact.id);
+
+      const found = await contactService.findByPhone('+1234567890');
+      console.log(`   ✅ Found contact by phone: ${found ? found.id : 'none'}`);
+
+      const calls = await callService.getCallsByNumber('+1234567890');
+      console.log(`   ✅ Found ${calls.length} call(s) by number`);
+    }
+
     // Test 4: Create a test call (optional - uncomment to test)
     // console.log('\n4️⃣ Creating a test call...');
     // const newCall = await callService.createCall({
@@ -41,11 +80,15 @@ async function runTests() {
     // console.log('   ✅ Created contact:', newContact.id);
 
     console.log('\n✨ All service tests passed!\n');
-    console.log('💡 Tip: Uncomment the create tests in scripts/test-services.js to test write operations.\n');
+    if (!emulator) {
+      console.log('💡 Tip: Run with --emulator to test write operations without touching real data.\n');
+    }
 
   } catch (error) {
     console.error('❌ Test failed:', error.message);
     process.exit(1);
+  } finally {
+    if (emulator) await emulator.stop();
   }
 }
 
@@ -8,12 +8,14 @@
  *   node scripts/test-webhooks.js --call        # Test call logging
  *   node scripts/test-webhooks.js --missed      # Test missed call
  *   node scripts/test-webhooks.js --all         # Run all tests
+ *   node scripts/test-webhooks.js --all --emulator  # Run against an in-process server + Airtable emulator
  */
 
 require('dotenv').config();
 const axios = require('axios');
+const { signWebhookRequest } = require('../src/webhooks/webhook-guard');
 
-const BASE_URL = process.env.WEBHOOK_BASE_URL || 'http://localhost:3000';
+let BASE_URL = process.env.WEBHOOK_BASE_URL || 'http://localhost:3000';
 
 // ANSI colors
 const colors = {
@@ -75,8 +77,9 @@ async function testEndpoint(name, endpoint, method, data) {
     const response = await axios({
       method,
       url: `${BASE_URL}${endpoint}`,
-      data,
-      headers: { 'Content-Type': 'application/json' },
+      data: data === null ? undefined : data,
+      // Authenticate the same way Telebroad does when WEBHOOK_SECRET is set
+      headers: { 'Content-Type': 'application/json', ...signWebhookRequest(data) },
       timeout: 10000
     });
 
@@ -230,6 +233,7 @@ ${colors.cyan}OPTIONS:${colors.reset}
   --overdue       Test overdue alerts
   --digest        Test daily digest
   --followup ID   Test follow-up creation (requires call ID)
+  --emulator      Run against an in-process server + Airtable emulator
 
 ${colors.cyan}EXAMPLES:${colors.reset}
   node scripts/test-webhooks.js --all
@@ -243,6 +247,33 @@ ${colors.yellow}NOTE:${colors.reset} Start your server first with: npm start
 `);
 }
 
+/**
+ * Start the Airtable emulator and the server in this process
+ * so the webhooks can be tested without touching real data
+ */
+async function startEmulatedServer() {
+  const { startInProcessEmulator } = require('../src/emulator/airtableEmulator');
+  const emulator = await startInProcessEmulator();
+
+  // Extension used by the sample payloads
+  const { tables } = require('../src/config/airtable');
+  emulator.seed(process.env.AIRTABLE_BASE_ID, tables.teamMembers, [
+    { 'Name': 'Test Mentor', 'Role': 'Mentor', 'Phone/Extension': '101', 'Active': true, 'Current Status': '🟢 Available' }
+  ]);
+
+  const { app } = require('../src/index');
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  log(`🧪 Using in-process server (${BASE_URL}) and Airtable emulator (${emulator.url})`, 'yellow');
+
+  return async () => {
+    await new Promise(resolve => server.close(resolve));
+    await emulator.stop();
+  };
+}
+
 async function main() {
   const args = process.argv.slice(2);
 
@@ -251,6 +282,20 @@ async function main() {
     return;
   }
 
+  if (args.includes('--emulator')) {
+    const stop = await startEmulatedServer();
+    try {
+      await runSelectedTests(args);
+    } finally {
+      await stop();
+    }
+    return;
+  }
+
+  await runSelectedTests(args);
+}
+
+async function runSelectedTests(args) {
   if (args.includes('--all')) {
     await runAllTests();
     return;
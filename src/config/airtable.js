@@ -1,22 +1,24 @@
 require('dotenv').config();
 const Airtable = require('airtable');
+const storage = require('./storage');
 
-// Validate required environment variables
-if (!process.env.AIRTABLE_PAT) {
-  throw new Error('AIRTABLE_PAT is not defined in .env file');
-}
+// Airtable credentials are only required when Airtable is the storage backend
+const airtableConfigured = !!(process.env.AIRTABLE_PAT && process.env.AIRTABLE_BASE_ID);
 
-if (!process.env.AIRTABLE_BASE_ID) {
-  throw new Error('AIRTABLE_BASE_ID is not defined in .env file');
-}
+if (storage.backend === 'airtable') {
+  if (!process.env.AIRTABLE_PAT) {
+    throw new Error('AIRTABLE_PAT is not defined in .env file');
+  }
 
-// Configure Airtable client
-const airtable = new Airtable({
-  apiKey: process.env.AIRTABLE_PAT
-});
+  if (!process.env.AIRTABLE_BASE_ID) {
+    throw new Error('AIRTABLE_BASE_ID is not defined in .env file');
+  }
+}
 
-// Get base instance
-const base = airtable.base(process.env.AIRTABLE_BASE_ID);
+// Get base instance (null when running offline without credentials)
+const base = airtableConfigured
+  ? new Airtable({ apiKey: process.env.AIRTABLE_PAT }).base(process.env.AIRTABLE_BASE_ID)
+  : null;
 
 // Table names from environment (Lev Lehazin Helpline System)
 const tables = {
@@ -24,7 +26,11 @@ const tables = {
   callers: process.env.AIRTABLE_CALLERS_TABLE || 'Callers',
   calls: process.env.AIRTABLE_CALLS_TABLE || 'Calls',
   followups: process.env.AIRTABLE_FOLLOWUPS_TABLE || 'Follow-ups',
-  availability: process.env.AIRTABLE_AVAILABILITY_TABLE || 'Availability Schedule'
+  availability: process.env.AIRTABLE_AVAILABILITY_TABLE || 'Availability Schedule',
+  callLegs: process.env.AIRTABLE_CALL_LEGS_TABLE || 'Call Legs',
+  callerMerges: process.env.AIRTABLE_CALLER_MERGES_TABLE || 'Caller Merges',
+  callerChanges: process.env.AIRTABLE_CALLER_CHANGES_TABLE || 'Caller Changes',
+  callbackAttempts: process.env.AIRTABLE_CALLBACK_ATTEMPTS_TABLE || 'Callback Attempts'
 };
 
 // Field definitions for each table (matching the document spec)
@@ -47,6 +53,9 @@ const fields = {
     PHONE_TYPE: 'Phone Type',
     CONTACT_PREFERENCE: 'Contact Preference',
     BEST_TIMES: 'Best Times',
+    // Best Times as a structured window (JSON, see services/contactWindows.js)
+    CONTACT_WINDOW: 'Contact Window',
+    CONTACT_WINDOW_STATUS: 'Contact Window Status',
     PRIMARY_ISSUE: 'Primary Issue',
     ASSIGNED_MENTOR: 'Assigned Mentor',
     STATUS: 'Status',
@@ -69,6 +78,8 @@ const fields = {
     MENTOR_FOR_FOLLOWUP: 'Mentor for Follow-up',
     URGENCY: 'Urgency',
     FOLLOWUP_CREATED: 'Follow-up Created',
+    // Callback follow-up an outbound call was made for
+    FOLLOWUP: 'Follow-up',
     TELEBROAD_CALL_ID: 'Telebroad Call ID',
     TB_CALL_ID: 'TB Call ID',
     TELEBROAD_UNIQUE_ID: 'Telebroad Unique ID',
@@ -100,7 +111,22 @@ const fields = {
     PRIORITY: 'Priority',
     NOTES: 'Notes',
     COMPLETED_DATE: 'Completed Date',
-    OUTCOME_NOTES: 'Outcome Notes'
+    OUTCOME_NOTES: 'Outcome Notes',
+    // SLA (see config/sla.js) and the escalations made when it was breached
+    SLA_POLICY: 'SLA Policy',
+    ESCALATION_LEVEL: 'Escalation Level',
+    ESCALATED_TO: 'Escalated To',
+    LAST_ESCALATED: 'Last Escalated',
+    ESCALATION_LOG: 'Escalation Log',
+    // Callback attempts so far (each one is a row in Callback Attempts)
+    ATTEMPTS: 'Attempts',
+    LAST_ATTEMPT: 'Last Attempt',
+    // Recurring series (see services/recurrence.js)
+    RECURRENCE: 'Recurrence',
+    RECURRENCE_STATUS: 'Recurrence Status',
+    PREVIOUS_FOLLOWUP: 'Previous Follow-up',
+    // Set when the due time is outside the caller's contact window
+    WINDOW_WARNING: 'Contact Window Warning'
   },
   availability: {
     TEAM_MEMBER: 'Team Member',
@@ -108,6 +134,67 @@ const fields = {
     START_TIME: 'Start Time',
     END_TIME: 'End Time',
     ROLE_THIS_SHIFT: 'Role This Shift'
+  },
+  // One row per hop of a call (derived from the webhook events by the merge)
+  callLegs: {
+    LEG_ID: 'Leg ID',
+    CALL: 'Call',
+    TB_CALL_ID: 'TB Call ID',
+    SEQUENCE: 'Sequence',
+    UNIQUE_ID: 'Unique ID',
+    FROM_TYPE: 'From Type',
+    FROM_NAME: 'From Name',
+    FROM_NUMBER: 'From Number',
+    TO_TYPE: 'To Type',
+    TO_NAME: 'To Name',
+    TO_NUMBER: 'To Number',
+    TEAM_MEMBER: 'Team Member',
+    STATE: 'State',
+    RING_START: 'Ring Start',
+    ANSWERED_AT: 'Answered At',
+    ENDED_AT: 'Ended At',
+    RING_SECONDS: 'Ring Seconds',
+    TALK_SECONDS: 'Talk Seconds',
+    TRANSFERRED_TO: 'Transferred To',
+    ENDED_BY: 'Ended By'
+  },
+  // Audit log - one row per duplicate-caller merge
+  callerMerges: {
+    SUMMARY: 'Summary',
+    SURVIVING_CALLER: 'Surviving Caller',
+    MERGED_CALLER_IDS: 'Merged Caller IDs',
+    MERGED_RECORDS: 'Merged Records',
+    MATCH_REASONS: 'Match Reasons',
+    CALLS_MOVED: 'Calls Moved',
+    FOLLOWUPS_MOVED: 'Follow-ups Moved',
+    MERGED_AT: 'Merged At',
+    MERGED_BY: 'Merged By',
+    NOTES: 'Notes'
+  },
+  // One row per change of a caller's Status or Assigned Mentor
+  callerChanges: {
+    CHANGE: 'Change',
+    CALLER: 'Caller',
+    FIELD: 'Field',
+    FROM_VALUE: 'From',
+    TO_VALUE: 'To',
+    MENTOR: 'Mentor',
+    CHANGED_AT: 'Changed At',
+    CHANGED_BY: 'Changed By'
+  },
+  // One row per try at reaching a caller for a follow-up
+  callbackAttempts: {
+    ATTEMPT: 'Attempt',
+    FOLLOWUP: 'Follow-up',
+    CALLER: 'Caller',
+    TEAM_MEMBER: 'Team Member',
+    CALL: 'Call',
+    ATTEMPT_NUMBER: 'Attempt Number',
+    ATTEMPTED_AT: 'Attempted At',
+    RESULT: 'Result',
+    CHANNEL: 'Channel',
+    NEXT_ATTEMPT: 'Next Attempt',
+    NOTES: 'Notes'
   }
 };
 
@@ -127,6 +214,7 @@ const selectOptions = {
   phoneTypes: ['Cell', 'Home', 'Work', 'Public/Other'],
   contactPreferences: ['Can receive callbacks', 'Will call back only', 'Either'],
   callerStatus: ['New', 'Active', 'Stable', 'Closed', 'Referred Out'],
+  contactWindowStatus: ['Parsed', 'Needs Review'],
   callDirection: ['Inbound', 'Outbound', 'Missed'],
   callTypes: ['New Caller', 'Follow-up', 'Crisis', 'Check-in', 'Voicemail', 'Admin'],
   finalStatus: ['Answered', 'Missed', 'Voicemail', 'Abandoned', 'IVR Only'],
@@ -140,10 +228,18 @@ const selectOptions = {
   ],
   urgency: ['Routine', 'Soon (24-48hrs)', 'Urgent (same day)', 'Crisis (immediate)'],
   followupTypes: ['Callback', 'Check-in', 'Scheduled Session', 'Internal Task'],
-  followupStatus: ['Pending', 'Completed', 'Rescheduled', 'No Answer', 'Cancelled'],
+  followupStatus: ['Pending', 'Completed', 'Rescheduled', 'No Answer', 'Cancelled', 'Caller Will Call Back'],
+  // Follow-ups still to be done (retries are No Answer, moved ones Rescheduled)
+  openFollowupStatus: ['Pending', 'Rescheduled', 'No Answer'],
   followupPriority: ['Normal', 'High', 'Urgent'],
+  recurrenceStatus: ['Active', 'Paused', 'Ended'],
   days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Motzei Shabbos'],
-  shiftRoles: ['Intaker', 'Mentor On-Call']
+  shiftRoles: ['Intaker', 'Mentor On-Call'],
+  legTypes: ['external', 'ivr', 'huntgroup', 'phone', 'voicemail'],
+  legStates: ['Ringing', 'Answered', 'Transferred', 'Hung Up', 'Missed'],
+  callerChangeFields: ['Status', 'Assigned Mentor'],
+  attemptResults: ['Reached', 'No Answer', 'Left Voicemail', 'Busy', 'Wrong Number'],
+  attemptChannels: ['Phone', 'Text', 'Email']
 };
 
 // Export configuration
@@ -0,0 +1,22 @@
+require('dotenv').config();
+
+// Mentor assignment configuration
+// - maxCaseload: a mentor with this many New / Active callers gets no more
+// - followupLoadLimit: pending follow-ups at which a mentor's follow-up score
+//   reaches zero
+// - autoAssignNewCallers: callers created through the API with a Primary
+//   Issue and no mentor get the best match (POST /api/callers can also ask
+//   with "autoAssign": true)
+const assignment = {
+  maxCaseload: parseInt(process.env.MENTOR_MAX_CASELOAD || '15', 10),
+  followupLoadLimit: parseInt(process.env.MENTOR_FOLLOWUP_LOAD_LIMIT || '10', 10),
+  autoAssignNewCallers: process.env.MENTOR_AUTO_ASSIGN_NEW_CALLERS === 'true'
+};
+
+['maxCaseload', 'followupLoadLimit'].forEach(key => {
+  if (!Number.isFinite(assignment[key]) || assignment[key] <= 0) {
+    throw new Error(`Mentor assignment setting ${key} must be a positive number (got "${assignment[key]}")`);
+  }
+});
+
+module.exports = assignment;
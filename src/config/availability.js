@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+// Availability Schedule (shift roster) configuration
+// - checkIntervalMs: how often the schedule is checked for shifts starting or
+//   ending (and for roles left without cover)
+// - autoStatus: set members Available when their shift starts and Offline when
+//   it ends (set to false to only report the roster)
+const availability = {
+  checkIntervalMs: parseInt(process.env.AVAILABILITY_CHECK_INTERVAL_MS || '60000', 10),
+  autoStatus: process.env.AVAILABILITY_AUTO_STATUS !== 'false'
+};
+
+if (!Number.isFinite(availability.checkIntervalMs) || availability.checkIntervalMs <= 0) {
+  throw new Error(`Availability setting checkIntervalMs must be a positive number (got "${availability.checkIntervalMs}")`);
+}
+
+module.exports = availability;
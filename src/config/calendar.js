@@ -0,0 +1,42 @@
+require('dotenv').config();
+
+// Shabbos / Yom Tov calendar configuration (all computed locally - no network)
+// - latitude / longitude: where sunset and nightfall are worked out for
+//   (defaults: New York City)
+// - timeZone: the helpline's local time
+// - candleLightingMinutes: Shabbos / Yom Tov begins this long before sunset
+// - nightfallDegrees: it ends when the sun is this far below the horizon
+// - nightfallMinutes: a fixed number of minutes after sunset instead (e.g. 50 or 72)
+// - israel: one day of Yom Tov instead of two
+const calendar = {
+  latitude: parseFloat(process.env.CALENDAR_LATITUDE || '40.7128'),
+  longitude: parseFloat(process.env.CALENDAR_LONGITUDE || '-74.0060'),
+  timeZone: process.env.CALENDAR_TIME_ZONE || 'America/New_York',
+  candleLightingMinutes: parseInt(process.env.CALENDAR_CANDLE_LIGHTING_MINUTES || '18', 10),
+  nightfallDegrees: parseFloat(process.env.CALENDAR_NIGHTFALL_DEGREES || '8.5'),
+  nightfallMinutes: process.env.CALENDAR_NIGHTFALL_MINUTES ? parseInt(process.env.CALENDAR_NIGHTFALL_MINUTES, 10) : null,
+  israel: process.env.CALENDAR_ISRAEL === 'true'
+};
+
+// Far enough north or south the sun may not set (or get dark) at all
+if (!(Math.abs(calendar.latitude) <= 60)) {
+  throw new Error(`Calendar latitude must be between -60 and 60 (got "${calendar.latitude}")`);
+}
+if (!(Math.abs(calendar.longitude) <= 180)) {
+  throw new Error(`Calendar longitude must be between -180 and 180 (got "${calendar.longitude}")`);
+}
+['candleLightingMinutes', 'nightfallDegrees'].forEach(key => {
+  if (!Number.isFinite(calendar[key]) || calendar[key] < 0) {
+    throw new Error(`Calendar setting ${key} must be zero or more (got "${calendar[key]}")`);
+  }
+});
+if (calendar.nightfallMinutes !== null && !(calendar.nightfallMinutes > 0)) {
+  throw new Error(`Calendar setting nightfallMinutes must be a positive number (got "${process.env.CALENDAR_NIGHTFALL_MINUTES}")`);
+}
+try {
+  new Intl.DateTimeFormat('en-US', { timeZone: calendar.timeZone });
+} catch (error) {
+  throw new Error(`Calendar time zone "${calendar.timeZone}" is not a known time zone`);
+}
+
+module.exports = calendar;
@@ -0,0 +1,42 @@
+require('dotenv').config();
+
+// Callback retry policy
+// - maxAttempts: unanswered attempts before the follow-up stops as
+//   "Caller Will Call Back" and the mentor is told
+// - retryIntervalsMinutes: wait after the 1st, 2nd, ... unanswered attempt
+//   (the last one repeats) - the next try is then moved into the caller's
+//   Best Times and off Shabbos / Yom Tov
+// - callingHours: when callers without usable Best Times are called, and
+//   where "after 9pm" / "before noon" end (24-hour HH:MM, helpline time)
+const callbacks = {
+  maxAttempts: parseInt(process.env.CALLBACK_MAX_ATTEMPTS || '4', 10),
+  retryIntervalsMinutes: (process.env.CALLBACK_RETRY_INTERVALS_MINUTES || '60,240,1440')
+    .split(',')
+    .map(value => parseInt(value.trim(), 10)),
+  callingHours: {
+    start: toMinutes(process.env.CALLBACK_HOURS_START || '09:00'),
+    end: toMinutes(process.env.CALLBACK_HOURS_END || '22:00')
+  }
+};
+
+function toMinutes(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
+}
+
+if (!Number.isFinite(callbacks.maxAttempts) || callbacks.maxAttempts <= 0) {
+  throw new Error(`CALLBACK_MAX_ATTEMPTS must be a positive number (got "${process.env.CALLBACK_MAX_ATTEMPTS}")`);
+}
+
+const intervals = callbacks.retryIntervalsMinutes;
+if (intervals.some(minutes => !Number.isFinite(minutes) || minutes <= 0) ||
+    intervals.some((minutes, i) => i > 0 && minutes < intervals[i - 1])) {
+  throw new Error(`CALLBACK_RETRY_INTERVALS_MINUTES must be increasing positive minutes, e.g. "60,240,1440" (got "${process.env.CALLBACK_RETRY_INTERVALS_MINUTES}")`);
+}
+
+const { start, end } = callbacks.callingHours;
+if (!(start >= 0 && end <= 24 * 60 && start < end)) {
+  throw new Error('CALLBACK_HOURS_START / CALLBACK_HOURS_END must be HH:MM with the start before the end');
+}
+
+module.exports = callbacks;
@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+// Live wallboard (GET /api/live/stream) configuration
+// - snapshotIntervalMs: how often a full snapshot is re-sent so boards stay in
+//   sync (between snapshots only changes are sent)
+// - memberRefreshMs: how often team members are re-read while a board is
+//   connected, to catch status changes made directly in Airtable
+// - staleCallMs: a call with no events for this long is dropped (covers a
+//   missed hang-up - a conversation itself sends no events)
+// - endedCallMs: how long an ended call is remembered, so events Telebroad
+//   re-sends after the hang-up don't put it back on the board
+// - queueWindowMs: how far back the live hunt group stats look (answered,
+//   abandoned, average speed of answer)
+const live = {
+  snapshotIntervalMs: parseInt(process.env.LIVE_SNAPSHOT_INTERVAL_MS || '30000', 10),
+  memberRefreshMs: parseInt(process.env.LIVE_MEMBER_REFRESH_MS || '60000', 10),
+  staleCallMs: parseInt(process.env.LIVE_STALE_CALL_MS || String(4 * 60 * 60 * 1000), 10),
+  endedCallMs: parseInt(process.env.LIVE_ENDED_CALL_MS || String(60 * 60 * 1000), 10),
+  queueWindowMs: parseInt(process.env.LIVE_QUEUE_WINDOW_MS || String(60 * 60 * 1000), 10)
+};
+
+['snapshotIntervalMs', 'memberRefreshMs', 'staleCallMs', 'endedCallMs', 'queueWindowMs'].forEach(key => {
+  if (!Number.isFinite(live[key]) || live[key] <= 0) {
+    throw new Error(`Live board setting ${key} must be a positive number (got "${live[key]}")`);
+  }
+});
+
+module.exports = live;
@@ -0,0 +1,31 @@
+require('dotenv').config();
+
+// Caller lookup (screen-pop) configuration
+// - latencyBudgetMs: longest a lookup waits on Airtable before answering from
+//   cache (possibly stale) or with "pending"
+// - cacheTtlMs: how long a cached lookup is served without refreshing
+// - warmIntervalMs: how often the whole cache is reloaded in the background
+// - recentCalls: call summaries included per caller
+const lookup = {
+  latencyBudgetMs: parseInt(process.env.LOOKUP_LATENCY_BUDGET_MS || '300', 10),
+  cacheTtlMs: parseInt(process.env.LOOKUP_CACHE_TTL_MS || '600000', 10),
+  warmIntervalMs: parseInt(process.env.LOOKUP_WARM_INTERVAL_MS || '300000', 10),
+  recentCalls: 3,
+  // Calls read when warming (newest first) - callers whose recent calls go
+  // back further aren't warmed and are looked up live
+  warmCallLimit: parseInt(process.env.LOOKUP_WARM_CALL_LIMIT || '3000', 10),
+
+  // Screen-pop push to the extension that is ringing
+  // - SSE: GET /api/lookup/stream?extension=101 (always on)
+  // - pushUrl: optional URL every pop is also POSTed to (desktop client, chat bot, ...)
+  pushUrl: process.env.SCREEN_POP_WEBHOOK_URL || '',
+  pushTimeoutMs: parseInt(process.env.SCREEN_POP_TIMEOUT_MS || '2000', 10)
+};
+
+['latencyBudgetMs', 'cacheTtlMs', 'warmIntervalMs', 'warmCallLimit', 'pushTimeoutMs'].forEach(key => {
+  if (!Number.isFinite(lookup[key]) || lookup[key] <= 0) {
+    throw new Error(`Lookup setting ${key} must be a positive number (got "${lookup[key]}")`);
+  }
+});
+
+module.exports = lookup;
@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+// Per country: calling code, trunk prefix dialed before national numbers,
+// prefix dialed before a foreign country code, and national number lengths
+const COUNTRIES = {
+  US: { code: '1', trunkPrefix: '1', internationalPrefix: '011', nationalLength: [10] },
+  CA: { code: '1', trunkPrefix: '1', internationalPrefix: '011', nationalLength: [10] },
+  IL: { code: '972', trunkPrefix: '0', internationalPrefix: '00', nationalLength: [8, 9] },
+  GB: { code: '44', trunkPrefix: '0', internationalPrefix: '00', nationalLength: [9, 10] },
+  FR: { code: '33', trunkPrefix: '0', internationalPrefix: '00', nationalLength: [9] },
+  BE: { code: '32', trunkPrefix: '0', internationalPrefix: '00', nationalLength: [8, 9] },
+  AU: { code: '61', trunkPrefix: '0', internationalPrefix: '0011', nationalLength: [9] }
+};
+
+const defaultCountry = (process.env.PHONE_DEFAULT_COUNTRY || 'US').toUpperCase();
+
+if (!COUNTRIES[defaultCountry]) {
+  throw new Error(`PHONE_DEFAULT_COUNTRY must be one of: ${Object.keys(COUNTRIES).join(', ')} (got "${defaultCountry}")`);
+}
+
+// Phone number normalization
+// - defaultCountry: country assumed for numbers written without a country code
+const phone = {
+  countries: COUNTRIES,
+  defaultCountry
+};
+
+module.exports = phone;
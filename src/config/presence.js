@@ -0,0 +1,26 @@
+require('dotenv').config();
+const path = require('path');
+const storageConfig = require('./storage');
+
+// Team member presence configuration
+// - busyTimeoutMs: a member still Busy this long after the last sign of a call
+//   (a missed hang-up, or Busy set by something else) goes back to their own status
+// - sweepIntervalMs: how often stuck Busy states are looked for
+// - endedCallMs: how long a call that hung up is remembered, so a late or
+//   re-sent "answered" for it doesn't make anyone Busy again
+// - stateFile: where each member's chosen status and current calls are kept
+//   across restarts
+const presence = {
+  busyTimeoutMs: parseInt(process.env.PRESENCE_BUSY_TIMEOUT_MS || String(2 * 60 * 60 * 1000), 10),
+  sweepIntervalMs: parseInt(process.env.PRESENCE_SWEEP_INTERVAL_MS || '60000', 10),
+  endedCallMs: parseInt(process.env.PRESENCE_ENDED_CALL_MS || String(60 * 60 * 1000), 10),
+  stateFile: process.env.PRESENCE_STATE_FILE || path.join(storageConfig.dataDir, 'presence.json')
+};
+
+['busyTimeoutMs', 'sweepIntervalMs', 'endedCallMs'].forEach(key => {
+  if (!Number.isFinite(presence[key]) || presence[key] <= 0) {
+    throw new Error(`Presence setting ${key} must be a positive number (got "${presence[key]}")`);
+  }
+});
+
+module.exports = presence;
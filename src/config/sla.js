@@ -0,0 +1,44 @@
+require('dotenv').config();
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Follow-up SLA policy
+// - policies: how long a follow-up has (window: milliseconds, or 'end-of-day'
+//   for the helpline's local midnight) and, once it is past due, how long
+//   after that each escalation stage starts:
+//     1 → the assignee, 2 → a backup mentor, 3 → the supervisor
+//   Time past due only counts outside Shabbos and Yom Tov.
+// - urgency / priority: the policy for a call's Urgency and a follow-up's
+//   Priority - when both are known the stricter one applies
+// - supervisorId: Team Members record of the supervisor (stage 3)
+// - supervisorName: who stage 3 names when there is no supervisor record
+const sla = {
+  policies: {
+    Crisis: { label: 'Crisis - 1 hour', window: HOUR, escalateAfter: [0, 30 * 60 * 1000, HOUR] },
+    Urgent: { label: 'Urgent - same day', window: 'end-of-day', escalateAfter: [0, 2 * HOUR, 4 * HOUR] },
+    Soon: { label: 'Soon - 24-48 hours', window: 2 * DAY, escalateAfter: [0, 12 * HOUR, DAY] },
+    Routine: { label: 'Routine - 1 week', window: 7 * DAY, escalateAfter: [0, DAY, 2 * DAY] }
+  },
+  // Strictest first
+  order: ['Crisis', 'Urgent', 'Soon', 'Routine'],
+  urgency: {
+    'Crisis (immediate)': 'Crisis',
+    'Urgent (same day)': 'Urgent',
+    'Soon (24-48hrs)': 'Soon',
+    'Routine': 'Routine'
+  },
+  priority: {
+    'Urgent': 'Crisis',
+    'High': 'Urgent',
+    'Normal': 'Routine'
+  },
+  supervisorId: process.env.SLA_SUPERVISOR_ID || '',
+  supervisorName: process.env.SLA_SUPERVISOR_NAME || 'Supervisor'
+};
+
+if (sla.supervisorId && !sla.supervisorId.startsWith('rec')) {
+  throw new Error(`SLA_SUPERVISOR_ID must be a Team Members record ID (got "${sla.supervisorId}")`);
+}
+
+module.exports = sla;
@@ -0,0 +1,21 @@
+require('dotenv').config();
+const path = require('path');
+
+// Storage backends the services can run against
+const BACKENDS = ['airtable', 'file'];
+
+const backend = (process.env.STORAGE_BACKEND || 'airtable').toLowerCase();
+
+if (!BACKENDS.includes(backend)) {
+  throw new Error(`STORAGE_BACKEND must be one of: ${BACKENDS.join(', ')} (got "${backend}")`);
+}
+
+// Storage configuration
+// - airtable: live Airtable base (requires AIRTABLE_PAT / AIRTABLE_BASE_ID)
+// - file: embedded JSON tables on local disk, for offline development, CI and disaster recovery
+const storage = {
+  backend,
+  dataDir: process.env.STORAGE_DATA_DIR || path.join(__dirname, '..', '..', 'data')
+};
+
+module.exports = storage;
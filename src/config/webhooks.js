@@ -0,0 +1,80 @@
+require('dotenv').config();
+const path = require('path');
+const storageConfig = require('./storage');
+
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Express "trust proxy" accepts booleans, hop counts or address lists
+function parseTrustProxy(value) {
+  if (value === undefined || value === '') return 'loopback';
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
+// Webhook security configuration
+// - secret: shared secret; when set, every /webhooks/* request must authenticate
+// - signatureMode: 'token' (secret sent as-is in header or ?token=) or
+//                  'hmac' (HMAC-SHA256 of "<timestamp>.<raw body>" in the signature header)
+// - ipAllowlist: optional list of IPs / IPv4 CIDR ranges allowed to call webhooks
+// - maxSkewSeconds: how old (or far in the future) a signed timestamp may be
+const webhookSecurity = {
+  secret: process.env.WEBHOOK_SECRET || '',
+  signatureMode: (process.env.WEBHOOK_SIGNATURE_MODE || 'token').toLowerCase(),
+  tokenHeader: (process.env.WEBHOOK_TOKEN_HEADER || 'x-webhook-token').toLowerCase(),
+  signatureHeader: (process.env.WEBHOOK_SIGNATURE_HEADER || 'x-webhook-signature').toLowerCase(),
+  timestampHeader: (process.env.WEBHOOK_TIMESTAMP_HEADER || 'x-webhook-timestamp').toLowerCase(),
+  maxSkewSeconds: parseInt(process.env.WEBHOOK_MAX_SKEW_SECONDS || '300', 10),
+  ipAllowlist: parseList(process.env.WEBHOOK_IP_ALLOWLIST),
+  // Express "trust proxy" setting - needed behind Render/ngrok so req.ip is the real client
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
+  // How POST /webhooks/telebroad processes events:
+  // - 'stage': save every event to the Webhook Events table, merge into Calls afterwards
+  // - 'live':  aggregate events in memory and write the Calls record when the call ends
+  processingMode: (process.env.TELEBROAD_PROCESSING_MODE || 'stage').toLowerCase(),
+
+  // Write-ahead queue: Telebroad events are journaled to disk and acknowledged
+  // at once, then pushed to the staging table in the background
+  queue: {
+    enabled: process.env.WEBHOOK_QUEUE_ENABLED !== 'false',
+    dir: process.env.WEBHOOK_QUEUE_DIR || path.join(storageConfig.dataDir, 'webhook-queue'),
+    drainIntervalMs: parseInt(process.env.WEBHOOK_QUEUE_DRAIN_INTERVAL_MS || '5000', 10),
+    // Retry backoff doubles from the base delay up to the cap
+    retryBaseMs: parseInt(process.env.WEBHOOK_QUEUE_RETRY_BASE_MS || '2000', 10),
+    retryMaxMs: parseInt(process.env.WEBHOOK_QUEUE_RETRY_MAX_MS || '600000', 10),
+    // After this many failed pushes an event is parked as a dead letter
+    maxAttempts: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS || '25', 10)
+  },
+
+  // Merge worker: merges a call into Calls as soon as its events are staged
+  mergeWorker: {
+    enabled: process.env.MERGE_WORKER_ENABLED !== 'false',
+    // Wait this long after the caller hangs up for sibling events still in flight
+    settleMs: parseInt(process.env.MERGE_SETTLE_MS || '2000', 10),
+    // Calls that never send a final "ended" are merged after this much silence
+    // (also used by live mode to flush calls stuck in memory)
+    gracePeriodMs: parseInt(process.env.MERGE_GRACE_PERIOD_MS || '300000', 10),
+    // Merged calls are remembered this long so late events trigger a re-merge
+    retainMs: parseInt(process.env.MERGE_RETAIN_MS || '3600000', 10),
+    sweepIntervalMs: parseInt(process.env.MERGE_SWEEP_INTERVAL_MS || '15000', 10),
+    retryBaseMs: parseInt(process.env.MERGE_RETRY_BASE_MS || '5000', 10),
+    retryMaxMs: parseInt(process.env.MERGE_RETRY_MAX_MS || '300000', 10)
+  }
+};
+
+if (!['token', 'hmac'].includes(webhookSecurity.signatureMode)) {
+  throw new Error(`WEBHOOK_SIGNATURE_MODE must be "token" or "hmac" (got "${webhookSecurity.signatureMode}")`);
+}
+
+if (!['stage', 'live'].includes(webhookSecurity.processingMode)) {
+  throw new Error(`TELEBROAD_PROCESSING_MODE must be "stage" or "live" (got "${webhookSecurity.processingMode}")`);
+}
+
+module.exports = webhookSecurity;
@@ -0,0 +1,32 @@
+require('dotenv').config();
+
+const sla = require('./sla');
+
+// Mentor work queue (GET /api/team-members/:id/queue)
+// - dueNowMinutes: follow-ups due within this many minutes are "due now"
+// - lookbackDays: how far back voicemails and missed calls still count
+// - voicemailPolicy / missedCallPolicy / newCallerPolicy: the SLA policy
+//   (config/sla.js) that sets when each is breached, counted from the
+//   voicemail, the first missed call, or the mentor's assignment (a
+//   voicemail's own Urgency wins when it has one)
+const workQueue = {
+  dueNowMinutes: parseInt(process.env.WORK_QUEUE_DUE_NOW_MINUTES || '60', 10),
+  lookbackDays: parseInt(process.env.WORK_QUEUE_LOOKBACK_DAYS || '7', 10),
+  voicemailPolicy: process.env.WORK_QUEUE_VOICEMAIL_POLICY || 'Soon',
+  missedCallPolicy: process.env.WORK_QUEUE_MISSED_CALL_POLICY || 'Soon',
+  newCallerPolicy: process.env.WORK_QUEUE_NEW_CALLER_POLICY || 'Soon'
+};
+
+['dueNowMinutes', 'lookbackDays'].forEach(key => {
+  if (!Number.isFinite(workQueue[key]) || workQueue[key] <= 0) {
+    throw new Error(`Work queue setting ${key} must be a positive number (got "${workQueue[key]}")`);
+  }
+});
+
+['voicemailPolicy', 'missedCallPolicy', 'newCallerPolicy'].forEach(key => {
+  if (!sla.order.includes(workQueue[key])) {
+    throw new Error(`Work queue setting ${key} must be one of ${sla.order.join(', ')} (got "${workQueue[key]}")`);
+  }
+});
+
+module.exports = workQueue;
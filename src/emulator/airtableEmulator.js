@@ -0,0 +1,503 @@
+/**
+ * Airtable API Emulator
+ *
+ * In-process HTTP stand-in for the Airtable REST API (v0), so the services
+ * and scripts can be exercised end-to-end without touching the production base.
+ * Point the Airtable SDK at it with AIRTABLE_ENDPOINT_URL.
+ *
+ * Supports:
+ * - GET    /v0/:baseId/:table                 list (filterByFormula, sort, view, fields, maxRecords, pageSize, offset)
+ * - POST   /v0/:baseId/:table/listRecords     list with parameters in the body (used for long formulas)
+ * - GET    /v0/:baseId/:table/:recordId       find
+ * - POST   /v0/:baseId/:table                 create one ({ fields }) or a batch of up to 10 ({ records })
+ * - PATCH  /v0/:baseId/:table[/:recordId]     partial update, one or a batch of up to 10
+ * - PUT    /v0/:baseId/:table[/:recordId]     destructive update, one or a batch of up to 10
+ * - DELETE /v0/:baseId/:table[/:recordId]     delete one, or up to 10 via records[]
+ *
+ * Link fields are arrays of record IDs. Links are validated against the
+ * linked table and inverse link fields are kept in sync (e.g. Calls.Caller ↔ Callers.Calls).
+ *
+ * Tables are schemaless: any field name is accepted.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { compile, sortRecords } = require('../storage/formula');
+const { generateRecordId } = require('../storage/fileAdapter');
+
+const WEBHOOK_EVENTS_TABLE = process.env.AIRTABLE_WEBHOOK_EVENTS_TABLE || 'Webhook Events';
+
+// Airtable limits
+const MAX_BATCH_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Link field definitions: table → field → { table: linked table, inverse: field on linked table }
+ * Built lazily so the emulator can start before config/airtable is loaded.
+ */
+function defaultLinks() {
+  const { tables, fields } = require('../config/airtable');
+
+  return {
+    [tables.calls]: {
+      [fields.calls.CALLER]: { table: tables.callers, inverse: fields.callers.CALLS },
+      [fields.calls.RECEIVED_BY]: { table: tables.teamMembers },
+      [fields.calls.MENTOR_FOR_FOLLOWUP]: { table: tables.teamMembers },
+      [fields.calls.FOLLOWUP]: { table: tables.followups }
+    },
+    [tables.callers]: {
+      [fields.callers.CALLS]: { table: tables.calls, inverse: fields.calls.CALLER },
+      [fields.callers.FOLLOWUPS]: { table: tables.followups, inverse: fields.followups.CALLER },
+      [fields.callers.ASSIGNED_MENTOR]: { table: tables.teamMembers }
+    },
+    [tables.followups]: {
+      [fields.followups.CALLER]: { table: tables.callers, inverse: fields.callers.FOLLOWUPS },
+      [fields.followups.RELATED_CALL]: { table: tables.calls },
+      [fields.followups.ASSIGNED_TO]: { table: tables.teamMembers },
+      [fields.followups.ESCALATED_TO]: { table: tables.teamMembers },
+      [fields.followups.PREVIOUS_FOLLOWUP]: { table: tables.followups }
+    },
+    [tables.availability]: {
+      [fields.availability.TEAM_MEMBER]: { table: tables.teamMembers }
+    },
+    [tables.callLegs]: {
+      [fields.callLegs.CALL]: { table: tables.calls },
+      [fields.callLegs.TEAM_MEMBER]: { table: tables.teamMembers }
+    },
+    [tables.callerMerges]: {
+      [fields.callerMerges.SURVIVING_CALLER]: { table: tables.callers }
+    },
+    [tables.callerChanges]: {
+      [fields.callerChanges.CALLER]: { table: tables.callers },
+      [fields.callerChanges.MENTOR]: { table: tables.teamMembers }
+    },
+    [tables.callbackAttempts]: {
+      [fields.callbackAttempts.FOLLOWUP]: { table: tables.followups },
+      [fields.callbackAttempts.CALLER]: { table: tables.callers },
+      [fields.callbackAttempts.TEAM_MEMBER]: { table: tables.teamMembers },
+      [fields.callbackAttempts.CALL]: { table: tables.calls }
+    },
+    [WEBHOOK_EVENTS_TABLE]: {
+      'Merged Call Record': { table: tables.calls }
+    }
+  };
+}
+
+/**
+ * Error in Airtable's response format
+ */
+class EmulatorError extends Error {
+  constructor(statusCode, type, message) {
+    super(message);
+    this.statusCode = statusCode;
+    this.type = type;
+  }
+}
+
+function encodeOffset(position) {
+  return Buffer.from(JSON.stringify({ position })).toString('base64url');
+}
+
+function decodeOffset(offset) {
+  try {
+    return JSON.parse(Buffer.from(String(offset), 'base64url').toString('utf8')).position;
+  } catch (error) {
+    throw new EmulatorError(422, 'LIST_RECORDS_ITERATOR_NOT_AVAILABLE', 'Invalid offset');
+  }
+}
+
+function toArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+class AirtableEmulator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.links - Link field definitions (defaults to the helpline schema)
+   */
+  constructor(options = {}) {
+    this._links = options.links || null;
+    this.bases = new Map();
+    this.requestCount = 0;
+    this.server = null;
+    this.app = this._createApp();
+  }
+
+  // ============================================
+  // Data access
+  // ============================================
+
+  _table(baseId, table) {
+    if (!this.bases.has(baseId)) this.bases.set(baseId, new Map());
+    const base = this.bases.get(baseId);
+    if (!base.has(table)) base.set(table, new Map());
+    return base.get(table);
+  }
+
+  get links() {
+    if (!this._links) this._links = defaultLinks();
+    return this._links;
+  }
+
+  _linkDef(table, field) {
+    return (this.links[table] || {})[field] || null;
+  }
+
+  _serialize(record, fieldNames) {
+    let recordFields = record.fields;
+    if (fieldNames && fieldNames.length > 0) {
+      recordFields = Object.fromEntries(
+        fieldNames.filter(f => f in record.fields).map(f => [f, record.fields[f]])
+      );
+    }
+    return { id: record.id, createdTime: record.createdTime, fields: { ...recordFields } };
+  }
+
+  _get(baseId, table, recordId) {
+    const record = this._table(baseId, table).get(recordId);
+    if (!record) {
+      throw new EmulatorError(404, 'NOT_FOUND', `Could not find record ${recordId}`);
+    }
+    return record;
+  }
+
+  /**
+   * Validate link field values before writing
+   */
+  _validateFields(baseId, table, newFields) {
+    if (!newFields || typeof newFields !== 'object' || Array.isArray(newFields)) {
+      throw new EmulatorError(422, 'INVALID_REQUEST_MISSING_FIELDS', 'Could not find field "fields" in the request body');
+    }
+
+    Object.entries(newFields).forEach(([field, value]) => {
+      const link = this._linkDef(table, field);
+      if (!link || value === null || value === undefined) return;
+
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+        throw new EmulatorError(422, 'INVALID_VALUE_FOR_COLUMN',
+          `Field "${field}" cannot accept the provided value: link fields must be an array of record IDs`);
+      }
+
+      const linkedTable = this._table(baseId, link.table);
+      const missing = value.find(id => !linkedTable.has(id));
+      if (missing) {
+        throw new EmulatorError(422, 'ROW_DOES_NOT_EXIST', `Record ID ${missing} does not exist in table ${link.table}`);
+      }
+    });
+  }
+
+  /**
+   * Keep inverse link fields in sync after a record's links change
+   */
+  _syncInverseLinks(baseId, table, record, previousFields) {
+    Object.entries(this.links[table] || {}).forEach(([field, link]) => {
+      if (!link.inverse) return;
+
+      const before = new Set(toArray(previousFields[field]));
+      const after = new Set(toArray(record.fields[field]));
+      const linkedTable = this._table(baseId, link.table);
+
+      before.forEach(id => {
+        if (after.has(id) || !linkedTable.has(id)) return;
+        const linked = linkedTable.get(id);
+        const remaining = toArray(linked.fields[link.inverse]).filter(v => v !== record.id);
+        if (remaining.length > 0) {
+          linked.fields[link.inverse] = remaining;
+        } else {
+          delete linked.fields[link.inverse];
+        }
+      });
+
+      after.forEach(id => {
+        if (before.has(id) || !linkedTable.has(id)) return;
+        const linked = linkedTable.get(id);
+        const current = toArray(linked.fields[link.inverse]);
+        if (!current.includes(record.id)) {
+          linked.fields[link.inverse] = [...current, record.id];
+        }
+      });
+    });
+  }
+
+  _writeFields(baseId, table, record, newFields, destructive) {
+    const previousFields = { ...record.fields };
+    if (destructive) record.fields = {};
+
+    Object.entries(newFields).forEach(([field, value]) => {
+      if (value === null || value === undefined || value === '' ||
+          (Array.isArray(value) && value.length === 0)) {
+        delete record.fields[field];
+      } else {
+        record.fields[field] = value;
+      }
+    });
+
+    this._syncInverseLinks(baseId, table, record, previousFields);
+  }
+
+  // ============================================
+  // Operations
+  // ============================================
+
+  list(baseId, table, params = {}) {
+    const matches = compile(params.filterByFormula);
+    const now = new Date();
+
+    let records = [...this._table(baseId, table).values()].filter(r => matches(r, { now }));
+    records = sortRecords(records, toArray(params.sort));
+
+    const maxRecords = params.maxRecords ? Number(params.maxRecords) : null;
+    if (maxRecords) records = records.slice(0, maxRecords);
+
+    const pageSize = Math.min(Number(params.pageSize || params.limit) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+    const start = params.offset ? decodeOffset(params.offset) : 0;
+    const page = records.slice(start, start + pageSize);
+    const fieldNames = toArray(params.fields);
+
+    const result = { records: page.map(r => this._serialize(r, fieldNames)) };
+    if (start + pageSize < records.length) {
+      result.offset = encodeOffset(start + pageSize);
+    }
+    return result;
+  }
+
+  find(baseId, table, recordId) {
+    return this._serialize(this._get(baseId, table, recordId));
+  }
+
+  create(baseId, table, fieldsList) {
+    fieldsList.forEach(f => this._validateFields(baseId, table, f));
+
+    const records = this._table(baseId, table);
+    return fieldsList.map(newFields => {
+      const record = { id: generateRecordId(), createdTime: new Date().toISOString(), fields: {} };
+      records.set(record.id, record);
+      this._writeFields(baseId, table, record, newFields, false);
+      return this._serialize(record);
+    });
+  }
+
+  update(baseId, table, updates, destructive = false) {
+    updates.forEach(({ id, fields: newFields }) => {
+      this._get(baseId, table, id);
+      this._validateFields(baseId, table, newFields);
+    });
+
+    return updates.map(({ id, fields: newFields }) => {
+      const record = this._get(baseId, table, id);
+      this._writeFields(baseId, table, record, newFields, destructive);
+      return this._serialize(record);
+    });
+  }
+
+  destroy(baseId, table, recordIds) {
+    recordIds.forEach(id => this._get(baseId, table, id));
+
+    return recordIds.map(id => {
+      const record = this._get(baseId, table, id);
+      // Clear our links so inverse fields on other tables drop this record
+      const cleared = Object.fromEntries(Object.keys(this.links[table] || {}).map(f => [f, null]));
+      this._writeFields(baseId, table, record, cleared, false);
+      this._table(baseId, table).delete(id);
+
+      // Remove dangling references held by other tables
+      this.bases.get(baseId).forEach((otherRecords, otherTable) => {
+        Object.entries(this.links[otherTable] || {}).forEach(([field, link]) => {
+          if (link.table !== table) return;
+          otherRecords.forEach(other => {
+            const values = toArray(other.fields[field]);
+            if (values.includes(id)) {
+              const remaining = values.filter(v => v !== id);
+              if (remaining.length > 0) other.fields[field] = remaining;
+              else delete other.fields[field];
+            }
+          });
+        });
+      });
+
+      return { id, deleted: true };
+    });
+  }
+
+  // ============================================
+  // Test helpers
+  // ============================================
+
+  /**
+   * Insert records directly (bypasses HTTP)
+   * @param {string} baseId - Base ID
+   * @param {string} table - Table name
+   * @param {Array} fieldsList - Array of field objects
+   */
+  seed(baseId, table, fieldsList) {
+    return this.create(baseId, table, fieldsList);
+  }
+
+  /**
+   * All records in a table (flattened as { id, ...fields })
+   */
+  records(baseId, table) {
+    return [...this._table(baseId, table).values()].map(r => ({ id: r.id, ...r.fields }));
+  }
+
+  /**
+   * Remove all data
+   */
+  reset() {
+    this.bases.clear();
+    this.requestCount = 0;
+  }
+
+  // ============================================
+  // HTTP
+  // ============================================
+
+  _createApp() {
+    const app = express();
+    app.use(express.json({ limit: '5mb' }));
+
+    app.use((req, res, next) => {
+      this.requestCount++;
+      if (!/^Bearer\s+\S+/.test(req.get('authorization') || '')) {
+        return res.status(401).json({
+          error: { type: 'AUTHENTICATION_REQUIRED', message: 'Authentication required' }
+        });
+      }
+      next();
+    });
+
+    const route = (handler) => (req, res) => {
+      try {
+        res.json(handler(req));
+      } catch (error) {
+        const statusCode = error.statusCode || 500;
+        res.status(statusCode).json({
+          error: { type: error.type || 'SERVER_ERROR', message: error.message }
+        });
+      }
+    };
+
+    const batch = (records) => {
+      if (!Array.isArray(records) || records.length === 0) {
+        throw new EmulatorError(422, 'INVALID_REQUEST_MISSING_FIELDS', 'Could not find field "records" in the request body');
+      }
+      if (records.length > MAX_BATCH_SIZE) {
+        throw new EmulatorError(422, 'INVALID_RECORDS', `You can only send up to ${MAX_BATCH_SIZE} records per request`);
+      }
+      return records;
+    };
+
+    app.get('/v0/:baseId/:table', route(req => this.list(req.params.baseId, req.params.table, req.query)));
+
+    app.post('/v0/:baseId/:table/listRecords', route(req =>
+      this.list(req.params.baseId, req.params.table, { ...req.query, ...req.body })
+    ));
+
+    app.get('/v0/:baseId/:table/:recordId', route(req =>
+      this.find(req.params.baseId, req.params.table, req.params.recordId)
+    ));
+
+    app.post('/v0/:baseId/:table', route(req => {
+      const { baseId, table } = req.params;
+      if (req.body.records) {
+        return { records: this.create(baseId, table, batch(req.body.records).map(r => r.fields)) };
+      }
+      return this.create(baseId, table, [req.body.fields])[0];
+    }));
+
+    const updateRoutes = (method, destructive) => {
+      app[method]('/v0/:baseId/:table', route(req => {
+        const { baseId, table } = req.params;
+        return { records: this.update(baseId, table, batch(req.body.records), destructive) };
+      }));
+
+      app[method]('/v0/:baseId/:table/:recordId', route(req => {
+        const { baseId, table, recordId } = req.params;
+        return this.update(baseId, table, [{ id: recordId, fields: req.body.fields }], destructive)[0];
+      }));
+    };
+    updateRoutes('patch', false);
+    updateRoutes('put', true);
+
+    app.delete('/v0/:baseId/:table', route(req => {
+      const { baseId, table } = req.params;
+      return { records: this.destroy(baseId, table, batch(toArray(req.query.records))) };
+    }));
+
+    app.delete('/v0/:baseId/:table/:recordId', route(req => {
+      const { baseId, table, recordId } = req.params;
+      return this.destroy(baseId, table, [recordId])[0];
+    }));
+
+    app.use((req, res) => {
+      res.status(404).json({ error: { type: 'NOT_FOUND', message: `Unsupported route ${req.method} ${req.path}` } });
+    });
+
+    return app;
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 = random free port)
+   * @returns {Promise<string>} Endpoint URL to use as AIRTABLE_ENDPOINT_URL
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, '127.0.0.1', () => {
+        resolve(this.url);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  get url() {
+    if (!this.server) return null;
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => {
+        this.server = null;
+        resolve();
+      });
+    });
+  }
+}
+
+/**
+ * Start an emulator in this process and point the Airtable config at it.
+ * Must be called BEFORE any service (or config/airtable) is required.
+ * @param {Object} options - { port, baseId }
+ */
+async function startInProcessEmulator(options = {}) {
+  const emulator = new AirtableEmulator(options);
+  const url = await emulator.start(options.port || 0);
+
+  process.env.STORAGE_BACKEND = 'airtable';
+  process.env.AIRTABLE_ENDPOINT_URL = url;
+  process.env.AIRTABLE_PAT = process.env.AIRTABLE_EMULATOR_PAT || 'patEmulator';
+  process.env.AIRTABLE_BASE_ID = options.baseId || 'appEmulator00000';
+  // Keep queued webhooks and presence away from the real files in ./data
+  if (!process.env.WEBHOOK_QUEUE_DIR) {
+    process.env.WEBHOOK_QUEUE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-queue-'));
+  }
+  if (!process.env.PRESENCE_STATE_FILE) {
+    process.env.PRESENCE_STATE_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'presence-')), 'presence.json');
+  }
+
+  return emulator;
+}
+
+module.exports = {
+  AirtableEmulator,
+  EmulatorError,
+  startInProcessEmulator
+};
@@ -6,14 +6,39 @@ const teamMemberService = require('./services/teamMembers');
 const callerService = require('./services/callers');
 const callService = require('./services/calls');
 const followupService = require('./services/followups');
+const callLegService = require('./services/callLegs');
+const callerDuplicateService = require('./services/callerDuplicates');
+const callerHistoryService = require('./services/callerHistory');
+const callerLookup = require('./services/callerLookup');
+const screenPop = require('./services/screenPop');
+const liveBoard = require('./services/liveBoard');
+const queueStats = require('./services/queueStats');
+const presence = require('./services/presence');
+const availability = require('./services/availability');
+const calendar = require('./services/calendar');
+const mentorAssignment = require('./services/mentorAssignment');
+const followupEscalation = require('./services/followupEscalation');
+const callbackRetry = require('./services/callbackRetry');
+const callbackAttemptService = require('./services/callbackAttempts');
+const recurrence = require('./services/recurrence');
+const contactWindows = require('./services/contactWindows');
+const workQueue = require('./services/workQueue');
+const assignmentConfig = require('./config/assignment');
+const webhookMerger = require('./services/webhookMerger');
 
 // Import webhook handlers
 const webhookHandlers = require('./webhooks/handlers');
 const telebroadHandler = require('./webhooks/telebroad-handler');
 const telebroadWebhookReceiver = require('./webhooks/telebroad-webhook-receiver');
+const webhookGuard = require('./webhooks/webhook-guard');
+const webhookQueue = require('./services/webhookQueue');
+const mergeWorker = require('./services/mergeWorker');
+const webhookSecurity = require('./config/webhooks');
+const { selectOptions } = require('./config/airtable');
 
 const app = express();
-app.use(express.json());
+app.set('trust proxy', webhookSecurity.trustProxy);
+app.use(express.json({ verify: webhookGuard.captureRawBody }));
 
 const PORT = process.env.PORT || 3000;
 
@@ -28,6 +53,10 @@ app.get('/health', (req, res) => {
 // Webhook Endpoints (for Zapier/Telebroad)
 // ============================================
 
+// Every /webhooks/* route goes through the guard chain:
+// IP allow-list → secret/signature → replay protection
+app.use('/webhooks', webhookGuard.createWebhookGuard());
+
 /**
  * POST /webhooks/call-live
  * Track live/active calls as they happen
@@ -46,14 +75,20 @@ app.post('/webhooks/call-live', async (req, res) => {
 
 /**
  * POST /webhooks/telebroad
- * NEW: Main Telebroad webhook endpoint
- * Receives ALL Telebroad events and saves to staging table
- * This replaces the old call-ended, call-ringing, etc. endpoints
+ * MAIN ENDPOINT - Receives ALL Telebroad webhook events
+ * 
+ * Telebroad sends multiple webhooks per call with these statuses:
+ * - ringing: Call is incoming
+ * - answered: Call was picked up
+ * - ended: Call finished
+ * 
+ * Processed by the mode set in TELEBROAD_PROCESSING_MODE:
+ * stage (save to staging table, merge later) or live (aggregate in memory)
  */
-app.post('/webhooks/telebroad', async (req, res) => {
+app.post('/webhooks/telebroad', webhookGuard.validatePayload(telebroadWebhookReceiver.validateWebhookData), async (req, res) => {
   try {
     console.log('📞 Telebroad webhook:', JSON.stringify(req.body, null, 2));
-    const result = await telebroadWebhookReceiver.handleWebhookWithValidation(req.body);
+    const result = await telebroadWebhookReceiver.processTelebroadWebhook(req.body);
     res.json(result);
   } catch (error) {
     console.error('Telebroad webhook error:', error);
@@ -196,35 +231,35 @@ app.post('/webhooks/call-answered', async (req, res) => {
 });
 
 /**
- * POST /webhooks/telebroad
- * MAIN ENDPOINT - Receives ALL Telebroad webhook events
- * Aggregates multiple events per call into one Airtable record
- * 
- * Telebroad sends multiple webhooks per call with these statuses:
- * - ringing: Call is incoming
- * - answered: Call was picked up
- * - ended: Call finished
- * 
- * This handler aggregates them into ONE record per callId
+ * GET /webhooks/telebroad/status
+ * Debug endpoint - processing mode plus calls in progress (live) or queue state (stage)
  */
-app.post('/webhooks/telebroad', async (req, res) => {
-  try {
-    console.log('\n🌐 TELEBROAD WEBHOOK RECEIVED');
-    const result = await telebroadHandler.handleTelebroadWebhook(req.body);
-    res.json(result);
-  } catch (error) {
-    console.error('Telebroad webhook error:', error);
-    res.status(500).json({ error: error.message });
-  }
+app.get('/webhooks/telebroad/status', (req, res) => {
+  res.json(telebroadWebhookReceiver.getPipelineStatus());
 });
 
 /**
- * GET /webhooks/telebroad/status
- * Debug endpoint to see calls currently being processed
+ * GET /webhooks/queue/status
+ * Write-ahead queue depth and the oldest event still waiting for Airtable
  */
-app.get('/webhooks/telebroad/status', (req, res) => {
-  const status = telebroadHandler.getCacheStatus();
-  res.json(status);
+app.get('/webhooks/queue/status', (req, res) => {
+  res.json(webhookQueue.getStatus());
+});
+
+/**
+ * GET /webhooks/merge/status
+ * Merge worker: calls waiting to merge and merge lag (hang-up → Calls record)
+ */
+app.get('/webhooks/merge/status', (req, res) => {
+  res.json(mergeWorker.getStatus());
+});
+
+/**
+ * GET /webhooks/security/status
+ * Counts of rejected webhook requests by reason
+ */
+app.get('/webhooks/security/status', (req, res) => {
+  res.json(webhookGuard.getRejectionStats());
 });
 
 // ============================================
@@ -264,16 +299,89 @@ app.get('/api/team-members/mentors', async (req, res) => {
   }
 });
 
+// Each member's status, the status they chose, and the calls they are on
+app.get('/api/team-members/presence', (req, res) => {
+  res.json({ members: presence.getPresence(), ...presence.getStatus() });
+});
+
+// The member's own status - on a call they stay Busy and get it when the call ends
 app.patch('/api/team-members/:id/status', async (req, res) => {
   try {
     const { status } = req.body;
-    const member = await teamMemberService.updateStatus(req.params.id, status);
+    if (!selectOptions.teamStatus.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${selectOptions.teamStatus.join(', ')}` });
+    }
+    const member = await presence.setChosenStatus(req.params.id, status);
     res.json(member);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Everything the mentor has to do, most urgent first: follow-ups overdue, due
+// now or due today, voicemails left for them, missed calls from their callers
+// and callers still waiting for a first contact
+app.get('/api/team-members/:id/queue', async (req, res) => {
+  try {
+    const queue = await workQueue.getQueue(req.params.id);
+    res.json(queue);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The member's open follow-ups, callers who can be reached now first, with a
+// warning on each one outside the caller's contact window
+app.get('/api/team-members/:id/call-list', async (req, res) => {
+  try {
+    const callList = await followupService.getCallList(req.params.id);
+    res.json(callList);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Roster API (Availability Schedule)
+// ============================================
+
+// Who is on shift as Intaker / Mentor On-Call right now, and roles with nobody on
+app.get('/api/roster/now', async (req, res) => {
+  try {
+    const roster = await availability.getRosterNow();
+    res.json(roster);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/roster/status', (req, res) => {
+  res.json(availability.getStatus());
+});
+
+// The week's shifts (or ?day=Motzei Shabbos) with each role's coverage gaps
+app.get('/api/roster', async (req, res) => {
+  try {
+    const { day } = req.query;
+    if (day !== undefined && !selectOptions.days.includes(day)) {
+      return res.status(400).json({ error: `day must be one of: ${selectOptions.days.join(', ')}` });
+    }
+    const roster = await availability.getRoster(day);
+    res.json(roster);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Shabbos / Yom Tov right now and the windows of the coming days (?days=30)
+app.get('/api/calendar', (req, res) => {
+  const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 30;
+  if (!(days > 0 && days <= 366)) {
+    return res.status(400).json({ error: 'days must be between 1 and 366' });
+  }
+  res.json({ ...calendar.getStatus(), upcoming: calendar.upcoming(days) });
+});
+
 // ============================================
 // Callers API
 // ============================================
@@ -302,6 +410,28 @@ app.get('/api/callers/unassigned', async (req, res) => {
   }
 });
 
+// Likely duplicate callers, for review before merging (?minScore=0.25)
+app.get('/api/callers/duplicates', async (req, res) => {
+  try {
+    const minScore = parseFloat(req.query.minScore);
+    const groups = await callerDuplicateService.findDuplicates({
+      minScore: Number.isFinite(minScore) ? minScore : undefined
+    });
+    res.json(groups);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/callers/merges', async (req, res) => {
+  try {
+    const merges = await callerDuplicateService.getMergeHistory();
+    res.json(merges);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/callers/:id', async (req, res) => {
   try {
     const caller = await callerService.getCallerById(req.params.id);
@@ -311,10 +441,31 @@ app.get('/api/callers/:id', async (req, res) => {
   }
 });
 
+// Calls, voicemails, follow-ups, mentor/status changes in order, plus stats
+app.get('/api/callers/:id/history', async (req, res) => {
+  try {
+    const history = await callerHistoryService.getHistory(req.params.id);
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A new caller with a Primary Issue and no mentor gets the best match when
+// "autoAssign": true (or MENTOR_AUTO_ASSIGN_NEW_CALLERS=true)
 app.post('/api/callers', async (req, res) => {
   try {
     const caller = await callerService.createCaller(req.body);
-    res.status(201).json(caller);
+    const autoAssign = req.body.autoAssign !== undefined ? req.body.autoAssign === true : assignmentConfig.autoAssignNewCallers;
+    if (!autoAssign || req.body.assignedMentor || !req.body.primaryIssue) {
+      return res.status(201).json(caller);
+    }
+
+    const result = await mentorAssignment.autoAssign(caller.id, { changedBy: req.body.changedBy });
+    res.status(201).json({
+      ...(result.assigned || caller),
+      mentorAssignment: { bestMatch: result.bestMatch, suggestions: result.suggestions.slice(0, 3) }
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -322,23 +473,152 @@ app.post('/api/callers', async (req, res) => {
 
 app.patch('/api/callers/:id', async (req, res) => {
   try {
+    // The old number too, or it keeps popping this caller until the next warm
+    const previous = await callerService.getCallerById(req.params.id);
     const caller = await callerService.updateCaller(req.params.id, req.body);
+    callerLookup.invalidate(previous.Phone);
+    callerLookup.invalidate(caller.Phone);
     res.json(caller);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Best Times as a contact window (days, times, time zone, never rules) and
+// whether the caller can be called now
+app.get('/api/callers/:id/contact-window', async (req, res) => {
+  try {
+    const contactWindow = await callerService.getContactWindow(req.params.id);
+    res.json(contactWindow);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the window directly { timeZone, windows: [{ days, start, end }], never: [{ days, start?, end? }] },
+// or re-parse it from { bestTimes }
+app.put('/api/callers/:id/contact-window', async (req, res) => {
+  const { bestTimes } = req.body;
+  if (bestTimes === undefined) {
+    try {
+      contactWindows.validate(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  try {
+    const caller = bestTimes !== undefined
+      ? await callerService.updateCaller(req.params.id, { bestTimes })
+      : await callerService.setContactWindow(req.params.id, req.body);
+    callerLookup.invalidate(caller.Phone);
+    res.json(await callerService.getContactWindow(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mentors ranked for this caller, with the reasons behind each score
+app.get('/api/callers/:id/mentor-suggestions', async (req, res) => {
+  try {
+    const result = await mentorAssignment.suggest(req.params.id);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// { mentorId } assigns that mentor; { mode: 'auto' } assigns the best match
+// ({ mode: 'auto', assign: false } only ranks)
 app.post('/api/callers/:id/assign-mentor', async (req, res) => {
   try {
-    const { mentorId } = req.body;
-    const caller = await callerService.assignMentor(req.params.id, mentorId);
-    res.json(caller);
+    const { mentorId, mode, assign } = req.body;
+    if (mentorId) {
+      const caller = await callerService.assignMentor(req.params.id, mentorId);
+      callerLookup.invalidate(caller.Phone);
+      return res.json(caller);
+    }
+    if (mode !== 'auto') {
+      return res.status(400).json({ error: 'mentorId or mode "auto" is required' });
+    }
+
+    if (assign === false) {
+      const result = await mentorAssignment.suggest(req.params.id);
+      return res.json(result);
+    }
+    const result = await mentorAssignment.autoAssign(req.params.id, { changedBy: req.body.changedBy });
+    if (result.assigned) callerLookup.invalidate(result.assigned.Phone);
+    res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Fold duplicates into this caller: { duplicateIds: [...], mergedBy, notes }
+app.post('/api/callers/:id/merge', async (req, res) => {
+  try {
+    const { duplicateIds, mergedBy, notes, matchReasons } = req.body;
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({ error: 'duplicateIds must be a non-empty array' });
+    }
+    const result = await callerDuplicateService.mergeCallers(req.params.id, duplicateIds, { mergedBy, notes, matchReasons });
+    result.phones.forEach(phone => callerLookup.invalidate(phone));
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Screen-pop Lookup API
+// ============================================
+
+// Screen-pops for one extension as Server-Sent Events (?extension=101)
+app.get('/api/lookup/stream', (req, res) => {
+  const { extension } = req.query;
+  if (!extension) {
+    return res.status(400).json({ error: 'extension is required' });
+  }
+  screenPop.subscribe(String(extension), req, res);
+});
+
+app.get('/api/lookup/status', (req, res) => {
+  res.json({ lookup: callerLookup.getStatus(), screenPop: screenPop.getStatus() });
+});
+
+// Who is calling: caller, mentor, status, issue, last calls, pending follow-up
+app.get('/api/lookup/:phone', async (req, res) => {
+  try {
+    const result = await callerLookup.lookup(req.params.phone);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Live Wallboard API
+// ============================================
+
+// Calls in progress, waiting callers and who is on which call, as Server-Sent Events
+app.get('/api/live/stream', (req, res) => {
+  liveBoard.subscribe(req, res);
+});
+
+// The same board as one JSON snapshot
+app.get('/api/live', (req, res) => {
+  res.json(liveBoard.getSnapshot());
+});
+
+// Hunt groups: callers waiting, longest current wait, answered / abandoned and speed of answer lately
+app.get('/api/live/queues', (req, res) => {
+  res.json(queueStats.getLive());
+});
+
+app.get('/api/live/status', (req, res) => {
+  res.json(liveBoard.getStatus());
+});
+
 // ============================================
 // Calls API
 // ============================================
@@ -388,6 +668,15 @@ app.get('/api/calls/:id', async (req, res) => {
   }
 });
 
+app.get('/api/calls/:id/timeline', async (req, res) => {
+  try {
+    const timeline = await webhookMerger.getCallTimeline(req.params.id);
+    res.json(timeline);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.post('/api/calls', async (req, res) => {
   try {
     const call = await callService.createCall(req.body);
@@ -415,6 +704,28 @@ app.post('/api/calls/:id/complete-details', async (req, res) => {
   }
 });
 
+// ============================================
+// Call Legs API
+// ============================================
+
+// Extensions that rang and didn't pick up (?days=7&extension=101)
+app.get('/api/call-legs/unanswered', async (req, res) => {
+  const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 7;
+  if (!(days > 0 && days <= 366)) {
+    return res.status(400).json({ error: 'days must be between 1 and 366' });
+  }
+
+  try {
+    const legs = await callLegService.getUnansweredRings({
+      days,
+      extension: req.query.extension
+    });
+    res.json(legs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // Follow-ups API
 // ============================================
@@ -455,6 +766,26 @@ app.get('/api/followups/urgent', async (req, res) => {
   }
 });
 
+// Open follow-ups past their SLA and the escalation stage each has reached
+app.get('/api/followups/breaches', async (req, res) => {
+  try {
+    const breaches = await followupEscalation.getBreaches();
+    res.json(breaches.map(({ followup, ...breach }) => breach));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Escalate breaches that are due for their next stage (the scheduler does this too)
+app.post('/api/followups/escalate', async (req, res) => {
+  try {
+    const result = await followupEscalation.escalate();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/followups/:id', async (req, res) => {
   try {
     const followup = await followupService.getFollowupById(req.params.id);
@@ -502,12 +833,119 @@ app.post('/api/followups/:id/reschedule', async (req, res) => {
   }
 });
 
+// Callback attempts made for a follow-up, oldest first
+app.get('/api/followups/:id/attempts', async (req, res) => {
+  try {
+    const attempts = await callbackAttemptService.getAttemptsForFollowup(req.params.id);
+    res.json(attempts);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log a callback attempt - the retry policy completes the follow-up, schedules
+// the next try, or stops at "Caller Will Call Back"
+app.post('/api/followups/:id/attempts', async (req, res) => {
+  const { result, channel = 'Phone', teamMemberId, attemptedAt, notes } = req.body;
+  if (!selectOptions.attemptResults.includes(result)) {
+    return res.status(400).json({ error: `result must be one of: ${selectOptions.attemptResults.join(', ')}` });
+  }
+  if (!selectOptions.attemptChannels.includes(channel)) {
+    return res.status(400).json({ error: `channel must be one of: ${selectOptions.attemptChannels.join(', ')}` });
+  }
+  if (attemptedAt !== undefined && isNaN(Date.parse(attemptedAt))) {
+    return res.status(400).json({ error: 'attemptedAt must be a date/time' });
+  }
+
+  try {
+    const outcome = await callbackRetry.recordAttempt(req.params.id, { result, channel, teamMemberId, attemptedAt, notes });
+    res.json(outcome);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recurrence of a follow-up (rule, series status, next occurrence)
+app.get('/api/followups/:id/recurrence', async (req, res) => {
+  try {
+    const details = await followupService.getRecurrence(req.params.id);
+    res.json(details);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the rule ("weekly on Tuesday evening", "every 10 days") and/or pause
+// or resume the series
+app.put('/api/followups/:id/recurrence', async (req, res) => {
+  const { rule, status } = req.body;
+  if (rule === undefined && status === undefined) {
+    return res.status(400).json({ error: 'rule or status is required' });
+  }
+  if (status !== undefined && !selectOptions.recurrenceStatus.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${selectOptions.recurrenceStatus.join(', ')}` });
+  }
+  if (rule !== undefined) {
+    try {
+      recurrence.parse(rule);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  try {
+    if (status === 'Active') {
+      const followup = await followupService.getFollowupById(req.params.id);
+      const pausedBy = await followupService.recurrencePausedBy(followup);
+      if (pausedBy) {
+        return res.status(400).json({ error: `Can't resume - the caller is ${pausedBy}` });
+      }
+    }
+    await followupService.setRecurrence(req.params.id, { rule, status });
+    res.json(await followupService.getRecurrence(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stop the series (this follow-up stays; no further ones are created)
+app.delete('/api/followups/:id/recurrence', async (req, res) => {
+  try {
+    await followupService.setRecurrence(req.params.id, { status: 'Ended' });
+    res.json(await followupService.getRecurrence(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // Start Server
 // ============================================
 
 // Only start server if running directly (not when testing)
 if (require.main === module) {
+  // Resume pushing any webhooks still queued from the last run
+  if (webhookSecurity.processingMode === 'stage' && webhookSecurity.queue.enabled) {
+    webhookQueue.start();
+  }
+
+  // Merge calls into Calls as their events are staged (replaces the scheduled merge script)
+  if (webhookSecurity.processingMode === 'stage' && webhookSecurity.mergeWorker.enabled) {
+    mergeWorker.start();
+  }
+
+  // Keep every known caller in memory so screen-pop lookups answer within budget
+  callerLookup.start();
+  liveBoard.start();
+  presence.start();
+  // Members go Available / Offline as their scheduled shifts start and end
+  availability.start();
+
+  // Live mode: save calls whose final "ended" webhook never arrived
+  if (webhookSecurity.processingMode === 'live') {
+    setInterval(() => telebroadHandler.flushStaleCalls(), 60 * 1000);
+  }
+
   app.listen(PORT, () => {
     console.log(`
 🏥 Lev Lehazin Helpline System
@@ -523,10 +961,15 @@ Webhook Endpoints (for Telebroad):
   GET  /webhooks/daily-digest    - Daily follow-up digest
 
 API Endpoints:
-  /api/team-members   - Team member management
-  /api/callers        - Caller management
-  /api/calls          - Call records
-  /api/followups      - Follow-up tracking
+  /api/team-members   - Team member management (+ /:id/queue, /:id/call-list)
+  /api/roster         - Shift roster (+ /now for who is on right now)
+  /api/calendar       - Shabbos / Yom Tov windows
+  /api/callers        - Caller management (+ /:id/history, /:id/contact-window, /duplicates, /:id/merge)
+  /api/lookup/:phone  - Screen-pop caller lookup (+ /stream?extension= for pushes)
+  /api/live           - Live wallboard snapshot (+ /stream for Server-Sent Events)
+  /api/calls          - Call records (+ /:id/timeline)
+  /api/call-legs      - Per-leg ring history
+  /api/followups      - Follow-up tracking (+ /breaches, /escalate for SLA escalation, /:id/attempts, /:id/recurrence)
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     `);
   });
@@ -1,7 +1,9 @@
-const { base, tables } = require('../config/airtable');
+const { tables } = require('../config/airtable');
+const store = require('../storage');
+const phoneNumbers = require('../shared/phone');
 
 /**
- * Service for managing Call records in Airtable
+ * Service for managing Call records
  */
 class CallService {
   /**
@@ -14,17 +16,11 @@ class CallService {
    */
   async getAllCalls(options = {}) {
     try {
-      const query = base(tables.calls).select({
+      return await store.select(tables.calls, {
         maxRecords: options.maxRecords || 100,
         view: options.view || 'Grid view',
         ...options
       });
-
-      const records = await query.firstPage();
-      return records.map(record => ({
-        id: record.id,
-        ...record.fields
-      }));
     } catch (error) {
       throw new Error(`Failed to fetch calls: ${error.message}`);
     }
@@ -36,11 +32,7 @@ class CallService {
    */
   async getCallById(recordId) {
     try {
-      const record = await base(tables.calls).find(recordId);
-      return {
-        id: record.id,
-        ...record.fields
-      };
+      return await store.find(tables.calls, recordId);
     } catch (error) {
       throw new Error(`Failed to fetch call ${recordId}: ${error.message}`);
     }
@@ -52,7 +44,7 @@ class CallService {
    */
   async createCall(callData) {
     try {
-      const record = await base(tables.calls).create({
+      return await store.create(tables.calls, {
         'Caller Number': callData.callerNumber,
         'Direction': callData.direction, // 'Inbound' or 'Outbound'
         'Duration': callData.duration, // in seconds
@@ -62,11 +54,6 @@ class CallService {
         'Recording URL': callData.recordingUrl || '',
         'Summary': callData.summary || ''
       });
-
-      return {
-        id: record.id,
-        ...record.fields
-      };
     } catch (error) {
       throw new Error(`Failed to create call: ${error.message}`);
     }
@@ -90,12 +77,7 @@ class CallService {
       if (updateData.recordingUrl !== undefined) fields['Recording URL'] = updateData.recordingUrl;
       if (updateData.summary !== undefined) fields['Summary'] = updateData.summary;
 
-      const record = await base(tables.calls).update(recordId, fields);
-      
-      return {
-        id: record.id,
-        ...record.fields
-      };
+      return await store.update(tables.calls, recordId, fields);
     } catch (error) {
       throw new Error(`Failed to update call ${recordId}: ${error.message}`);
     }
@@ -107,7 +89,7 @@ class CallService {
    */
   async deleteCall(recordId) {
     try {
-      await base(tables.calls).destroy(recordId);
+      await store.destroy(tables.calls, recordId);
       return { success: true, id: recordId };
     } catch (error) {
       throw new Error(`Failed to delete call ${recordId}: ${error.message}`);
@@ -150,30 +132,18 @@ class CallService {
   async batchCreateCalls(callsArray) {
     try {
       const records = callsArray.map(callData => ({
-        fields: {
-          'Caller Number': callData.callerNumber,
-          'Direction': callData.direction,
-          'Duration': callData.duration,
-          'Date/Time': callData.dateTime || new Date().toISOString(),
-          'Status': callData.status,
-          'Notes': callData.notes || '',
-          'Recording URL': callData.recordingUrl || '',
-          'Summary': callData.summary || ''
-        }
+        'Caller Number': callData.callerNumber,
+        'Direction': callData.direction,
+        'Duration': callData.duration,
+        'Date/Time': callData.dateTime || new Date().toISOString(),
+        'Status': callData.status,
+        'Notes': callData.notes || '',
+        'Recording URL': callData.recordingUrl || '',
+        'Summary': callData.summary || ''
       }));
 
-      // Airtable allows max 10 records per batch
-      const batches = [];
-      for (let i = 0; i < records.length; i += 10) {
-        const batch = records.slice(i, i + 10);
-        const created = await base(tables.calls).create(batch);
-        batches.push(...created);
-      }
-
-      return batches.map(record => ({
-        id: record.id,
-        ...record.fields
-      }));
+      // Batching (Airtable allows max 10 records per request) is handled by the store
+      return await store.createMany(tables.calls, records);
     } catch (error) {
       throw new Error(`Failed to batch create calls: ${error.message}`);
     }
@@ -181,7 +151,7 @@ class CallService {
 }
 
 /**
- * Service for managing Contact records in Airtable
+ * Service for managing Contact records
  */
 class ContactService {
   /**
@@ -189,17 +159,11 @@ class ContactService {
    */
   async getAllContacts(options = {}) {
     try {
-      const query = base(tables.callers).select({
+      return await store.select(tables.callers, {
         maxRecords: options.maxRecords || 100,
         view: options.view || 'Grid view',
         ...options
       });
-
-      const records = await query.firstPage();
-      return records.map(record => ({
-        id: record.id,
-        ...record.fields
-      }));
     } catch (error) {
       throw new Error(`Failed to fetch contacts: ${error.message}`);
     }
@@ -210,11 +174,7 @@ class ContactService {
    */
   async getContactById(recordId) {
     try {
-      const record = await base(tables.callers).find(recordId);
-      return {
-        id: record.id,
-        ...record.fields
-      };
+      return await store.find(tables.callers, recordId);
     } catch (error) {
       throw new Error(`Failed to fetch contact ${recordId}: ${error.message}`);
     }
@@ -225,17 +185,12 @@ class ContactService {
    */
   async createContact(contactData) {
     try {
-      const record = await base(tables.callers).create({
+      return await store.create(tables.callers, {
         'Name': contactData.name,
         'Phone': contactData.phone,
         'Email': contactData.email || '',
         'Company': contactData.company || ''
       });
-
-      return {
-        id: record.id,
-        ...record.fields
-      };
     } catch (error) {
       throw new Error(`Failed to create contact: ${error.message}`);
     }
@@ -253,12 +208,7 @@ class ContactService {
       if (updateData.email !== undefined) fields['Email'] = updateData.email;
       if (updateData.company !== undefined) fields['Company'] = updateData.company;
 
-      const record = await base(tables.callers).update(recordId, fields);
-      
-      return {
-        id: record.id,
-        ...record.fields
-      };
+      return await store.update(tables.callers, recordId, fields);
     } catch (error) {
       throw new Error(`Failed to update contact ${recordId}: ${error.message}`);
     }
@@ -269,7 +219,7 @@ class ContactService {
    */
   async deleteContact(recordId) {
     try {
-      await base(tables.callers).destroy(recordId);
+      await store.destroy(tables.callers, recordId);
       return { success: true, id: recordId };
     } catch (error) {
       throw new Error(`Failed to delete contact ${recordId}: ${error.message}`);
@@ -282,7 +232,7 @@ class ContactService {
   async findByPhone(phoneNumber) {
     try {
       const records = await this.getAllContacts({
-        filterByFormula: `{Phone} = '${phoneNumber}'`,
+        filterByFormula: phoneNumbers.lookupFormula('Phone', phoneNumber),
         maxRecords: 1
       });
       
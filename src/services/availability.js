@@ -0,0 +1,402 @@
+const { tables, fields, selectOptions } = require('../config/airtable');
+const availabilityConfig = require('../config/availability');
+const calendarConfig = require('../config/calendar');
+const store = require('../storage');
+const teamMemberService = require('./teamMembers');
+const presence = require('./presence');
+const calendar = require('./calendar');
+
+const F = fields.availability;
+const MEMBER = fields.teamMembers;
+const [AVAILABLE, , OFFLINE] = selectOptions.teamStatus;
+
+// Shift times are helpline-local
+const TIME_ZONE = calendarConfig.timeZone;
+const DAY_MINUTES = 24 * 60;
+
+// Schedule day → day of the week (0 = Sunday). Motzei Shabbos is Saturday night.
+const WEEKDAYS = {
+  'Sunday': 0,
+  'Monday': 1,
+  'Tuesday': 2,
+  'Wednesday': 3,
+  'Thursday': 4,
+  'Motzei Shabbos': 6
+};
+
+/**
+ * Availability Service (shift roster)
+ *
+ * Reads the Availability Schedule - one row per shift: Team Member, Day,
+ * Start Time, End Time ("7:00 PM", "19:00", "9pm") and Role This Shift - and
+ * answers who is on as Intaker or Mentor On-Call at any moment. A shift whose
+ * end is not after its start runs past midnight ("9:00 PM" - "12:00 AM").
+ * Nobody is on during Shabbos or Yom Tov: a shift that would start before
+ * nightfall (Motzei Shabbos in summer) starts at nightfall, and one that
+ * runs into candle lighting ends there.
+ *
+ * While the server runs, shift boundaries set statuses: a member goes
+ * Available when their shift starts and Offline when it ends, unless another
+ * shift of theirs carries on. The change goes through presence, so someone on
+ * a call stays Busy and gets it when the call ends.
+ *
+ * Gaps - stretches of a day's schedule with nobody on for a role - are
+ * listed with the roster, and logged when one starts.
+ */
+class AvailabilityService {
+  constructor(config = availabilityConfig) {
+    this.config = config;
+    this.timer = null;
+    this.lastCheckAt = null;
+    // Roles without cover at the last check
+    this.uncovered = new Set();
+    this.stats = {
+      checks: 0,
+      statusChanges: 0,
+      lastCheckAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Start watching for shift boundaries (idempotent)
+   */
+  start() {
+    if (this.timer) return;
+    this.lastCheckAt = Date.now();
+    this.timer = setInterval(() => this.check().catch(() => {}), this.config.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Who is on shift right now, per role, and which roles have nobody on
+   * while the helpline is staffed
+   */
+  async getRosterNow(now = Date.now()) {
+    try {
+      const { shifts, problems } = await this.loadShifts();
+      return { ...this.describeNow(shifts, now), problems };
+    } catch (error) {
+      throw new Error(`Failed to build current roster: ${error.message}`);
+    }
+  }
+
+  /**
+   * The weekly roster (or one day's), with each role's coverage gaps
+   * @param {string} day - One of the schedule days ('Sunday' ... 'Motzei Shabbos'); all days if omitted
+   */
+  async getRoster(day) {
+    try {
+      const { shifts, problems } = await this.loadShifts();
+      const days = day ? [day] : selectOptions.days;
+      return {
+        timeZone: TIME_ZONE,
+        days: days.map(name => describeDay(name, shifts.filter(shift => shift.day === name))),
+        problems
+      };
+    } catch (error) {
+      throw new Error(`Failed to build roster: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply the shift boundaries passed since the last check, and flag roles
+   * that just lost cover
+   */
+  async check(now = Date.now()) {
+    const since = this.lastCheckAt || now;
+    this.lastCheckAt = now;
+
+    try {
+      const { shifts } = await this.loadShifts();
+      const current = this.describeNow(shifts, now);
+
+      if (this.config.autoStatus) {
+        const onShift = new Set(current.onShift.map(entry => entry.memberId));
+        const crossed = new Map();
+        occurrences(shifts, now).forEach(shift => {
+          if ((shift.startsAt > since && shift.startsAt <= now) || (shift.endsAt > since && shift.endsAt <= now)) {
+            crossed.set(shift.memberId, shift.member);
+          }
+        });
+
+        for (const [memberId, member] of crossed.entries()) {
+          const status = onShift.has(memberId) ? AVAILABLE : OFFLINE;
+          if (member[MEMBER.CURRENT_STATUS] === status) continue;
+          await presence.setChosenStatus(memberId, status);
+          this.stats.statusChanges++;
+          console.log(`🗓️  ${member[MEMBER.NAME]} → ${status} (shift ${status === AVAILABLE ? 'started' : 'ended'})`);
+        }
+      }
+
+      const uncovered = new Set(current.gaps.map(gap => gap.role));
+      current.gaps
+        .filter(gap => !this.uncovered.has(gap.role))
+        .forEach(gap => console.warn(`⚠️  No ${gap.role} on shift${gap.until ? ` until ${formatTime(gap.until)}` : ''}`));
+      this.uncovered = uncovered;
+
+      this.stats.checks++;
+      this.stats.lastCheckAt = new Date(now).toISOString();
+      this.stats.lastError = null;
+      return current;
+    } catch (error) {
+      this.stats.lastError = error.message;
+      console.error(`⚠️  Availability check failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  describeNow(shifts, now) {
+    const active = occurrences(shifts, now);
+    const current = active.filter(shift => shift.startsAt <= now && shift.endsAt > now);
+    // The helpline is staffed from the first shift of a day to its last
+    const open = spans(active).some(span => span.startsAt <= now && span.endsAt > now);
+
+    const gaps = open
+      ? selectOptions.shiftRoles
+        .filter(role => !current.some(shift => shift.role === role))
+        .map(role => {
+          const next = active
+            .filter(shift => shift.role === role && shift.startsAt > now)
+            .sort((a, b) => a.startsAt - b.startsAt)[0];
+          return { role, until: next ? new Date(next.startsAt).toISOString() : null };
+        })
+      : [];
+
+    return {
+      asOf: new Date(now).toISOString(),
+      timeZone: TIME_ZONE,
+      open,
+      onShift: current.map(describeShift),
+      roles: Object.fromEntries(selectOptions.shiftRoles.map(role => [
+        role,
+        current.filter(shift => shift.role === role).map(describeShift)
+      ])),
+      gaps
+    };
+  }
+
+  /**
+   * Every schedule row as a shift with its member, plus the rows that can't be used
+   */
+  async loadShifts() {
+    const [rows, members] = await Promise.all([
+      store.select(tables.availability, {}),
+      teamMemberService.getActiveMembers()
+    ]);
+    const membersById = new Map(members.map(member => [member.id, member]));
+
+    const shifts = [];
+    const problems = [];
+    rows.forEach(row => {
+      const memberId = (row[F.TEAM_MEMBER] || [])[0];
+      const start = parseTime(row[F.START_TIME]);
+      const end = parseTime(row[F.END_TIME]);
+      const problem = !memberId ? 'no team member'
+        : !membersById.has(memberId) ? 'team member is not active'
+        : !Object.hasOwn(WEEKDAYS, row[F.DAY] || '') ? `unknown day "${row[F.DAY] || ''}"`
+        : !selectOptions.shiftRoles.includes(row[F.ROLE_THIS_SHIFT]) ? `unknown role "${row[F.ROLE_THIS_SHIFT] || ''}"`
+        : start === null ? `unreadable start time "${row[F.START_TIME] || ''}"`
+        : end === null ? `unreadable end time "${row[F.END_TIME] || ''}"`
+        : null;
+
+      if (problem) {
+        problems.push({ scheduleId: row.id, problem });
+        return;
+      }
+
+      shifts.push({
+        scheduleId: row.id,
+        memberId,
+        member: membersById.get(memberId),
+        day: row[F.DAY],
+        role: row[F.ROLE_THIS_SHIFT],
+        start,
+        end: end > start ? end : end + DAY_MINUTES
+      });
+    });
+
+    return { shifts, problems };
+  }
+
+  /**
+   * Each scheduled member's shift right now, next shift (through tomorrow)
+   * and number of shifts a week
+   * @returns {Map} member record ID → { onShift, nextShift, weeklyShifts }
+   */
+  async getMemberSchedules(now = Date.now()) {
+    try {
+      const { shifts } = await this.loadShifts();
+      const active = occurrences(shifts, now).sort((a, b) => a.startsAt - b.startsAt);
+      const schedules = new Map();
+
+      shifts.forEach(shift => {
+        if (!schedules.has(shift.memberId)) {
+          schedules.set(shift.memberId, { onShift: null, nextShift: null, weeklyShifts: 0 });
+        }
+        schedules.get(shift.memberId).weeklyShifts++;
+      });
+      active.forEach(shift => {
+        const schedule = schedules.get(shift.memberId);
+        if (shift.startsAt <= now && shift.endsAt > now) schedule.onShift = schedule.onShift || describeShift(shift);
+        else if (shift.startsAt > now) schedule.nextShift = schedule.nextShift || describeShift(shift);
+      });
+
+      return schedules;
+    } catch (error) {
+      throw new Error(`Failed to read member schedules: ${error.message}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      timeZone: TIME_ZONE,
+      autoStatus: this.config.autoStatus,
+      running: Boolean(this.timer),
+      uncovered: [...this.uncovered],
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * The shifts of yesterday, today and tomorrow (helpline time) as absolute
+ * times, kept out of Shabbos and Yom Tov
+ */
+function occurrences(shifts, now) {
+  const today = calendar.localDate(now);
+  const dates = [-1, 0, 1].map(offset => calendar.addDays(today, offset));
+  const windows = calendar.windows(calendar.zonedTime(dates[0], 0), calendar.zonedTime(dates[2], 2 * DAY_MINUTES));
+
+  return dates.flatMap(date => shifts
+    .filter(shift => WEEKDAYS[shift.day] === calendar.weekday(date))
+    .map(shift => outsideWindows({
+      ...shift,
+      date,
+      startsAt: calendar.zonedTime(date, shift.start),
+      endsAt: calendar.zonedTime(date, shift.end)
+    }, windows))
+    .filter(Boolean));
+}
+
+/**
+ * Start a shift at nightfall / end it at candle lighting where it overlaps
+ * Shabbos or Yom Tov (null when nothing is left of it)
+ */
+function outsideWindows(shift, windows) {
+  windows
+    .filter(window => window.start < shift.endsAt && window.end > shift.startsAt)
+    .forEach(window => {
+      if (window.start <= shift.startsAt) shift.startsAt = window.end;
+      else shift.endsAt = window.start;
+      shift.adjustedFor = window.name;
+    });
+  return shift.endsAt > shift.startsAt ? shift : null;
+}
+
+/**
+ * Each day's staffed span: first shift start to last shift end
+ */
+function spans(active) {
+  const byDate = {};
+  active.forEach(shift => {
+    const span = byDate[shift.date] = byDate[shift.date] || { startsAt: shift.startsAt, endsAt: shift.endsAt };
+    span.startsAt = Math.min(span.startsAt, shift.startsAt);
+    span.endsAt = Math.max(span.endsAt, shift.endsAt);
+  });
+  return Object.values(byDate);
+}
+
+/**
+ * One schedule day: its shifts in order and, for each role, the stretches of
+ * the day's span with nobody on
+ */
+function describeDay(day, shifts) {
+  const ordered = [...shifts].sort((a, b) => a.start - b.start || a.end - b.end);
+  const from = Math.min(...ordered.map(shift => shift.start));
+  const to = Math.max(...ordered.map(shift => shift.end));
+
+  const gaps = ordered.length === 0 ? [] : selectOptions.shiftRoles.flatMap(role => {
+    const found = [];
+    let covered = from;
+    ordered
+      .filter(shift => shift.role === role)
+      .forEach(shift => {
+        if (shift.start > covered) found.push({ role, start: formatMinutes(covered), end: formatMinutes(shift.start) });
+        covered = Math.max(covered, shift.end);
+      });
+    if (covered < to) found.push({ role, start: formatMinutes(covered), end: formatMinutes(to) });
+    return found;
+  });
+
+  return {
+    day,
+    shifts: ordered.map(describeShift),
+    gaps
+  };
+}
+
+function describeShift(shift) {
+  const view = {
+    scheduleId: shift.scheduleId,
+    memberId: shift.memberId,
+    name: shift.member[MEMBER.NAME] || null,
+    extension: shift.member[MEMBER.PHONE_EXTENSION] || null,
+    status: shift.member[MEMBER.CURRENT_STATUS] || null,
+    role: shift.role,
+    day: shift.day,
+    start: formatMinutes(shift.start),
+    end: formatMinutes(shift.end)
+  };
+  if (shift.startsAt !== undefined) {
+    view.startsAt = new Date(shift.startsAt).toISOString();
+    view.endsAt = new Date(shift.endsAt).toISOString();
+    if (shift.adjustedFor) view.adjustedFor = shift.adjustedFor;
+  }
+  return view;
+}
+
+/**
+ * "7:00 PM", "7pm", "7:30 p.m.", "19:00", "noon", "midnight" → minutes after midnight
+ * @returns {number|null} null when the time can't be read
+ */
+function parseTime(text) {
+  const value = String(text || '').trim().toLowerCase();
+  if (value === 'noon') return 12 * 60;
+  if (value === 'midnight') return 0;
+
+  const match = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(?:([ap])\.?\s*m?\.?)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3];
+  if (minutes > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+  } else {
+    // A bare hour with no AM/PM is ambiguous
+    if (!match[2] || hours > 23) return null;
+  }
+  return hours * 60 + minutes;
+}
+
+function formatMinutes(minutes) {
+  const inDay = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  const hours = Math.floor(inDay / 60);
+  const suffix = hours < 12 ? 'AM' : 'PM';
+  return `${hours % 12 || 12}:${String(inDay % 60).padStart(2, '0')} ${suffix}`;
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleTimeString('en-US', { timeZone: TIME_ZONE, hour: 'numeric', minute: '2-digit' });
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,384 @@
+const calendarConfig = require('../config/calendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RADIANS = Math.PI / 180;
+
+// Fixed day numbers (day 1 = January 1 of year 1) of the Hebrew calendar's
+// epoch and of January 1, 1970
+const HEBREW_EPOCH = -1373427;
+const UNIX_EPOCH = 719163;
+
+// Days from 1 Nisan to the next Rosh Hashana (Nisan to Elul never change length)
+const NISAN_TO_TISHREI = 177;
+
+/**
+ * Calendar Service (Shabbos and Yom Tov)
+ *
+ * Works out, locally and with no network, when Shabbos and Yom Tov begin and
+ * end for the configured location: from candle lighting
+ * (CALENDAR_CANDLE_LIGHTING_MINUTES before sunset) on the day before, to
+ * nightfall (the sun CALENDAR_NIGHTFALL_DEGREES below the horizon) on the last
+ * day. Days that run together - Yom Tov next to Shabbos - form one window.
+ *
+ * Yom Tov dates come from the fixed Hebrew calendar: Rosh Hashana, Yom
+ * Kippur, Sukkos, Shemini Atzeres, Simchas Torah, Pesach and Shavuos, with
+ * two days outside Israel. Sunset is accurate to a minute or two, which the
+ * candle-lighting margin covers.
+ *
+ * Dates are 'YYYY-MM-DD' in helpline time (CALENDAR_TIME_ZONE); times are
+ * epoch milliseconds.
+ */
+class CalendarService {
+  constructor(config = calendarConfig) {
+    this.config = config;
+    // Gregorian year → Map of date → Yom Tov name
+    this.yomTovByYear = new Map();
+    // Time zone → formatter (helpline time, and callers' own time zones)
+    this.formatters = new Map();
+  }
+
+  /**
+   * What makes a date holy: a Yom Tov's name, 'Shabbos', or null for a weekday
+   * @param {string} date - 'YYYY-MM-DD'
+   */
+  holyDay(date) {
+    const yomTov = this.yomTov(parseInt(date.slice(0, 4), 10)).get(date);
+    if (yomTov) return yomTov;
+    return weekday(date) === 6 ? 'Shabbos' : null;
+  }
+
+  /**
+   * Every Yom Tov (and Yom Kippur) falling in a Gregorian year
+   * @returns {Map} date → name
+   */
+  yomTov(year) {
+    if (this.yomTovByYear.has(year)) return this.yomTovByYear.get(year);
+
+    const days = new Map();
+    const add = (dayNumber, name) => days.set(fromDayNumber(dayNumber), name);
+    const diaspora = !this.config.israel;
+
+    // Spring: Pesach and Shavuos of the Hebrew year that began last autumn
+    const pesach = roshHashana(year + 3761) - NISAN_TO_TISHREI + 14;
+    add(pesach, 'Pesach');
+    if (diaspora) add(pesach + 1, 'Pesach');
+    add(pesach + 6, 'Pesach');
+    if (diaspora) add(pesach + 7, 'Pesach');
+    add(pesach + 50, 'Shavuos');
+    if (diaspora) add(pesach + 51, 'Shavuos');
+
+    // Autumn: the Yamim Tovim of Tishrei
+    const roshHashanaDay = roshHashana(year + 3761);
+    add(roshHashanaDay, 'Rosh Hashana');
+    add(roshHashanaDay + 1, 'Rosh Hashana');
+    add(roshHashanaDay + 9, 'Yom Kippur');
+    add(roshHashanaDay + 14, 'Sukkos');
+    if (diaspora) add(roshHashanaDay + 15, 'Sukkos');
+    add(roshHashanaDay + 21, diaspora ? 'Shemini Atzeres' : 'Shemini Atzeres / Simchas Torah');
+    if (diaspora) add(roshHashanaDay + 22, 'Simchas Torah');
+
+    this.yomTovByYear.set(year, days);
+    return days;
+  }
+
+  /**
+   * Shabbos / Yom Tov windows overlapping a period, in order
+   * @param {number} from - Start of the period (ms)
+   * @param {number} to - End of the period (ms)
+   * @returns {Array} { name, days, start, end }
+   */
+  windows(from, to) {
+    const last = addDays(this.localDate(to), 1);
+    const found = [];
+    let run = null;
+
+    for (let date = addDays(this.localDate(from), -4); date <= addDays(last, 3); date = addDays(date, 1)) {
+      const name = this.holyDay(date);
+      if (name) {
+        run = run || { names: [], days: [] };
+        if (!run.names.includes(name)) run.names.push(name);
+        run.days.push(date);
+        continue;
+      }
+      if (run) {
+        found.push({
+          name: run.names.join(' / '),
+          days: run.days,
+          start: this.candleLighting(addDays(run.days[0], -1)),
+          end: this.nightfall(run.days[run.days.length - 1])
+        });
+        run = null;
+      }
+      if (date > last) break;
+    }
+
+    return found.filter(window => window.end > from && window.start < to);
+  }
+
+  /**
+   * The Shabbos / Yom Tov window a moment falls in, or null
+   */
+  windowAt(time = Date.now()) {
+    return this.windows(time, time + 1).find(window => window.start <= time && window.end > time) || null;
+  }
+
+  isRestricted(time = Date.now()) {
+    return this.windowAt(time) !== null;
+  }
+
+  /**
+   * The moment itself, or nightfall at the end of the window it falls in
+   */
+  nextOpenTime(time = Date.now()) {
+    const window = this.windowAt(time);
+    return window ? window.end : time;
+  }
+
+  /**
+   * Move a due date off Shabbos / Yom Tov
+   *   - a date ('YYYY-MM-DD') on a holy day moves to the next weekday that isn't one
+   *   - a date/time inside a window moves to nightfall at its end
+   * @param {string} value - Due date or ISO date/time
+   * @returns {string} The same format, unchanged when it is already clear
+   */
+  rollDue(value) {
+    if (!value) return value;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      let date = value;
+      while (this.holyDay(date)) date = addDays(date, 1);
+      return date;
+    }
+
+    const time = Date.parse(value);
+    if (isNaN(time)) return value;
+    const open = this.nextOpenTime(time);
+    return open === time ? value : new Date(open).toISOString();
+  }
+
+  /**
+   * Days overdue, counting only days that are neither Shabbos nor Yom Tov:
+   * the ordinary days after the due date, up to and including today
+   * @param {string} due - Due date or ISO date/time
+   */
+  daysOverdue(due, now = Date.now()) {
+    if (!due) return 0;
+    const dueDate = /^\d{4}-\d{2}-\d{2}$/.test(due) ? due : this.localDate(Date.parse(due));
+    if (!dueDate) return 0;
+
+    const today = this.localDate(now);
+    let days = 0;
+    for (let date = addDays(dueDate, 1); date <= today; date = addDays(date, 1)) {
+      if (!this.holyDay(date)) days++;
+    }
+    return days;
+  }
+
+  /**
+   * Time between two moments that falls outside Shabbos and Yom Tov (ms)
+   */
+  openTimeBetween(from, to) {
+    if (!(to > from)) return 0;
+    const closed = this.windows(from, to).reduce(
+      (sum, window) => sum + Math.min(window.end, to) - Math.max(window.start, from),
+      0
+    );
+    return to - from - closed;
+  }
+
+  /**
+   * Midnight (helpline time) at the end of a moment's day
+   */
+  endOfDay(time = Date.now()) {
+    return this.zonedTime(this.localDate(time), 24 * 60);
+  }
+
+  /**
+   * Sunset on a date (ms)
+   */
+  sunset(date) {
+    return sunEvent(date, this.config.latitude, this.config.longitude, 0.833);
+  }
+
+  candleLighting(date) {
+    return this.sunset(date) - this.config.candleLightingMinutes * 60 * 1000;
+  }
+
+  /**
+   * Nightfall on a date (ms) - when Shabbos and Yom Tov end
+   */
+  nightfall(date) {
+    if (this.config.nightfallMinutes !== null) {
+      return this.sunset(date) + this.config.nightfallMinutes * 60 * 1000;
+    }
+    return sunEvent(date, this.config.latitude, this.config.longitude, this.config.nightfallDegrees);
+  }
+
+  /**
+   * The helpline-local date of a moment ('YYYY-MM-DD')
+   * @param {string} timeZone - Another time zone instead (a caller's)
+   */
+  localDate(time, timeZone = this.config.timeZone) {
+    if (!Number.isFinite(time)) return null;
+    const parts = this.localParts(time, timeZone);
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+  }
+
+  /**
+   * Calendar date and time of day of a moment, in helpline time (or `timeZone`)
+   */
+  localParts(time, timeZone = this.config.timeZone) {
+    const parts = {};
+    this.formatterFor(timeZone).formatToParts(new Date(time)).forEach(part => {
+      if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+    });
+    return parts;
+  }
+
+  /**
+   * The moment a number of minutes after midnight (helpline time, or
+   * `timeZone`) on a date - minutes past 24:00 carry into the next day
+   * @param {string} date - 'YYYY-MM-DD'
+   */
+  zonedTime(date, minutes, timeZone = this.config.timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    const offsetAt = time => {
+      const p = this.localParts(time, timeZone);
+      return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(time / 1000) * 1000;
+    };
+    const guess = wallClock - offsetAt(wallClock);
+    return wallClock - offsetAt(guess);
+  }
+
+  addDays(date, days) {
+    return addDays(date, days);
+  }
+
+  /**
+   * Whether a time zone name is one Intl knows ('America/Chicago')
+   */
+  isTimeZone(timeZone) {
+    try {
+      this.formatterFor(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  formatterFor(timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    }
+    return this.formatters.get(timeZone);
+  }
+
+  /**
+   * Day of the week of a date (0 = Sunday)
+   */
+  weekday(date) {
+    return weekday(date);
+  }
+
+  getStatus(now = Date.now()) {
+    const current = this.windowAt(now);
+    return {
+      location: { latitude: this.config.latitude, longitude: this.config.longitude },
+      timeZone: this.config.timeZone,
+      israel: this.config.israel,
+      restricted: current !== null,
+      current: current ? describeWindow(current) : null
+    };
+  }
+
+  /**
+   * Windows starting within the next few days, for display
+   */
+  upcoming(days = 30, now = Date.now()) {
+    return this.windows(now, now + days * DAY_MS).map(describeWindow);
+  }
+}
+
+/**
+ * Days from the Hebrew epoch to Rosh Hashana of a Hebrew year - the molad of
+ * Tishrei, put off a day when it falls on a Sunday, Wednesday or Friday
+ */
+function elapsedDays(year) {
+  const months = Math.floor((235 * year - 234) / 19);
+  const parts = 12084 + 13753 * months;
+  const day = 29 * months + Math.floor(parts / 25920);
+  return (3 * (day + 1)) % 7 < 3 ? day + 1 : day;
+}
+
+/**
+ * Fixed day number of Rosh Hashana, after the postponements that keep every
+ * year between 353-355 or 383-385 days long
+ */
+function roshHashana(year) {
+  const previous = elapsedDays(year - 1);
+  const current = elapsedDays(year);
+  const next = elapsedDays(year + 1);
+  const correction = next - current === 356 ? 2 : current - previous === 382 ? 1 : 0;
+  return HEBREW_EPOCH + current + correction;
+}
+
+function fromDayNumber(dayNumber) {
+  return new Date((dayNumber - UNIX_EPOCH) * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * When the sun sinks a number of degrees below the horizon on a date's
+ * evening (0.833 is sunset: refraction plus the sun's radius)
+ */
+function sunEvent(date, latitude, longitude, depression) {
+  const dayNumber = Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS) - 10957;
+  const meanNoon = dayNumber - longitude / 360;
+  const anomaly = (357.5291 + 0.98560028 * meanNoon) % 360;
+  const center = 1.9148 * Math.sin(anomaly * RADIANS) +
+    0.0200 * Math.sin(2 * anomaly * RADIANS) +
+    0.0003 * Math.sin(3 * anomaly * RADIANS);
+  const eclipticLongitude = (anomaly + center + 282.9372) % 360;
+  const transit = 2451545 + meanNoon +
+    0.0053 * Math.sin(anomaly * RADIANS) -
+    0.0069 * Math.sin(2 * eclipticLongitude * RADIANS);
+  const declination = Math.asin(Math.sin(eclipticLongitude * RADIANS) * Math.sin(23.4397 * RADIANS));
+  const hourAngle = Math.acos(
+    (Math.sin(-depression * RADIANS) - Math.sin(latitude * RADIANS) * Math.sin(declination)) /
+    (Math.cos(latitude * RADIANS) * Math.cos(declination))
+  ) / RADIANS;
+
+  return Math.round(((transit + hourAngle / 360) - 2440587.5) * DAY_MS / 1000) * 1000;
+}
+
+function describeWindow(window) {
+  return {
+    name: window.name,
+    days: window.days,
+    start: new Date(window.start).toISOString(),
+    end: new Date(window.end).toISOString()
+  };
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,205 @@
+const { tables, fields } = require('../config/airtable');
+const store = require('../storage');
+const teamMemberService = require('./teamMembers');
+
+const F = fields.callLegs;
+
+// Calls per Call Legs query when fetching legs for many calls
+const LEG_QUERY_BATCH = 25;
+
+// Leg states from the shared merge → Call Legs "State" options
+const STATE_LABELS = {
+  ringing: 'Ringing',
+  answered: 'Answered',
+  transferred: 'Transferred',
+  hungup: 'Hung Up',
+  missed: 'Missed'
+};
+
+/**
+ * Service for the Call Legs table
+ * One row per hop of a call (IVR menu, hunt group, each extension rung),
+ * rebuilt from the merged call data every time the call is merged.
+ */
+class CallLegService {
+  /**
+   * Get legs with optional filtering
+   * @param {Object} options - Query options
+   */
+  async getAllLegs(options = {}) {
+    try {
+      const selectOptions = {
+        sort: options.sort || [{ field: F.RING_START, direction: 'desc' }]
+      };
+      if (options.maxRecords) selectOptions.maxRecords = options.maxRecords;
+      if (options.filterByFormula) selectOptions.filterByFormula = options.filterByFormula;
+
+      return await store.select(tables.callLegs, selectOptions);
+    } catch (error) {
+      throw new Error(`Failed to fetch call legs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the legs of one call, in call order
+   * @param {string} telebroadCallId - Telebroad call ID
+   */
+  async getLegsForCall(telebroadCallId) {
+    return this.getAllLegs({
+      filterByFormula: `{${F.TB_CALL_ID}} = '${telebroadCallId}'`,
+      sort: [{ field: F.SEQUENCE, direction: 'asc' }]
+    });
+  }
+
+  /**
+   * Get the legs of several calls at once
+   * @param {Array} telebroadCallIds - Telebroad call IDs
+   * @returns {Object} telebroadCallId → legs in call order
+   */
+  async getLegsForCalls(telebroadCallIds) {
+    const ids = [...new Set(telebroadCallIds.filter(Boolean))];
+    const byCall = Object.fromEntries(ids.map(id => [id, []]));
+
+    // Keep each formula well under Airtable's URL length limit
+    for (let i = 0; i < ids.length; i += LEG_QUERY_BATCH) {
+      const matches = ids.slice(i, i + LEG_QUERY_BATCH).map(id => `{${F.TB_CALL_ID}} = '${id}'`);
+      const legs = await this.getAllLegs({
+        filterByFormula: matches.length === 1 ? matches[0] : `OR(${matches.join(', ')})`,
+        sort: [{ field: F.SEQUENCE, direction: 'asc' }]
+      });
+      legs.forEach(leg => byCall[leg[F.TB_CALL_ID]].push(leg));
+    }
+
+    return byCall;
+  }
+
+  /**
+   * Extensions that rang and didn't pick up
+   * @param {Object} options - { days: look-back window (default 7), extension: limit to one extension }
+   */
+  async getUnansweredRings({ days = 7, extension } = {}) {
+    const conditions = [
+      `{${F.TO_TYPE}} = 'phone'`,
+      `{${F.STATE}} = '${STATE_LABELS.missed}'`,
+      `IS_AFTER({${F.RING_START}}, DATEADD(TODAY(), -${parseInt(days, 10)}, 'days'))`
+    ];
+    if (extension) conditions.push(`{${F.TO_NUMBER}} = '${String(extension).replace(/'/g, "\\'")}'`);
+
+    return this.getAllLegs({
+      filterByFormula: `AND(${conditions.join(', ')})`
+    });
+  }
+
+  /**
+   * Hunt group legs (callers entering a queue) in a time range
+   * @param {Object} options - { since, until } as Dates or ISO strings
+   */
+  async getHuntGroupLegs({ since, until } = {}) {
+    const conditions = [`{${F.TO_TYPE}} = 'huntgroup'`];
+    if (since) conditions.push(`IS_AFTER({${F.RING_START}}, '${new Date(since).toISOString()}')`);
+    if (until) conditions.push(`IS_BEFORE({${F.RING_START}}, '${new Date(until).toISOString()}')`);
+
+    return this.getAllLegs({
+      filterByFormula: `AND(${conditions.join(', ')})`,
+      sort: [{ field: F.RING_START, direction: 'asc' }]
+    });
+  }
+
+  /**
+   * Replace the stored legs of a call with freshly merged ones
+   * @param {string} callRecordId - Calls record ID
+   * @param {Object} callData - Merged call data (from CallMerge.mergeEvents)
+   */
+  async saveLegsForCall(callRecordId, callData) {
+    try {
+      const existing = await this.getLegsForCall(callData.telebroadCallId);
+      if (existing.length > 0) {
+        await store.destroy(tables.callLegs, existing.map(leg => leg.id));
+      }
+
+      if (!callData.legs || callData.legs.length === 0) {
+        return [];
+      }
+
+      const teamMembers = await this.findTeamMembers(callData.legs);
+      const records = callData.legs.map(leg =>
+        this.toLegFields(callRecordId, callData.telebroadCallId, leg, teamMembers[leg.to.number])
+      );
+
+      return await store.createMany(tables.callLegs, records);
+    } catch (error) {
+      throw new Error(`Failed to save legs for call ${callData.telebroadCallId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Team members for the extensions rung on a call (extension → record ID)
+   * @param {Array} legs - Legs from the merged call data
+   */
+  async findTeamMembers(legs) {
+    const extensions = [...new Set(legs.filter(leg => leg.to.type === 'phone' && leg.to.number).map(leg => leg.to.number))];
+    const teamMembers = {};
+
+    for (const extension of extensions) {
+      const member = await teamMemberService.findByPhoneExtension(extension);
+      if (member) teamMembers[extension] = member.id;
+    }
+
+    return teamMembers;
+  }
+
+  /**
+   * Call Legs field values for one leg
+   */
+  toLegFields(callRecordId, telebroadCallId, leg, teamMemberId) {
+    const legFields = {
+      [F.LEG_ID]: `${telebroadCallId}#${leg.sequence}`,
+      [F.CALL]: [callRecordId],
+      [F.TB_CALL_ID]: telebroadCallId,
+      [F.SEQUENCE]: leg.sequence,
+      [F.UNIQUE_ID]: leg.uniqueId,
+      [F.FROM_TYPE]: leg.from.type || null,
+      [F.FROM_NAME]: leg.from.name,
+      [F.FROM_NUMBER]: leg.from.number,
+      [F.TO_TYPE]: leg.to.type || null,
+      [F.TO_NAME]: leg.to.name,
+      [F.TO_NUMBER]: leg.to.number,
+      [F.STATE]: STATE_LABELS[leg.state] || null,
+      [F.RING_SECONDS]: leg.ringSeconds,
+      [F.TALK_SECONDS]: leg.talkSeconds
+    };
+
+    if (teamMemberId) legFields[F.TEAM_MEMBER] = [teamMemberId];
+    if (leg.ringStart) legFields[F.RING_START] = leg.ringStart;
+    if (leg.answeredAt) legFields[F.ANSWERED_AT] = leg.answeredAt;
+    if (leg.endedAt) legFields[F.ENDED_AT] = leg.endedAt;
+    if (leg.transferredTo) legFields[F.TRANSFERRED_TO] = leg.transferredTo;
+    if (leg.endedBy) legFields[F.ENDED_BY] = leg.endedBy;
+
+    return legFields;
+  }
+
+  /**
+   * A stored leg back in the merge's leg shape (the inverse of toLegFields)
+   * @param {Object} record - Call Legs record
+   */
+  fromLegFields(record) {
+    const state = Object.keys(STATE_LABELS).find(key => STATE_LABELS[key] === record[F.STATE]) || null;
+    return {
+      sequence: record[F.SEQUENCE],
+      uniqueId: record[F.UNIQUE_ID] || '',
+      from: { type: record[F.FROM_TYPE] || '', name: record[F.FROM_NAME] || '', number: record[F.FROM_NUMBER] || '' },
+      to: { type: record[F.TO_TYPE] || '', name: record[F.TO_NAME] || '', number: record[F.TO_NUMBER] || '' },
+      state,
+      ringStart: record[F.RING_START] || null,
+      answeredAt: record[F.ANSWERED_AT] || null,
+      endedAt: record[F.ENDED_AT] || null,
+      ringSeconds: record[F.RING_SECONDS] || 0,
+      talkSeconds: record[F.TALK_SECONDS] || 0,
+      transferredTo: record[F.TRANSFERRED_TO] || null,
+      endedBy: record[F.ENDED_BY] || null
+    };
+  }
+}
+
+module.exports = new CallLegService();
@@ -0,0 +1,90 @@
+const { tables, fields } = require('../config/airtable');
+const store = require('../storage');
+
+const F = fields.callbackAttempts;
+
+/**
+ * Service for the Callback Attempts table
+ * One row per try at reaching a caller for a follow-up: when, who, how
+ * (channel) and what happened. The retry policy (callbackRetry.js) writes
+ * them; an outbound call is linked so a re-merge doesn't count it twice.
+ */
+class CallbackAttemptService {
+  /**
+   * Log an attempt
+   * @param {Object} attempt - { followupId, callerId, teamMemberId, callId, number, attemptedAt, result, channel, nextAttempt, notes }
+   */
+  async recordAttempt(attempt) {
+    try {
+      const fieldsToCreate = {
+        [F.ATTEMPT]: `#${attempt.number} ${attempt.channel}: ${attempt.result}`,
+        [F.FOLLOWUP]: [attempt.followupId],
+        [F.ATTEMPT_NUMBER]: attempt.number,
+        [F.ATTEMPTED_AT]: attempt.attemptedAt || new Date().toISOString(),
+        [F.RESULT]: attempt.result,
+        [F.CHANNEL]: attempt.channel
+      };
+      if (attempt.callerId) fieldsToCreate[F.CALLER] = [attempt.callerId];
+      if (attempt.teamMemberId) fieldsToCreate[F.TEAM_MEMBER] = [attempt.teamMemberId];
+      if (attempt.callId) fieldsToCreate[F.CALL] = [attempt.callId];
+      if (attempt.nextAttempt) fieldsToCreate[F.NEXT_ATTEMPT] = attempt.nextAttempt;
+      if (attempt.notes) fieldsToCreate[F.NOTES] = attempt.notes;
+
+      return await store.create(tables.callbackAttempts, fieldsToCreate);
+    } catch (error) {
+      throw new Error(`Failed to record callback attempt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Correct the result of a logged attempt (a re-merged call that turned out answered)
+   * @param {Object} attempt - Callback Attempts record
+   * @param {string} result - New result
+   * @param {string} notes - New notes
+   */
+  async updateResult(attempt, result, notes) {
+    try {
+      return await store.update(tables.callbackAttempts, attempt.id, {
+        [F.ATTEMPT]: `#${attempt[F.ATTEMPT_NUMBER]} ${attempt[F.CHANNEL]}: ${result}`,
+        [F.RESULT]: result,
+        [F.NEXT_ATTEMPT]: null,
+        [F.NOTES]: notes || ''
+      });
+    } catch (error) {
+      throw new Error(`Failed to update callback attempt ${attempt.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Attempts for a follow-up, oldest first
+   * @param {string} followupId - Follow-up record ID
+   */
+  async getAttemptsForFollowup(followupId) {
+    try {
+      return await store.select(tables.callbackAttempts, {
+        filterByFormula: `FIND('${followupId}', ARRAYJOIN({${F.FOLLOWUP}}, ',')) > 0`,
+        sort: [{ field: F.ATTEMPTED_AT, direction: 'asc' }]
+      });
+    } catch (error) {
+      throw new Error(`Failed to fetch attempts for follow-up ${followupId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * The attempt already logged for a call, or null
+   * @param {string} callId - Calls record ID
+   */
+  async findByCall(callId) {
+    try {
+      const attempts = await store.select(tables.callbackAttempts, {
+        filterByFormula: `FIND('${callId}', ARRAYJOIN({${F.CALL}}, ',')) > 0`,
+        maxRecords: 1
+      });
+      return attempts[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to look up the attempt for call ${callId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new CallbackAttemptService();
@@ -0,0 +1,212 @@
+const { fields, selectOptions } = require('../config/airtable');
+const callbacksConfig = require('../config/callbacks');
+const calendarConfig = require('../config/calendar');
+const followupService = require('./followups');
+const callbackAttemptService = require('./callbackAttempts');
+const callerService = require('./callers');
+const teamMemberService = require('./teamMembers');
+const contactWindows = require('./contactWindows');
+const screenPop = require('./screenPop');
+
+const F = fields.followups;
+const CALLER = fields.callers;
+const MEMBER = fields.teamMembers;
+
+const GAVE_UP_STATUS = 'Caller Will Call Back';
+
+/**
+ * Callback Retry Service
+ *
+ * Logs every try at reaching a caller (Callback Attempts) and decides what
+ * the follow-up does next:
+ *   - Reached           → Completed
+ *   - not reached       → due again after the next retry interval
+ *                         (CALLBACK_RETRY_INTERVALS_MINUTES), moved into the
+ *                         caller's contact window (Best Times, their time
+ *                         zone, "never" rules) and off Shabbos / Yom Tov
+ *   - CALLBACK_MAX_ATTEMPTS tries, a Wrong Number, or a caller whose Contact
+ *     Preference is "Will call back only" → "Caller Will Call Back", and the
+ *     assigned mentor gets a notice on their extension
+ */
+class CallbackRetryService {
+  constructor(config = callbacksConfig) {
+    this.config = config;
+  }
+
+  /**
+   * Log an attempt and apply the retry policy
+   * @param {string} followupId - Follow-up record ID
+   * @param {Object} attempt - { result, channel, teamMemberId, callId, attemptedAt, notes }
+   * @returns {Object} { followup, attempt, action: 'completed' | 'retry' | 'stopped' | 'none', nextAttempt, reason, notified }
+   */
+  async recordAttempt(followupId, attempt, now = Date.now()) {
+    const result = attempt.result;
+    const channel = attempt.channel || 'Phone';
+    if (!selectOptions.attemptResults.includes(result)) {
+      throw new Error(`Unknown attempt result "${result}" (expected one of: ${selectOptions.attemptResults.join(', ')})`);
+    }
+    if (!selectOptions.attemptChannels.includes(channel)) {
+      throw new Error(`Unknown attempt channel "${channel}" (expected one of: ${selectOptions.attemptChannels.join(', ')})`);
+    }
+
+    try {
+      // A call is one attempt, however often it is merged
+      const logged = attempt.callId ? await callbackAttemptService.findByCall(attempt.callId) : null;
+      if (logged) return this.reapplyCallAttempt(followupId, logged, attempt);
+
+      const followup = await followupService.getFollowupById(followupId);
+      const callerId = (followup[F.CALLER] || [])[0] || null;
+      const caller = callerId ? await callerService.getCallerById(callerId).catch(() => null) : null;
+      const number = (await callbackAttemptService.getAttemptsForFollowup(followupId)).length + 1;
+      const attemptedAt = new Date(attempt.attemptedAt || now).toISOString();
+      const decision = this.decide({ result, number, caller, attemptedAt, now });
+
+      const record = await callbackAttemptService.recordAttempt({
+        followupId,
+        callerId,
+        teamMemberId: attempt.teamMemberId,
+        callId: attempt.callId,
+        number,
+        attemptedAt,
+        result,
+        channel,
+        nextAttempt: decision.nextAttempt,
+        notes: attempt.notes
+      });
+
+      const tracking = { attempts: number, lastAttempt: attemptedAt };
+      let updated;
+      let notified = null;
+
+      if (decision.action === 'completed') {
+        updated = await followupService.updateFollowup(followupId, {
+          ...tracking,
+          status: 'Completed',
+          completedDate: new Date(now).toISOString().split('T')[0],
+          outcomeNotes: attempt.notes || `Reached on attempt ${number}`
+        });
+      } else if (decision.action === 'retry') {
+        // The new due date starts the SLA escalation over
+        updated = await followupService.updateFollowup(followupId, {
+          ...tracking,
+          status: 'No Answer',
+          dueDateTime: decision.nextAttempt,
+          escalationLevel: 0,
+          outcomeNotes: [attempt.notes, `Attempt ${number}: ${result} - next try ${formatLocal(decision.nextAttempt)}`].filter(Boolean).join('\n')
+        });
+      } else {
+        updated = await followupService.updateFollowup(followupId, {
+          ...tracking,
+          status: GAVE_UP_STATUS,
+          outcomeNotes: [attempt.notes, `Stopped calling after attempt ${number}: ${decision.reason}`].filter(Boolean).join('\n')
+        });
+        notified = await this.notifyMentor(updated, caller, decision.reason, number);
+        // On the follow-up too, for a mentor who wasn't connected to get the notice
+        updated = await followupService.updateFollowup(followupId, {
+          notes: [updated[F.NOTES], stoppedNote(decision.reason, number, notified)].filter(Boolean).join('\n\n')
+        });
+      }
+
+      console.log(`📞 Follow-up ${followupId} attempt ${number} (${channel}): ${result} → ${updated[F.STATUS]}` +
+        (decision.nextAttempt ? `, next try ${formatLocal(decision.nextAttempt)}` : ''));
+
+      return { followup: updated, attempt: record, action: decision.action, nextAttempt: decision.nextAttempt, reason: decision.reason, notified };
+    } catch (error) {
+      throw new Error(`Failed to record callback attempt for follow-up ${followupId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * What the follow-up does after an attempt
+   * @returns {Object} { action, nextAttempt (ISO, retries only), reason }
+   */
+  decide({ result, number, caller, attemptedAt, now = Date.now() }) {
+    if (result === 'Reached') {
+      return { action: 'completed', nextAttempt: null, reason: null };
+    }
+    if (result === 'Wrong Number') {
+      return { action: 'stopped', nextAttempt: null, reason: 'wrong number' };
+    }
+    if (caller && caller[CALLER.CONTACT_PREFERENCE] === 'Will call back only') {
+      return { action: 'stopped', nextAttempt: null, reason: 'the caller prefers to call back' };
+    }
+    if (number >= this.config.maxAttempts) {
+      return { action: 'stopped', nextAttempt: null, reason: `no answer after ${number} attempts` };
+    }
+
+    const intervals = this.config.retryIntervalsMinutes;
+    const waitMinutes = intervals[Math.min(number, intervals.length) - 1];
+    const earliest = Math.max(Date.parse(attemptedAt) + waitMinutes * 60 * 1000, now);
+    const next = contactWindows.nextOpening(contactWindows.forCaller(caller), earliest);
+    return { action: 'retry', nextAttempt: new Date(next).toISOString(), reason: `retry in ${waitMinutes} min or later` };
+  }
+
+  /**
+   * A call already logged as an attempt - only a re-merge that finds the call
+   * was answered after all changes anything
+   */
+  async reapplyCallAttempt(followupId, logged, attempt) {
+    const followup = await followupService.getFollowupById(followupId);
+    const none = { followup, attempt: logged, action: 'none', nextAttempt: null, reason: null, notified: null };
+    if (attempt.result !== 'Reached' || logged[fields.callbackAttempts.RESULT] === 'Reached') return none;
+
+    const record = await callbackAttemptService.updateResult(logged, 'Reached', attempt.notes);
+    const updated = await followupService.complete(followupId, attempt.notes || 'Reached');
+    return { ...none, followup: updated, attempt: record, action: 'completed' };
+  }
+
+  /**
+   * Tell the follow-up's mentor (or the caller's) that callbacks have stopped
+   * @returns {Object|null} { mentorId, name, extension, delivered } - delivered
+   *   when one of their screen-pop streams was open or the push webhook is set
+   */
+  async notifyMentor(followup, caller, reason, attempts) {
+    const mentorId = (followup[F.ASSIGNED_TO] || [])[0] ||
+      (caller ? (caller[CALLER.ASSIGNED_MENTOR] || [])[0] : null) || null;
+    const callerName = (caller && caller[CALLER.NAME]) || 'the caller';
+    const message = `Stopped calling ${callerName} back: ${reason}. The follow-up is now "${GAVE_UP_STATUS}".`;
+
+    if (!mentorId) {
+      console.warn(`⚠️  Follow-up ${followup.id}: ${message} No mentor to tell.`);
+      return null;
+    }
+
+    const mentor = await teamMemberService.getMemberById(mentorId).catch(() => null);
+    const extension = mentor ? mentor[MEMBER.PHONE_EXTENSION] || null : null;
+    let sent = null;
+    if (extension) {
+      sent = screenPop.notify(extension, {
+        kind: 'callback-stopped',
+        followupId: followup.id,
+        followupNumber: followup[F.FOLLOWUP_ID] || null,
+        caller: caller
+          ? { id: caller.id, name: caller[CALLER.NAME] || null, phone: caller[CALLER.PHONE] || null }
+          : null,
+        attempts,
+        reason,
+        message
+      });
+    } else {
+      console.warn(`⚠️  Follow-up ${followup.id}: no extension to notify mentor ${mentorId}`);
+    }
+
+    const delivered = !!sent && (sent.subscribers > 0 || sent.pushed);
+    if (extension && !delivered) {
+      console.warn(`⚠️  Follow-up ${followup.id}: mentor ${mentorId} isn't connected - the notice is only on the follow-up`);
+    }
+    return { mentorId, name: mentor ? mentor[MEMBER.NAME] || null : null, extension, delivered };
+  }
+}
+
+function stoppedNote(reason, attempts, notified) {
+  const told = notified && notified.delivered
+    ? `${notified.name || 'The mentor'} was notified.`
+    : 'No mentor was connected to notify.';
+  return `Callbacks stopped after attempt ${attempts} (${formatLocal(new Date().toISOString())}): ${reason}. ${told}`;
+}
+
+function formatLocal(iso) {
+  return new Date(iso).toLocaleString('en-US', { timeZone: calendarConfig.timeZone });
+}
+
+module.exports = new CallbackRetryService();
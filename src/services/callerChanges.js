@@ -0,0 +1,91 @@
+const { tables, fields } = require('../config/airtable');
+const store = require('../storage');
+
+const F = fields.callerChanges;
+
+/**
+ * Service for the Caller Changes table
+ * Logs every change of a caller's Status or Assigned Mentor, so the caller
+ * history can show mentor assignments and status changes over time.
+ */
+class CallerChangeService {
+  /**
+   * Log a change (no-op when the value didn't change)
+   * @param {string} callerRecordId - Caller record ID
+   * @param {string} field - 'Status' or 'Assigned Mentor'
+   * @param {string|null} from - Previous value (mentor record ID for assignments)
+   * @param {string|null} to - New value (mentor record ID for assignments)
+   * @param {Object} options - { changedBy, changedAt }
+   */
+  async recordChange(callerRecordId, field, from, to, { changedBy, changedAt } = {}) {
+    if ((from || null) === (to || null)) return null;
+
+    try {
+      const fieldsToCreate = {
+        [F.CHANGE]: `${field}: ${from || '(none)'} → ${to || '(none)'}`,
+        [F.CALLER]: [callerRecordId],
+        [F.FIELD]: field,
+        [F.FROM_VALUE]: from || '',
+        [F.TO_VALUE]: to || '',
+        [F.CHANGED_AT]: changedAt || new Date().toISOString()
+      };
+      if (field === 'Assigned Mentor' && to) fieldsToCreate[F.MENTOR] = [to];
+      if (changedBy) fieldsToCreate[F.CHANGED_BY] = changedBy;
+
+      return await store.create(tables.callerChanges, fieldsToCreate);
+    } catch (error) {
+      throw new Error(`Failed to record caller change: ${error.message}`);
+    }
+  }
+
+  /**
+   * Log the Status / Assigned Mentor differences between two versions of a caller
+   * @param {Object|null} before - Caller record before the change (null for a new caller)
+   * @param {Object} after - Caller record after the change
+   * @param {Object} options - { changedBy }
+   */
+  async recordDifferences(before, after, options = {}) {
+    const callerFields = fields.callers;
+    const mentorOf = record => ((record && record[callerFields.ASSIGNED_MENTOR]) || [])[0] || null;
+    const statusOf = record => (record && record[callerFields.STATUS]) || null;
+
+    const changes = [];
+    const status = await this.recordChange(after.id, 'Status', statusOf(before), statusOf(after), options);
+    if (status) changes.push(status);
+    const mentor = await this.recordChange(after.id, 'Assigned Mentor', mentorOf(before), mentorOf(after), options);
+    if (mentor) changes.push(mentor);
+    return changes;
+  }
+
+  /**
+   * Changes for a caller, oldest first
+   * @param {string} callerRecordId - Caller record ID
+   */
+  async getChangesForCaller(callerRecordId) {
+    try {
+      return await store.select(tables.callerChanges, {
+        filterByFormula: `FIND('${callerRecordId}', ARRAYJOIN({${F.CALLER}}, ',')) > 0`,
+        sort: [{ field: F.CHANGED_AT, direction: 'asc' }]
+      });
+    } catch (error) {
+      throw new Error(`Failed to fetch changes for caller ${callerRecordId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Every assignment of callers to a mentor, oldest first
+   * @param {string} mentorRecordId - Team member record ID
+   */
+  async getAssignmentsTo(mentorRecordId) {
+    try {
+      return await store.select(tables.callerChanges, {
+        filterByFormula: `AND({${F.FIELD}} = 'Assigned Mentor', {${F.TO_VALUE}} = '${mentorRecordId}')`,
+        sort: [{ field: F.CHANGED_AT, direction: 'asc' }]
+      });
+    } catch (error) {
+      throw new Error(`Failed to fetch assignments to ${mentorRecordId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new CallerChangeService();
@@ -0,0 +1,388 @@
+const { tables, fields } = require('../config/airtable');
+const store = require('../storage');
+const phoneNumbers = require('../shared/phone');
+
+const F = fields.callers;
+const CALL_FIELDS = fields.calls;
+const FOLLOWUP_FIELDS = fields.followups;
+const ATTEMPT_FIELDS = fields.callbackAttempts;
+const CHANGE_FIELDS = fields.callerChanges;
+const M = fields.callerMerges;
+
+// Names at least this similar (0-1) count as a match
+const NAME_SIMILARITY = 0.85;
+
+// Weight of each kind of evidence in a candidate's score (0-1). A similar
+// name only adds to a phone or shared-call match - on its own it is as often
+// two different people
+const WEIGHTS = {
+  phone: 0.6,
+  sharedCalls: 0.3,
+  name: 0.3
+};
+
+// Fields copied from a duplicate when the surviving caller has none
+const FILL_FIELDS = [F.NAME, F.PHONE, F.PHONE_TYPE, F.CONTACT_PREFERENCE, F.BEST_TIMES, F.CONTACT_WINDOW, F.CONTACT_WINDOW_STATUS, F.PRIMARY_ISSUE, F.ASSIGNED_MENTOR];
+
+/**
+ * Duplicate Caller Service
+ *
+ * Finds Callers records that are probably the same person - same normalized
+ * phone or calls linked to both, made likelier by a similar name - and merges
+ * them: Calls, Follow-ups, Callback Attempts and Caller Changes move to the
+ * surviving caller, Background Notes are combined, the duplicates are deleted
+ * and a Caller Merges row records what was merged.
+ */
+class CallerDuplicateService {
+  /**
+   * Groups of callers that look like the same person, most likely first
+   * @param {Object} options - { minScore: drop groups scoring below this (default 0.25) }
+   * @returns {Array} [{ score, confidence, reasons, suggestedSurvivor, callers: [...] }]
+   */
+  async findDuplicates({ minScore = 0.25 } = {}) {
+    try {
+      const [callers, calls] = await Promise.all([
+        store.select(tables.callers, {}),
+        store.select(tables.calls, { fields: [CALL_FIELDS.CALLER, CALL_FIELDS.CALLER_NUMBER] })
+      ]);
+
+      const byId = new Map(callers.map(caller => [caller.id, caller]));
+      const callCounts = this.countCalls(calls);
+      // Calls can still link callers that were deleted by hand
+      const pairs = this.scorePairs(callers, calls)
+        .filter(pair => pair.score >= minScore && pair.callerIds.every(id => byId.has(id)));
+
+      return this.groupPairs(pairs)
+        .map(group => {
+          const members = group.ids.map(id => this.describeCaller(byId.get(id), callCounts[id] || 0));
+          const score = Math.max(...group.pairs.map(pair => pair.score));
+
+          return {
+            score: Math.round(score * 100) / 100,
+            confidence: score >= 0.6 ? 'high' : score >= 0.45 ? 'medium' : 'low',
+            reasons: [...new Set(group.pairs.flatMap(pair => pair.reasons))],
+            suggestedSurvivor: this.pickSurvivor(members).id,
+            callers: members,
+            pairs: group.pairs
+          };
+        })
+        .sort((a, b) => b.score - a.score);
+    } catch (error) {
+      throw new Error(`Failed to find duplicate callers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Score every pair of callers with at least one piece of matching evidence
+   */
+  scorePairs(callers, calls) {
+    const pairs = new Map();
+    const keyOf = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+    const pairFor = (a, b) => {
+      const key = keyOf(a, b);
+      if (!pairs.has(key)) pairs.set(key, { callerIds: a < b ? [a, b] : [b, a], score: 0, reasons: [], sharedCalls: 0 });
+      return pairs.get(key);
+    };
+
+    // Same normalized phone
+    const byPhone = {};
+    callers.forEach(caller => {
+      const phone = phoneNumbers.normalize(caller[F.PHONE]);
+      if (phone) (byPhone[phone] = byPhone[phone] || []).push(caller.id);
+    });
+    Object.entries(byPhone).forEach(([phone, ids]) => {
+      eachPair(ids, (a, b) => {
+        const pair = pairFor(a, b);
+        pair.score += WEIGHTS.phone;
+        pair.reasons.push(`same phone ${phone}`);
+      });
+    });
+
+    // Calls linked to both callers, or linked to one but made from the other's
+    // (different) saved number
+    const phoneOf = Object.fromEntries(callers.map(caller => [caller.id, phoneNumbers.normalize(caller[F.PHONE])]));
+    calls.forEach(call => {
+      const linked = call[CALL_FIELDS.CALLER] || [];
+      const number = phoneNumbers.normalize(call[CALL_FIELDS.CALLER_NUMBER]);
+      const shared = new Set();
+
+      eachPair(linked, (a, b) => shared.add(pairFor(a, b)));
+      linked.forEach(linkedId => {
+        if (!number || phoneOf[linkedId] === number) return;
+        (byPhone[number] || []).forEach(otherId => {
+          if (otherId !== linkedId) shared.add(pairFor(linkedId, otherId));
+        });
+      });
+
+      shared.forEach(pair => { pair.sharedCalls++; });
+    });
+    pairs.forEach(pair => {
+      if (pair.sharedCalls > 0) {
+        pair.score += WEIGHTS.sharedCalls;
+        pair.reasons.push(`${pair.sharedCalls} shared call${pair.sharedCalls === 1 ? '' : 's'}`);
+      }
+    });
+
+    // Similar names, for callers already matched by phone or calls
+    const named = callers.filter(caller => normalizeName(caller[F.NAME]));
+    eachPair(named, (a, b) => {
+      const pair = pairs.get(keyOf(a.id, b.id));
+      if (!pair) return;
+      const similarity = nameSimilarity(a[F.NAME], b[F.NAME]);
+      if (similarity < NAME_SIMILARITY) return;
+      pair.score += WEIGHTS.name * similarity;
+      pair.reasons.push(similarity === 1 ? `same name "${a[F.NAME]}"` : `similar names "${a[F.NAME]}" / "${b[F.NAME]}"`);
+    });
+
+    return [...pairs.values()].map(pair => ({ ...pair, score: Math.min(1, Math.round(pair.score * 100) / 100) }));
+  }
+
+  /**
+   * Join overlapping pairs into groups (A~B and B~C → A, B, C)
+   */
+  groupPairs(pairs) {
+    const parent = {};
+    const root = id => {
+      while (parent[id] !== id) id = parent[id] = parent[parent[id]];
+      return id;
+    };
+
+    pairs.forEach(({ callerIds: [a, b] }) => {
+      if (!(a in parent)) parent[a] = a;
+      if (!(b in parent)) parent[b] = b;
+      parent[root(a)] = root(b);
+    });
+
+    const groups = {};
+    pairs.forEach(pair => {
+      const key = root(pair.callerIds[0]);
+      if (!groups[key]) groups[key] = { ids: new Set(), pairs: [] };
+      pair.callerIds.forEach(id => groups[key].ids.add(id));
+      groups[key].pairs.push({ callerIds: pair.callerIds, score: pair.score, reasons: pair.reasons });
+    });
+
+    return Object.values(groups).map(group => ({ ids: [...group.ids], pairs: group.pairs }));
+  }
+
+  countCalls(calls) {
+    const counts = {};
+    calls.forEach(call => (call[CALL_FIELDS.CALLER] || []).forEach(id => { counts[id] = (counts[id] || 0) + 1; }));
+    return counts;
+  }
+
+  describeCaller(caller, callCount) {
+    return {
+      id: caller.id,
+      name: caller[F.NAME] || null,
+      phone: caller[F.PHONE] || null,
+      status: caller[F.STATUS] || null,
+      firstContact: caller[F.FIRST_CONTACT] || null,
+      assignedMentor: (caller[F.ASSIGNED_MENTOR] || [])[0] || null,
+      calls: callCount
+    };
+  }
+
+  /**
+   * The record to keep: the one with a mentor, then the most calls, then the oldest
+   */
+  pickSurvivor(members) {
+    return [...members].sort((a, b) =>
+      (b.assignedMentor ? 1 : 0) - (a.assignedMentor ? 1 : 0) ||
+      b.calls - a.calls ||
+      String(a.firstContact || '9999').localeCompare(String(b.firstContact || '9999'))
+    )[0];
+  }
+
+  /**
+   * Merge duplicate callers into one surviving record
+   * @param {string} survivorId - Caller record to keep
+   * @param {Array} duplicateIds - Caller records to fold into it (deleted afterwards)
+   * @param {Object} options - { mergedBy, notes, matchReasons }
+   * @returns {Object} { survivor, mergedIds, phones, callsMoved, followupsMoved, attemptsMoved, changesMoved, auditId }
+   */
+  async mergeCallers(survivorId, duplicateIds, { mergedBy = '', notes = '', matchReasons = [] } = {}) {
+    const ids = [...new Set(duplicateIds || [])].filter(id => id && id !== survivorId);
+    if (ids.length === 0) {
+      throw new Error('Failed to merge callers: no duplicate caller IDs given');
+    }
+
+    try {
+      const survivor = await store.find(tables.callers, survivorId);
+      const duplicates = [];
+      for (const id of ids) {
+        duplicates.push(await store.find(tables.callers, id));
+      }
+
+      const callsMoved = await this.relink(tables.calls, CALL_FIELDS.CALLER, survivorId, ids);
+      const followupsMoved = await this.relink(tables.followups, FOLLOWUP_FIELDS.CALLER, survivorId, ids);
+      const attemptsMoved = await this.relink(tables.callbackAttempts, ATTEMPT_FIELDS.CALLER, survivorId, ids);
+      const changesMoved = await this.relink(tables.callerChanges, CHANGE_FIELDS.CALLER, survivorId, ids);
+
+      const updated = await store.update(tables.callers, survivorId, this.combinedFields(survivor, duplicates));
+
+      const audit = await store.create(tables.callerMerges, {
+        [M.SUMMARY]: `Merged ${ids.length} caller${ids.length === 1 ? '' : 's'} into ${callerLabel(survivor)}`,
+        [M.SURVIVING_CALLER]: [survivorId],
+        [M.MERGED_CALLER_IDS]: ids.join(', '),
+        [M.MERGED_RECORDS]: JSON.stringify(duplicates, null, 2),
+        [M.MATCH_REASONS]: matchReasons.join('; '),
+        [M.CALLS_MOVED]: callsMoved,
+        [M.FOLLOWUPS_MOVED]: followupsMoved,
+        [M.MERGED_AT]: new Date().toISOString(),
+        [M.MERGED_BY]: mergedBy,
+        [M.NOTES]: notes
+      });
+
+      // Only removed once everything pointing at them has moved
+      await store.destroy(tables.callers, ids);
+
+      console.log(`🔗 Merged ${ids.length} caller(s) into ${survivorId}: ${callsMoved} calls, ${followupsMoved} follow-ups, ` +
+        `${attemptsMoved} callback attempts, ${changesMoved} caller changes moved`);
+
+      return {
+        survivor: updated,
+        mergedIds: ids,
+        // Numbers whose screen-pop now points somewhere else
+        phones: [...new Set([survivor, ...duplicates].map(caller => caller[F.PHONE]).filter(Boolean))],
+        callsMoved,
+        followupsMoved,
+        attemptsMoved,
+        changesMoved,
+        auditId: audit.id
+      };
+    } catch (error) {
+      throw new Error(`Failed to merge callers into ${survivorId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Point a link field at the survivor instead of any of the duplicates
+   * @returns {number} Records changed
+   */
+  async relink(table, linkField, survivorId, duplicateIds) {
+    const matches = duplicateIds.map(id => `FIND('${id}', ARRAYJOIN({${linkField}}, ',')) > 0`);
+    const records = await store.select(table, {
+      filterByFormula: matches.length === 1 ? matches[0] : `OR(${matches.join(', ')})`
+    });
+
+    const updates = records.map(record => {
+      const links = (record[linkField] || []).map(id => (duplicateIds.includes(id) ? survivorId : id));
+      return { id: record.id, fields: { [linkField]: [...new Set(links)] } };
+    });
+
+    if (updates.length > 0) {
+      await store.updateMany(table, updates);
+    }
+    return updates.length;
+  }
+
+  /**
+   * Survivor fields after the merge: blanks filled from the duplicates,
+   * earliest First Contact, Background Notes combined
+   */
+  combinedFields(survivor, duplicates) {
+    const combined = {};
+
+    FILL_FIELDS.forEach(field => {
+      if (isBlank(survivor[field])) {
+        const source = duplicates.find(duplicate => !isBlank(duplicate[field]));
+        if (source) combined[field] = source[field];
+      }
+    });
+
+    const firstContacts = [survivor, ...duplicates].map(caller => caller[F.FIRST_CONTACT]).filter(Boolean).sort();
+    if (firstContacts.length > 0 && firstContacts[0] !== survivor[F.FIRST_CONTACT]) {
+      combined[F.FIRST_CONTACT] = firstContacts[0];
+    }
+
+    const survivorPhone = phoneNumbers.normalize(survivor[F.PHONE] || combined[F.PHONE]);
+    const sections = survivor[F.BACKGROUND_NOTES] ? [survivor[F.BACKGROUND_NOTES].trim()] : [];
+    const today = new Date().toISOString().split('T')[0];
+
+    duplicates.forEach(duplicate => {
+      const lines = [];
+      const phone = phoneNumbers.normalize(duplicate[F.PHONE]) || duplicate[F.PHONE];
+      if (phone && phone !== survivorPhone) lines.push(`Other phone: ${phone}`);
+      if (duplicate[F.BACKGROUND_NOTES]) lines.push(duplicate[F.BACKGROUND_NOTES].trim());
+      if (lines.length > 0) {
+        sections.push(`--- Merged from ${callerLabel(duplicate)} on ${today} ---\n${lines.join('\n')}`);
+      }
+    });
+
+    if (sections.length > 0) {
+      combined[F.BACKGROUND_NOTES] = sections.join('\n\n');
+    }
+
+    return combined;
+  }
+
+  /**
+   * Past merges, newest first
+   * @param {Object} options - { maxRecords (default 50) }
+   */
+  async getMergeHistory({ maxRecords = 50 } = {}) {
+    try {
+      return await store.select(tables.callerMerges, {
+        maxRecords,
+        sort: [{ field: M.MERGED_AT, direction: 'desc' }]
+      });
+    } catch (error) {
+      throw new Error(`Failed to fetch caller merge history: ${error.message}`);
+    }
+  }
+}
+
+function eachPair(items, fn) {
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) fn(items[i], items[j]);
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function callerLabel(caller) {
+  const name = caller[F.NAME] || caller[F.PHONE] || 'caller';
+  return `${name} (${caller.id})`;
+}
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z\u0590-\u05ff\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Name similarity 0-1: same words in any order = 1, otherwise edit distance
+ */
+function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+
+  const sortedWords = name => name.split(' ').sort().join(' ');
+  if (left === right || sortedWords(left) === sortedWords(right)) return 1;
+
+  // Lengths too far apart to ever reach the threshold - skip the edit distance
+  const longest = Math.max(left.length, right.length);
+  if (Math.abs(left.length - right.length) / longest > 1 - NAME_SIMILARITY) return 0;
+
+  return 1 - editDistance(left, right) / longest;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+module.exports = new CallerDuplicateService();
@@ -0,0 +1,225 @@
+const { tables, fields, selectOptions } = require('../config/airtable');
+const store = require('../storage');
+const callerService = require('./callers');
+const callService = require('./calls');
+const followupService = require('./followups');
+const callLegService = require('./callLegs');
+const callerChangeService = require('./callerChanges');
+const teamMemberService = require('./teamMembers');
+
+const CALLER = fields.callers;
+const CALL = fields.calls;
+const FOLLOWUP = fields.followups;
+const LEG = fields.callLegs;
+const CHANGE = fields.callerChanges;
+const MERGE = fields.callerMerges;
+
+// Upper bound on calls / follow-ups read for one caller
+const MAX_RECORDS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_FOLLOWUP_STATUSES = selectOptions.openFollowupStatus;
+
+/**
+ * Caller History Service
+ * One chronological view of a caller's relationship with the helpline:
+ * calls (with legs), voicemails, follow-ups, mentor assignments, status
+ * changes and record merges, plus summary stats.
+ */
+class CallerHistoryService {
+  /**
+   * Build a caller's history
+   * @param {string} callerRecordId - Caller record ID
+   * @returns {Object} { caller, stats, timeline }
+   */
+  async getHistory(callerRecordId) {
+    try {
+      const caller = await callerService.getCallerById(callerRecordId);
+
+      const [calls, followups, changes, merges, members] = await Promise.all([
+        callService.getCallsByCaller(callerRecordId, { maxRecords: MAX_RECORDS, sort: [{ field: CALL.DATE_TIME, direction: 'asc' }] }),
+        followupService.getByCaller(callerRecordId, { maxRecords: MAX_RECORDS }),
+        optional('caller changes', () => callerChangeService.getChangesForCaller(callerRecordId)),
+        optional('caller merges', () => store.select(tables.callerMerges, {
+          filterByFormula: `FIND('${callerRecordId}', ARRAYJOIN({${MERGE.SURVIVING_CALLER}}, ',')) > 0`
+        })),
+        teamMemberService.getAllMembers()
+      ]);
+
+      const legsByCall = await optional('call legs', () =>
+        callLegService.getLegsForCalls(calls.map(call => call[CALL.TB_CALL_ID])), {});
+      const names = Object.fromEntries(members.map(member => [member.id, member[fields.teamMembers.NAME]]));
+      const person = id => (id ? { id, name: names[id] || null } : null);
+
+      const timeline = [
+        ...calls.map(call => this.callEntry(call, legsByCall[call[CALL.TB_CALL_ID]] || [], person)),
+        ...followups.map(followup => this.followupEntry(followup, person)),
+        ...changes.map(change => this.changeEntry(change, person)),
+        ...merges.map(merge => this.mergeEntry(merge))
+      ];
+
+      if (caller[CALLER.FIRST_CONTACT]) {
+        timeline.push({ type: 'first-contact', at: caller[CALLER.FIRST_CONTACT] });
+      }
+
+      timeline.sort((a, b) => sortTime(a.at) - sortTime(b.at));
+
+      return {
+        caller: {
+          id: caller.id,
+          name: caller[CALLER.NAME] || null,
+          phone: caller[CALLER.PHONE] || null,
+          status: caller[CALLER.STATUS] || null,
+          primaryIssue: caller[CALLER.PRIMARY_ISSUE] || null,
+          assignedMentor: person((caller[CALLER.ASSIGNED_MENTOR] || [])[0]),
+          firstContact: caller[CALLER.FIRST_CONTACT] || null
+        },
+        stats: this.buildStats(caller, calls, followups),
+        timeline
+      };
+    } catch (error) {
+      throw new Error(`Failed to build history for caller ${callerRecordId}: ${error.message}`);
+    }
+  }
+
+  callEntry(call, legs, person) {
+    const voicemail = call[CALL.FINAL_STATUS] === 'Voicemail' || call[CALL.CALL_TYPE] === 'Voicemail';
+
+    const entry = {
+      type: voicemail ? 'voicemail' : 'call',
+      at: call[CALL.DATE_TIME] || call[CALL.CALL_START_TIME] || null,
+      callId: call.id,
+      telebroadCallId: call[CALL.TB_CALL_ID] || null,
+      direction: call[CALL.DIRECTION] || null,
+      finalStatus: call[CALL.FINAL_STATUS] || null,
+      callType: call[CALL.CALL_TYPE] || null,
+      durationSeconds: call[CALL.DURATION] || 0,
+      receivedBy: person((call[CALL.RECEIVED_BY] || [])[0]),
+      outcome: call[CALL.OUTCOME] || null,
+      urgency: call[CALL.URGENCY] || null,
+      issueCategory: call[CALL.ISSUE_CATEGORY] || null,
+      summary: call[CALL.SUMMARY] || null,
+      legs: legs.map(leg => ({
+        sequence: leg[LEG.SEQUENCE],
+        to: leg[LEG.TO_NAME] || leg[LEG.TO_NUMBER] || null,
+        toType: leg[LEG.TO_TYPE] || null,
+        state: leg[LEG.STATE] || null,
+        ringSeconds: leg[LEG.RING_SECONDS] || 0,
+        talkSeconds: leg[LEG.TALK_SECONDS] || 0
+      }))
+    };
+    if (call[CALL.RECORDING_URL]) entry.recordingUrl = call[CALL.RECORDING_URL];
+    return entry;
+  }
+
+  followupEntry(followup, person) {
+    return {
+      type: 'followup',
+      at: followup[FOLLOWUP.COMPLETED_DATE] || followup[FOLLOWUP.DUE_DATE_TIME] || null,
+      followupId: followup.id,
+      followupType: followup[FOLLOWUP.TYPE] || null,
+      status: followup[FOLLOWUP.STATUS] || null,
+      priority: followup[FOLLOWUP.PRIORITY] || null,
+      dueAt: followup[FOLLOWUP.DUE_DATE_TIME] || null,
+      completedAt: followup[FOLLOWUP.COMPLETED_DATE] || null,
+      assignedTo: person((followup[FOLLOWUP.ASSIGNED_TO] || [])[0]),
+      notes: followup[FOLLOWUP.NOTES] || null,
+      outcomeNotes: followup[FOLLOWUP.OUTCOME_NOTES] || null
+    };
+  }
+
+  changeEntry(change, person) {
+    const base = {
+      at: change[CHANGE.CHANGED_AT] || null,
+      changedBy: change[CHANGE.CHANGED_BY] || null
+    };
+
+    if (change[CHANGE.FIELD] === 'Assigned Mentor') {
+      return {
+        type: 'mentor-assignment',
+        ...base,
+        from: person(change[CHANGE.FROM_VALUE] || null),
+        to: person(change[CHANGE.TO_VALUE] || null)
+      };
+    }
+
+    return {
+      type: 'status-change',
+      ...base,
+      from: change[CHANGE.FROM_VALUE] || null,
+      to: change[CHANGE.TO_VALUE] || null
+    };
+  }
+
+  mergeEntry(merge) {
+    return {
+      type: 'merge',
+      at: merge[MERGE.MERGED_AT] || null,
+      summary: merge[MERGE.SUMMARY] || null,
+      mergedCallerIds: (merge[MERGE.MERGED_CALLER_IDS] || '').split(',').map(id => id.trim()).filter(Boolean),
+      mergedBy: merge[MERGE.MERGED_BY] || null
+    };
+  }
+
+  /**
+   * Totals, last contact and the average gap between calls
+   */
+  buildStats(caller, calls, followups) {
+    const callTimes = calls
+      .map(call => new Date(call[CALL.DATE_TIME] || call[CALL.CALL_START_TIME]).getTime())
+      .filter(time => !isNaN(time))
+      .sort((a, b) => a - b);
+    // Calls logged by hand have no Final Status - count them as answered when they have talk time
+    const answered = calls.filter(call => call[CALL.FINAL_STATUS] === 'Answered' || (!call[CALL.FINAL_STATUS] && (call[CALL.DURATION] || 0) > 0));
+    const lastAnswered = answered
+      .map(call => new Date(call[CALL.DATE_TIME]).getTime())
+      .filter(time => !isNaN(time))
+      .sort((a, b) => b - a)[0];
+
+    const gaps = callTimes.slice(1).map((time, i) => time - callTimes[i]);
+    const now = Date.now();
+    const openFollowups = followups.filter(followup => OPEN_FOLLOWUP_STATUSES.includes(followup[FOLLOWUP.STATUS]));
+
+    return {
+      totalCalls: calls.length,
+      answeredCalls: answered.length,
+      missedCalls: calls.filter(call => ['Missed', 'Abandoned'].includes(call[CALL.FINAL_STATUS]) || call[CALL.DIRECTION] === 'Missed').length,
+      voicemails: calls.filter(call => call[CALL.FINAL_STATUS] === 'Voicemail' || call[CALL.CALL_TYPE] === 'Voicemail').length,
+      inboundCalls: calls.filter(call => call[CALL.DIRECTION] === 'Inbound').length,
+      outboundCalls: calls.filter(call => call[CALL.DIRECTION] === 'Outbound').length,
+      totalTalkSeconds: calls.reduce((sum, call) => sum + (call[CALL.DURATION] || 0), 0),
+      firstContact: caller[CALLER.FIRST_CONTACT] || (callTimes.length > 0 ? new Date(callTimes[0]).toISOString() : null),
+      lastContact: callTimes.length > 0 ? new Date(callTimes[callTimes.length - 1]).toISOString() : null,
+      lastSpokeWith: lastAnswered ? new Date(lastAnswered).toISOString() : null,
+      daysSinceLastContact: callTimes.length > 0 ? Math.floor((now - callTimes[callTimes.length - 1]) / DAY_MS) : null,
+      averageDaysBetweenCalls: gaps.length > 0
+        ? Math.round(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length / DAY_MS * 10) / 10
+        : null,
+      followups: {
+        total: followups.length,
+        open: openFollowups.length,
+        completed: followups.filter(followup => followup[FOLLOWUP.STATUS] === 'Completed').length,
+        overdue: openFollowups.filter(followup => followup[FOLLOWUP.DUE_DATE_TIME] && new Date(followup[FOLLOWUP.DUE_DATE_TIME]).getTime() < now).length
+      }
+    };
+  }
+}
+
+/**
+ * Read from a table the history can do without (it may not exist in older bases)
+ */
+async function optional(label, read, fallback = []) {
+  try {
+    return await read();
+  } catch (error) {
+    console.warn(`⚠️  Caller history: ${label} unavailable: ${error.message}`);
+    return fallback;
+  }
+}
+
+function sortTime(value) {
+  const time = new Date(value).getTime();
+  return isNaN(time) ? Infinity : time;
+}
+
+module.exports = new CallerHistoryService();
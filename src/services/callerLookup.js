@@ -0,0 +1,350 @@
+const { tables, fields, selectOptions } = require('../config/airtable');
+const lookupConfig = require('../config/lookup');
+const store = require('../storage');
+const phoneNumbers = require('../shared/phone');
+const callerService = require('./callers');
+const callService = require('./calls');
+const followupService = require('./followups');
+const teamMemberService = require('./teamMembers');
+
+const CALLER = fields.callers;
+const CALL = fields.calls;
+const FOLLOWUP = fields.followups;
+const MEMBER = fields.teamMembers;
+
+const OPEN_FOLLOWUP_STATUSES = selectOptions.openFollowupStatus;
+
+// Lookup latency percentiles are kept over this many recent lookups
+const LATENCY_SAMPLES = 500;
+
+/**
+ * Caller Lookup Service (screen-pop)
+ *
+ * Answers "who is calling?" for a phone number: the caller, their mentor,
+ * status, primary issue, last call summaries and the pending follow-up.
+ *
+ * Known callers are kept in a warm in-memory cache, reloaded in the
+ * background, so a lookup normally never waits on Airtable (callers last heard
+ * from before the newest LOOKUP_WARM_CALL_LIMIT calls excepted). A number not in
+ * the cache (or cached too long) is looked up live, but the answer never takes
+ * longer than the latency budget: past it the stale cached entry (or
+ * "pending") is returned and the live lookup fills the cache for next time.
+ */
+class CallerLookupService {
+  constructor(config = lookupConfig) {
+    this.config = config;
+    // E.164 phone → { result, fetchedAt }
+    this.entries = new Map();
+    this.inflight = new Map();
+    this.members = {};
+    this.timer = null;
+    this.warming = null;
+    this.latencies = [];
+    this.stats = {
+      lookups: 0,
+      cacheHits: 0,
+      liveLookups: 0,
+      staleAnswers: 0,
+      overBudget: 0,
+      lastWarmAt: null,
+      lastWarmMs: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Warm the cache and keep it warm (idempotent)
+   */
+  async start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.warm().catch(() => {}), this.config.warmIntervalMs);
+    this.timer.unref();
+    await this.warm().catch(() => {});
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Reload every caller with their recent calls and open follow-ups
+   * (a handful of bulk reads instead of one query per caller)
+   */
+  async warm() {
+    if (this.warming) return this.warming;
+
+    this.warming = (async () => {
+      const started = Date.now();
+      try {
+        const [callers, calls, followups, members] = await Promise.all([
+          store.select(tables.callers, {}),
+          store.select(tables.calls, {
+            filterByFormula: `NOT({${CALL.CALLER}} = BLANK())`,
+            sort: [{ field: CALL.DATE_TIME, direction: 'desc' }],
+            maxRecords: this.config.warmCallLimit
+          }),
+          store.select(tables.followups, {
+            filterByFormula: `OR(${OPEN_FOLLOWUP_STATUSES.map(status => `{${FOLLOWUP.STATUS}} = '${status}'`).join(', ')})`,
+            sort: [{ field: FOLLOWUP.DUE_DATE_TIME, direction: 'asc' }]
+          }),
+          teamMemberService.getAllMembers()
+        ]);
+
+        this.members = Object.fromEntries(members.map(member => [member.id, member]));
+
+        const callsByCaller = groupByLink(calls, CALL.CALLER);
+        const followupsByCaller = groupByLink(followups, FOLLOWUP.CALLER);
+        const fetchedAt = Date.now();
+
+        // Only the newest warmCallLimit calls are read: when the limit was hit,
+        // a caller with fewer warmed calls than the screen-pop shows may have
+        // older ones, so they aren't warmed - their old entry (if any) is kept
+        // and expires as usual, and they are looked up live
+        const allCallsRead = calls.length < this.config.warmCallLimit;
+
+        // Rebuilt from scratch, so a number no caller has any more (changed,
+        // merged away, deleted) stops popping the old caller. Kept from the old
+        // cache: "not a caller" answers, live lookups newer than these reads
+        // and callers that weren't warmed
+        const entries = new Map();
+        const unwarmed = new Set();
+        callers.forEach(caller => {
+          const phone = phoneNumbers.normalize(caller[CALLER.PHONE]);
+          if (!phone) return;
+          const callerCalls = callsByCaller[caller.id] || [];
+          if (!allCallsRead && callerCalls.length < this.config.recentCalls) {
+            unwarmed.add(phone);
+            return;
+          }
+          const result = this.buildResult(phone, caller, callerCalls, followupsByCaller[caller.id] || []);
+          entries.set(phone, { result, fetchedAt });
+        });
+        this.entries.forEach((cached, phone) => {
+          if (entries.has(phone)) return;
+          if (!cached.result.known || cached.fetchedAt >= started || unwarmed.has(phone)) entries.set(phone, cached);
+        });
+        this.entries = entries;
+
+        this.stats.lastWarmAt = new Date(fetchedAt).toISOString();
+        this.stats.lastWarmMs = fetchedAt - started;
+        console.log(`🔥 Caller lookup cache warmed: ${callers.length - unwarmed.size} callers in ${fetchedAt - started}ms${unwarmed.size ? ` (${unwarmed.size} with older calls left to live lookups)` : ''}`);
+      } catch (error) {
+        this.stats.lastError = error.message;
+        console.error(`⚠️  Caller lookup: cache warm failed: ${error.message}`);
+        throw error;
+      } finally {
+        this.warming = null;
+      }
+    })();
+
+    return this.warming;
+  }
+
+  /**
+   * Look up a phone number within the latency budget
+   * @param {string} rawPhone - Number in any format
+   * @returns {Object} Lookup result plus { source: cache|live|stale|pending, elapsedMs }
+   */
+  async lookup(rawPhone) {
+    const started = Date.now();
+    this.stats.lookups++;
+
+    const phone = phoneNumbers.normalize(rawPhone);
+    if (!phone) {
+      return this.answer({ ...emptyResult(rawPhone || null), valid: false }, 'invalid', started);
+    }
+
+    const cached = this.entries.get(phone);
+    if (cached && started - cached.fetchedAt < this.config.cacheTtlMs) {
+      this.stats.cacheHits++;
+      return this.answer(cached.result, 'cache', started);
+    }
+
+    const live = this.refresh(phone);
+    let timer;
+    const budget = new Promise(resolve => { timer = setTimeout(() => resolve(null), this.config.latencyBudgetMs); });
+    const result = await Promise.race([live.catch(() => null), budget]);
+    clearTimeout(timer);
+
+    if (result) {
+      this.stats.liveLookups++;
+      return this.answer(result, 'live', started);
+    }
+
+    this.stats.overBudget++;
+    if (cached) {
+      this.stats.staleAnswers++;
+      return this.answer(cached.result, 'stale', started);
+    }
+    return this.answer({ ...emptyResult(phone), known: null }, 'pending', started);
+  }
+
+  /**
+   * Cached lookup for a number, without ever reading Airtable
+   * @param {string} rawPhone - Number in any format
+   * @returns {Object|null} Cached result (possibly expired), or null
+   */
+  peek(rawPhone) {
+    const phone = phoneNumbers.normalize(rawPhone);
+    const cached = phone && this.entries.get(phone);
+    return cached ? cached.result : null;
+  }
+
+  /**
+   * Fetch one number from Airtable and cache it (concurrent calls share one fetch)
+   * @param {string} phone - E.164 number
+   */
+  refresh(phone) {
+    if (this.inflight.has(phone)) return this.inflight.get(phone);
+
+    const fetch = (async () => {
+      try {
+        const caller = await callerService.findByPhone(phone);
+        let result = emptyResult(phone);
+
+        if (caller) {
+          const [calls, followups] = await Promise.all([
+            callService.getCallsByCaller(caller.id, { maxRecords: this.config.recentCalls }),
+            followupService.getByCaller(caller.id)
+          ]);
+          await this.loadMentor(caller);
+          result = this.buildResult(
+            phone,
+            caller,
+            calls,
+            followups.filter(followup => OPEN_FOLLOWUP_STATUSES.includes(followup[FOLLOWUP.STATUS]))
+          );
+        }
+
+        this.entries.set(phone, { result, fetchedAt: Date.now() });
+        return result;
+      } catch (error) {
+        this.stats.lastError = error.message;
+        console.error(`⚠️  Caller lookup for ${phone} failed: ${error.message}`);
+        throw error;
+      } finally {
+        this.inflight.delete(phone);
+      }
+    })();
+
+    this.inflight.set(phone, fetch);
+    return fetch;
+  }
+
+  /**
+   * Expire a number's cached lookup and reload it in the background
+   * (called when a call from that number is merged). The old entry is kept
+   * as the stale answer until the reload lands.
+   * @param {string} rawPhone - Number in any format
+   */
+  invalidate(rawPhone) {
+    const phone = phoneNumbers.normalize(rawPhone);
+    const cached = phone && this.entries.get(phone);
+    if (!cached) return;
+    cached.fetchedAt = 0;
+    this.refresh(phone).catch(() => {});
+  }
+
+  async loadMentor(caller) {
+    const mentorId = (caller[CALLER.ASSIGNED_MENTOR] || [])[0];
+    if (mentorId && !this.members[mentorId]) {
+      this.members[mentorId] = await teamMemberService.getMemberById(mentorId);
+    }
+  }
+
+  buildResult(phone, caller, calls, openFollowups) {
+    const member = id => {
+      const record = id && this.members[id];
+      return record
+        ? { id, name: record[MEMBER.NAME] || null, extension: record[MEMBER.PHONE_EXTENSION] || null }
+        : (id ? { id, name: null, extension: null } : null);
+    };
+
+    const recentCalls = [...calls]
+      .sort((a, b) => String(b[CALL.DATE_TIME] || '').localeCompare(String(a[CALL.DATE_TIME] || '')))
+      .slice(0, this.config.recentCalls)
+      .map(call => ({
+        id: call.id,
+        at: call[CALL.DATE_TIME] || null,
+        direction: call[CALL.DIRECTION] || null,
+        finalStatus: call[CALL.FINAL_STATUS] || null,
+        durationSeconds: call[CALL.DURATION] || 0,
+        receivedBy: (member((call[CALL.RECEIVED_BY] || [])[0]) || {}).name || null,
+        summary: call[CALL.SUMMARY] || null
+      }));
+
+    const pending = [...openFollowups]
+      .sort((a, b) => String(a[FOLLOWUP.DUE_DATE_TIME] || '9999').localeCompare(String(b[FOLLOWUP.DUE_DATE_TIME] || '9999')))[0];
+
+    return {
+      phone,
+      known: true,
+      caller: {
+        id: caller.id,
+        callerId: caller[CALLER.CALLER_ID] || null,
+        name: caller[CALLER.NAME] || null,
+        status: caller[CALLER.STATUS] || null,
+        primaryIssue: caller[CALLER.PRIMARY_ISSUE] || null,
+        contactPreference: caller[CALLER.CONTACT_PREFERENCE] || null,
+        bestTimes: caller[CALLER.BEST_TIMES] || null
+      },
+      assignedMentor: member((caller[CALLER.ASSIGNED_MENTOR] || [])[0]),
+      recentCalls,
+      pendingFollowup: pending
+        ? {
+          id: pending.id,
+          type: pending[FOLLOWUP.TYPE] || null,
+          status: pending[FOLLOWUP.STATUS] || null,
+          priority: pending[FOLLOWUP.PRIORITY] || null,
+          dueAt: pending[FOLLOWUP.DUE_DATE_TIME] || null,
+          assignedTo: (member((pending[FOLLOWUP.ASSIGNED_TO] || [])[0]) || {}).name || null,
+          notes: pending[FOLLOWUP.NOTES] || null
+        }
+        : null
+    };
+  }
+
+  answer(result, source, started) {
+    const elapsedMs = Date.now() - started;
+    this.latencies.push(elapsedMs);
+    if (this.latencies.length > LATENCY_SAMPLES) this.latencies.shift();
+    return { ...result, source, elapsedMs };
+  }
+
+  /**
+   * Cache size, hit rate and lookup latency (for the status endpoint)
+   */
+  getStatus() {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const percentile = p => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null);
+
+    return {
+      cachedNumbers: this.entries.size,
+      latencyBudgetMs: this.config.latencyBudgetMs,
+      cacheTtlSeconds: Math.round(this.config.cacheTtlMs / 1000),
+      hitRate: this.stats.lookups ? Math.round(this.stats.cacheHits / this.stats.lookups * 100) / 100 : null,
+      latency: { samples: sorted.length, p50Ms: percentile(0.5), p95Ms: percentile(0.95), maxMs: sorted.length ? sorted[sorted.length - 1] : null },
+      ...this.stats
+    };
+  }
+}
+
+function emptyResult(phone) {
+  return {
+    phone,
+    known: false,
+    caller: null,
+    assignedMentor: null,
+    recentCalls: [],
+    pendingFollowup: null
+  };
+}
+
+function groupByLink(records, linkField) {
+  const grouped = {};
+  records.forEach(record => (record[linkField] || []).forEach(id => (grouped[id] = grouped[id] || []).push(record)));
+  return grouped;
+}
+
+module.exports = new CallerLookupService();
@@ -1,4 +1,9 @@
-const { base, tables, fields } = require('../config/airtable');
+const { tables, fields } = require('../config/airtable');
+const store = require('../storage');
+const phoneNumbers = require('../shared/phone');
+const callerChangeService = require('./callerChanges');
+const followupService = require('./followups');
+const contactWindows = require('./contactWindows');
 
 const F = fields.callers;
 
@@ -24,15 +29,7 @@ class CallerService {
         queryOptions.sort = options.sort;
       }
       
-      const query = base(tables.callers).select(queryOptions);
-
-      const records = [];
-      await query.eachPage((pageRecords, fetchNextPage) => {
-        records.push(...pageRecords.map(r => ({ id: r.id, ...r.fields })));
-        fetchNextPage();
-      });
-
-      return records;
+      return await store.select(tables.callers, queryOptions);
     } catch (error) {
       throw new Error(`Failed to fetch callers: ${error.message}`);
     }
@@ -43,8 +40,7 @@ class CallerService {
    */
   async getCallerById(recordId) {
     try {
-      const record = await base(tables.callers).find(recordId);
-      return { id: record.id, ...record.fields };
+      return await store.find(tables.callers, recordId);
     } catch (error) {
       throw new Error(`Failed to fetch caller ${recordId}: ${error.message}`);
     }
@@ -52,17 +48,14 @@ class CallerService {
 
   /**
    * Find caller by phone number
-   * @param {string} phone - Phone number to search
+   * Matches the E.164 form and the spellings older records may still be saved in
+   * @param {string} phone - Phone number to search (any format)
    */
   async findByPhone(phone) {
-    // Normalize phone number for search (remove common formatting)
-    const normalizedPhone = phone.replace(/[\s\-\(\)]/g, '');
-    
+    if (!phone) return null;
+
     const callers = await this.getAllCallers({
-      filterByFormula: `OR(
-        {${F.PHONE}} = '${phone}',
-        {${F.PHONE}} = '${normalizedPhone}'
-      )`
+      filterByFormula: phoneNumbers.lookupFormula(F.PHONE, phone)
     });
     return callers[0] || null;
   }
@@ -122,7 +115,7 @@ class CallerService {
   async createCaller(callerData) {
     try {
       const fieldsToCreate = {
-        [F.PHONE]: callerData.phone,
+        [F.PHONE]: storedPhone(callerData.phone),
         [F.STATUS]: callerData.status || 'New',
         [F.FIRST_CONTACT]: callerData.firstContact || new Date().toISOString().split('T')[0]
       };
@@ -131,13 +124,14 @@ class CallerService {
       if (callerData.name) fieldsToCreate[F.NAME] = callerData.name;
       if (callerData.phoneType) fieldsToCreate[F.PHONE_TYPE] = callerData.phoneType;
       if (callerData.contactPreference) fieldsToCreate[F.CONTACT_PREFERENCE] = callerData.contactPreference;
-      if (callerData.bestTimes) fieldsToCreate[F.BEST_TIMES] = callerData.bestTimes;
+      if (callerData.bestTimes) Object.assign(fieldsToCreate, bestTimesFields(callerData.bestTimes));
       if (callerData.primaryIssue) fieldsToCreate[F.PRIMARY_ISSUE] = callerData.primaryIssue;
       if (callerData.assignedMentor) fieldsToCreate[F.ASSIGNED_MENTOR] = [callerData.assignedMentor];
       if (callerData.backgroundNotes) fieldsToCreate[F.BACKGROUND_NOTES] = callerData.backgroundNotes;
 
-      const record = await base(tables.callers).create(fieldsToCreate);
-      return { id: record.id, ...record.fields };
+      const caller = await store.create(tables.callers, fieldsToCreate);
+      await logChanges(null, caller, callerData.changedBy);
+      return caller;
     } catch (error) {
       throw new Error(`Failed to create caller: ${error.message}`);
     }
@@ -146,6 +140,7 @@ class CallerService {
   /**
    * Create or find caller by phone number
    * If caller exists, return existing record; otherwise create new
+   * (the new caller's phone is saved in E.164)
    * @param {Object} callerData - Caller data (must include phone)
    */
   async findOrCreateByPhone(callerData) {
@@ -167,10 +162,10 @@ class CallerService {
       const fieldsToUpdate = {};
 
       if (updateData.name !== undefined) fieldsToUpdate[F.NAME] = updateData.name;
-      if (updateData.phone !== undefined) fieldsToUpdate[F.PHONE] = updateData.phone;
+      if (updateData.phone !== undefined) fieldsToUpdate[F.PHONE] = storedPhone(updateData.phone);
       if (updateData.phoneType !== undefined) fieldsToUpdate[F.PHONE_TYPE] = updateData.phoneType;
       if (updateData.contactPreference !== undefined) fieldsToUpdate[F.CONTACT_PREFERENCE] = updateData.contactPreference;
-      if (updateData.bestTimes !== undefined) fieldsToUpdate[F.BEST_TIMES] = updateData.bestTimes;
+      if (updateData.bestTimes !== undefined) Object.assign(fieldsToUpdate, bestTimesFields(updateData.bestTimes));
       if (updateData.primaryIssue !== undefined) fieldsToUpdate[F.PRIMARY_ISSUE] = updateData.primaryIssue;
       if (updateData.assignedMentor !== undefined) {
         fieldsToUpdate[F.ASSIGNED_MENTOR] = updateData.assignedMentor ? [updateData.assignedMentor] : [];
@@ -178,13 +173,61 @@ class CallerService {
       if (updateData.status !== undefined) fieldsToUpdate[F.STATUS] = updateData.status;
       if (updateData.backgroundNotes !== undefined) fieldsToUpdate[F.BACKGROUND_NOTES] = updateData.backgroundNotes;
 
-      const record = await base(tables.callers).update(recordId, fieldsToUpdate);
-      return { id: record.id, ...record.fields };
+      // Status and mentor changes are logged for the caller history
+      const tracked = updateData.status !== undefined || updateData.assignedMentor !== undefined;
+      const before = tracked ? await store.find(tables.callers, recordId) : null;
+
+      const caller = await store.update(tables.callers, recordId, fieldsToUpdate);
+      if (tracked) await logChanges(before, caller, updateData.changedBy);
+      if (tracked) await pauseRecurrence(before, caller);
+      return caller;
     } catch (error) {
       throw new Error(`Failed to update caller ${recordId}: ${error.message}`);
     }
   }
 
+  /**
+   * A caller's contact window: Best Times, the model read from them, and
+   * whether the caller can be called now
+   * @param {string} recordId - Caller record ID
+   */
+  async getContactWindow(recordId, now = Date.now()) {
+    try {
+      const caller = await store.find(tables.callers, recordId);
+      const model = contactWindows.forCaller(caller);
+      const nextOpening = contactWindows.nextOpening(model, now);
+      return {
+        callerId: recordId,
+        bestTimes: caller[F.BEST_TIMES] || null,
+        status: caller[F.CONTACT_WINDOW_STATUS] || null,
+        contactWindow: JSON.parse(contactWindows.serialize(model)),
+        summary: contactWindows.summary(model),
+        openNow: nextOpening === now,
+        nextOpening: new Date(nextOpening).toISOString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch contact window for caller ${recordId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set a caller's contact window directly (Best Times stays as the caller said it)
+   * @param {string} recordId - Caller record ID
+   * @param {Object} window - { timeZone, windows: [{ days, start, end }], never: [{ days, start?, end? }] }
+   * @throws {Error} When the window is invalid (before anything is saved)
+   */
+  async setContactWindow(recordId, window) {
+    const model = { ...contactWindows.validate(window), unparsed: [] };
+    try {
+      return await store.update(tables.callers, recordId, {
+        [F.CONTACT_WINDOW]: contactWindows.serialize(model),
+        [F.CONTACT_WINDOW_STATUS]: contactWindows.status(model)
+      });
+    } catch (error) {
+      throw new Error(`Failed to save contact window for caller ${recordId}: ${error.message}`);
+    }
+  }
+
   /**
    * Assign a mentor to a caller
    * @param {string} callerRecordId - Caller record ID
@@ -223,4 +266,51 @@ class CallerService {
   }
 }
 
+/**
+ * Best Times with the contact window parsed from them (flagged Needs Review
+ * when part of the text wasn't understood)
+ */
+function bestTimesFields(bestTimes) {
+  if (!bestTimes) {
+    return { [F.BEST_TIMES]: bestTimes, [F.CONTACT_WINDOW]: '', [F.CONTACT_WINDOW_STATUS]: null };
+  }
+  const model = contactWindows.parse(bestTimes);
+  return {
+    [F.BEST_TIMES]: bestTimes,
+    [F.CONTACT_WINDOW]: contactWindows.serialize(model),
+    [F.CONTACT_WINDOW_STATUS]: contactWindows.status(model)
+  };
+}
+
+/**
+ * Phone value to save - E.164 when the number normalizes, otherwise as entered
+ */
+function storedPhone(phone) {
+  return phoneNumbers.normalize(phone) || phone;
+}
+
+/**
+ * Log Status / Assigned Mentor changes - a missing Caller Changes table
+ * shouldn't fail the caller update itself
+ */
+async function logChanges(before, after, changedBy) {
+  try {
+    await callerChangeService.recordDifferences(before, after, { changedBy });
+  } catch (error) {
+    console.warn(`⚠️  Caller ${after.id} saved but change not logged: ${error.message}`);
+  }
+}
+
+/**
+ * A caller who became Stable, Closed or Referred Out stops getting recurring check-ins
+ */
+async function pauseRecurrence(before, after) {
+  if (before[F.STATUS] === after[F.STATUS] || !followupService.pausesRecurrence(after[F.STATUS])) return;
+  try {
+    await followupService.pauseRecurrenceForCaller(after.id, `caller is ${after[F.STATUS]}`);
+  } catch (error) {
+    console.warn(`⚠️  Caller ${after.id} saved but recurring follow-ups not paused: ${error.message}`);
+  }
+}
+
 module.exports = new CallerService();
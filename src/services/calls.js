@@ -1,4 +1,5 @@
-const { base, tables, fields } = require('../config/airtable');
+const { tables, fields } = require('../config/airtable');
+const store = require('../storage');
 
 const F = fields.calls;
 
@@ -24,15 +25,7 @@ class CallService {
         selectOptions.filterByFormula = options.filterByFormula;
       }
       
-      const query = base(tables.calls).select(selectOptions);
-
-      const records = [];
-      await query.eachPage((pageRecords, fetchNextPage) => {
-        records.push(...pageRecords.map(r => ({ id: r.id, ...r.fields })));
-        fetchNextPage();
-      });
-
-      return records;
+      return await store.select(tables.calls, selectOptions);
     } catch (error) {
       throw new Error(`Failed to fetch calls: ${error.message}`);
     }
@@ -43,8 +36,7 @@ class CallService {
    */
   async getCallById(recordId) {
     try {
-      const record = await base(tables.calls).find(recordId);
-      return { id: record.id, ...record.fields };
+      return await store.find(tables.calls, recordId);
     } catch (error) {
       throw new Error(`Failed to fetch call ${recordId}: ${error.message}`);
     }
@@ -95,9 +87,11 @@ class CallService {
   /**
    * Get calls by caller
    * @param {string} callerRecordId - Caller record ID
+   * @param {Object} options - Query options (maxRecords, sort)
    */
-  async getCallsByCaller(callerRecordId) {
+  async getCallsByCaller(callerRecordId, options = {}) {
     return this.getAllCalls({
+      ...options,
       filterByFormula: `FIND('${callerRecordId}', ARRAYJOIN({${F.CALLER}}, ',')) > 0`
     });
   }
@@ -172,6 +166,7 @@ class CallService {
       if (callData.caller) fieldsToCreate[F.CALLER] = [callData.caller];
       if (callData.receivedBy) fieldsToCreate[F.RECEIVED_BY] = [callData.receivedBy];
       if (callData.mentorForFollowup) fieldsToCreate[F.MENTOR_FOR_FOLLOWUP] = [callData.mentorForFollowup];
+      if (callData.followup) fieldsToCreate[F.FOLLOWUP] = [callData.followup];
 
       // Optional fields
       if (callData.callType) fieldsToCreate[F.CALL_TYPE] = callData.callType;
@@ -204,8 +199,7 @@ class CallService {
       if (callData.webhookEvents !== undefined) fieldsToCreate[F.WEBHOOK_EVENTS] = callData.webhookEvents;
       if (callData.rawWebhookData) fieldsToCreate[F.RAW_WEBHOOK_DATA] = callData.rawWebhookData;
 
-      const record = await base(tables.calls).create(fieldsToCreate);
-      return { id: record.id, ...record.fields };
+      return await store.create(tables.calls, fieldsToCreate);
     } catch (error) {
       throw new Error(`Failed to create call: ${error.message}`);
     }
@@ -260,9 +254,10 @@ class CallService {
       if (updateData.mentorForFollowup !== undefined) {
         fieldsToUpdate[F.MENTOR_FOR_FOLLOWUP] = updateData.mentorForFollowup ? [updateData.mentorForFollowup] : [];
       }
+      if (updateData.followup !== undefined) fieldsToUpdate[F.FOLLOWUP] = updateData.followup ? [updateData.followup] : [];
       if (updateData.urgency !== undefined) fieldsToUpdate[F.URGENCY] = updateData.urgency;
       if (updateData.followupCreated !== undefined) fieldsToUpdate[F.FOLLOWUP_CREATED] = updateData.followupCreated;
-      if (updateData.telebroadCallId !== undefined) fieldsToUpdate[F.TELEBROAD_CALL_ID] = updateData.telebroadCallId;
+      if (updateData.telebroadCallId !== undefined) fieldsToUpdate[F.TB_CALL_ID] = updateData.telebroadCallId;
 
       // New Telebroad-specific fields
       if (updateData.callerNumber !== undefined) fieldsToUpdate[F.CALLER_NUMBER] = updateData.callerNumber;
@@ -279,8 +274,7 @@ class CallService {
       if (updateData.webhookEvents !== undefined) fieldsToUpdate[F.WEBHOOK_EVENTS] = updateData.webhookEvents;
       if (updateData.rawWebhookData !== undefined) fieldsToUpdate[F.RAW_WEBHOOK_DATA] = updateData.rawWebhookData;
 
-      const record = await base(tables.calls).update(recordId, fieldsToUpdate);
-      return { id: record.id, ...record.fields };
+      return await store.update(tables.calls, recordId, fieldsToUpdate);
     } catch (error) {
       throw new Error(`Failed to update call ${recordId}: ${error.message}`);
     }
@@ -346,7 +340,7 @@ class CallService {
    */
   async deleteCall(recordId) {
     try {
-      await base(tables.calls).destroy(recordId);
+      await store.destroy(tables.calls, recordId);
       return { success: true, id: recordId };
     } catch (error) {
       throw new Error(`Failed to delete call ${recordId}: ${error.message}`);
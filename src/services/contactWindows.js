@@ -0,0 +1,593 @@
+const { fields } = require('../config/airtable');
+const callbacksConfig = require('../config/callbacks');
+const calendarConfig = require('../config/calendar');
+const calendar = require('./calendar');
+
+const CALLER = fields.callers;
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+// The helpline's week: Sunday - Thursday
+const WEEKDAYS = [0, 1, 2, 3, 4];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Words for days, most specific first (each match is blanked out before the next)
+const DAY_PATTERNS = [
+  { pattern: /\bmotz(?:ei|aei)?[\s-]*shab+(?:os|bos|at|es)\b|\bmotzash\b|\bsat(?:urday)?\s+nights?\b/g, days: [6], period: 'night' },
+  { pattern: /\bshab+(?:os|bos|at|es)\b/g, days: [6] },
+  { pattern: /\bweek\s*nights?\b/g, days: WEEKDAYS, period: 'night' },
+  { pattern: /\bweek\s*days?\b/g, days: WEEKDAYS },
+  { pattern: /\bweekends?\b/g, days: [6, 0] },
+  { pattern: /\b(?:every\s*day|daily|any\s*day)\b/g, days: ALL_DAYS }
+];
+const DAY_NAME = /\b(sun|mon|tue|wed|thu|fri|sat)(?:day|s|sday|nesday|r|rs|rsday|urday)?s?\b/g;
+const DAY_INDEX = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+// Times of day (minutes after midnight; null end = the end of calling hours)
+const PERIODS = [
+  { pattern: /\bmornings?\b/, start: 9 * 60, end: 12 * 60 },
+  { pattern: /\b(?:lunch(?:\s*time)?|midday)\b/, start: 12 * 60, end: 13 * 60 + 30 },
+  { pattern: /\bafternoons?\b/, start: 12 * 60, end: 17 * 60 },
+  { pattern: /\bevenings?\b/, start: 17 * 60, end: 21 * 60 },
+  { pattern: /\b(?:nights?|late)\b/, start: 20 * 60, end: null },
+  { pattern: /\b(?:any\s*time|all\s*day)\b/, start: null, end: null }
+];
+const TIME = '(\\d{1,2})(?::(\\d{2}))?\\s*([ap]\\.?(?:m\\.?)?(?![a-z]))?|noon|midnight';
+const RANGE = new RegExp(`(?:between\\s+)?(${TIME})\\s*(?:-|–|to|until|till|and)\\s*(${TIME})`);
+const AFTER = new RegExp(`\\b(?:after|from)\\s+(${TIME})`);
+const BEFORE = new RegExp(`\\b(?:before|until|till)\\s+(${TIME})`);
+// "Never call on" rules - "not Fridays", "no calls before 10am", "weeknights except Tuesday"
+const NEGATION = /\b(?:not|never|no|don'?t|avoid)\b/;
+// Clauses whose bare hours are evening ones ("evenings after 8")
+const EVENING = /\b(?:evenings?|nights?|tonight)\b/;
+const EXCEPT = /\b(?:except(?:\s+(?:on|for))?|but\s+not)\b/g;
+
+// Time zones a caller may give ("after 9pm Central") - windows are in the caller's time
+const TIME_ZONES = [
+  { pattern: /\b(?:eastern(?:\s+time)?|e[sd]t)\b/g, timeZone: 'America/New_York' },
+  { pattern: /\b(?:central(?:\s+time)?|c[sd]t)\b/g, timeZone: 'America/Chicago' },
+  { pattern: /\b(?:mountain(?:\s+time)?|m[sd]t)\b/g, timeZone: 'America/Denver' },
+  { pattern: /\b(?:pacific(?:\s+time)?|p[sd]t)\b/g, timeZone: 'America/Los_Angeles' },
+  { pattern: /\b(?:israel(?:i)?(?:\s+time)?|eretz\s+yisr[ao]el)\b/g, timeZone: 'Asia/Jerusalem' },
+  { pattern: /\b(?:uk|london|gmt|bst)(?:\s+time)?\b/g, timeZone: 'Europe/London' }
+];
+const CLOCK = /^(\d{1,2}):(\d{2})$/;
+// Where Best Times splits into clauses - "and" only before a new day or time
+// ("Sunday 10am-12pm and Wednesday 3-4pm", not "between 7 and 9pm")
+const CLAUSE_BREAK = /[;\n]|,|\bor\b|\.(?=\s|$)|\band\b(?=\s*(?:after|before|between|from|any|all|\w+ings?\b|(?:sun|mon|tue|wed|thu|fri|sat|week|motz|shab)\w*))/;
+
+/**
+ * Contact Window Service
+ *
+ * A caller's contact window is the model behind their free-text Best Times
+ * ("After 9pm weeknights", "Mon/Wed 7-9pm Central, never Fridays"):
+ *   { timeZone, windows: [{ days, start, end }], never: [{ days, start, end }], unparsed }
+ * with days 0 (Sunday) - 6 and times in minutes after midnight of the
+ * caller's time zone (helpline time when none is given). `never` rules take
+ * precedence over windows; `unparsed` keeps what the parser didn't
+ * understand, so the caller can be flagged for review.
+ *
+ * Callers keep the model in Contact Window (JSON) - written whenever Best
+ * Times changes, or set directly - and callers saved before it existed are
+ * parsed on the fly. With no usable windows the window is CALLBACK_HOURS_START -
+ * CALLBACK_HOURS_END every day, and Shabbos and Yom Tov are never open.
+ */
+class ContactWindowService {
+  constructor(config = callbacksConfig) {
+    this.config = config;
+  }
+
+  /**
+   * Parse Best Times into a contact window
+   * @param {string} text - Free text from the caller record
+   * @returns {Object} { timeZone, windows, never, unparsed: [clauses not understood] }
+   */
+  parse(text) {
+    const windows = [];
+    const never = [];
+    const unparsed = [];
+    let pending = { days: null, ranges: null };
+    // "never Thursday, Friday" - bare days right after a never rule belong to it
+    let negating = false;
+    const union = (a, b) => [...new Set([...(a || []), ...b])].sort();
+
+    const flush = () => {
+      const ranges = pending.ranges || [this.callingHours()];
+      ranges.forEach(range => windows.push({ days: pending.days || ALL_DAYS, ...range }));
+      pending = { days: null, ranges: null };
+    };
+
+    let value = String(text || '').toLowerCase();
+    let timeZone = null;
+    TIME_ZONES.forEach(entry => {
+      value = value.replace(entry.pattern, () => {
+        timeZone = timeZone || entry.timeZone;
+        return ' ';
+      });
+    });
+
+    value.replace(EXCEPT, ', not ')
+      .split(CLAUSE_BREAK)
+      .map(clause => clause.trim())
+      .filter(Boolean)
+      .forEach(clause => {
+        if (NEGATION.test(clause)) {
+          const rules = this.parseNever(clause);
+          if (rules) never.push(...rules);
+          if (!rules || unusedTime(clause, true) || guessedTime(clause, false)) unparsed.push(clause);
+          negating = !!rules;
+          return;
+        }
+        const { days, period } = parseDays(clause);
+        // "weeknights" / "evenings after 8" mean nights unless a time is given ("7-9pm, weeknights")
+        const evening = period === 'night' || EVENING.test(clause);
+        let ranges = this.parseRanges(clause, { evening });
+        if (negating && days && !ranges && !period) {
+          never.push({ days, start: 0, end: 24 * 60 });
+          return;
+        }
+        negating = false;
+        if (!ranges && period && !pending.ranges) ranges = [this.period(period)];
+        if (!days && !ranges) {
+          unparsed.push(clause);
+          return;
+        }
+        // Only the first time of a clause is read, and a bare "after 8" may be
+        // AM or PM - keep what was read, but have someone check
+        if (unusedTime(clause, !!ranges) || (ranges && guessedTime(clause, evening))) unparsed.push(clause);
+        // A clause with only days or only times pairs up with its neighbours
+        // ("Mon, Wed 7-9pm", "evenings, Sun and Mon")
+        if (days && ranges) {
+          if (pending.ranges) flush();
+          pending.days = union(pending.days, days);
+          pending.ranges = ranges;
+          flush();
+        } else if (days) {
+          pending.days = union(pending.days, days);
+          if (pending.ranges) flush();
+        } else {
+          pending.ranges = (pending.ranges || []).concat(ranges);
+          if (pending.days) flush();
+        }
+      });
+    if (pending.days || pending.ranges) flush();
+
+    return { timeZone, windows, never, unparsed };
+  }
+
+  /**
+   * A "never call on" clause as rules - days alone are the whole day, times
+   * alone are every day. Null when it names neither.
+   */
+  parseNever(clause) {
+    const { days } = parseDays(clause);
+    let range = null;
+    const between = RANGE.exec(clause);
+    const after = AFTER.exec(clause);
+    const before = BEFORE.exec(clause);
+    if (between) {
+      const [start, end] = parseTimePair(between[1], between[5], false);
+      if (start !== null && end !== null && end > start) range = { start, end };
+    } else if (after && parseTime(after[1]) !== null) {
+      range = { start: parseTime(after[1]), end: 24 * 60 };
+    } else if (before && parseTime(before[1]) !== null) {
+      range = { start: 0, end: parseTime(before[1]) };
+    } else {
+      const period = PERIODS.find(candidate => candidate.pattern.test(clause) && candidate.start !== null);
+      if (period) range = { start: period.start, end: period.end === null ? 24 * 60 : period.end };
+    }
+
+    if (!days && !range) return null;
+    return [{ days: days || ALL_DAYS, ...(range || { start: 0, end: 24 * 60 }) }];
+  }
+
+  /**
+   * A caller's contact window - the saved Contact Window, or their Best Times
+   * parsed now when there is none (or it can't be read)
+   * @param {Object|null} caller - Callers record
+   */
+  forCaller(caller) {
+    if (!caller) return this.parse('');
+    if (caller[CALLER.CONTACT_WINDOW]) {
+      try {
+        return this.deserialize(caller[CALLER.CONTACT_WINDOW]);
+      } catch (error) {
+        console.warn(`⚠️  Caller ${caller.id}: ${error.message} - using Best Times`);
+      }
+    }
+    return this.parse(caller[CALLER.BEST_TIMES]);
+  }
+
+  /**
+   * 'Parsed', or 'Needs Review' when part of the Best Times wasn't understood
+   */
+  status(model) {
+    return model.unparsed.length > 0 ? 'Needs Review' : 'Parsed';
+  }
+
+  /**
+   * The first moment at or after `from` inside the contact window, outside its
+   * "never" rules and outside Shabbos / Yom Tov (ms)
+   * @param {Object|string} window - Contact window, or free-text Best Times
+   * @param {number} from - Earliest moment (ms)
+   */
+  nextOpening(window, from = Date.now()) {
+    const model = this.resolve(window);
+    const timeZone = model.timeZone || calendarConfig.timeZone;
+    const hours = [{ days: ALL_DAYS, ...this.callingHours() }];
+    // Best Times that only ever fall on Shabbos ("Saturday afternoon") fall back to calling hours
+    return (model.windows.length > 0 && firstOpen(model.windows, model.never, timeZone, from)) ||
+      firstOpen(hours, model.never, timeZone, from) || from;
+  }
+
+  /**
+   * Whether a moment falls inside the contact window (no windows: calling hours)
+   */
+  isWithin(window, time = Date.now()) {
+    return this.nextOpening(window, time) === time;
+  }
+
+  /**
+   * Why a callback at `time` is outside the contact window, or null when it isn't
+   * @param {Object|string} window - Contact window, or free-text Best Times
+   * @returns {Object|null} { reason, nextOpening (ms), message }
+   */
+  check(window, time) {
+    const model = this.resolve(window);
+    const nextOpening = this.nextOpening(model, time);
+    if (nextOpening === time) return null;
+
+    const timeZone = model.timeZone || calendarConfig.timeZone;
+    const blocked = ruleAt(model.never, timeZone, time);
+    let reason;
+    if (calendar.windowAt(time)) {
+      reason = 'Shabbos / Yom Tov';
+    } else if (blocked) {
+      reason = `the caller asked not to be called ${this.describe([blocked])[0]}`;
+    } else if (model.windows.length > 0) {
+      reason = `outside Best Times (${this.describe(model.windows).join(', ')})`;
+    } else {
+      reason = 'outside calling hours';
+    }
+    if (model.timeZone && model.timeZone !== calendarConfig.timeZone) reason += ` [${model.timeZone}]`;
+
+    return { reason, nextOpening, message: `${formatMoment(time)}: ${reason} - next opening ${formatMoment(nextOpening)}` };
+  }
+
+  /**
+   * A contact window for display: readable windows and rules
+   */
+  summary(window) {
+    const model = this.resolve(window);
+    return {
+      timeZone: model.timeZone || calendarConfig.timeZone,
+      windows: model.windows.length > 0 ? this.describe(model.windows) : [`Calling hours: ${this.describe([{ days: ALL_DAYS, ...this.callingHours() }])[0]}`],
+      never: this.describe(model.never),
+      unparsed: model.unparsed
+    };
+  }
+
+  /**
+   * Readable windows, e.g. "Sun-Thu 9:00 PM - 10:00 PM", "Fri all day"
+   */
+  describe(windows) {
+    return windows.map(window => {
+      const times = window.start === 0 && window.end >= 24 * 60
+        ? 'all day'
+        : `${formatMinutes(window.start)} - ${formatMinutes(window.end)}`;
+      return `${describeDays(window.days)} ${times}`;
+    });
+  }
+
+  /**
+   * The Contact Window field value (JSON, days as names and times as "HH:MM")
+   */
+  serialize(model) {
+    const stored = rule => ({ days: rule.days.map(day => DAY_NAMES[day].slice(0, 3)), start: clock(rule.start), end: clock(rule.end) });
+    return JSON.stringify({
+      timeZone: model.timeZone || null,
+      windows: model.windows.map(stored),
+      never: model.never.map(stored),
+      unparsed: model.unparsed
+    });
+  }
+
+  /**
+   * Read a Contact Window field value
+   * @throws {Error} When it isn't a valid contact window
+   */
+  deserialize(json) {
+    let value;
+    try {
+      value = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Contact Window is not valid JSON');
+    }
+    return this.validate(value);
+  }
+
+  /**
+   * A contact window from its stored / API form:
+   * { timeZone, windows: [{ days: ['Mon', 'Wed'], start: '19:00', end: '21:00' }], never: [{ days: ['Fri'] }] }
+   * (a never rule without times is the whole day)
+   * @throws {Error} When a part of it is invalid
+   */
+  validate(value) {
+    if (!value || typeof value !== 'object') throw new Error('Contact window must be an object');
+    const timeZone = value.timeZone || null;
+    if (timeZone && !calendar.isTimeZone(timeZone)) {
+      throw new Error(`Contact window time zone "${timeZone}" is not a known time zone`);
+    }
+    const rules = (list, name, wholeDay) => {
+      if (list === undefined || list === null) return [];
+      if (!Array.isArray(list)) throw new Error(`Contact window ${name} must be a list`);
+      return list.map((rule, i) => validRule(rule || {}, `${name}[${i}]`, wholeDay));
+    };
+    return {
+      timeZone,
+      windows: rules(value.windows, 'windows', false),
+      never: rules(value.never, 'never', true),
+      unparsed: Array.isArray(value.unparsed) ? value.unparsed.map(String) : []
+    };
+  }
+
+  /**
+   * A contact window from a model, or from Best Times text
+   */
+  resolve(window) {
+    return window && typeof window === 'object' ? window : this.parse(window);
+  }
+
+  callingHours() {
+    return { start: this.config.callingHours.start, end: this.config.callingHours.end };
+  }
+
+  period(name) {
+    const period = PERIODS.find(candidate => candidate.pattern.test(name));
+    const hours = this.callingHours();
+    return {
+      start: period.start === null ? hours.start : period.start,
+      end: period.end === null ? Math.max(hours.end, (period.start || 0) + 60) : period.end
+    };
+  }
+
+  /**
+   * Time ranges in a clause (explicit times first, then words like "evenings")
+   */
+  parseRanges(clause, { evening = false } = {}) {
+    const hours = this.callingHours();
+    const range = RANGE.exec(clause);
+    if (range) {
+      const [start, end] = parseTimePair(range[1], range[5], evening);
+      if (start !== null && end !== null && end > start) return [{ start, end }];
+    }
+    const after = AFTER.exec(clause);
+    if (after) {
+      const start = parseTime(after[1], evening);
+      if (start !== null) return [{ start, end: Math.min(Math.max(hours.end, start + 60), 24 * 60) }];
+    }
+    const before = BEFORE.exec(clause);
+    if (before) {
+      const end = parseTime(before[1]);
+      if (end !== null && end > hours.start) return [{ start: hours.start, end }];
+    }
+    const period = PERIODS.find(candidate => candidate.pattern.test(clause));
+    return period ? [this.period(clause.match(period.pattern)[0])] : null;
+  }
+}
+
+/**
+ * One window / never rule from its stored form
+ */
+function validRule(rule, name, wholeDay) {
+  const days = (Array.isArray(rule.days) ? rule.days : []).map(day => {
+    if (Number.isInteger(day) && day >= 0 && day <= 6) return day;
+    const match = /^(sun|mon|tue|wed|thu|fri|sat)/.exec(String(day).toLowerCase());
+    if (!match) throw new Error(`Contact window ${name}: unknown day "${day}"`);
+    return DAY_INDEX[match[1]];
+  });
+  if (days.length === 0) throw new Error(`Contact window ${name}: days are required`);
+
+  const hasTimes = rule.start !== undefined || rule.end !== undefined;
+  if (!hasTimes && wholeDay) return { days: [...new Set(days)].sort(), start: 0, end: 24 * 60 };
+
+  const start = fromClock(rule.start);
+  const end = fromClock(rule.end);
+  if (start === null || end === null) {
+    throw new Error(`Contact window ${name}: start and end must be times like "19:00"`);
+  }
+  if (end <= start) throw new Error(`Contact window ${name}: end must be after start`);
+  return { days: [...new Set(days)].sort(), start, end };
+}
+
+/**
+ * Days named in a clause, or null
+ */
+function parseDays(clause) {
+  let text = clause;
+  const days = new Set();
+  let period = null;
+
+  DAY_PATTERNS.forEach(entry => {
+    text = text.replace(entry.pattern, () => {
+      entry.days.forEach(day => days.add(day));
+      period = period || entry.period || null;
+      return ' ';
+    });
+  });
+
+  // Day names, with "Mon-Thu" / "Sunday through Wednesday" as ranges
+  const names = [...text.matchAll(DAY_NAME)];
+  names.forEach((match, i) => {
+    const day = DAY_INDEX[match[1]];
+    days.add(day);
+    const next = names[i + 1];
+    const between = next ? text.slice(match.index + match[0].length, next.index) : '';
+    if (next && /^\s*(?:-|–|to|through|thru)\s*$/.test(between)) {
+      for (let d = day; d !== DAY_INDEX[next[1]]; d = (d + 1) % 7) days.add(d);
+    }
+  });
+
+  return { days: days.size > 0 ? [...days].sort() : null, period };
+}
+
+/**
+ * Whether a clause has a clock time that wasn't read - any, when no time was
+ * read, else one besides the first (ranges first, then "after", then "before")
+ */
+function unusedTime(clause, read) {
+  const used = read ? [RANGE, AFTER, BEFORE].map(pattern => pattern.exec(clause)).find(Boolean) : null;
+  const rest = used ? `${clause.slice(0, used.index)} ${clause.slice(used.index + used[0].length)}` : clause;
+  return /\d|\bnoon\b|\bmidnight\b/.test(rest);
+}
+
+/**
+ * Whether the time read from a clause is only bare hours ("after 8", "7-9")
+ * with nothing saying AM or PM - the reading is then a guess
+ */
+function guessedTime(clause, evening) {
+  if (evening) return false;
+  const used = [RANGE, AFTER, BEFORE].map(pattern => pattern.exec(clause)).find(Boolean);
+  if (!used) return false;
+  const times = used[5] !== undefined ? [used[1], used[5]] : [used[1]];
+  return times.every(time => {
+    const match = /^(\d{1,2})(?::\d{2})?$/.exec(time.trim());
+    return !!match && parseInt(match[1], 10) >= 1 && parseInt(match[1], 10) <= 12;
+  });
+}
+
+/**
+ * Two times of a range - "7-9pm" takes the meridiem of the end for both
+ */
+function parseTimePair(startText, endText, evening) {
+  let end = parseTime(endText, evening);
+  if (end === 0 && /midnight/.test(endText)) end = 24 * 60;
+
+  const meridiem = /([ap])\.?m?\.?\s*$/.exec(endText.trim());
+  let start = parseTime(startText, evening);
+  if (meridiem && !/[ap]\.?m?\.?\s*$|noon|midnight/.test(startText)) {
+    const shared = parseTime(`${startText}${meridiem[1]}m`);
+    // "10-2pm" is 10 AM to 2 PM
+    if (shared !== null && shared < end) start = shared;
+  }
+  // "7-9" is 7 PM to 9 PM, not 9 AM
+  if (!meridiem && start !== null && end !== null && end <= start && end < 12 * 60 && end + 12 * 60 > start) {
+    end += 12 * 60;
+  }
+  return [start, end];
+}
+
+/**
+ * Minutes after midnight for "7", "7pm", "7:30 p.m.", "noon" - a bare hour
+ * from 1 to 7 is taken as evening (nobody asks for a 7 AM callback), and so
+ * is any bare hour said of evenings or nights ("Motzei Shabbos after 10").
+ * Elsewhere a bare hour is a guess, which parse sends to review (guessedTime)
+ */
+function parseTime(text, evening = false) {
+  const value = text.trim();
+  if (value === 'noon') return 12 * 60;
+  if (value === 'midnight') return 0;
+
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(a|p)?/.exec(value);
+  if (!match) return null;
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  if (hour > 23 || minute > 59) return null;
+
+  if (match[3] === 'p' && hour < 12) hour += 12;
+  else if (match[3] === 'a' && hour === 12) hour = 0;
+  else if (!match[3] && hour >= 1 && (hour <= 7 || (evening && hour < 12))) hour += 12;
+  return hour * 60 + minute;
+}
+
+/**
+ * Earliest moment at or after `from` inside the windows and outside the never
+ * rules and Shabbos / Yom Tov, or null when there is none in the coming weeks
+ */
+function firstOpen(windows, never, timeZone, from) {
+  let time = from;
+  // Each pass either lands in a window or jumps past a Shabbos / Yom Tov or a never rule
+  for (let pass = 0; pass < 12; pass++) {
+    const candidate = nextInWindows(windows, timeZone, time);
+    if (candidate === null) return null;
+    const window = calendar.windowAt(candidate);
+    if (window) {
+      time = window.end;
+      continue;
+    }
+    const rule = ruleAt(never, timeZone, candidate);
+    if (!rule) return candidate;
+    time = calendar.zonedTime(calendar.localDate(candidate, timeZone), rule.end, timeZone);
+  }
+  return null;
+}
+
+/**
+ * Earliest moment at or after `time` inside any window (looks a week ahead)
+ */
+function nextInWindows(windows, timeZone, time) {
+  const today = calendar.localDate(time, timeZone);
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = calendar.addDays(today, offset);
+    const day = calendar.weekday(date);
+    const starts = windows
+      .filter(window => window.days.includes(day))
+      .map(window => ({ start: calendar.zonedTime(date, window.start, timeZone), end: calendar.zonedTime(date, window.end, timeZone) }))
+      .filter(window => window.end > time)
+      .map(window => Math.max(window.start, time));
+    if (starts.length > 0) return Math.min(...starts);
+  }
+  return null;
+}
+
+/**
+ * The never rule a moment falls in, or null
+ */
+function ruleAt(never, timeZone, time) {
+  if (never.length === 0) return null;
+  const parts = calendar.localParts(time, timeZone);
+  const day = calendar.weekday(calendar.localDate(time, timeZone));
+  const minutes = (parts.hour % 24) * 60 + parts.minute;
+  return never.find(rule => rule.days.includes(day) && rule.start <= minutes && minutes < rule.end) || null;
+}
+
+function describeDays(days) {
+  if (days.length === 7) return 'Every day';
+  if (days.join() === WEEKDAYS.join()) return 'Sun-Thu';
+  return days.map(day => DAY_NAMES[day].slice(0, 3)).join('/');
+}
+
+function formatMinutes(minutes) {
+  const hour = Math.floor(minutes / 60) % 24;
+  const minute = String(minutes % 60).padStart(2, '0');
+  return `${hour % 12 || 12}:${minute} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * "HH:MM" (24:00 for the end of the day)
+ */
+function clock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function fromClock(value) {
+  const match = CLOCK.exec(String(value === undefined || value === null ? '' : value).trim());
+  if (!match) return null;
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return parseInt(match[2], 10) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * A moment in helpline time, e.g. "Mon, Oct 19, 9:00 PM"
+ */
+function formatMoment(time) {
+  return new Date(time).toLocaleString('en-US', {
+    timeZone: calendarConfig.timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+module.exports = new ContactWindowService();
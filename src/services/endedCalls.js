@@ -0,0 +1,42 @@
+/**
+ * Recently ended calls
+ *
+ * Telebroad can re-send a call's events after the hang-up (retries, late
+ * deliveries). Whoever keeps calls in memory remembers which ones ended, for
+ * a while, so a late ringing / answered event doesn't bring a call back.
+ * Shared by the live wallboard and presence.
+ */
+class EndedCalls {
+  /**
+   * @param {number} ttlMs - How long an ended call is remembered
+   */
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    // callId → ended at (ms), oldest first
+    this.ended = new Map();
+  }
+
+  add(callId, now = Date.now()) {
+    this.ended.delete(callId);
+    this.ended.set(callId, now);
+    this.prune(now);
+  }
+
+  has(callId, now = Date.now()) {
+    const endedAt = this.ended.get(callId);
+    return endedAt !== undefined && now - endedAt <= this.ttlMs;
+  }
+
+  prune(now = Date.now()) {
+    for (const [callId, endedAt] of this.ended) {
+      if (now - endedAt <= this.ttlMs) break;
+      this.ended.delete(callId);
+    }
+  }
+
+  size() {
+    return this.ended.size;
+  }
+}
+
+module.exports = EndedCalls;
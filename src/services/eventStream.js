@@ -0,0 +1,91 @@
+// SSE comment sent this often so proxies don't close idle streams
+const KEEPALIVE_MS = 25000;
+
+/**
+ * Server-Sent Events fan-out
+ *
+ * Keeps the open SSE responses grouped by a key (an extension, a board, ...)
+ * and writes named events to one key or to everyone. Shared by the
+ * screen-pop and live wallboard streams.
+ */
+class EventStream {
+  constructor() {
+    // key → Set of SSE responses
+    this.subscribers = new Map();
+    this.delivered = 0;
+  }
+
+  /**
+   * Open an SSE stream and keep it until the client disconnects
+   * @param {Object} req - Express request (closed when the client disconnects)
+   * @param {Object} res - Express response
+   * @param {string} key - Group the stream belongs to
+   * @param {Array} initialEvents - [event, data] pairs sent right after the headers
+   */
+  subscribe(req, res, key, initialEvents = []) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+    initialEvents.forEach(([event, data]) => writeEvent(res, event, data));
+
+    if (!this.subscribers.has(key)) this.subscribers.set(key, new Set());
+    this.subscribers.get(key).add(res);
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      const streams = this.subscribers.get(key);
+      if (streams) {
+        streams.delete(res);
+        if (streams.size === 0) this.subscribers.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Write an event to every stream of one key
+   * @returns {number} Streams written to
+   */
+  send(key, event, data) {
+    const streams = this.subscribers.get(key) || new Set();
+    streams.forEach(res => writeEvent(res, event, data));
+    this.delivered += streams.size;
+    return streams.size;
+  }
+
+  /**
+   * Write an event to every open stream
+   * @returns {number} Streams written to
+   */
+  broadcast(event, data) {
+    let count = 0;
+    this.subscribers.forEach((streams, key) => { count += this.send(key, event, data); });
+    return count;
+  }
+
+  /**
+   * Number of open streams
+   */
+  size() {
+    let total = 0;
+    this.subscribers.forEach(streams => { total += streams.size; });
+    return total;
+  }
+
+  /**
+   * Open streams per key
+   */
+  counts() {
+    return Object.fromEntries([...this.subscribers.entries()].map(([key, streams]) => [key, streams.size]));
+  }
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = EventStream;
@@ -0,0 +1,201 @@
+const { fields, selectOptions } = require('../config/airtable');
+const slaConfig = require('../config/sla');
+const calendarConfig = require('../config/calendar');
+const followupService = require('./followups');
+const teamMemberService = require('./teamMembers');
+const availability = require('./availability');
+const mentorAssignment = require('./mentorAssignment');
+const calendar = require('./calendar');
+
+const F = fields.followups;
+const MEMBER = fields.teamMembers;
+
+// Follow-ups that still need doing
+const OPEN_STATUSES = selectOptions.openFollowupStatus;
+
+const STAGES = {
+  1: 'assignee',
+  2: 'backup mentor',
+  3: 'supervisor'
+};
+
+/**
+ * Follow-up Escalation Service (SLA breaches)
+ *
+ * A follow-up still open after its due date has breached its SLA. The
+ * longer it stays open, the further it escalates (config/sla.js
+ * escalateAfter, counting only time outside Shabbos and Yom Tov):
+ *   1. the assignee
+ *   2. a backup mentor - the Mentor On-Call on shift now, otherwise the
+ *      caller's best match from the assignment engine
+ *   3. the supervisor (SLA_SUPERVISOR_ID / SLA_SUPERVISOR_NAME)
+ * A stage with nobody to go to (no assignee, no backup) passes straight to
+ * the next. Each escalation is written to the follow-up: Escalation Level,
+ * Escalated To, Last Escalated, and a line in the Escalation Log.
+ */
+class FollowupEscalationService {
+  constructor(config = slaConfig) {
+    this.config = config;
+  }
+
+  /**
+   * Open follow-ups past their SLA, with the stage each has reached
+   */
+  async getBreaches(now = Date.now()) {
+    try {
+      const followups = await followupService.getAllFollowups({
+        filterByFormula: `AND(
+          OR(${OPEN_STATUSES.map(status => `{${F.STATUS}} = '${status}'`).join(', ')}),
+          IS_BEFORE({${F.DUE_DATE_TIME}}, '${new Date(now).toISOString()}')
+        )`,
+        maxRecords: 10000
+      });
+      return followups.map(followup => this.describeBreach(followup, now)).filter(Boolean);
+    } catch (error) {
+      throw new Error(`Failed to find SLA breaches: ${error.message}`);
+    }
+  }
+
+  /**
+   * How far past its SLA a follow-up is, or null when it isn't
+   */
+  describeBreach(followup, now = Date.now()) {
+    const due = Date.parse(followup[F.DUE_DATE_TIME]);
+    const pastDue = calendar.openTimeBetween(due, now);
+    if (!(pastDue > 0)) return null;
+
+    const policyName = this.config.policies[followup[F.SLA_POLICY]]
+      ? followup[F.SLA_POLICY]
+      : followupService.slaPolicy({ priority: followup[F.PRIORITY] });
+    const policy = this.config.policies[policyName];
+    const dueLevel = policy.escalateAfter.filter(after => pastDue >= after).length;
+    const next = policy.escalateAfter[dueLevel];
+
+    return {
+      followupId: followup.id,
+      followupNumber: followup[F.FOLLOWUP_ID] || null,
+      policy: policyName,
+      policyLabel: policy.label,
+      dueDateTime: followup[F.DUE_DATE_TIME],
+      pastDueMinutes: Math.floor(pastDue / 60000),
+      level: followup[F.ESCALATION_LEVEL] || 0,
+      dueLevel,
+      nextStageInMinutes: next !== undefined ? Math.ceil((next - pastDue) / 60000) : null,
+      assignedTo: (followup[F.ASSIGNED_TO] || [])[0] || null,
+      caller: (followup[F.CALLER] || [])[0] || null,
+      followup
+    };
+  }
+
+  /**
+   * Escalate every breach that has reached a new stage (nothing during
+   * Shabbos / Yom Tov - the clock is stopped then)
+   * @returns {Object} { escalations, failed, heldUntil }
+   */
+  async escalate(now = Date.now()) {
+    const window = calendar.windowAt(now);
+    if (window) {
+      return { escalations: [], failed: [], heldUntil: new Date(window.end).toISOString() };
+    }
+
+    const breaches = await this.getBreaches(now);
+    const escalations = [];
+    const failed = [];
+
+    for (const breach of breaches.filter(item => item.dueLevel > item.level)) {
+      try {
+        escalations.push(await this.escalateBreach(breach, now));
+      } catch (error) {
+        console.warn(`⚠️  Could not escalate follow-up ${breach.followupId}: ${error.message}`);
+        failed.push({ followupId: breach.followupId, error: error.message });
+      }
+    }
+
+    return { escalations, failed, heldUntil: null };
+  }
+
+  /**
+   * Move one follow-up to the stage it is due for and record it
+   */
+  async escalateBreach(breach, now = Date.now()) {
+    let stage = breach.dueLevel;
+    let target = await this.targetFor(stage, breach);
+    while (!target && stage < 3) {
+      stage++;
+      target = await this.targetFor(stage, breach);
+    }
+
+    const stamp = new Date(now).toLocaleString('en-US', { timeZone: calendarConfig.timeZone });
+    const message = `Stage ${stage} (${STAGES[stage]}): ${target.name} - ` +
+      `${formatDuration(breach.pastDueMinutes)} past due (${breach.policyLabel})`;
+    const log = [breach.followup[F.ESCALATION_LOG], `${stamp} - ${message}`].filter(Boolean).join('\n');
+
+    await followupService.updateFollowup(breach.followupId, {
+      escalationLevel: stage,
+      escalatedTo: target.id,
+      lastEscalated: new Date(now).toISOString(),
+      escalationLog: log
+    });
+    console.log(`📣 Follow-up ${breach.followupNumber || breach.followupId} escalated - ${message}`);
+
+    return {
+      followupId: breach.followupId,
+      followupNumber: breach.followupNumber,
+      stage,
+      stageName: STAGES[stage],
+      target,
+      policy: breach.policy,
+      pastDueMinutes: breach.pastDueMinutes,
+      assignedTo: breach.assignedTo,
+      caller: breach.caller,
+      message
+    };
+  }
+
+  /**
+   * Who a stage goes to ({ id, name }), or null when there is nobody
+   */
+  async targetFor(stage, breach) {
+    if (stage === 1) {
+      return breach.assignedTo ? this.member(breach.assignedTo) : null;
+    }
+
+    if (stage === 2) {
+      const roster = await availability.getRosterNow().catch(() => null);
+      const onCall = roster
+        ? roster.roles['Mentor On-Call'].find(shift => shift.memberId !== breach.assignedTo)
+        : null;
+      if (onCall) return { id: onCall.memberId, name: onCall.name };
+
+      if (!breach.caller) return null;
+      const ranked = await mentorAssignment.suggest(breach.caller).catch(() => null);
+      const backup = ranked
+        ? ranked.suggestions.find(suggestion => suggestion.eligible && suggestion.mentorId !== breach.assignedTo)
+        : null;
+      return backup ? { id: backup.mentorId, name: backup.name } : null;
+    }
+
+    if (this.config.supervisorId) {
+      const supervisor = await this.member(this.config.supervisorId);
+      if (supervisor) return supervisor;
+    }
+    return { id: null, name: this.config.supervisorName };
+  }
+
+  async member(memberId) {
+    try {
+      const member = await teamMemberService.getMemberById(memberId);
+      return { id: member.id, name: member[MEMBER.NAME] || member.id };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+function formatDuration(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 48 * 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  return `${Math.floor(minutes / (24 * 60))} days`;
+}
+
+module.exports = new FollowupEscalationService();
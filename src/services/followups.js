@@ -1,10 +1,37 @@
-const { base, tables, fields } = require('../config/airtable');
+const { tables, fields, selectOptions } = require('../config/airtable');
+const slaConfig = require('../config/sla');
+const store = require('../storage');
+const calendar = require('./calendar');
+const recurrence = require('./recurrence');
+const contactWindows = require('./contactWindows');
 
 const F = fields.followups;
+const CALLER = fields.callers;
+
+// Follow-ups still to be done
+const OPEN_STATUSES = selectOptions.openFollowupStatus;
+const OPEN_FILTER = `OR(${OPEN_STATUSES.map(value => `{${F.STATUS}} = '${value}'`).join(', ')})`;
+// Follow-ups that mean reaching the caller (checked against their contact window)
+const CONTACT_TYPES = ['Callback', 'Check-in', 'Scheduled Session'];
+// Callers whose recurring follow-ups stop until a mentor resumes them
+const RECURRENCE_PAUSE_STATUSES = ['Stable', 'Closed', 'Referred Out'];
 
 /**
  * Service for managing Follow-ups in Airtable
  * Tracks callbacks, check-ins, scheduled sessions, and internal tasks
+ *
+ * Every follow-up gets an SLA policy from its call's Urgency and its Priority
+ * (config/sla.js), and a due date from that policy unless one is given.
+ * Due dates never land on Shabbos or Yom Tov (they roll to nightfall, or the
+ * next weekday), and those days don't count toward being overdue.
+ *
+ * A follow-up with a Recurrence rule (see recurrence.js) creates the next one
+ * in the series when it is completed, unless the series is paused - which it
+ * is as soon as the caller becomes Stable, Closed or Referred Out.
+ *
+ * A follow-up due outside the caller's contact window (contactWindows.js) gets
+ * a Contact Window Warning saying why and when the window next opens - the
+ * due date itself is kept, as the SLA or the mentor set it.
  */
 class FollowupService {
   /**
@@ -13,20 +40,12 @@ class FollowupService {
    */
   async getAllFollowups(options = {}) {
     try {
-      const query = base(tables.followups).select({
+      return await store.select(tables.followups, {
         maxRecords: options.maxRecords || 100,
         view: options.view || 'Grid view',
         filterByFormula: options.filterByFormula,
         sort: options.sort || [{ field: F.DUE_DATE_TIME, direction: 'asc' }]
       });
-
-      const records = [];
-      await query.eachPage((pageRecords, fetchNextPage) => {
-        records.push(...pageRecords.map(r => ({ id: r.id, ...r.fields })));
-        fetchNextPage();
-      });
-
-      return records;
     } catch (error) {
       throw new Error(`Failed to fetch follow-ups: ${error.message}`);
     }
@@ -37,45 +56,46 @@ class FollowupService {
    */
   async getFollowupById(recordId) {
     try {
-      const record = await base(tables.followups).find(recordId);
-      return { id: record.id, ...record.fields };
+      return await store.find(tables.followups, recordId);
     } catch (error) {
       throw new Error(`Failed to fetch follow-up ${recordId}: ${error.message}`);
     }
   }
 
   /**
-   * Get follow-ups due today
+   * Get open follow-ups due today
    */
   async getDueToday() {
     return this.getAllFollowups({
       filterByFormula: `AND(
         IS_SAME({${F.DUE_DATE_TIME}}, TODAY(), 'day'),
-        {${F.STATUS}} = 'Pending'
+        ${OPEN_FILTER}
       )`,
       sort: [{ field: F.DUE_DATE_TIME, direction: 'asc' }]
     });
   }
 
   /**
-   * Get overdue follow-ups
+   * Get overdue follow-ups - open and past their due date/time, not counting
+   * time spent in Shabbos or Yom Tov
    */
-  async getOverdue() {
-    return this.getAllFollowups({
+  async getOverdue(now = Date.now()) {
+    const followups = await this.getAllFollowups({
       filterByFormula: `AND(
-        IS_BEFORE({${F.DUE_DATE_TIME}}, TODAY()),
-        {${F.STATUS}} = 'Pending'
+        IS_BEFORE({${F.DUE_DATE_TIME}}, NOW()),
+        ${OPEN_FILTER}
       )`,
       sort: [{ field: F.DUE_DATE_TIME, direction: 'asc' }]
     });
+    return followups.filter(followup => calendar.openTimeBetween(Date.parse(followup[F.DUE_DATE_TIME]), now) > 0);
   }
 
   /**
-   * Get pending follow-ups (not completed)
+   * Get open follow-ups (Pending, Rescheduled or No Answer)
    */
   async getPending() {
     return this.getAllFollowups({
-      filterByFormula: `{${F.STATUS}} = 'Pending'`,
+      filterByFormula: OPEN_FILTER,
       sort: [{ field: F.DUE_DATE_TIME, direction: 'asc' }]
     });
   }
@@ -85,7 +105,7 @@ class FollowupService {
    */
   async getUrgent() {
     return this.getAllFollowups({
-      filterByFormula: `AND({${F.PRIORITY}} = 'Urgent', {${F.STATUS}} = 'Pending')`
+      filterByFormula: `AND({${F.PRIORITY}} = 'Urgent', ${OPEN_FILTER})`
     });
   }
 
@@ -102,16 +122,95 @@ class FollowupService {
     });
   }
 
+  /**
+   * Open follow-ups (Pending / Rescheduled / No Answer) assigned to a team member, soonest due first
+   * @param {string} teamMemberRecordId - Team member record ID
+   */
+  async getOpenByAssignee(teamMemberRecordId) {
+    return this.getAllFollowups({
+      filterByFormula: `AND(
+        FIND('${teamMemberRecordId}', ARRAYJOIN({${F.ASSIGNED_TO}}, ',')) > 0,
+        ${OPEN_FILTER}
+      )`,
+      sort: [{ field: F.DUE_DATE_TIME, direction: 'asc' }],
+      maxRecords: 1000
+    });
+  }
+
+  /**
+   * A mentor's call list: their open follow-ups with each caller's contact
+   * window - callers who can be reached now first (by due time), then the
+   * rest by when their window opens
+   * @param {string} teamMemberRecordId - Team member record ID
+   * @returns {Array} [{ followup, caller, due, callableNow, nextOpening, contactWindow, warning }]
+   */
+  async getCallList(teamMemberRecordId, now = Date.now()) {
+    try {
+      const followups = await this.getOpenByAssignee(teamMemberRecordId);
+
+      const callers = new Map();
+      const entries = [];
+      for (const followup of followups) {
+        const callerId = (followup[F.CALLER] || [])[0] || null;
+        if (callerId && !callers.has(callerId)) {
+          callers.set(callerId, await store.find(tables.callers, callerId).catch(() => null));
+        }
+        const caller = callerId ? callers.get(callerId) : null;
+        const model = contactWindows.forCaller(caller);
+        // Internal tasks don't need the caller
+        const outside = this.needsCaller(followup) ? contactWindows.check(model, now) : null;
+        entries.push({
+          followup,
+          caller: caller
+            ? { id: caller.id, name: caller[CALLER.NAME] || null, phone: caller[CALLER.PHONE] || null, contactPreference: caller[CALLER.CONTACT_PREFERENCE] || null }
+            : null,
+          due: followup[F.DUE_DATE_TIME] || null,
+          callableNow: !outside,
+          nextOpening: new Date(outside ? outside.nextOpening : now).toISOString(),
+          contactWindow: contactWindows.summary(model),
+          warning: outside ? outside.message : null
+        });
+      }
+
+      const dueTime = entry => Date.parse(entry.due) || Infinity;
+      return entries.sort((a, b) => (b.callableNow - a.callableNow) ||
+        (a.callableNow ? dueTime(a) - dueTime(b) : Date.parse(a.nextOpening) - Date.parse(b.nextOpening)));
+    } catch (error) {
+      throw new Error(`Failed to build call list for ${teamMemberRecordId}: ${error.message}`);
+    }
+  }
+
   /**
    * Get follow-ups for a specific caller
    * @param {string} callerRecordId - Caller record ID
+   * @param {Object} options - Query options (maxRecords, sort)
    */
-  async getByCaller(callerRecordId) {
+  async getByCaller(callerRecordId, options = {}) {
     return this.getAllFollowups({
+      ...options,
       filterByFormula: `FIND('${callerRecordId}', ARRAYJOIN({${F.CALLER}}, ',')) > 0`
     });
   }
 
+  /**
+   * Find the open Callback follow-up for a caller assigned to a mentor
+   * (the one due first, when there are several)
+   * @param {string} callerRecordId - Caller record ID
+   * @param {string} teamMemberRecordId - Assigned team member record ID
+   */
+  async findOpenCallback(callerRecordId, teamMemberRecordId) {
+    const followups = await this.getAllFollowups({
+      filterByFormula: `AND(
+        {${F.TYPE}} = 'Callback',
+        ${OPEN_FILTER},
+        FIND('${callerRecordId}', ARRAYJOIN({${F.CALLER}}, ',')) > 0,
+        FIND('${teamMemberRecordId}', ARRAYJOIN({${F.ASSIGNED_TO}}, ',')) > 0
+      )`,
+      sort: [{ field: F.DUE_DATE_TIME, direction: 'asc' }]
+    });
+    return followups[0] || null;
+  }
+
   /**
    * Get follow-ups completed this week
    */
@@ -124,16 +223,44 @@ class FollowupService {
     });
   }
 
+  /**
+   * The SLA policy for a follow-up - the stricter of its call's Urgency and its Priority
+   * @param {Object} options - { urgency, priority }
+   * @returns {string} 'Crisis', 'Urgent', 'Soon' or 'Routine'
+   */
+  slaPolicy({ urgency, priority } = {}) {
+    const candidates = [slaConfig.urgency[urgency], slaConfig.priority[priority || 'Normal']].filter(Boolean);
+    return slaConfig.order.find(name => candidates.includes(name)) || 'Routine';
+  }
+
+  /**
+   * When a follow-up under a policy is due (ISO), counted from a start time
+   * @param {string} policy - SLA policy name
+   * @param {string|number} from - When the clock starts (the call, or now)
+   */
+  slaDueDate(policy, from = Date.now()) {
+    const start = Number.isFinite(new Date(from).getTime()) ? new Date(from).getTime() : Date.now();
+    const { window } = slaConfig.policies[policy] || slaConfig.policies.Routine;
+    const due = window === 'end-of-day' ? calendar.endOfDay(start) : start + window;
+    return new Date(due).toISOString();
+  }
+
   /**
    * Create a new follow-up
+   * With no dueDateTime the SLA policy sets it (from slaStart, default now);
+   * urgency is the related call's Urgency, used only to pick the policy.
    * @param {Object} followupData - Follow-up data
    */
   async createFollowup(followupData) {
     try {
+      const priority = followupData.priority || 'Normal';
+      const policy = this.slaPolicy({ urgency: followupData.urgency, priority });
       const fieldsToCreate = {
         [F.STATUS]: followupData.status || 'Pending',
         [F.TYPE]: followupData.type || 'Callback',
-        [F.PRIORITY]: followupData.priority || 'Normal'
+        [F.PRIORITY]: priority,
+        [F.SLA_POLICY]: policy,
+        [F.DUE_DATE_TIME]: calendar.rollDue(followupData.dueDateTime || this.slaDueDate(policy, followupData.slaStart))
       };
 
       // Link fields (Airtable requires array format)
@@ -142,13 +269,19 @@ class FollowupService {
       if (followupData.assignedTo) fieldsToCreate[F.ASSIGNED_TO] = [followupData.assignedTo];
 
       // Other fields
-      if (followupData.dueDateTime) fieldsToCreate[F.DUE_DATE_TIME] = followupData.dueDateTime;
       if (followupData.notes) fieldsToCreate[F.NOTES] = followupData.notes;
       if (followupData.completedDate) fieldsToCreate[F.COMPLETED_DATE] = followupData.completedDate;
       if (followupData.outcomeNotes) fieldsToCreate[F.OUTCOME_NOTES] = followupData.outcomeNotes;
+      if (followupData.recurrence) {
+        fieldsToCreate[F.RECURRENCE] = recurrence.format(recurrence.parse(followupData.recurrence));
+        fieldsToCreate[F.RECURRENCE_STATUS] = followupData.recurrenceStatus || 'Active';
+      }
+      if (followupData.previousFollowup) fieldsToCreate[F.PREVIOUS_FOLLOWUP] = [followupData.previousFollowup];
 
-      const record = await base(tables.followups).create(fieldsToCreate);
-      return { id: record.id, ...record.fields };
+      const warning = await this.windowWarning(followupData.caller, fieldsToCreate[F.TYPE], fieldsToCreate[F.DUE_DATE_TIME]);
+      if (warning) fieldsToCreate[F.WINDOW_WARNING] = warning;
+
+      return await store.create(tables.followups, fieldsToCreate);
     } catch (error) {
       throw new Error(`Failed to create follow-up: ${error.message}`);
     }
@@ -193,7 +326,10 @@ class FollowupService {
       assignedTo: assignedTo,
       type: 'Callback',
       status: 'Pending',
-      notes: `Follow-up for call on ${callRecord['Date/Time'] || 'unknown date'}`
+      notes: `Follow-up for call on ${callRecord['Date/Time'] || 'unknown date'}`,
+      // The SLA clock starts with the call
+      urgency: callRecord['Urgency'],
+      slaStart: callRecord['Date/Time']
     };
 
     // Set priority based on urgency
@@ -230,20 +366,217 @@ class FollowupService {
 
       // Other fields
       if (updateData.type !== undefined) fieldsToUpdate[F.TYPE] = updateData.type;
-      if (updateData.dueDateTime !== undefined) fieldsToUpdate[F.DUE_DATE_TIME] = updateData.dueDateTime;
+      if (updateData.dueDateTime !== undefined) fieldsToUpdate[F.DUE_DATE_TIME] = calendar.rollDue(updateData.dueDateTime);
       if (updateData.status !== undefined) fieldsToUpdate[F.STATUS] = updateData.status;
       if (updateData.priority !== undefined) fieldsToUpdate[F.PRIORITY] = updateData.priority;
       if (updateData.notes !== undefined) fieldsToUpdate[F.NOTES] = updateData.notes;
       if (updateData.completedDate !== undefined) fieldsToUpdate[F.COMPLETED_DATE] = updateData.completedDate;
       if (updateData.outcomeNotes !== undefined) fieldsToUpdate[F.OUTCOME_NOTES] = updateData.outcomeNotes;
+      if (updateData.slaPolicy !== undefined) fieldsToUpdate[F.SLA_POLICY] = updateData.slaPolicy;
+      if (updateData.escalationLevel !== undefined) fieldsToUpdate[F.ESCALATION_LEVEL] = updateData.escalationLevel;
+      if (updateData.escalatedTo !== undefined) {
+        fieldsToUpdate[F.ESCALATED_TO] = updateData.escalatedTo ? [updateData.escalatedTo] : [];
+      }
+      if (updateData.lastEscalated !== undefined) fieldsToUpdate[F.LAST_ESCALATED] = updateData.lastEscalated;
+      if (updateData.escalationLog !== undefined) fieldsToUpdate[F.ESCALATION_LOG] = updateData.escalationLog;
+      if (updateData.attempts !== undefined) fieldsToUpdate[F.ATTEMPTS] = updateData.attempts;
+      if (updateData.lastAttempt !== undefined) fieldsToUpdate[F.LAST_ATTEMPT] = updateData.lastAttempt;
+      if (updateData.recurrence !== undefined) {
+        fieldsToUpdate[F.RECURRENCE] = updateData.recurrence ? recurrence.format(recurrence.parse(updateData.recurrence)) : '';
+      }
+      if (updateData.recurrenceStatus !== undefined) fieldsToUpdate[F.RECURRENCE_STATUS] = updateData.recurrenceStatus;
+
+      // Completing a recurring follow-up creates the next one; a new due time
+      // is checked against the caller's contact window
+      const completing = updateData.status === 'Completed';
+      const rescheduling = updateData.dueDateTime !== undefined;
+      const before = completing || rescheduling ? await store.find(tables.followups, recordId) : null;
+      if (rescheduling) {
+        const callerId = updateData.caller !== undefined ? updateData.caller : (before[F.CALLER] || [])[0];
+        fieldsToUpdate[F.WINDOW_WARNING] = await this.windowWarning(callerId, fieldsToUpdate[F.TYPE] || before[F.TYPE], fieldsToUpdate[F.DUE_DATE_TIME]);
+      }
 
-      const record = await base(tables.followups).update(recordId, fieldsToUpdate);
-      return { id: record.id, ...record.fields };
+      const followup = await store.update(tables.followups, recordId, fieldsToUpdate);
+      if (completing && before[F.STATUS] !== 'Completed') {
+        await this.createNextOccurrence(followup).catch(error => {
+          console.warn(`⚠️  Follow-up ${recordId} completed but the next occurrence wasn't created: ${error.message}`);
+        });
+      }
+      return followup;
     } catch (error) {
       throw new Error(`Failed to update follow-up ${recordId}: ${error.message}`);
     }
   }
 
+  /**
+   * Whether doing a follow-up means reaching the caller (not an Internal Task)
+   */
+  needsCaller(followup) {
+    return CONTACT_TYPES.includes(followup[F.TYPE]);
+  }
+
+  /**
+   * Why a follow-up due at `due` is outside the caller's contact window, or ''
+   * (never fails the save - a caller that can't be read gets no warning)
+   */
+  async windowWarning(callerId, type, due) {
+    if (!callerId || !due || !CONTACT_TYPES.includes(type)) return '';
+    try {
+      const caller = await store.find(tables.callers, callerId);
+      const outside = contactWindows.check(contactWindows.forCaller(caller), Date.parse(due));
+      return outside ? outside.message : '';
+    } catch (error) {
+      console.warn(`⚠️  Contact window not checked for caller ${callerId}: ${error.message}`);
+      return '';
+    }
+  }
+
+  /**
+   * Create the next follow-up of a recurring series
+   * (nothing when the series isn't Active, already has its next one, or the
+   * caller's status pauses it)
+   * @param {Object} followup - The follow-up just done
+   * @returns {Object|null} The new follow-up
+   */
+  async createNextOccurrence(followup, now = Date.now()) {
+    if (!followup[F.RECURRENCE] || followup[F.RECURRENCE_STATUS] !== 'Active') return null;
+    if (await this.getNextOccurrence(followup.id)) return null;
+
+    const callerId = (followup[F.CALLER] || [])[0] || null;
+    const pausedBy = await this.recurrencePausedBy(followup);
+    if (pausedBy) {
+      await store.update(tables.followups, followup.id, { [F.RECURRENCE_STATUS]: 'Paused' });
+      console.log(`⏸️  Recurring follow-up ${followup.id} paused - caller is ${pausedBy}`);
+      return null;
+    }
+
+    const rule = recurrence.parse(followup[F.RECURRENCE]);
+    const due = recurrence.next(rule, followup[F.DUE_DATE_TIME], now);
+    const next = await this.createFollowup({
+      caller: callerId,
+      assignedTo: (followup[F.ASSIGNED_TO] || [])[0] || null,
+      type: followup[F.TYPE],
+      priority: followup[F.PRIORITY],
+      dueDateTime: new Date(due).toISOString(),
+      notes: `${followup[F.RECURRENCE]} (${followup[F.TYPE] || 'Follow-up'})`,
+      recurrence: followup[F.RECURRENCE],
+      previousFollowup: followup.id
+    });
+    console.log(`🔁 Next recurring follow-up ${next.id} due ${new Date(next[F.DUE_DATE_TIME]).toLocaleString()}`);
+    return next;
+  }
+
+  /**
+   * Whether a caller status pauses recurring follow-ups (Stable, Closed, Referred Out)
+   */
+  pausesRecurrence(callerStatus) {
+    return RECURRENCE_PAUSE_STATUSES.includes(callerStatus);
+  }
+
+  /**
+   * The caller's status when it keeps the follow-up's recurrence paused,
+   * otherwise null
+   */
+  async recurrencePausedBy(followup) {
+    const callerId = (followup[F.CALLER] || [])[0];
+    if (!callerId) return null;
+    const caller = await store.find(tables.callers, callerId);
+    return this.pausesRecurrence(caller[CALLER.STATUS]) ? caller[CALLER.STATUS] : null;
+  }
+
+  /**
+   * The follow-up created after this one in its recurring series, or null
+   */
+  async getNextOccurrence(recordId) {
+    const followups = await this.getAllFollowups({
+      filterByFormula: `FIND('${recordId}', ARRAYJOIN({${F.PREVIOUS_FOLLOWUP}}, ',')) > 0`,
+      maxRecords: 1
+    });
+    return followups[0] || null;
+  }
+
+  /**
+   * A follow-up's recurrence: its rule, series status, the occurrence before
+   * and after it, and when the next would be due if it were completed now
+   * @param {string} recordId - Follow-up record ID
+   */
+  async getRecurrence(recordId, now = Date.now()) {
+    try {
+      const followup = await this.getFollowupById(recordId);
+      const text = followup[F.RECURRENCE] || null;
+      const rule = text ? recurrence.parse(text) : null;
+      const next = text ? await this.getNextOccurrence(recordId) : null;
+      return {
+        followupId: recordId,
+        recurrence: text,
+        rule,
+        status: text ? followup[F.RECURRENCE_STATUS] || 'Active' : null,
+        pausedBy: text ? await this.recurrencePausedBy(followup) : null,
+        previousFollowupId: (followup[F.PREVIOUS_FOLLOWUP] || [])[0] || null,
+        nextFollowup: next,
+        nextDueIfCompleted: rule && !next ? new Date(recurrence.next(rule, followup[F.DUE_DATE_TIME], now)).toISOString() : null
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch recurrence for follow-up ${recordId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set, pause, resume or stop a follow-up's recurrence
+   * Resuming a series whose follow-up is already completed creates its next one.
+   * @param {string} recordId - Follow-up record ID
+   * @param {Object} changes - { rule (text or { every, unit, day, time }), status: 'Active' | 'Paused' | 'Ended' }
+   * @returns {Object} { followup, next }
+   */
+  async setRecurrence(recordId, { rule, status } = {}) {
+    const current = await this.getFollowupById(recordId);
+    const updateData = {};
+    if (rule !== undefined) updateData.recurrence = rule;
+    if (status !== undefined) {
+      updateData.recurrenceStatus = status;
+    } else if (rule !== undefined && !current[F.RECURRENCE_STATUS]) {
+      updateData.recurrenceStatus = 'Active';
+    }
+
+    const followup = await this.updateFollowup(recordId, updateData);
+    const next = followup[F.STATUS] === 'Completed'
+      ? await this.createNextOccurrence(followup) || await this.getNextOccurrence(recordId)
+      : null;
+    return { followup, next };
+  }
+
+  /**
+   * Pause the open recurring follow-ups of a caller (the caller became
+   * Stable, Closed or Referred Out)
+   * @param {string} callerRecordId - Caller record ID
+   * @param {string} reason - Why, added to the follow-up notes
+   * @returns {Array} The paused follow-ups
+   */
+  async pauseRecurrenceForCaller(callerRecordId, reason) {
+    try {
+      const followups = await this.getAllFollowups({
+        filterByFormula: `AND(
+          FIND('${callerRecordId}', ARRAYJOIN({${F.CALLER}}, ',')) > 0,
+          {${F.RECURRENCE_STATUS}} = 'Active',
+          ${OPEN_FILTER}
+        )`,
+        maxRecords: 1000
+      });
+
+      const paused = [];
+      for (const followup of followups) {
+        paused.push(await store.update(tables.followups, followup.id, {
+          [F.RECURRENCE_STATUS]: 'Paused',
+          [F.NOTES]: [followup[F.NOTES], `Recurrence paused: ${reason}`].filter(Boolean).join('\n\n')
+        }));
+      }
+      if (paused.length > 0) console.log(`⏸️  Paused ${paused.length} recurring follow-up(s) for caller ${callerRecordId}: ${reason}`);
+      return paused;
+    } catch (error) {
+      throw new Error(`Failed to pause recurring follow-ups for caller ${callerRecordId}: ${error.message}`);
+    }
+  }
+
   /**
    * Mark follow-up as completed
    * @param {string} recordId - Follow-up record ID
@@ -269,15 +602,19 @@ class FollowupService {
       ? `${currentFollowup[F.NOTES]}\n\nRescheduled: ${notes}`
       : `Rescheduled: ${notes}`;
 
+    // A new due date starts the escalation chain over
     return this.updateFollowup(recordId, {
       status: 'Rescheduled',
       dueDateTime: newDueDateTime,
-      notes: updatedNotes
+      notes: updatedNotes,
+      escalationLevel: 0
     });
   }
 
   /**
-   * Mark as no answer (attempted but couldn't reach)
+   * Mark as no answer (attempted but couldn't reach) - only the status; the
+   * retry policy (callbackRetry.recordAttempt) also logs the attempt and
+   * schedules the next one
    * @param {string} recordId - Follow-up record ID
    * @param {string} notes - Notes about the attempt
    */
@@ -339,7 +676,7 @@ class FollowupService {
    */
   async deleteFollowup(recordId) {
     try {
-      await base(tables.followups).destroy(recordId);
+      await store.destroy(tables.followups, recordId);
       return { success: true, id: recordId };
     } catch (error) {
       throw new Error(`Failed to delete follow-up ${recordId}: ${error.message}`);
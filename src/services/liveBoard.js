@@ -0,0 +1,453 @@
+const { fields } = require('../config/airtable');
+const liveConfig = require('../config/live');
+const CallMerge = require('../shared/callMerge');
+const EventStream = require('./eventStream');
+const EndedCalls = require('./endedCalls');
+const callerLookup = require('./callerLookup');
+const queueStats = require('./queueStats');
+const teamMemberService = require('./teamMembers');
+
+const MEMBER = fields.teamMembers;
+
+// All wallboards share one stream group
+const BOARD = 'board';
+
+// Order of precedence when a call has several open legs
+const STAGES = ['talking', 'voicemail', 'dialing', 'ringing', 'huntgroup', 'ivr', 'connecting'];
+
+/**
+ * Live Board Service (wallboard)
+ *
+ * Keeps the calls in progress in memory, straight from the Telebroad
+ * webhooks (the same leg state machine the merge uses), and pushes them to
+ * GET /api/live/stream as Server-Sent Events:
+ *   - snapshot      → { calls, agents, queues, counts, serverTime } on connect and every LIVE_SNAPSHOT_INTERVAL_MS
+ *   - call          → one call whenever its stage, ringing extensions or agents change
+ *   - call-ended    → { callId, lastStage, durationSeconds, reason }
+ *   - agent         → one extension whenever its call activity or status changes
+ *   - status-change → { memberId, name, extension, from, to, source, at }
+ *
+ * A call's stage is where the caller is right now: ivr, huntgroup (waiting,
+ * possibly with extensions ringing), ringing (an extension directly, e.g. a
+ * transfer), talking, voicemail, or on an outbound call dialing. Durations are
+ * sent as timestamps (startedAt, stageSince) so a board can count up locally.
+ */
+class LiveBoardService {
+  constructor(config = liveConfig) {
+    this.config = config;
+    this.streams = new EventStream();
+    // callId → { events, firstSeenAt, lastEventAt, view }
+    this.calls = new Map();
+    // Calls that hung up - late events for them are dropped
+    this.ended = new EndedCalls(config.endedCallMs);
+    // member record ID → { member, statusSince }
+    this.members = new Map();
+    this.membersLoadedAt = null;
+    // extension → last agent view sent
+    this.agentViews = new Map();
+    this.snapshotTimer = null;
+    this.memberTimer = null;
+    this.stats = {
+      events: 0,
+      callsSeen: 0,
+      callsEnded: 0,
+      callsExpired: 0,
+      lateEvents: 0,
+      statusChanges: 0,
+      lastEventAt: null,
+      lastError: null
+    };
+
+    teamMemberService.on('status-changed', member => this.applyMember(member, 'api'));
+  }
+
+  /**
+   * Load team members and recent hunt group calls, and start the snapshot /
+   * refresh timers (idempotent)
+   */
+  async start() {
+    if (this.snapshotTimer) return;
+
+    this.snapshotTimer = setInterval(() => {
+      this.expireStaleCalls();
+      if (this.streams.size() > 0) this.streams.broadcast('snapshot', this.getSnapshot());
+    }, this.config.snapshotIntervalMs);
+    this.snapshotTimer.unref();
+
+    // Status changes made in Airtable (Apps Script, by hand) only show up on a re-read
+    this.memberTimer = setInterval(() => {
+      if (this.streams.size() > 0) this.refreshMembers().catch(() => {});
+    }, this.config.memberRefreshMs);
+    this.memberTimer.unref();
+
+    await Promise.all([this.refreshMembers().catch(() => {}), queueStats.seed()]);
+  }
+
+  stop() {
+    if (this.snapshotTimer) clearInterval(this.snapshotTimer);
+    if (this.memberTimer) clearInterval(this.memberTimer);
+    this.snapshotTimer = null;
+    this.memberTimer = null;
+  }
+
+  /**
+   * Open a wallboard SSE stream (starts with a full snapshot)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  subscribe(req, res) {
+    this.streams.subscribe(req, res, BOARD, [['snapshot', this.getSnapshot()]]);
+    if (!this.membersLoadedAt) {
+      this.refreshMembers()
+        .then(() => this.streams.broadcast('snapshot', this.getSnapshot()))
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * Apply one Telebroad webhook to the live calls (called for every event, not awaited)
+   * @param {Object} webhookData - Raw webhook from Telebroad
+   */
+  handleTelebroadEvent(webhookData) {
+    const event = CallMerge.payloadToEventFields(webhookData);
+    const callId = event['Call ID'];
+    if (!callId) return null;
+
+    const now = Date.now();
+    this.stats.events++;
+    this.stats.lastEventAt = new Date(now).toISOString();
+
+    let call = this.calls.get(callId);
+    const terminal = CallMerge.isTerminalEvent(event);
+    if (!call && terminal) return null;
+    if (!call && this.ended.has(callId, now)) {
+      this.stats.lateEvents++;
+      return null;
+    }
+
+    if (!call) {
+      call = { events: [], firstSeenAt: now, lastEventAt: now, view: null };
+      this.calls.set(callId, call);
+      this.stats.callsSeen++;
+    }
+    call.events.push(event);
+    call.lastEventAt = now;
+
+    const sorted = CallMerge.sortEvents(CallMerge.uniqueEvents(call.events));
+    const legs = CallMerge.buildLegs(sorted).legs;
+    queueStats.updateCall(callId, legs, now);
+
+    if (terminal) {
+      this.endCall(callId, 'ended', now);
+      return null;
+    }
+
+    const view = this.describeCall(callId, call, sorted, legs);
+    if (!call.view || signature(view) !== signature(call.view)) {
+      call.view = view;
+      this.streams.broadcast('call', this.withDurations(view, now));
+      this.syncAgents();
+    }
+    return view;
+  }
+
+  /**
+   * Forget a call and tell the boards
+   */
+  endCall(callId, reason, now = Date.now()) {
+    const call = this.calls.get(callId);
+    if (!call) return;
+    this.calls.delete(callId);
+
+    if (reason === 'expired') {
+      this.stats.callsExpired++;
+      queueStats.forgetCall(callId);
+    } else {
+      this.stats.callsEnded++;
+      this.ended.add(callId, now);
+    }
+
+    const started = call.view ? Date.parse(call.view.startedAt) : call.firstSeenAt;
+    this.streams.broadcast('call-ended', {
+      callId,
+      lastStage: call.view ? call.view.stage : null,
+      durationSeconds: Math.max(0, Math.round((now - started) / 1000)),
+      reason,
+      at: new Date(now).toISOString()
+    });
+    this.syncAgents();
+  }
+
+  /**
+   * Drop calls whose hang-up never arrived
+   */
+  expireStaleCalls(now = Date.now()) {
+    for (const [callId, call] of [...this.calls.entries()]) {
+      if (now - call.lastEventAt > this.config.staleCallMs) this.endCall(callId, 'expired', now);
+    }
+  }
+
+  /**
+   * Where a call is right now, from its open legs
+   */
+  describeCall(callId, call, sorted, legs) {
+    const first = sorted[0];
+    const outbound = CallMerge.isOutbound(first);
+    const open = legs.filter(leg => leg.endedAt === null);
+
+    const person = party => ({ extension: party.number || null, name: party.name || this.memberName(party.number) });
+    const candidates = [];
+
+    if (outbound) {
+      open.filter(leg => leg.to.type === 'external').forEach(leg => {
+        candidates.push({
+          stage: leg.state === 'answered' ? 'talking' : 'dialing',
+          since: leg.state === 'answered' ? leg.answeredAt : leg.ringStart,
+          agent: leg.from.type === 'phone' ? person(leg.from) : null
+        });
+      });
+    } else {
+      open.forEach(leg => {
+        if (leg.to.type === 'phone') {
+          candidates.push(leg.state === 'answered'
+            ? { stage: 'talking', since: leg.answeredAt, agent: person(leg.to) }
+            : { stage: leg.from.type === 'huntgroup' ? 'huntgroup' : 'ringing', since: leg.ringStart, ringing: person(leg.to) });
+        } else if (['ivr', 'huntgroup', 'voicemail'].includes(leg.to.type)) {
+          candidates.push({ stage: leg.to.type, since: leg.ringStart });
+        }
+      });
+    }
+
+    const stage = candidates.length > 0
+      ? STAGES.find(name => candidates.some(candidate => candidate.stage === name))
+      : 'connecting';
+    const current = candidates.filter(candidate => candidate.stage === stage);
+    const since = current.map(candidate => candidate.since).filter(time => time !== null);
+    const startedAt = Math.min(...sorted.map(event => CallMerge.eventTime(event, sorted)).filter(Number.isFinite), call.firstSeenAt);
+
+    const huntGroupLeg = open.find(leg => leg.to.type === 'huntgroup');
+    const ivrLeg = open.find(leg => leg.to.type === 'ivr');
+    const number = outbound
+      ? ((sorted.find(event => event['Destination Type'] === 'external') || {})['Destination Number'] || first['Called Number'])
+      : (first['Caller ID External'] || first['Send Number']);
+    const cached = callerLookup.peek(number);
+
+    return {
+      callId,
+      direction: outbound ? 'Outbound' : 'Inbound',
+      caller: {
+        number: number || null,
+        name: (cached && cached.caller && cached.caller.name) || first['Caller Name External'] || null,
+        callerRecordId: cached && cached.caller ? cached.caller.id : null,
+        known: cached ? cached.known : null
+      },
+      stage,
+      startedAt: new Date(startedAt).toISOString(),
+      stageSince: new Date(since.length > 0 ? Math.min(...since) : startedAt).toISOString(),
+      ivr: ivrLeg ? ivrLeg.to.name || ivrLeg.to.number || null : null,
+      huntGroup: huntGroupLeg ? huntGroupLeg.to.name || huntGroupLeg.to.number || null : null,
+      ringing: candidates.filter(candidate => candidate.ringing).map(candidate => candidate.ringing),
+      agents: current.filter(candidate => candidate.agent).map(candidate => ({
+        ...candidate.agent,
+        since: candidate.since !== null ? new Date(candidate.since).toISOString() : null
+      }))
+    };
+  }
+
+  withDurations(view, now = Date.now()) {
+    return {
+      ...view,
+      durationSeconds: Math.max(0, Math.round((now - Date.parse(view.startedAt)) / 1000)),
+      stageSeconds: Math.max(0, Math.round((now - Date.parse(view.stageSince)) / 1000))
+    };
+  }
+
+  /**
+   * Every extension's status and what it is doing: team members with an
+   * extension, plus any other extension currently on a call
+   */
+  buildAgents(now = Date.now()) {
+    const agents = new Map();
+
+    this.members.forEach(({ member, statusSince }) => {
+      const extension = member[MEMBER.PHONE_EXTENSION];
+      if (!extension) return;
+      agents.set(String(extension), {
+        memberId: member.id,
+        name: member[MEMBER.NAME] || null,
+        extension: String(extension),
+        status: member[MEMBER.CURRENT_STATUS] || null,
+        statusSince,
+        activity: 'idle',
+        callId: null,
+        caller: null,
+        since: null
+      });
+    });
+
+    // Talking beats dialing beats ringing when an extension shows up on several calls
+    const rank = { talking: 3, dialing: 2, ringing: 1 };
+    const place = (extension, name, activity, view, since) => {
+      if (!extension) return;
+      const agent = agents.get(extension) || {
+        memberId: null, name, extension, status: null, statusSince: null, activity: 'idle', callId: null, caller: null, since: null
+      };
+      if ((rank[agent.activity] || 0) >= rank[activity]) return;
+      Object.assign(agent, { activity, callId: view.callId, caller: view.caller, since });
+      agents.set(extension, agent);
+    };
+
+    this.calls.forEach(({ view }) => {
+      if (!view) return;
+      view.agents.forEach(agent => place(agent.extension, agent.name, view.stage === 'dialing' ? 'dialing' : 'talking', view, agent.since));
+      view.ringing.forEach(agent => place(agent.extension, agent.name, 'ringing', view, view.stageSince));
+    });
+
+    return [...agents.values()]
+      .map(agent => ({
+        ...agent,
+        seconds: agent.since ? Math.max(0, Math.round((now - Date.parse(agent.since)) / 1000)) : null
+      }))
+      .sort((a, b) => a.extension.localeCompare(b.extension, undefined, { numeric: true }));
+  }
+
+  /**
+   * Send the agents whose status or call activity changed since last time
+   */
+  syncAgents() {
+    const now = Date.now();
+    const agents = this.buildAgents(now);
+    const seen = new Set();
+
+    agents.forEach(agent => {
+      seen.add(agent.extension);
+      // seconds only counts up - not a change
+      const current = signature({ ...agent, seconds: undefined });
+      if (current !== this.agentViews.get(agent.extension)) {
+        this.agentViews.set(agent.extension, current);
+        this.streams.broadcast('agent', agent);
+      }
+    });
+
+    // Extensions that are no longer members or on a call
+    [...this.agentViews.keys()].filter(extension => !seen.has(extension)).forEach(extension => {
+      this.agentViews.delete(extension);
+      this.streams.broadcast('agent', { extension, activity: 'idle', removed: true });
+    });
+  }
+
+  /**
+   * Re-read the active team members, reporting any status that changed
+   */
+  async refreshMembers() {
+    try {
+      const members = await teamMemberService.getActiveMembers();
+      const ids = new Set(members.map(member => member.id));
+
+      [...this.members.keys()].filter(id => !ids.has(id)).forEach(id => this.members.delete(id));
+      members.forEach(member => this.applyMember(member, 'airtable', false));
+      this.membersLoadedAt = new Date().toISOString();
+      this.syncAgents();
+      return members;
+    } catch (error) {
+      this.stats.lastError = error.message;
+      console.warn(`⚠️  Live board: team member refresh failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Take in a (possibly changed) team member record
+   * @param {Object} member - Team member record
+   * @param {string} source - 'api' (changed through this server) or 'airtable' (seen on a re-read)
+   * @param {boolean} sync - Push agent changes right away
+   */
+  applyMember(member, source, sync = true) {
+    if (!member || !member.id) return;
+    if (member[MEMBER.ACTIVE] === false) {
+      this.members.delete(member.id);
+      if (sync) this.syncAgents();
+      return;
+    }
+
+    const known = this.members.get(member.id);
+    const from = known ? known.member[MEMBER.CURRENT_STATUS] || null : null;
+    const to = member[MEMBER.CURRENT_STATUS] || null;
+    const changed = known && from !== to;
+    const at = new Date().toISOString();
+
+    this.members.set(member.id, { member, statusSince: changed ? at : (known ? known.statusSince : null) });
+
+    if (changed) {
+      this.stats.statusChanges++;
+      this.streams.broadcast('status-change', {
+        memberId: member.id,
+        name: member[MEMBER.NAME] || null,
+        extension: member[MEMBER.PHONE_EXTENSION] || null,
+        from,
+        to,
+        source,
+        at
+      });
+    }
+    if (sync) this.syncAgents();
+  }
+
+  memberName(extension) {
+    if (!extension) return null;
+    for (const { member } of this.members.values()) {
+      if (String(member[MEMBER.PHONE_EXTENSION]) === String(extension)) return member[MEMBER.NAME] || null;
+    }
+    return null;
+  }
+
+  /**
+   * Everything a wallboard shows, with durations as of now
+   */
+  getSnapshot() {
+    const now = Date.now();
+    const calls = [...this.calls.values()]
+      .filter(call => call.view)
+      .map(call => this.withDurations(call.view, now))
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    const count = stage => calls.filter(call => call.stage === stage).length;
+    const waiting = calls.filter(call => ['ivr', 'huntgroup', 'ringing'].includes(call.stage));
+
+    return {
+      serverTime: new Date(now).toISOString(),
+      counts: {
+        inProgress: calls.length,
+        inIvr: count('ivr'),
+        inHuntGroup: count('huntgroup'),
+        ringing: count('ringing'),
+        talking: count('talking'),
+        voicemail: count('voicemail'),
+        dialing: count('dialing'),
+        waiting: waiting.length,
+        longestWaitSeconds: waiting.length > 0 ? Math.max(...waiting.map(call => call.durationSeconds)) : 0
+      },
+      calls,
+      agents: this.buildAgents(now),
+      queues: queueStats.getLive(now).huntGroups
+    };
+  }
+
+  /**
+   * Connected boards and counters (for the status endpoint)
+   */
+  getStatus() {
+    return {
+      subscribers: this.streams.size(),
+      activeCalls: this.calls.size,
+      members: this.members.size,
+      membersLoadedAt: this.membersLoadedAt,
+      ...this.stats
+    };
+  }
+}
+
+function signature(value) {
+  return JSON.stringify(value);
+}
+
+module.exports = new LiveBoardService();
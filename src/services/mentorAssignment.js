@@ -0,0 +1,229 @@
+const { fields, selectOptions } = require('../config/airtable');
+const assignmentConfig = require('../config/assignment');
+const teamMemberService = require('./teamMembers');
+const callerService = require('./callers');
+const followupService = require('./followups');
+const availability = require('./availability');
+const calendar = require('./calendar');
+
+const MEMBER = fields.teamMembers;
+const CALLER = fields.callers;
+const FOLLOWUP = fields.followups;
+const [AVAILABLE] = selectOptions.teamStatus;
+
+// Points per factor (a perfect match scores 100)
+const WEIGHTS = {
+  specialty: 40,
+  caseload: 25,
+  followups: 15,
+  schedule: 15,
+  status: 5
+};
+
+// Callers and follow-ups that still take a mentor's time
+const OPEN_CALLER_STATUSES = ['New', 'Active'];
+const OPEN_FOLLOWUP_STATUSES = selectOptions.openFollowupStatus;
+
+/**
+ * Mentor Assignment Service
+ *
+ * Ranks the active mentors for a caller. Each mentor is scored on:
+ *   - specialty  → one of their Specialties is the caller's Primary Issue
+ *                  (a General specialty counts for a little)
+ *   - caseload   → fewer New / Active callers is better; at MENTOR_MAX_CASELOAD
+ *                  they are not eligible at all
+ *   - follow-ups → fewer pending follow-ups (overdue ones count twice)
+ *   - schedule   → on shift now, or soon, in the Availability Schedule
+ *   - status     → Available right now
+ * Every suggestion carries the reasons behind its score.
+ */
+class MentorAssignmentService {
+  constructor(config = assignmentConfig) {
+    this.config = config;
+  }
+
+  /**
+   * Ranked mentor suggestions for a caller
+   * @param {string} callerId - Caller record ID
+   * @returns {Object} { caller, maxCaseload, suggestions, bestMatch }
+   */
+  async suggest(callerId, now = Date.now()) {
+    try {
+      const caller = await callerService.getCallerById(callerId);
+      const context = await this.loadContext(now);
+      const suggestions = this.rank(caller, context, now);
+
+      return {
+        caller: {
+          id: caller.id,
+          callerId: caller[CALLER.CALLER_ID] || null,
+          name: caller[CALLER.NAME] || null,
+          primaryIssue: caller[CALLER.PRIMARY_ISSUE] || null,
+          assignedMentor: (caller[CALLER.ASSIGNED_MENTOR] || [])[0] || null
+        },
+        maxCaseload: this.config.maxCaseload,
+        scheduleAvailable: context.schedules !== null,
+        suggestions,
+        bestMatch: suggestions.find(suggestion => suggestion.eligible) || null
+      };
+    } catch (error) {
+      throw new Error(`Failed to suggest a mentor for caller ${callerId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Assign the best match to a caller
+   * @param {string} callerId - Caller record ID
+   * @param {Object} options - { changedBy }
+   * @returns {Object} The suggestions, plus the updated caller (null when no mentor is eligible)
+   */
+  async autoAssign(callerId, { changedBy } = {}) {
+    const result = await this.suggest(callerId);
+    if (!result.bestMatch) {
+      console.warn(`⚠️  No eligible mentor for caller ${callerId}`);
+      return { ...result, assigned: null };
+    }
+
+    try {
+      const caller = await callerService.updateCaller(callerId, {
+        assignedMentor: result.bestMatch.mentorId,
+        status: 'Active',
+        changedBy: changedBy || 'Mentor auto-assignment'
+      });
+      console.log(`🤝 ${result.bestMatch.name} assigned to caller ${callerId} (score ${result.bestMatch.score})`);
+      return { ...result, assigned: caller };
+    } catch (error) {
+      throw new Error(`Failed to assign a mentor to caller ${callerId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mentors, their open callers and follow-ups, and the shift schedule
+   */
+  async loadContext(now) {
+    const [mentors, callers, followups, schedules] = await Promise.all([
+      teamMemberService.getMembersByRole('Mentor'),
+      callerService.getAllCallers({
+        filterByFormula: `OR(${OPEN_CALLER_STATUSES.map(status => `{${CALLER.STATUS}} = '${status}'`).join(', ')})`,
+        maxRecords: 10000
+      }),
+      followupService.getAllFollowups({
+        filterByFormula: `OR(${OPEN_FOLLOWUP_STATUSES.map(status => `{${FOLLOWUP.STATUS}} = '${status}'`).join(', ')})`,
+        maxRecords: 10000
+      }),
+      // Without the Availability Schedule mentors are still ranked, just not on shifts
+      availability.getMemberSchedules(now).catch(error => {
+        console.warn(`⚠️  Mentor assignment: ${error.message}`);
+        return null;
+      })
+    ]);
+
+    return { mentors, callers, followups, schedules };
+  }
+
+  /**
+   * Score and order mentors for a caller - eligible first, then by score
+   */
+  rank(caller, { mentors, callers, followups, schedules }, now = Date.now()) {
+    const issue = caller[CALLER.PRIMARY_ISSUE] || null;
+    const caseloads = countBy(callers.filter(other => other.id !== caller.id), CALLER.ASSIGNED_MENTOR);
+    const pending = countBy(followups, FOLLOWUP.ASSIGNED_TO);
+    const overdue = countBy(
+      followups.filter(followup => calendar.daysOverdue(followup[FOLLOWUP.DUE_DATE_TIME], now) > 0),
+      FOLLOWUP.ASSIGNED_TO
+    );
+
+    return mentors
+      .map(mentor => this.score(mentor, {
+        issue,
+        caseload: caseloads.get(mentor.id) || 0,
+        pending: pending.get(mentor.id) || 0,
+        overdue: overdue.get(mentor.id) || 0,
+        schedule: schedules ? schedules.get(mentor.id) || null : undefined
+      }))
+      .sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score) || a.caseload - b.caseload || String(a.name).localeCompare(String(b.name)));
+  }
+
+  /**
+   * One mentor's score, factor by factor, with a reason for each
+   * @param {Object} load - { issue, caseload, pending, overdue, schedule (undefined when the schedule couldn't be read) }
+   */
+  score(mentor, { issue, caseload, pending, overdue, schedule }) {
+    const reasons = [];
+    const points = {};
+    const specialties = mentor[MEMBER.SPECIALTIES] || [];
+
+    if (!issue) {
+      points.specialty = 0;
+      reasons.push('Caller has no Primary Issue yet');
+    } else if (specialties.includes(issue)) {
+      points.specialty = WEIGHTS.specialty;
+      reasons.push(`Specializes in ${issue}`);
+    } else if (specialties.includes('General')) {
+      points.specialty = Math.round(WEIGHTS.specialty / 4);
+      reasons.push(`General specialty (not ${issue})`);
+    } else {
+      points.specialty = 0;
+      reasons.push(`No ${issue} specialty`);
+    }
+
+    const eligible = caseload < this.config.maxCaseload;
+    points.caseload = eligible ? Math.round(WEIGHTS.caseload * (1 - caseload / this.config.maxCaseload)) : 0;
+    reasons.push(eligible
+      ? `Caseload ${caseload}/${this.config.maxCaseload}`
+      : `At max caseload (${caseload}/${this.config.maxCaseload})`);
+
+    const followupLoad = Math.min(pending + overdue, this.config.followupLoadLimit);
+    points.followups = Math.round(WEIGHTS.followups * (1 - followupLoad / this.config.followupLoadLimit));
+    reasons.push(`${pending} pending follow-up${pending === 1 ? '' : 's'}${overdue > 0 ? ` (${overdue} overdue)` : ''}`);
+
+    if (schedule === undefined) {
+      points.schedule = 0;
+      reasons.push('Shift schedule unavailable');
+    } else if (schedule && schedule.onShift) {
+      points.schedule = schedule.onShift.role === 'Mentor On-Call' ? WEIGHTS.schedule : Math.round(WEIGHTS.schedule * 2 / 3);
+      reasons.push(`On shift now as ${schedule.onShift.role} until ${schedule.onShift.end}`);
+    } else if (schedule && schedule.nextShift) {
+      points.schedule = Math.round(WEIGHTS.schedule / 2);
+      reasons.push(`Next shift ${schedule.nextShift.day} ${schedule.nextShift.start}`);
+    } else if (schedule) {
+      points.schedule = Math.round(WEIGHTS.schedule / 4);
+      reasons.push(`${schedule.weeklyShifts} shift${schedule.weeklyShifts === 1 ? '' : 's'} a week, none soon`);
+    } else {
+      points.schedule = 0;
+      reasons.push('No scheduled shifts');
+    }
+
+    const status = mentor[MEMBER.CURRENT_STATUS] || null;
+    points.status = status === AVAILABLE ? WEIGHTS.status : 0;
+    if (status) reasons.push(`Currently ${status}`);
+
+    return {
+      mentorId: mentor.id,
+      name: mentor[MEMBER.NAME] || null,
+      extension: mentor[MEMBER.PHONE_EXTENSION] || null,
+      status,
+      specialties,
+      eligible,
+      score: Object.values(points).reduce((sum, value) => sum + value, 0),
+      points,
+      caseload,
+      pendingFollowups: pending,
+      overdueFollowups: overdue,
+      onShift: schedule ? schedule.onShift : null,
+      nextShift: schedule ? schedule.nextShift : null,
+      reasons
+    };
+  }
+}
+
+/**
+ * Records per linked record ID of a link field
+ */
+function countBy(records, linkField) {
+  const counts = new Map();
+  records.forEach(record => (record[linkField] || []).forEach(id => counts.set(id, (counts.get(id) || 0) + 1)));
+  return counts;
+}
+
+module.exports = new MentorAssignmentService();
@@ -0,0 +1,236 @@
+const webhookConfig = require('../config/webhooks');
+const webhookEventService = require('./webhookEvents');
+const webhookMerger = require('./webhookMerger');
+const webhookQueue = require('./webhookQueue');
+const CallMerge = require('../shared/callMerge');
+
+// Merge lag statistics are kept over this many recent merges
+const LAG_SAMPLES = 500;
+
+/**
+ * Incremental merge worker (stage mode)
+ *
+ * Runs inside the server and merges each call into Calls as its events reach
+ * the staging table, instead of a scheduled batch over every unprocessed event:
+ *   - the caller's final "ended" event → merge after a short settle delay
+ *   - an event for a call already merged (late delivery) → re-merge
+ *   - a call with no final event → merged once it has been quiet for the grace period
+ *
+ * Merges run one at a time (Airtable rate limits); a failed merge is retried
+ * with backoff. Unprocessed events left from before a restart are picked up on start.
+ */
+class MergeWorkerService {
+  constructor(config = webhookConfig.mergeWorker) {
+    this.config = config;
+    // callId → { lastEventAt, terminalReceivedAt, mergedAt, dueAt, reason, attempts, lastError }
+    this.calls = new Map();
+    this.timer = null;
+    this.running = false;
+    this.started = false;
+    this.lagSamples = [];
+    this.stats = {
+      merged: 0,
+      onHangup: 0,
+      lateRemerges: 0,
+      gracePeriod: 0,
+      failures: 0,
+      lastMergeAt: null,
+      lastError: null
+    };
+    this.onStaged = event => this.notify(event);
+  }
+
+  /**
+   * Recover unprocessed events and start the sweep timer (idempotent)
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    webhookQueue.on('staged', this.onStaged);
+    this.timer = setInterval(() => this.tick(), this.config.sweepIntervalMs);
+    // Don't keep scripts alive just for the worker
+    this.timer.unref();
+
+    try {
+      const grouped = await webhookEventService.getEventsGroupedByCallId();
+      Object.values(grouped).forEach(events => events.forEach(event => this.notify(event)));
+      if (this.calls.size > 0) {
+        console.log(`🔀 Merge worker: ${this.calls.size} calls with unprocessed events picked up`);
+      }
+    } catch (error) {
+      console.error(`⚠️  Merge worker: could not load unprocessed events: ${error.message}`);
+    }
+
+    setImmediate(() => this.tick());
+  }
+
+  /**
+   * Stop the sweep timer (tracked calls are kept)
+   */
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    webhookQueue.removeListener('staged', this.onStaged);
+    this.timer = null;
+    this.started = false;
+  }
+
+  /**
+   * A new event reached the staging table
+   * @param {Object} event - Webhook Events record
+   */
+  notify(event) {
+    if (!this.started) return;
+
+    const callId = event['Call ID'];
+    if (!callId) return;
+
+    const now = Date.now();
+    const receivedAt = new Date(event['Received At']).getTime() || now;
+    let call = this.calls.get(callId);
+    if (!call) {
+      call = { lastEventAt: 0, terminalReceivedAt: null, mergedAt: null, dueAt: null, reason: null, attempts: 0, lastError: null };
+      this.calls.set(callId, call);
+    }
+    call.lastEventAt = Math.max(call.lastEventAt, receivedAt);
+
+    if (CallMerge.isTerminalEvent(event)) {
+      call.terminalReceivedAt = receivedAt;
+      this.schedule(call, now + this.config.settleMs, 'hangup');
+    } else if (call.mergedAt !== null) {
+      this.schedule(call, now + this.config.settleMs, 'late');
+    } else if (call.terminalReceivedAt === null) {
+      // Still in progress - fall back to the grace period if "ended" never comes
+      this.schedule(call, call.lastEventAt + this.config.gracePeriodMs, 'grace', true);
+    }
+
+    setTimeout(() => this.tick(), this.config.settleMs).unref();
+  }
+
+  /**
+   * Set when a call is due, keeping the earlier time unless told to replace it
+   */
+  schedule(call, dueAt, reason, replace = false) {
+    if (replace || call.dueAt === null || dueAt < call.dueAt) {
+      call.dueAt = dueAt;
+      call.reason = reason;
+    }
+  }
+
+  /**
+   * Merge every call that is due, oldest first, one at a time
+   */
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const now = Date.now();
+      const due = [...this.calls.entries()]
+        .filter(([, call]) => call.dueAt !== null && call.dueAt <= now)
+        .sort((a, b) => a[1].dueAt - b[1].dueAt);
+
+      for (const [callId, call] of due) {
+        await this.mergeCall(callId, call);
+      }
+
+      this.evict(now);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async mergeCall(callId, call) {
+    const reason = call.reason;
+
+    try {
+      const result = await webhookMerger.processSingleCall(callId);
+      const mergedAt = Date.now();
+
+      call.mergedAt = mergedAt;
+      call.dueAt = null;
+      call.attempts = 0;
+      call.lastError = null;
+
+      if (!result) return;
+
+      this.stats.merged++;
+      this.stats.lastMergeAt = new Date(mergedAt).toISOString();
+      if (reason === 'hangup') this.stats.onHangup++;
+      if (reason === 'late') this.stats.lateRemerges++;
+      if (reason === 'grace') this.stats.gracePeriod++;
+
+      // Lag: caller hung up (event arrived) → Calls record written
+      if (reason === 'hangup' && call.terminalReceivedAt !== null) {
+        this.recordLag(mergedAt - call.terminalReceivedAt);
+      }
+    } catch (error) {
+      call.attempts++;
+      call.lastError = error.message;
+      this.stats.failures++;
+      this.stats.lastError = error.message;
+
+      const delay = Math.min(this.config.retryBaseMs * 2 ** (call.attempts - 1), this.config.retryMaxMs);
+      call.dueAt = Date.now() + delay;
+      console.error(`⚠️  Merge worker: merge of ${callId} failed (attempt ${call.attempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+    }
+  }
+
+  recordLag(lagMs) {
+    this.lagSamples.push(Math.max(0, lagMs));
+    if (this.lagSamples.length > LAG_SAMPLES) this.lagSamples.shift();
+  }
+
+  /**
+   * Forget merged calls once late events are no longer expected
+   */
+  evict(now) {
+    for (const [callId, call] of this.calls.entries()) {
+      if (call.dueAt === null && call.mergedAt !== null && now - call.lastEventAt > this.config.retainMs) {
+        this.calls.delete(callId);
+      }
+    }
+  }
+
+  /**
+   * Merge lag percentiles over recent merges (ms)
+   */
+  getLagStats() {
+    if (this.lagSamples.length === 0) {
+      return { samples: 0, lastMs: null, avgMs: null, p50Ms: null, p95Ms: null, maxMs: null };
+    }
+
+    const sorted = [...this.lagSamples].sort((a, b) => a - b);
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+    return {
+      samples: sorted.length,
+      lastMs: this.lagSamples[this.lagSamples.length - 1],
+      avgMs: Math.round(sorted.reduce((sum, lag) => sum + lag, 0) / sorted.length),
+      p50Ms: percentile(0.5),
+      p95Ms: percentile(0.95),
+      maxMs: sorted[sorted.length - 1]
+    };
+  }
+
+  /**
+   * Calls in progress / waiting to merge and lag metrics (for the admin endpoint)
+   */
+  getStatus() {
+    const calls = [...this.calls.values()];
+
+    return {
+      enabled: this.config.enabled,
+      running: this.started,
+      gracePeriodSeconds: Math.round(this.config.gracePeriodMs / 1000),
+      tracked: calls.length,
+      inProgress: calls.filter(call => call.mergedAt === null && call.terminalReceivedAt === null).length,
+      awaitingMerge: calls.filter(call => call.dueAt !== null && call.reason !== 'grace').length,
+      retrying: calls.filter(call => call.attempts > 0).length,
+      lag: this.getLagStats(),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new MergeWorkerService();
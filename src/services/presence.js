@@ -0,0 +1,397 @@
+const fs = require('fs');
+const path = require('path');
+const { fields, selectOptions } = require('../config/airtable');
+const presenceConfig = require('../config/presence');
+const CallMerge = require('../shared/callMerge');
+const EndedCalls = require('./endedCalls');
+const teamMemberService = require('./teamMembers');
+
+const MEMBER = fields.teamMembers;
+const [AVAILABLE, BUSY] = selectOptions.teamStatus;
+
+/**
+ * Presence Service (team member status)
+ *
+ * Keeps "on a call" apart from the status a member chose for themselves.
+ * For every member it tracks the calls their extension is on; the first call
+ * sets them Busy, and when the last one ends their own status (Available,
+ * Offline, ...) is put back - not a blanket Available. A status chosen during
+ * a call is kept and applied when the call ends.
+ *
+ * Busy that nothing explains any more - a call whose hang-up never arrived,
+ * or Busy set elsewhere with no call behind it - is cleared after
+ * PRESENCE_BUSY_TIMEOUT_MS. Events for a call that already hung up (late or
+ * re-sent by Telebroad) are ignored for PRESENCE_ENDED_CALL_MS. Chosen
+ * statuses and open calls are saved to PRESENCE_STATE_FILE so a restart
+ * doesn't forget them.
+ */
+class PresenceService {
+  constructor(config = presenceConfig) {
+    this.config = config;
+    // member record ID → { chosenStatus, chosenAt, calls: { callId → { extension, since, lastSeenAt } }, unexplainedBusySince }
+    this.members = new Map();
+    // extension → team member record
+    this.directory = new Map();
+    // Calls that hung up - a later start for them is ignored
+    this.ended = new EndedCalls(config.endedCallMs);
+    this.loaded = false;
+    this.timer = null;
+    // Presence changes run one at a time, in arrival order
+    this.chain = Promise.resolve();
+    this.stats = {
+      callsStarted: 0,
+      callsEnded: 0,
+      restored: 0,
+      expired: 0,
+      lateEvents: 0,
+      lastSweepAt: null,
+      lastError: null
+    };
+
+    // Keep the directory's statuses current without re-reading Airtable
+    teamMemberService.on('status-changed', member => this.remember(member));
+  }
+
+  /**
+   * Load saved presence and start sweeping for stuck Busy states (idempotent)
+   */
+  async start() {
+    if (this.timer) return;
+    this.load();
+    this.timer = setInterval(() => this.sweep().catch(() => {}), this.config.sweepIntervalMs);
+    this.timer.unref();
+    await this.refreshDirectory().catch(() => {});
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Apply one Telebroad webhook (called for every event, not awaited by the receiver)
+   * - an extension answering, or dialing out, puts it on the call
+   * - an extension's leg ending takes it off; the caller hanging up ends the call for everyone
+   * Ringing alone doesn't count - a hunt group rings extensions that never take the call.
+   * @param {Object} webhookData - Raw webhook from Telebroad
+   */
+  async handleTelebroadEvent(webhookData) {
+    const event = CallMerge.payloadToEventFields(webhookData);
+    const callId = event['Call ID'];
+    if (!callId) return null;
+
+    if (CallMerge.isTerminalEvent(event)) {
+      return this.endCall(callId);
+    }
+
+    const status = event['Status'];
+    if (status === 'answered' && event['Destination Type'] === 'phone') {
+      return this.callStarted(event['Destination Number'], callId);
+    }
+    if (CallMerge.isOutbound(event) && event['Send Type'] === 'phone' && (status === 'ringing' || status === 'answered')) {
+      return this.callStarted(event['Send Number'], callId);
+    }
+    if (status === 'ended') {
+      if (event['Destination Type'] === 'phone') await this.callEnded(event['Destination Number'], callId);
+      if (event['Send Type'] === 'phone') await this.callEnded(event['Send Number'], callId);
+    }
+    return null;
+  }
+
+  /**
+   * An extension is on a call (Busy; its own status is remembered)
+   * @param {string} extension - Extension that answered or dialed
+   * @param {string} callId - Call ID (the legacy webhooks may not send one)
+   */
+  callStarted(extension, callId) {
+    if (callId && this.ended.has(callId)) {
+      this.stats.lateEvents++;
+      return Promise.resolve(null);
+    }
+
+    return this.run(async () => {
+      const member = await this.memberForExtension(extension);
+      if (!member) return null;
+
+      const entry = this.entry(member.id);
+      const key = callId || `extension-${extension}`;
+      const now = new Date().toISOString();
+
+      if (entry.calls[key]) {
+        entry.calls[key].lastSeenAt = now;
+        this.save();
+        return this.describe(member);
+      }
+
+      const wasFree = Object.keys(entry.calls).length === 0;
+      entry.calls[key] = { extension: String(extension), since: now, lastSeenAt: now };
+      entry.unexplainedBusySince = null;
+      this.stats.callsStarted++;
+
+      const current = member[MEMBER.CURRENT_STATUS] || null;
+      if (wasFree && current !== BUSY) {
+        // What they had before the call is what they get back afterwards
+        entry.chosenStatus = current || AVAILABLE;
+        await this.setStatus(member, BUSY);
+        console.log(`📞 ${member[MEMBER.NAME]} on a call → Busy (was ${entry.chosenStatus})`);
+      }
+
+      this.save();
+      return this.describe(member);
+    });
+  }
+
+  /**
+   * An extension left a call (its own status comes back once it is on no calls)
+   * @param {string} extension - Extension whose leg ended
+   * @param {string} callId - Call ID (the legacy webhooks may not send one)
+   */
+  callEnded(extension, callId) {
+    return this.run(async () => {
+      const member = await this.memberForExtension(extension);
+      if (!member) return null;
+
+      const entry = this.members.get(member.id);
+      const key = callId || `extension-${extension}`;
+      if (!entry || !entry.calls[key]) return this.describe(member);
+
+      delete entry.calls[key];
+      this.stats.callsEnded++;
+      if (Object.keys(entry.calls).length === 0) await this.restore(member, entry, 'call ended');
+
+      this.save();
+      return this.describe(member);
+    });
+  }
+
+  /**
+   * The whole call is over - take it off every extension that was on it
+   * @param {string} callId - Telebroad call ID
+   */
+  endCall(callId) {
+    this.ended.add(callId);
+    return this.run(async () => {
+      for (const [memberId, entry] of this.members.entries()) {
+        if (!entry.calls[callId]) continue;
+        delete entry.calls[callId];
+        this.stats.callsEnded++;
+
+        if (Object.keys(entry.calls).length === 0) {
+          const member = await this.memberById(memberId);
+          if (member) await this.restore(member, entry, 'call ended');
+        }
+      }
+      this.save();
+      return null;
+    });
+  }
+
+  /**
+   * A member picks their own status. Off a call it applies at once; on a call
+   * they stay Busy and get the new status when the call ends.
+   * @param {string} memberId - Team member record ID
+   * @param {string} status - '🟢 Available', '🟡 Busy' or '🔴 Offline'
+   * @returns {Object} The team member record
+   */
+  setChosenStatus(memberId, status) {
+    if (!selectOptions.teamStatus.includes(status)) {
+      throw new Error(`Status must be one of: ${selectOptions.teamStatus.join(', ')} (got "${status}")`);
+    }
+
+    return this.run(async () => {
+      const entry = this.entry(memberId);
+      entry.chosenStatus = status;
+      entry.chosenAt = new Date().toISOString();
+      entry.unexplainedBusySince = null;
+      this.save();
+
+      const member = await this.memberById(memberId);
+      if (!member) throw new Error(`Team member ${memberId} not found`);
+      if (Object.keys(entry.calls).length > 0 || member[MEMBER.CURRENT_STATUS] === status) return member;
+      return this.setStatus(member, status);
+    });
+  }
+
+  /**
+   * Clear Busy states nothing explains any more
+   *   - calls with no sign of life for PRESENCE_BUSY_TIMEOUT_MS (missed hang-up)
+   *   - Busy with no call behind it for that long (set by hand, Apps Script, an old server)
+   * A member who chose Busy themselves is left alone.
+   */
+  sweep(now = Date.now()) {
+    return this.run(async () => {
+      try {
+        await this.refreshDirectory();
+        const cutoff = now - this.config.busyTimeoutMs;
+
+        for (const [memberId, entry] of this.members.entries()) {
+          const calls = Object.entries(entry.calls);
+          if (calls.length === 0 || !calls.every(([, call]) => Date.parse(call.lastSeenAt) < cutoff)) continue;
+
+          entry.calls = {};
+          this.stats.expired++;
+          const member = await this.memberById(memberId);
+          if (member) await this.restore(member, entry, `no call activity for ${Math.round(this.config.busyTimeoutMs / 60000)} min`);
+        }
+
+        for (const member of this.directory.values()) {
+          const entry = this.entry(member.id);
+          const stuck = member[MEMBER.CURRENT_STATUS] === BUSY &&
+            Object.keys(entry.calls).length === 0 &&
+            entry.chosenStatus !== BUSY;
+
+          if (!stuck) {
+            entry.unexplainedBusySince = null;
+            continue;
+          }
+
+          const lastUpdated = Date.parse(member[MEMBER.STATUS_LAST_UPDATED]);
+          if (!entry.unexplainedBusySince) {
+            entry.unexplainedBusySince = new Date(Number.isFinite(lastUpdated) ? lastUpdated : now).toISOString();
+          }
+          if (Date.parse(entry.unexplainedBusySince) < cutoff) {
+            this.stats.expired++;
+            await this.restore(member, entry, 'Busy with no call');
+          }
+        }
+
+        this.stats.lastSweepAt = new Date(now).toISOString();
+        this.save();
+      } catch (error) {
+        this.stats.lastError = error.message;
+        console.error(`⚠️  Presence sweep failed: ${error.message}`);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Put a member back on the status they chose
+   */
+  async restore(member, entry, reason) {
+    const status = entry.chosenStatus || AVAILABLE;
+    entry.unexplainedBusySince = null;
+    if (member[MEMBER.CURRENT_STATUS] === status) return member;
+
+    this.stats.restored++;
+    console.log(`🔁 ${member[MEMBER.NAME]} → ${status} (${reason})`);
+    return this.setStatus(member, status);
+  }
+
+  async setStatus(member, status) {
+    const updated = await teamMemberService.updateStatus(member.id, status);
+    this.remember(updated);
+    return updated;
+  }
+
+  /**
+   * Every member's status, chosen status and current calls
+   */
+  getPresence() {
+    return [...this.directory.values()]
+      .map(member => this.describe(member))
+      .sort((a, b) => String(a.extension).localeCompare(String(b.extension), undefined, { numeric: true }));
+  }
+
+  describe(member) {
+    const entry = this.members.get(member.id) || { calls: {} };
+    const calls = Object.entries(entry.calls).map(([callId, call]) => ({ callId, extension: call.extension, since: call.since }));
+    return {
+      memberId: member.id,
+      name: member[MEMBER.NAME] || null,
+      extension: member[MEMBER.PHONE_EXTENSION] || null,
+      status: member[MEMBER.CURRENT_STATUS] || null,
+      chosenStatus: entry.chosenStatus || null,
+      onCall: calls.length > 0,
+      calls,
+      unexplainedBusySince: entry.unexplainedBusySince || null
+    };
+  }
+
+  getStatus() {
+    return {
+      stateFile: this.config.stateFile,
+      busyTimeoutMinutes: Math.round(this.config.busyTimeoutMs / 60000),
+      membersOnCalls: [...this.members.values()].filter(entry => Object.keys(entry.calls).length > 0).length,
+      ...this.stats
+    };
+  }
+
+  entry(memberId) {
+    this.load();
+    if (!this.members.has(memberId)) {
+      this.members.set(memberId, { chosenStatus: null, chosenAt: null, calls: {}, unexplainedBusySince: null });
+    }
+    return this.members.get(memberId);
+  }
+
+  async refreshDirectory() {
+    const members = await teamMemberService.getActiveMembers();
+    this.directory.clear();
+    members.forEach(member => this.remember(member));
+    return members;
+  }
+
+  remember(member) {
+    const extension = member && member[MEMBER.PHONE_EXTENSION];
+    if (extension) this.directory.set(String(extension), member);
+  }
+
+  async memberForExtension(extension) {
+    if (!extension) return null;
+    const known = this.directory.get(String(extension));
+    if (known) return known;
+
+    const member = await teamMemberService.findByPhoneExtension(extension);
+    if (member) this.remember(member);
+    return member;
+  }
+
+  async memberById(memberId) {
+    const known = [...this.directory.values()].find(member => member.id === memberId);
+    if (known) return known;
+    try {
+      const member = await teamMemberService.getMemberById(memberId);
+      this.remember(member);
+      return member;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Queue a presence change behind the ones already running
+   */
+  run(task) {
+    const result = this.chain.then(task);
+    this.chain = result.catch(() => {});
+    return result;
+  }
+
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.config.stateFile, 'utf8'));
+      Object.entries(saved.members || {}).forEach(([memberId, entry]) => {
+        this.members.set(memberId, { chosenStatus: null, chosenAt: null, calls: {}, unexplainedBusySince: null, ...entry });
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`⚠️  Presence: could not read ${this.config.stateFile}: ${error.message}`);
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.config.stateFile), { recursive: true });
+      const temp = `${this.config.stateFile}.tmp`;
+      fs.writeFileSync(temp, JSON.stringify({ members: Object.fromEntries(this.members) }, null, 2));
+      fs.renameSync(temp, this.config.stateFile);
+    } catch (error) {
+      this.stats.lastError = error.message;
+      console.warn(`⚠️  Presence: could not save ${this.config.stateFile}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new PresenceService();
@@ -0,0 +1,260 @@
+const { fields } = require('../config/airtable');
+const calendarConfig = require('../config/calendar');
+const liveConfig = require('../config/live');
+const callLegService = require('./callLegs');
+
+const LEG = fields.callLegs;
+
+// Hours in the stats are helpline-local
+const TIME_ZONE = calendarConfig.timeZone;
+
+/**
+ * Queue Stats Service (hunt groups)
+ *
+ * Measures how long callers wait in each hunt group. A "visit" is one caller
+ * entering one hunt group, and ends one of four ways:
+ *   - answered  → an extension the hunt group rang picked up (wait = speed of answer)
+ *   - abandoned → the caller hung up while waiting
+ *   - voicemail → the hunt group sent the caller to voicemail
+ *   - overflow  → the hunt group passed the caller on somewhere else
+ *
+ * Live numbers come from the live board (every Telebroad event, kept in
+ * memory for LIVE_QUEUE_WINDOW_MS); stats for a past period are rebuilt from
+ * the Call Legs table.
+ */
+class QueueStatsService {
+  constructor(config = liveConfig) {
+    this.config = config;
+    // callId → visits still waiting
+    this.waiting = new Map();
+    // Visits that ended within the window
+    this.finished = [];
+    this.recorded = new Set();
+    this.seededAt = null;
+  }
+
+  /**
+   * Fill the window with visits merged before this process started
+   */
+  async seed(now = Date.now()) {
+    try {
+      const visits = await this.loadVisits({ since: now - this.config.queueWindowMs, until: now });
+      visits.filter(visit => visit.outcome !== 'waiting').forEach(visit => this.record(visit));
+      this.prune(now);
+      this.seededAt = new Date(now).toISOString();
+      return visits.length;
+    } catch (error) {
+      console.warn(`⚠️  Queue stats: could not load recent hunt group calls: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Take in a live call's legs after each of its events
+   * @param {string} callId - Telebroad call ID
+   * @param {Array} legs - The call's legs so far (merge leg shape)
+   */
+  updateCall(callId, legs, now = Date.now()) {
+    const visits = huntGroupVisits(callId, legs, now);
+    visits.filter(visit => visit.outcome !== 'waiting').forEach(visit => this.record(visit));
+
+    const waiting = visits.filter(visit => visit.outcome === 'waiting');
+    if (waiting.length > 0) this.waiting.set(callId, waiting);
+    else this.waiting.delete(callId);
+  }
+
+  /**
+   * Stop tracking a call without counting it (the live board gave up on it)
+   */
+  forgetCall(callId) {
+    this.waiting.delete(callId);
+  }
+
+  record(visit) {
+    if (this.recorded.has(visit.key)) return;
+    this.recorded.add(visit.key);
+    this.finished.push(visit);
+  }
+
+  prune(now = Date.now()) {
+    const cutoff = now - this.config.queueWindowMs;
+    this.finished = this.finished.filter(visit => {
+      if (visit.leftAt >= cutoff) return true;
+      this.recorded.delete(visit.key);
+      return false;
+    });
+  }
+
+  /**
+   * Every hunt group right now: callers waiting, longest current wait, and
+   * what happened to the callers of the last window
+   */
+  getLive(now = Date.now()) {
+    this.prune(now);
+
+    const groups = {};
+    const group = name => (groups[name] = groups[name] || { waiting: [], finished: [] });
+    this.waiting.forEach(visits => visits.forEach(visit => group(visit.huntGroup).waiting.push(visit)));
+    this.finished.forEach(visit => group(visit.huntGroup).finished.push(visit));
+
+    const huntGroups = Object.keys(groups).sort().map(name => ({
+      name,
+      waiting: groups[name].waiting.length,
+      longestWaitSeconds: groups[name].waiting.length > 0
+        ? Math.max(...groups[name].waiting.map(visit => toSeconds(now - visit.enteredAt)))
+        : 0,
+      recent: summarize(groups[name].finished)
+    }));
+
+    return {
+      asOf: new Date(now).toISOString(),
+      windowMinutes: Math.round(this.config.queueWindowMs / 60000),
+      seededAt: this.seededAt,
+      waiting: huntGroups.reduce((sum, huntGroup) => sum + huntGroup.waiting, 0),
+      longestWaitSeconds: Math.max(0, ...huntGroups.map(huntGroup => huntGroup.longestWaitSeconds)),
+      recent: summarize(this.finished),
+      huntGroups
+    };
+  }
+
+  /**
+   * Hunt group stats for a past period, with an hour-by-hour breakdown
+   * @param {Object} options - { since, until } as Dates or ISO strings
+   */
+  async getStats({ since, until }) {
+    try {
+      const visits = (await this.loadVisits({ since, until })).filter(visit => visit.outcome !== 'waiting');
+      const names = [...new Set(visits.map(visit => visit.huntGroup))].sort();
+
+      return {
+        since: new Date(since).toISOString(),
+        until: new Date(until).toISOString(),
+        timeZone: TIME_ZONE,
+        totals: summarize(visits),
+        huntGroups: names.map(name => {
+          const mine = visits.filter(visit => visit.huntGroup === name);
+          const byHour = hourly(mine);
+          const worst = [...byHour]
+            .filter(hour => hour.abandoned > 0)
+            .sort((a, b) => b.abandoned - a.abandoned || b.offered - a.offered)[0];
+          return { name, ...summarize(mine), worstHour: worst ? worst.hour : null, byHour };
+        })
+      };
+    } catch (error) {
+      throw new Error(`Failed to build hunt group stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Visits of the calls that entered a hunt group in a period, from Call Legs
+   */
+  async loadVisits({ since, until }) {
+    const entries = await callLegService.getHuntGroupLegs({ since, until });
+    const legsByCall = await callLegService.getLegsForCalls(entries.map(leg => leg[LEG.TB_CALL_ID]));
+    const from = new Date(since).getTime();
+    const to = new Date(until).getTime();
+
+    return Object.entries(legsByCall)
+      .flatMap(([callId, legs]) => huntGroupVisits(callId, legs.map(leg => callLegService.fromLegFields(leg)), to))
+      .filter(visit => visit.enteredAt >= from && visit.enteredAt < to);
+  }
+}
+
+/**
+ * Each time the caller entered a hunt group, and how that ended
+ * @param {string} callId - Telebroad call ID
+ * @param {Array} legs - Legs in the merge's shape (times as ms or ISO strings)
+ * @param {number} now - Reference time for visits still waiting
+ */
+function huntGroupVisits(callId, legs, now) {
+  return legs
+    .filter(leg => leg.to.type === 'huntgroup' && time(leg.ringStart) !== null)
+    .map(leg => {
+      const huntGroup = leg.to.name || leg.to.number;
+      const enteredAt = time(leg.ringStart);
+      const later = other => time(other.ringStart) !== null && time(other.ringStart) >= enteredAt;
+
+      const answered = legs
+        .filter(other => other.to.type === 'phone' && other.from.type === 'huntgroup' && later(other) &&
+          (other.from.name || other.from.number) === huntGroup && time(other.answeredAt) !== null)
+        .map(other => time(other.answeredAt))
+        .sort((a, b) => a - b)[0];
+
+      // A hunt group stays open while the caller is in its voicemail - the wait ended when voicemail picked up
+      const voicemail = legs.find(other => other.to.type === 'voicemail' && later(other));
+
+      let outcome;
+      let leftAt;
+      if (answered !== undefined) {
+        outcome = 'answered';
+        leftAt = answered;
+      } else if (voicemail) {
+        outcome = 'voicemail';
+        leftAt = time(voicemail.ringStart);
+      } else if (time(leg.endedAt) === null) {
+        outcome = 'waiting';
+        leftAt = null;
+      } else {
+        outcome = leg.state === 'transferred' ? 'overflow' : 'abandoned';
+        leftAt = time(leg.endedAt);
+      }
+
+      return {
+        key: `${callId}|${huntGroup}|${enteredAt}`,
+        callId,
+        huntGroup,
+        enteredAt,
+        leftAt,
+        outcome,
+        waitMs: (leftAt !== null ? leftAt : now) - enteredAt
+      };
+    });
+}
+
+/**
+ * Counts, abandon rate, average speed of answer and longest wait
+ */
+function summarize(visits) {
+  const count = outcome => visits.filter(visit => visit.outcome === outcome).length;
+  const answered = visits.filter(visit => visit.outcome === 'answered');
+
+  return {
+    offered: visits.length,
+    answered: answered.length,
+    abandoned: count('abandoned'),
+    voicemail: count('voicemail'),
+    overflow: count('overflow'),
+    abandonRate: visits.length > 0 ? Math.round(count('abandoned') / visits.length * 100) / 100 : null,
+    averageSpeedOfAnswerSeconds: answered.length > 0
+      ? toSeconds(answered.reduce((sum, visit) => sum + visit.waitMs, 0) / answered.length)
+      : null,
+    longestWaitSeconds: visits.length > 0 ? toSeconds(Math.max(...visits.map(visit => visit.waitMs))) : null
+  };
+}
+
+function hourly(visits) {
+  const hours = {};
+  visits.forEach(visit => {
+    const hour = parseInt(new Date(visit.enteredAt).toLocaleString('en-US', { timeZone: TIME_ZONE, hour: 'numeric', hourCycle: 'h23' }), 10);
+    (hours[hour] = hours[hour] || []).push(visit);
+  });
+  return Object.keys(hours)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(hour => {
+      const { offered, answered, abandoned, averageSpeedOfAnswerSeconds } = summarize(hours[hour]);
+      return { hour, offered, answered, abandoned, averageSpeedOfAnswerSeconds };
+    });
+}
+
+function time(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const ms = typeof value === 'number' ? value : new Date(value).getTime();
+  return isNaN(ms) ? null : ms;
+}
+
+function toSeconds(ms) {
+  return Math.max(0, Math.round(ms / 1000));
+}
+
+module.exports = new QueueStatsService();
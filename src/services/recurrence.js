@@ -0,0 +1,173 @@
+const calendar = require('./calendar');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_NAME = /\b(sun|mon|tue|wed|thu|fri|sat)(?:day|s|sday|nesday|r|rs|rsday|urday)?s?\b/;
+const DAY_INDEX = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12 };
+const EVERY_COUNT = new RegExp(`\\bevery\\s+(\\d+|${Object.keys(NUMBER_WORDS).join('|')})\\s*(day|week)s?\\b`);
+// "every Tuesday", "on Tuesdays"
+const ON_DAY = new RegExp(`^(?:every|on)\\s+${DAY_NAME.source}`);
+
+// "Tuesday evening" - when in the day a check-in lands
+const PERIOD_TIMES = {
+  morning: 10 * 60,
+  afternoon: 14 * 60,
+  evening: 19 * 60,
+  night: 21 * 60
+};
+
+/**
+ * Recurrence rules for follow-ups
+ *
+ * A rule is { every, unit: 'day' | 'week', day (0 = Sunday, weeks only),
+ * time (minutes after midnight, helpline time) } - day and time are optional.
+ * It is stored on the follow-up as text ("Every week on Tuesday at 7:00 PM",
+ * "Every 10 days") and read back with parse, which also takes what people
+ * type: "weekly on Tuesday evening", "every other Tuesday", "every two weeks".
+ * Anything else - months, several days a week - is refused rather than
+ * guessed at, so a check-in never runs at a cadence nobody asked for.
+ */
+class RecurrenceService {
+  /**
+   * Read a rule from text or { every, unit, day, time }
+   * @throws {Error} When the rule can't be understood
+   */
+  parse(value) {
+    const rule = typeof value === 'object' && value !== null ? fromObject(value) : fromText(String(value || ''));
+    if (!Number.isInteger(rule.every) || rule.every < 1 || rule.every > 365) {
+      throw new Error('Recurrence must repeat every 1 to 365 days or weeks');
+    }
+    if (rule.unit === 'day' && rule.day !== null) {
+      throw new Error('A weekday only goes with a weekly recurrence ("every week on Tuesday")');
+    }
+    return rule;
+  }
+
+  /**
+   * The stored text of a rule
+   */
+  format(rule) {
+    const every = rule.every === 1 ? `Every ${rule.unit}` : `Every ${rule.every} ${rule.unit}s`;
+    const day = rule.day !== null ? ` on ${DAY_NAMES[rule.day]}` : '';
+    const time = rule.time !== null ? ` at ${formatMinutes(rule.time)}` : '';
+    return `${every}${day}${time}`;
+  }
+
+  /**
+   * When the occurrence after one due at `previousDue` is due (ms) - the
+   * first one after `now`, so a check-in completed late doesn't create
+   * follow-ups that are already overdue
+   * @param {Object} rule - Parsed rule
+   * @param {string|number} previousDue - Due date/time of the occurrence just done
+   */
+  next(rule, previousDue, now = Date.now()) {
+    const anchor = Number.isFinite(Date.parse(previousDue)) ? Date.parse(previousDue) : now;
+    const minutes = rule.time !== null ? rule.time : minutesOfDay(anchor);
+    const step = rule.unit === 'week' ? 7 * rule.every : rule.every;
+
+    let date = calendar.localDate(anchor);
+    if (rule.day !== null) {
+      // The weekday in the week `every` weeks on ("every other Tuesday" = 8-14 days)
+      date = calendar.addDays(date, step - 6);
+      while (calendar.weekday(date) !== rule.day) date = calendar.addDays(date, 1);
+    } else {
+      date = calendar.addDays(date, step);
+    }
+
+    while (calendar.zonedTime(date, minutes) <= now) date = calendar.addDays(date, step);
+    return calendar.zonedTime(date, minutes);
+  }
+}
+
+function fromText(text) {
+  const value = text.toLowerCase().trim();
+  if (!value) throw new Error('Recurrence rule is empty');
+  const unreadable = () => new Error(`Can't read recurrence "${text}" (try "weekly on Tuesday evening" or "every 10 days")`);
+
+  const dayValue = value.replace(/\bevery\s*day\b/, '');
+  const days = [...new Set([...dayValue.matchAll(new RegExp(DAY_NAME.source, 'g'))].map(match => DAY_INDEX[match[1]]))];
+  // One rule repeats on one day, and only in days or weeks
+  if (days.length > 1 || /\b(?:month|year|quarter|annual)/.test(value)) throw unreadable();
+  const day = days.length === 1 ? days[0] : null;
+
+  let every = null;
+  let unit = null;
+  let match;
+  if (/\b(?:daily|every\s*day)\b/.test(value)) {
+    every = 1;
+    unit = 'day';
+  } else if (/\bevery\s+other\s+day\b/.test(value)) {
+    every = 2;
+    unit = 'day';
+  } else if (/\b(?:every\s+other\s+week|bi-?weekly|fortnightly)\b/.test(value) ||
+    (/\bevery\s+other\s/.test(value) && day !== null)) {
+    // "every other Tuesday" too
+    every = 2;
+    unit = 'week';
+  } else if ((match = EVERY_COUNT.exec(value))) {
+    every = NUMBER_WORDS[match[1]] || parseInt(match[1], 10);
+    unit = match[2];
+  } else if (/\b(?:weekly|every\s+week)\b/.test(value) || ON_DAY.test(value)) {
+    // "every Tuesday" / "on Tuesdays" are weekly
+    every = 1;
+    unit = 'week';
+  } else {
+    throw unreadable();
+  }
+
+  return { every, unit, day, time: parseTimeOfDay(value) };
+}
+
+function fromObject(value) {
+  const unit = String(value.unit || '').toLowerCase().replace(/s$/, '');
+  if (unit !== 'day' && unit !== 'week') {
+    throw new Error('Recurrence unit must be "days" or "weeks"');
+  }
+
+  let day = null;
+  if (value.day !== undefined && value.day !== null && value.day !== '') {
+    const match = DAY_NAME.exec(String(value.day).toLowerCase());
+    if (!match) throw new Error(`Unknown recurrence day "${value.day}"`);
+    day = DAY_INDEX[match[1]];
+  }
+
+  let time = null;
+  if (value.time !== undefined && value.time !== null && value.time !== '') {
+    time = parseTimeOfDay(String(value.time).toLowerCase());
+    if (time === null) throw new Error(`Unknown recurrence time "${value.time}"`);
+  }
+
+  return { every: value.every === undefined ? 1 : Number(value.every), unit, day, time };
+}
+
+/**
+ * "at 7pm", "19:30", "7:00 PM", "evening" → minutes after midnight, or null
+ */
+function parseTimeOfDay(value) {
+  const match = /\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m?\.?(?![a-z])/.exec(value) ||
+    /\b(\d{1,2}):(\d{2})\b()/.exec(value);
+  if (match) {
+    let hour = parseInt(match[1], 10);
+    const minute = match[2] ? parseInt(match[2], 10) : 0;
+    if (hour > 23 || minute > 59) return null;
+    if (match[3] === 'p' && hour < 12) hour += 12;
+    if (match[3] === 'a' && hour === 12) hour = 0;
+    return hour * 60 + minute;
+  }
+  if (/\bnoon\b/.test(value)) return 12 * 60;
+
+  const period = Object.keys(PERIOD_TIMES).find(name => new RegExp(`\\b${name}s?\\b`).test(value));
+  return period ? PERIOD_TIMES[period] : null;
+}
+
+function minutesOfDay(time) {
+  const parts = calendar.localParts(time);
+  return (parts.hour % 24) * 60 + parts.minute;
+}
+
+function formatMinutes(minutes) {
+  const hour = Math.floor(minutes / 60);
+  return `${hour % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+module.exports = new RecurrenceService();
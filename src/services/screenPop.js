@@ -0,0 +1,200 @@
+const axios = require('axios');
+const lookupConfig = require('../config/lookup');
+const callerLookup = require('./callerLookup');
+const CallMerge = require('../shared/callMerge');
+const EventStream = require('./eventStream');
+
+// Calls are forgotten this long after their first pop (covers a missed "ended")
+const CALL_RETAIN_MS = 60 * 60 * 1000;
+
+/**
+ * Screen-pop push service
+ *
+ * When an inbound call starts ringing on an extension, the caller lookup is
+ * pushed to that extension: to every browser subscribed with
+ * GET /api/lookup/stream?extension=<ext> (Server-Sent Events), and to
+ * SCREEN_POP_WEBHOOK_URL when set. Follow-up events close the pop:
+ *   - ringing  → { type: 'ringing', callId, extension, callerNumber, lookup }
+ *   - lookup   → the same pop again once a lookup that was "pending" completes
+ *   - answered → { type: 'answered', callId, answeredBy } to every extension that rang
+ *   - ended    → { type: 'ended', callId } to every extension that rang
+ * Notices for a team member that aren't about a ringing call use the same
+ * channel: { type: 'notice', kind, extension, ... } (see notify).
+ */
+class ScreenPopService {
+  constructor(config = lookupConfig) {
+    this.config = config;
+    // SSE streams keyed by extension
+    this.streams = new EventStream();
+    // callId → { extensions: Set, callerNumber, lookup, lookupPending, startedAt }
+    this.calls = new Map();
+    this.stats = {
+      pops: 0,
+      delivered: 0,
+      webhookFailures: 0,
+      lastPopAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Open an SSE stream of screen-pops for an extension
+   * @param {string} extension - Extension to receive pops for
+   * @param {Object} req - Express request (closed when the client disconnects)
+   * @param {Object} res - Express response
+   */
+  subscribe(extension, req, res) {
+    this.streams.subscribe(req, res, extension, [['connected', { extension, at: new Date().toISOString() }]]);
+  }
+
+  /**
+   * Turn a Telebroad webhook into pops (called for every event, not awaited by the receiver)
+   * @param {Object} webhookData - Raw webhook from Telebroad
+   */
+  async handleTelebroadEvent(webhookData) {
+    const event = CallMerge.payloadToEventFields(webhookData);
+    const callId = event['Call ID'];
+    if (!callId || CallMerge.isOutbound(event)) return null;
+
+    if (CallMerge.isTerminalEvent(event)) {
+      this.sendToCall(callId, { type: 'ended', callId, at: new Date().toISOString() });
+      this.calls.delete(callId);
+      return null;
+    }
+
+    if (event['Destination Type'] !== 'phone') return null;
+    const extension = event['Destination Number'];
+
+    if (event['Status'] === 'ringing') {
+      return this.popRinging(callId, extension, event['Caller ID External'] || event['Send Number']);
+    }
+
+    if (event['Status'] === 'answered') {
+      this.sendToCall(callId, {
+        type: 'answered',
+        callId,
+        answeredBy: { extension, name: event['Destination Name'] || null },
+        at: new Date().toISOString()
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Push the caller lookup to an extension that started ringing
+   * (each extension gets one pop per call, however often Telebroad repeats the event)
+   * @param {string} callId - Telebroad call ID
+   * @param {string} extension - Ringing extension
+   * @param {string} callerNumber - Caller's number
+   */
+  async popRinging(callId, extension, callerNumber) {
+    if (!callId || !extension) return null;
+
+    const call = this.trackCall(callId, callerNumber);
+    if (call.extensions.has(extension)) return null;
+    call.extensions.add(extension);
+
+    // Hunt groups ring several extensions - one lookup serves them all
+    let lookup = call.lookup;
+    if (!lookup) {
+      lookup = await callerLookup.lookup(callerNumber);
+      if (lookup.source !== 'pending') {
+        call.lookup = lookup;
+      } else if (!call.lookupPending) {
+        call.lookupPending = true;
+        this.completePendingLookup(callId, lookup.phone);
+      }
+    }
+
+    return this.sendPop(callId, extension, callerNumber, lookup);
+  }
+
+  /**
+   * Re-send the pops of a call once its slow lookup finishes
+   */
+  completePendingLookup(callId, phone) {
+    callerLookup.refresh(phone)
+      .then(result => {
+        const call = this.calls.get(callId);
+        if (!call) return;
+        call.lookup = { ...result, source: 'live' };
+        call.lookupPending = false;
+        call.extensions.forEach(extension => {
+          this.deliver(extension, { type: 'lookup', callId, extension, callerNumber: call.callerNumber, lookup: call.lookup, at: new Date().toISOString() });
+        });
+      })
+      .catch(() => {});
+  }
+
+  sendPop(callId, extension, callerNumber, lookup) {
+    const pop = { type: 'ringing', callId, extension, callerNumber, lookup, at: new Date().toISOString() };
+    this.stats.pops++;
+    this.stats.lastPopAt = pop.at;
+    this.deliver(extension, pop);
+    return pop;
+  }
+
+  trackCall(callId, callerNumber) {
+    const now = Date.now();
+    for (const [id, call] of this.calls.entries()) {
+      if (now - call.startedAt > CALL_RETAIN_MS) this.calls.delete(id);
+    }
+
+    if (!this.calls.has(callId)) {
+      this.calls.set(callId, { extensions: new Set(), callerNumber, lookup: null, lookupPending: false, startedAt: now });
+    }
+    return this.calls.get(callId);
+  }
+
+  sendToCall(callId, payload) {
+    const call = this.calls.get(callId);
+    if (!call) return;
+    call.extensions.forEach(extension => this.deliver(extension, { ...payload, extension }));
+  }
+
+  /**
+   * Push a notice to a team member's extension (e.g. a callback the retry
+   * policy gave up on)
+   * @param {string} extension - Team member's extension
+   * @param {Object} notice - { kind, message, ... }
+   * @returns {Object} { subscribers, pushed } - see deliver
+   */
+  notify(extension, notice) {
+    const payload = { type: 'notice', extension, ...notice, at: new Date().toISOString() };
+    return this.deliver(extension, payload);
+  }
+
+  /**
+   * Send a payload to an extension's SSE subscribers and the push webhook
+   * @returns {Object} { subscribers: streams written to, pushed: whether it
+   *   went to the push webhook (sent in the background, so not confirmed) }
+   */
+  deliver(extension, payload) {
+    const subscribers = this.streams.send(extension, 'screen-pop', payload);
+    this.stats.delivered += subscribers;
+
+    if (this.config.pushUrl) {
+      axios.post(this.config.pushUrl, payload, { timeout: this.config.pushTimeoutMs })
+        .catch(error => {
+          this.stats.webhookFailures++;
+          this.stats.lastError = error.message;
+          console.warn(`⚠️  Screen-pop push to ${this.config.pushUrl} failed: ${error.message}`);
+        });
+    }
+    return { subscribers, pushed: !!this.config.pushUrl };
+  }
+
+  /**
+   * Connected extensions and calls being tracked (for the status endpoint)
+   */
+  getStatus() {
+    return {
+      subscribers: this.streams.counts(),
+      activeCalls: this.calls.size,
+      pushUrl: this.config.pushUrl ? 'configured' : null,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new ScreenPopService();
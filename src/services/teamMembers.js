@@ -1,32 +1,29 @@
-const { base, tables, fields } = require('../config/airtable');
+const { EventEmitter } = require('events');
+const { tables, fields } = require('../config/airtable');
+const store = require('../storage');
 
 const F = fields.teamMembers;
 
 /**
  * Service for managing Team Members in Airtable
  * Handles intakers, mentors, and their availability status
+ *
+ * Emits 'status-changed' (member record) after every Current Status update
+ * made through this service, so live views don't have to poll for it.
  */
-class TeamMemberService {
+class TeamMemberService extends EventEmitter {
   /**
    * Get all team members with optional filtering
    * @param {Object} options - Query options
    */
   async getAllMembers(options = {}) {
     try {
-      const query = base(tables.teamMembers).select({
+      return await store.select(tables.teamMembers, {
         maxRecords: options.maxRecords || 100,
         view: options.view || 'Grid view',
         filterByFormula: options.filterByFormula,
         sort: options.sort || [{ field: F.NAME, direction: 'asc' }]
       });
-
-      const records = [];
-      await query.eachPage((pageRecords, fetchNextPage) => {
-        records.push(...pageRecords.map(r => ({ id: r.id, ...r.fields })));
-        fetchNextPage();
-      });
-
-      return records;
     } catch (error) {
       throw new Error(`Failed to fetch team members: ${error.message}`);
     }
@@ -37,8 +34,7 @@ class TeamMemberService {
    */
   async getMemberById(recordId) {
     try {
-      const record = await base(tables.teamMembers).find(recordId);
-      return { id: record.id, ...record.fields };
+      return await store.find(tables.teamMembers, recordId);
     } catch (error) {
       throw new Error(`Failed to fetch team member ${recordId}: ${error.message}`);
     }
@@ -107,7 +103,7 @@ class TeamMemberService {
    */
   async createMember(memberData) {
     try {
-      const record = await base(tables.teamMembers).create({
+      return await store.create(tables.teamMembers, {
         [F.NAME]: memberData.name,
         [F.ROLE]: memberData.role,
         [F.PHONE_EXTENSION]: memberData.phoneExtension,
@@ -117,8 +113,6 @@ class TeamMemberService {
         [F.NOTES]: memberData.notes || '',
         [F.ACTIVE]: memberData.active !== false // default true
       });
-
-      return { id: record.id, ...record.fields };
     } catch (error) {
       throw new Error(`Failed to create team member: ${error.message}`);
     }
@@ -142,8 +136,9 @@ class TeamMemberService {
       if (updateData.notes !== undefined) fieldsToUpdate[F.NOTES] = updateData.notes;
       if (updateData.active !== undefined) fieldsToUpdate[F.ACTIVE] = updateData.active;
 
-      const record = await base(tables.teamMembers).update(recordId, fieldsToUpdate);
-      return { id: record.id, ...record.fields };
+      const member = await store.update(tables.teamMembers, recordId, fieldsToUpdate);
+      if (updateData.currentStatus !== undefined) this.emit('status-changed', member);
+      return member;
     } catch (error) {
       throw new Error(`Failed to update team member ${recordId}: ${error.message}`);
     }
@@ -1,47 +1,110 @@
-const { base, tables } = require('../config/airtable');
+const crypto = require('crypto');
+const store = require('../storage');
+const CallMerge = require('../shared/callMerge');
 
 // Table name for webhook staging
 const WEBHOOK_EVENTS_TABLE = process.env.AIRTABLE_WEBHOOK_EVENTS_TABLE || 'Webhook Events';
 
+function hashFingerprint(event) {
+  return crypto.createHash('sha256').update(CallMerge.eventKey(event)).digest('hex').slice(0, 32);
+}
+
 /**
  * Service for managing Webhook Events staging table
  * Captures all Telebroad webhook events before merging
  */
 class WebhookEventService {
+  constructor() {
+    // Ingestions in progress by fingerprint, so concurrent retries of the
+    // same event wait for the first write instead of racing it
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Deterministic fingerprint of a webhook payload
+   * @param {Object} webhookData - Raw webhook data from Telebroad
+   */
+  fingerprint(webhookData) {
+    return hashFingerprint(CallMerge.payloadToEventFields(webhookData));
+  }
+
+  /**
+   * Fingerprint of a staged event record (stored value, or computed for older rows)
+   * @param {Object} event - Webhook Events record
+   */
+  fingerprintRecord(event) {
+    return event['Fingerprint'] || hashFingerprint(event);
+  }
+
+  /**
+   * Drop repeated deliveries from a list of staged events, keeping the first of each
+   * @param {Array} events - Webhook Events records
+   */
+  uniqueEvents(events) {
+    const seen = new Set();
+    return events.filter(event => {
+      const fingerprint = this.fingerprintRecord(event);
+      if (seen.has(fingerprint)) return false;
+      seen.add(fingerprint);
+      return true;
+    });
+  }
+
+  /**
+   * Find an already-staged event with the same fingerprint
+   * @param {Object} webhookData - Raw webhook data from Telebroad
+   */
+  async findDuplicate(webhookData) {
+    if (!webhookData.callId) return null;
+
+    const fingerprint = this.fingerprint(webhookData);
+    const events = await this.getEventsByCallId(webhookData.callId);
+    return events.find(event => this.fingerprintRecord(event) === fingerprint) || null;
+  }
+
+  /**
+   * Stage a webhook unless the same event was already received
+   * @param {Object} webhookData - Raw webhook data from Telebroad
+   * @param {string} receivedAt - When the webhook arrived (defaults to now)
+   * @returns {Object} { duplicate, event }
+   */
+  async ingestEvent(webhookData, receivedAt) {
+    const fingerprint = this.fingerprint(webhookData);
+
+    if (this.inFlight.has(fingerprint)) {
+      const { event } = await this.inFlight.get(fingerprint);
+      return { duplicate: true, event };
+    }
+
+    const ingestion = (async () => {
+      const existing = await this.findDuplicate(webhookData);
+      if (existing) {
+        return { duplicate: true, event: existing };
+      }
+      return { duplicate: false, event: await this.createEvent(webhookData, receivedAt) };
+    })();
+
+    this.inFlight.set(fingerprint, ingestion);
+    try {
+      return await ingestion;
+    } finally {
+      this.inFlight.delete(fingerprint);
+    }
+  }
+
   /**
    * Create a new webhook event record
    * @param {Object} webhookData - Raw webhook data from Telebroad
+   * @param {string} receivedAt - When the webhook arrived (defaults to now)
    */
-  async createEvent(webhookData) {
+  async createEvent(webhookData, receivedAt) {
     try {
-      const record = await base(WEBHOOK_EVENTS_TABLE).create({
-        'Received At': new Date().toISOString(),
-        'Call ID': webhookData.callId || '',
-        'Unique ID': webhookData.UniqueId || '',
-        'Status': webhookData.status || '',
-        'Direction': webhookData.direction || '',
-        'Send Type': webhookData.sendType || '',
-        'Send Name': webhookData.sendName || '',
-        'Send Number': webhookData.sendNumber || '',
-        'Destination Type': webhookData.destinationType || '',
-        'Destination Name': webhookData.destinationName || '',
-        'Destination Number': webhookData.destinationNumber || '',
-        'Called Type': webhookData.calledType || '',
-        'Called Number': webhookData.calledNumber || '',
-        'Caller ID Internal': webhookData.callerIdInternal || '',
-        'Caller ID External': webhookData.callerIdExternal || '',
-        'Caller Name Internal': webhookData.callerNameInternal || '',
-        'Caller Name External': webhookData.callerNameExternal || '',
-        'Start Time': webhookData.startTime || '',
-        'Call Start Time': webhookData.callStartTime || '',
+      return await store.create(WEBHOOK_EVENTS_TABLE, {
+        ...CallMerge.payloadToEventFields(webhookData, receivedAt),
+        'Fingerprint': this.fingerprint(webhookData),
         'Raw JSON': JSON.stringify(webhookData, null, 2),
         'Processed': false
       });
-
-      return {
-        id: record.id,
-        ...record.fields
-      };
     } catch (error) {
       throw new Error(`Failed to create webhook event: ${error.message}`);
     }
@@ -53,17 +116,10 @@ class WebhookEventService {
    */
   async getEventsByCallId(callId) {
     try {
-      const records = await base(WEBHOOK_EVENTS_TABLE)
-        .select({
-          filterByFormula: `{Call ID} = '${callId}'`,
-          sort: [{ field: 'Received At', direction: 'asc' }]
-        })
-        .firstPage();
-
-      return records.map(record => ({
-        id: record.id,
-        ...record.fields
-      }));
+      return await store.select(WEBHOOK_EVENTS_TABLE, {
+        filterByFormula: `{Call ID} = '${callId}'`,
+        sort: [{ field: 'Received At', direction: 'asc' }]
+      });
     } catch (error) {
       throw new Error(`Failed to fetch events for callId ${callId}: ${error.message}`);
     }
@@ -74,17 +130,10 @@ class WebhookEventService {
    */
   async getUnprocessedEvents() {
     try {
-      const records = await base(WEBHOOK_EVENTS_TABLE)
-        .select({
-          filterByFormula: `{Processed} = FALSE()`,
-          sort: [{ field: 'Received At', direction: 'asc' }]
-        })
-        .firstPage();
-
-      return records.map(record => ({
-        id: record.id,
-        ...record.fields
-      }));
+      return await store.select(WEBHOOK_EVENTS_TABLE, {
+        filterByFormula: `{Processed} = FALSE()`,
+        sort: [{ field: 'Received At', direction: 'asc' }]
+      });
     } catch (error) {
       throw new Error(`Failed to fetch unprocessed events: ${error.message}`);
     }
@@ -120,15 +169,10 @@ class WebhookEventService {
    */
   async markAsProcessed(eventRecordId, mergedCallRecordId) {
     try {
-      const record = await base(WEBHOOK_EVENTS_TABLE).update(eventRecordId, {
+      return await store.update(WEBHOOK_EVENTS_TABLE, eventRecordId, {
         'Processed': true,
         'Merged Call Record': [mergedCallRecordId]
       });
-
-      return {
-        id: record.id,
-        ...record.fields
-      };
     } catch (error) {
       throw new Error(`Failed to mark event as processed: ${error.message}`);
     }
@@ -149,18 +193,7 @@ class WebhookEventService {
         }
       }));
 
-      // Airtable allows max 10 records per batch
-      const results = [];
-      for (let i = 0; i < updates.length; i += 10) {
-        const batch = updates.slice(i, i + 10);
-        const updated = await base(WEBHOOK_EVENTS_TABLE).update(batch);
-        results.push(...updated);
-      }
-
-      return results.map(record => ({
-        id: record.id,
-        ...record.fields
-      }));
+      return await store.updateMany(WEBHOOK_EVENTS_TABLE, updates);
     } catch (error) {
       throw new Error(`Failed to mark events as processed: ${error.message}`);
     }
@@ -171,23 +204,21 @@ class WebhookEventService {
    */
   async getStatistics() {
     try {
-      const allRecords = await base(WEBHOOK_EVENTS_TABLE)
-        .select({ maxRecords: 1000 })
-        .firstPage();
+      const allRecords = await store.select(WEBHOOK_EVENTS_TABLE, { maxRecords: 1000 });
 
       const total = allRecords.length;
-      const processed = allRecords.filter(r => r.fields['Processed']).length;
+      const processed = allRecords.filter(r => r['Processed']).length;
       const unprocessed = total - processed;
 
       // Count by status
       const statusCounts = {};
       allRecords.forEach(r => {
-        const status = r.fields['Status'] || 'unknown';
+        const status = r['Status'] || 'unknown';
         statusCounts[status] = (statusCounts[status] || 0) + 1;
       });
 
       // Count unique callIds
-      const uniqueCallIds = new Set(allRecords.map(r => r.fields['Call ID']));
+      const uniqueCallIds = new Set(allRecords.map(r => r['Call ID']));
 
       return {
         total,
@@ -202,6 +233,62 @@ class WebhookEventService {
     }
   }
 
+  /**
+   * Remove repeated deliveries already in the staging table
+   * Keeps one event per fingerprint (a processed one if any, else the earliest)
+   * and backfills the Fingerprint column on the rows that are kept.
+   * @param {Object} options - { dryRun }
+   */
+  async deduplicateEvents({ dryRun = false } = {}) {
+    try {
+      const allRecords = await store.select(WEBHOOK_EVENTS_TABLE, {
+        sort: [{ field: 'Received At', direction: 'asc' }]
+      });
+
+      const groups = new Map();
+      allRecords.forEach(record => {
+        const fingerprint = this.fingerprintRecord(record);
+        if (!groups.has(fingerprint)) groups.set(fingerprint, []);
+        groups.get(fingerprint).push(record);
+      });
+
+      const duplicateIds = [];
+      const backfills = [];
+      const duplicateCalls = new Set();
+
+      groups.forEach((records, fingerprint) => {
+        const keeper = records.find(r => r['Processed']) || records[0];
+        if (records.length > 1) {
+          duplicateCalls.add(keeper['Call ID']);
+          records.filter(r => r.id !== keeper.id).forEach(r => duplicateIds.push(r.id));
+        }
+        if (keeper['Fingerprint'] !== fingerprint) {
+          backfills.push({ id: keeper.id, fields: { 'Fingerprint': fingerprint } });
+        }
+      });
+
+      if (!dryRun) {
+        if (duplicateIds.length > 0) {
+          await store.destroy(WEBHOOK_EVENTS_TABLE, duplicateIds);
+        }
+        if (backfills.length > 0) {
+          await store.updateMany(WEBHOOK_EVENTS_TABLE, backfills);
+        }
+      }
+
+      return {
+        dryRun,
+        scanned: allRecords.length,
+        uniqueEvents: groups.size,
+        duplicates: duplicateIds.length,
+        affectedCalls: [...duplicateCalls],
+        backfilled: backfills.length
+      };
+    } catch (error) {
+      throw new Error(`Failed to de-duplicate events: ${error.message}`);
+    }
+  }
+
   /**
    * Delete processed events older than X days
    * @param {number} daysOld - Delete events older than this many days
@@ -212,26 +299,19 @@ class WebhookEventService {
       cutoffDate.setDate(cutoffDate.getDate() - daysOld);
       const cutoffIso = cutoffDate.toISOString();
 
-      const oldRecords = await base(WEBHOOK_EVENTS_TABLE)
-        .select({
-          filterByFormula: `AND(
-            {Processed} = TRUE(),
-            IS_BEFORE({Received At}, '${cutoffIso}')
-          )`
-        })
-        .firstPage();
+      const oldRecords = await store.select(WEBHOOK_EVENTS_TABLE, {
+        filterByFormula: `AND(
+          {Processed} = TRUE(),
+          IS_BEFORE({Received At}, '${cutoffIso}')
+        )`
+      });
 
       if (oldRecords.length === 0) {
         return { deleted: 0, message: 'No old records to clean up' };
       }
 
-      // Delete in batches of 10
-      let deleted = 0;
-      for (let i = 0; i < oldRecords.length; i += 10) {
-        const batch = oldRecords.slice(i, i + 10).map(r => r.id);
-        await base(WEBHOOK_EVENTS_TABLE).destroy(batch);
-        deleted += batch.length;
-      }
+      const deletedIds = await store.destroy(WEBHOOK_EVENTS_TABLE, oldRecords.map(r => r.id));
+      const deleted = deletedIds.length;
 
       return {
         deleted,
@@ -2,11 +2,23 @@ const webhookEventService = require('./webhookEvents');
 const callService = require('./calls');
 const callerService = require('./callers');
 const teamMemberService = require('./teamMembers');
+const followupService = require('./followups');
+const callbackRetry = require('./callbackRetry');
+const callLegService = require('./callLegs');
+const callerLookup = require('./callerLookup');
+const CallMerge = require('../shared/callMerge');
+const phoneNumbers = require('../shared/phone');
+const { fields } = require('../config/airtable');
+const calendarConfig = require('../config/calendar');
+
+const CALL_FIELDS = fields.calls;
 
 /**
  * Webhook Merger Service
  * 
- * Merges multiple Telebroad webhook events (by callId) into a single Call record
+ * Merges multiple Telebroad webhook events (by callId) into a single Call record.
+ * Both processing modes save through mergeCallEvents - stage-then-merge reads the
+ * events from the staging table, live aggregation passes them from memory.
  * 
  * Call Flow Example:
  * 1. External → IVR (ringing)
@@ -18,13 +30,15 @@ const teamMemberService = require('./teamMembers');
 class WebhookMergerService {
   /**
    * Process all unprocessed webhook events and merge by callId
+   * Each call with unprocessed events is merged from all of its staged events,
+   * so a late event updates the call instead of replacing it.
    */
   async processUnprocessedEvents() {
     console.log('\n🔄 MERGING WEBHOOK EVENTS');
     console.log('='.repeat(60));
 
     try {
-      // Get events grouped by callId
+      // Calls with unprocessed events, grouped by callId
       const groupedEvents = await webhookEventService.getEventsGroupedByCallId();
       const callIds = Object.keys(groupedEvents);
 
@@ -40,11 +54,12 @@ class WebhookMergerService {
 
       // Process each call
       for (const callId of callIds) {
-        const events = groupedEvents[callId];
+        const unprocessed = groupedEvents[callId];
         console.log(`\n📞 Processing Call ID: ${callId}`);
-        console.log(`   Events: ${events.length}`);
 
         try {
+          const events = await webhookEventService.getEventsByCallId(callId);
+          console.log(`   Events: ${events.length} (${unprocessed.length} new)`);
           const result = await this.mergeCallEvents(callId, events);
           
           if (result.action === 'created') {
@@ -55,8 +70,8 @@ class WebhookMergerService {
             console.log(`   ✅ Updated call record: ${result.callRecordId}`);
           }
 
-          // Mark all events as processed
-          const eventIds = events.map(e => e.id);
+          // Mark the new events as processed
+          const eventIds = unprocessed.map(e => e.id);
           await webhookEventService.markMultipleAsProcessed(eventIds, result.callRecordId);
           console.log(`   ✅ Marked ${eventIds.length} events as processed`);
 
@@ -86,160 +101,140 @@ class WebhookMergerService {
    * @param {Array} events - Array of webhook events for this call
    */
   async mergeCallEvents(callId, events) {
-    // Sort events by time
-    events.sort((a, b) => {
-      const timeA = new Date(a['Start Time'] || a['Received At']);
-      const timeB = new Date(b['Start Time'] || b['Received At']);
-      return timeA - timeB;
-    });
-
     // Extract call information from events
     const callData = this.extractCallData(events);
+    await this.linkRelatedRecords(callData);
 
     // Check if call already exists
     const existingCall = await callService.findByTelebroadCallId(callId);
 
-    let callRecord;
+    let result;
     if (existingCall) {
       // Update existing
-      callRecord = await callService.updateCall(existingCall.id, callData);
-      return {
+      await callService.updateCall(existingCall.id, callData);
+      result = {
         action: 'updated',
         callRecordId: existingCall.id,
         callData
       };
     } else {
       // Create new
-      callRecord = await callService.createCall(callData);
-      return {
+      const callRecord = await callService.createCall(callData);
+      result = {
         action: 'created',
         callRecordId: callRecord.id,
         callData
       };
     }
+
+    // The screen-pop cache should show this call next time the number rings
+    callerLookup.invalidate(callData.callerNumber);
+
+    // The call itself is saved - a missing Call Legs table shouldn't undo that
+    try {
+      await callLegService.saveLegsForCall(result.callRecordId, callData);
+    } catch (error) {
+      console.warn(`⚠️  Call ${callId} merged but legs not saved: ${error.message}`);
+    }
+
+    try {
+      result.followup = await this.attributeCallback(result.callRecordId, callData, existingCall);
+    } catch (error) {
+      console.warn(`⚠️  Call ${callId} merged but callback follow-up not updated: ${error.message}`);
+    }
+
+    return result;
   }
 
   /**
-   * Extract merged call data from multiple webhook events
-   * @param {Array} events - Webhook events for one call
+   * Link the caller (by phone) and the team member who answered (by extension)
+   * A number with no Callers record yet gets a new caller; withheld numbers
+   * and internal extensions aren't linked.
+   * @param {Object} callData - Merged call data (modified in place)
    */
-  extractCallData(events) {
-    const firstEvent = events[0];
-    const lastEvent = events[events.length - 1];
-
-    // Find answered event (if any)
-    const answeredEvent = events.find(e => 
-      e['Status'] === 'answered' && 
-      e['Destination Type'] === 'phone'
-    );
-
-    // Find ended event from external
-    const endedEvent = events.find(e => 
-      e['Status'] === 'ended' && 
-      e['Send Type'] === 'external'
-    );
-
-    // Build IVR path
-    const ivrPath = [];
-    events.forEach(event => {
-      if (event['Destination Type'] === 'ivr' && event['Destination Name']) {
-        if (!ivrPath.includes(event['Destination Name'])) {
-          ivrPath.push(event['Destination Name']);
-        }
+  async linkRelatedRecords(callData) {
+    const phone = phoneNumbers.normalize(callData.callerNumber);
+    if (phone) {
+      callData.callerNumber = phone;
+
+      const { caller, isNew } = await callerService.findOrCreateByPhone({
+        phone,
+        firstContact: new Date(callData.dateTime || Date.now()).toISOString().split('T')[0]
+      });
+      callData.caller = caller.id;
+      if (isNew) {
+        console.log(`   🆕 New caller: ${phone}`);
       }
-    });
+    }
 
-    // Find hunt group
-    const huntGroupEvent = events.find(e => 
-      e['Destination Type'] === 'huntgroup' || 
-      e['Send Type'] === 'huntgroup'
-    );
-    const huntGroup = huntGroupEvent ? 
-      (huntGroupEvent['Destination Name'] || huntGroupEvent['Send Name']) : 
-      null;
-
-    // Determine final status and direction
-    const wasAnswered = !!answeredEvent;
-    const direction = firstEvent['Direction'] === 'incoming' ? 'Inbound' : 'Outbound';
-    
-    let finalStatus = 'IVR Only';
-    let callDirection = direction;
-    
-    if (wasAnswered) {
-      finalStatus = 'Answered';
-    } else if (huntGroup) {
-      finalStatus = 'Missed';
-      callDirection = 'Missed';
-    } else if (ivrPath.length > 0) {
-      finalStatus = 'IVR Only';
-      callDirection = 'Missed';
-    } else {
-      finalStatus = 'Abandoned';
-      callDirection = 'Missed';
+    // Inbound: who picked up. Outbound: the mentor who dialed.
+    const extension = callData.pickedUpByExtension || callData.placedByExtension;
+    if (extension) {
+      const teamMember = await teamMemberService.findByPhoneExtension(extension);
+      if (teamMember) {
+        callData.receivedBy = teamMember.id;
+      }
     }
+  }
 
-    // Calculate duration
-    let duration = 0;
-    if (answeredEvent && endedEvent) {
-      const answerTime = new Date(answeredEvent['Start Time']);
-      const endTime = new Date(endedEvent['Start Time']);
-      duration = Math.round((endTime - answerTime) / 1000); // seconds
+  /**
+   * Match an outbound call to the open Callback follow-up for that caller and
+   * mentor, and log it as a callback attempt - the retry policy marks the
+   * follow-up Completed (connected) or schedules the next try
+   * @param {string} callRecordId - Merged Calls record ID
+   * @param {Object} callData - Merged call data (with caller / receivedBy links)
+   * @param {Object|null} existingCall - Calls record before this merge (re-merges keep their follow-up)
+   * @returns {Object|null} { followupId, status }
+   */
+  async attributeCallback(callRecordId, callData, existingCall) {
+    if (callData.direction !== 'Outbound' || !callData.caller || !callData.receivedBy) {
+      return null;
     }
 
-    // Build call data
-    const callData = {
-      telebroadCallId: firstEvent['Call ID'],
-      direction: callDirection,
-      dateTime: firstEvent['Call Start Time'] || firstEvent['Start Time'],
-      callerNumber: firstEvent['Caller ID External'] || firstEvent['Send Number'],
-      callerName: firstEvent['Caller Name External'] || '',
-      calledNumber: firstEvent['Called Number'],
-      ivrPath: ivrPath.join(' → '),
-      huntGroup: huntGroup,
-      finalStatus: finalStatus,
-      callStartTime: firstEvent['Call Start Time'],
-      endTime: endedEvent ? endedEvent['Start Time'] : null,
-      duration: duration,
-      webhookEvents: events.length,
-      rawWebhookData: JSON.stringify(events, null, 2)
-    };
+    const linkedIds = existingCall ? existingCall[CALL_FIELDS.FOLLOWUP] : null;
+    const followup = linkedIds && linkedIds.length > 0
+      ? await followupService.getFollowupById(linkedIds[0])
+      : await followupService.findOpenCallback(callData.caller, callData.receivedBy);
 
-    // Add answered by info
-    if (answeredEvent) {
-      callData.pickedUpByName = answeredEvent['Destination Name'];
-      callData.pickedUpByExtension = answeredEvent['Destination Number'];
-      callData.answerTime = answeredEvent['Start Time'];
+    if (!followup) {
+      return null;
     }
 
-    // Add summary
-    const summaryParts = [];
-    if (callData.callerName) {
-      summaryParts.push(`From: ${callData.callerName} (${callData.callerNumber})`);
-    } else {
-      summaryParts.push(`From: ${callData.callerNumber}`);
-    }
-    
-    if (ivrPath.length > 0) {
-      summaryParts.push(`IVR: ${ivrPath.join(' → ')}`);
-    }
-    
-    if (huntGroup) {
-      summaryParts.push(`Hunt Group: ${huntGroup}`);
+    const connected = callData.finalStatus === 'Answered';
+    const when = new Date(callData.dateTime || Date.now()).toLocaleString('en-US', { timeZone: calendarConfig.timeZone });
+    const duration = callData.duration || 0;
+
+    // A late re-merge is the same attempt - it only changes things if the call turned out answered
+    const outcome = await callbackRetry.recordAttempt(followup.id, {
+      result: connected ? 'Reached' : 'No Answer',
+      channel: 'Phone',
+      teamMemberId: callData.receivedBy,
+      callId: callRecordId,
+      attemptedAt: callData.dateTime,
+      notes: connected
+        ? `Reached on outbound call ${when} (${Math.floor(duration / 60)}m ${duration % 60}s)`
+        : `No answer on outbound call ${when}`
+    });
+    const status = outcome.followup[fields.followups.STATUS];
+    if (outcome.action !== 'none') {
+      console.log(`   📋 Callback follow-up ${followup.id} → ${status}`);
     }
-    
-    if (answeredEvent) {
-      summaryParts.push(`Answered by: ${callData.pickedUpByName}`);
-      if (duration > 0) {
-        const mins = Math.floor(duration / 60);
-        const secs = duration % 60;
-        summaryParts.push(`Duration: ${mins}m ${secs}s`);
-      }
-    } else {
-      summaryParts.push(`Status: ${finalStatus}`);
+
+    if (!linkedIds || linkedIds.length === 0) {
+      await callService.updateCall(callRecordId, { followup: followup.id });
     }
 
-    callData.summary = summaryParts.join(' | ');
+    return { followupId: followup.id, status };
+  }
 
+  /**
+   * Extract merged call data from multiple webhook events
+   * (shared merge logic - see src/shared/callMerge.js)
+   * @param {Array} events - Webhook events for one call
+   */
+  extractCallData(events) {
+    const callData = CallMerge.mergeEvents(events);
+    callData.rawWebhookData = JSON.stringify(CallMerge.sortEvents(CallMerge.uniqueEvents(events)), null, 2);
     return callData;
   }
 
@@ -270,6 +265,91 @@ class WebhookMergerService {
     return result;
   }
 
+  /**
+   * Ordered events and derived legs for one call
+   * Reads the staged events, falling back to the Raw Webhook Data saved on the
+   * call once the staging rows have been cleaned up.
+   * @param {string} callRecordId - Calls record ID
+   */
+  async getCallTimeline(callRecordId) {
+    const call = await callService.getCallById(callRecordId);
+    const telebroadCallId = call[CALL_FIELDS.TB_CALL_ID];
+
+    let events = [];
+    let source = 'staging';
+    if (telebroadCallId) {
+      events = await webhookEventService.getEventsByCallId(telebroadCallId);
+    }
+    if (events.length === 0 && call[CALL_FIELDS.RAW_WEBHOOK_DATA]) {
+      source = 'raw';
+      try {
+        events = JSON.parse(call[CALL_FIELDS.RAW_WEBHOOK_DATA]);
+      } catch (error) {
+        throw new Error(`Call ${callRecordId} has unreadable Raw Webhook Data: ${error.message}`);
+      }
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return { callId: callRecordId, telebroadCallId: telebroadCallId || null, source: null, events: [], legs: [] };
+    }
+
+    const sorted = CallMerge.sortEvents(CallMerge.uniqueEvents(events));
+    const callData = CallMerge.mergeEvents(sorted);
+    const legs = callData.legs;
+
+    const party = (type, name, number) => ({ type: type || '', name: name || '', number: number || '' });
+
+    return {
+      callId: callRecordId,
+      telebroadCallId: callData.telebroadCallId,
+      source,
+      finalStatus: callData.finalStatus,
+      summary: callData.summary,
+      events: sorted.map((event, index) => ({
+        sequence: index + 1,
+        at: new Date(CallMerge.eventTime(event, sorted)).toISOString(),
+        receivedAt: event['Received At'] || null,
+        status: event['Status'],
+        uniqueId: event['Unique ID'],
+        from: party(event['Send Type'], event['Send Name'], event['Send Number']),
+        to: party(event['Destination Type'], event['Destination Name'], event['Destination Number'])
+      })),
+      legs,
+      ivrHops: legs.filter(leg => leg.to.type === 'ivr').map(leg => ({
+        menu: leg.to.name,
+        number: leg.to.number,
+        enteredAt: leg.ringStart,
+        leftAt: leg.endedAt,
+        seconds: leg.ringSeconds,
+        next: leg.transferredTo
+      })),
+      huntGroups: legs.filter(leg => leg.to.type === 'huntgroup').map(group => ({
+        name: group.to.name,
+        number: group.to.number,
+        reachedAt: group.ringStart,
+        attempts: legs
+          .filter(leg => leg.to.type === 'phone' && leg.from.type === 'huntgroup' && leg.from.name === group.to.name)
+          .map(leg => ({
+            name: leg.to.name,
+            extension: leg.to.number,
+            ringStart: leg.ringStart,
+            ringSeconds: leg.ringSeconds,
+            answered: leg.answeredAt !== null,
+            state: leg.state
+          }))
+      })),
+      answeredBy: callData.answeredBy,
+      transfers: legs
+        .filter(leg => leg.to.type === 'phone' && leg.state === 'transferred')
+        .map(leg => ({ from: leg.to.name, fromExtension: leg.to.number, to: leg.transferredTo, at: leg.endedAt })),
+      hangup: {
+        side: callData.hangupSide,
+        stage: callData.hangupStage,
+        at: callData.endTime
+      }
+    };
+  }
+
   /**
    * Get statistics about what would be merged (dry run)
    */
@@ -280,7 +360,7 @@ class WebhookMergerService {
     const preview = [];
     
     for (const callId of callIds) {
-      const events = groupedEvents[callId];
+      const events = webhookEventService.uniqueEvents(groupedEvents[callId]);
       const callData = this.extractCallData(events);
       
       preview.push({
@@ -291,7 +371,10 @@ class WebhookMergerService {
         callerNumber: callData.callerNumber,
         answeredBy: callData.pickedUpByName || 'N/A',
         duration: callData.duration,
-        ivrPath: callData.ivrPath || 'None'
+        ivrPath: callData.ivrPath || 'None',
+        legs: callData.legs.length,
+        transfers: callData.transfers,
+        hangupSide: callData.hangupSide
       });
     }
 
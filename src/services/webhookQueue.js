@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const webhookConfig = require('../config/webhooks');
+const webhookEventService = require('./webhookEvents');
+
+// Rewrite the journal once this many acknowledged entries have piled up
+const COMPACT_AFTER_ACKS = 500;
+
+/**
+ * Durable write-ahead queue for incoming Telebroad webhooks
+ *
+ * Events are appended (and fsynced) to a local journal and acknowledged to
+ * Telebroad right away. A background drainer pushes them to the Webhook Events
+ * staging table, retrying with exponential backoff while Airtable is
+ * rate-limited or down. Pending events survive a restart.
+ * Emits 'staged' with the Webhook Events record once a new event is saved.
+ *
+ * Journal format (JSON lines):
+ *   { op: 'enqueue', id, receivedAt, fingerprint, payload }
+ *   { op: 'ack', id, eventId }
+ *   { op: 'dead', id, attempts, error }
+ */
+class WebhookQueueService extends EventEmitter {
+  constructor(config = webhookConfig.queue) {
+    super();
+    this.config = config;
+    this.journalPath = path.join(config.dir, 'journal.jsonl');
+    this.pending = new Map();
+    this.deadLetters = new Map();
+    this.fd = null;
+    this.timer = null;
+    this.draining = false;
+    this.acksSinceCompact = 0;
+    this.stats = {
+      enqueued: 0,
+      drained: 0,
+      duplicates: 0,
+      failures: 0,
+      lastDrainAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Load the journal and start the background drainer (idempotent)
+   */
+  start() {
+    if (this.fd !== null) return;
+
+    fs.mkdirSync(this.config.dir, { recursive: true });
+    this._replay();
+    this._compact();
+
+    this.timer = setInterval(() => this.drain(), this.config.drainIntervalMs);
+    // Don't keep scripts alive just for the drainer
+    this.timer.unref();
+
+    if (this.pending.size > 0) {
+      console.log(`📦 Webhook queue: ${this.pending.size} pending events recovered from journal`);
+      setImmediate(() => this.drain());
+    }
+  }
+
+  /**
+   * Stop the drainer and close the journal
+   */
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    if (this.fd !== null) fs.closeSync(this.fd);
+    this.timer = null;
+    this.fd = null;
+  }
+
+  /**
+   * Durably queue a webhook for staging
+   * @param {Object} webhookData - Raw webhook data from Telebroad
+   * @returns {Object} { duplicate, entry }
+   */
+  enqueue(webhookData) {
+    this.start();
+
+    const fingerprint = webhookEventService.fingerprint(webhookData);
+    const queued = [...this.pending.values()].find(e => e.fingerprint === fingerprint);
+    if (queued) {
+      return { duplicate: true, entry: queued };
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      receivedAt: new Date().toISOString(),
+      fingerprint,
+      payload: webhookData
+    };
+
+    // Written before we acknowledge, so an accepted event is never lost
+    this._append({ op: 'enqueue', ...entry });
+    this.pending.set(entry.id, { ...entry, attempts: 0, nextAttemptAt: 0, lastError: null });
+    this.stats.enqueued++;
+
+    setImmediate(() => this.drain());
+
+    return { duplicate: false, entry };
+  }
+
+  /**
+   * Push due events to the staging table, oldest first
+   * Stops at the first failure so an outage isn't hammered with requests.
+   */
+  async drain() {
+    if (this.draining || this.pending.size === 0) return;
+    this.draining = true;
+
+    try {
+      for (const entry of [...this.pending.values()]) {
+        if (entry.nextAttemptAt > Date.now()) continue;
+
+        try {
+          const { duplicate, event } = await webhookEventService.ingestEvent(entry.payload, entry.receivedAt);
+          this._ack(entry, event.id);
+          if (duplicate) {
+            this.stats.duplicates++;
+          } else {
+            this.stats.drained++;
+            this.emit('staged', event);
+          }
+        } catch (error) {
+          this._fail(entry, error);
+          break;
+        }
+      }
+    } finally {
+      this.stats.lastDrainAt = new Date().toISOString();
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Queue depth and oldest pending event (for the admin endpoint)
+   */
+  getStatus() {
+    const oldest = this.pending.values().next().value;
+
+    return {
+      enabled: this.config.enabled,
+      journal: this.journalPath,
+      depth: this.pending.size,
+      retrying: [...this.pending.values()].filter(e => e.attempts > 0).length,
+      deadLetters: this.deadLetters.size,
+      oldestPending: oldest ? {
+        id: oldest.id,
+        receivedAt: oldest.receivedAt,
+        ageSeconds: Math.round((Date.now() - new Date(oldest.receivedAt)) / 1000),
+        callId: oldest.payload.callId,
+        status: oldest.payload.status,
+        attempts: oldest.attempts,
+        nextAttemptAt: oldest.nextAttemptAt ? new Date(oldest.nextAttemptAt).toISOString() : null,
+        lastError: oldest.lastError
+      } : null,
+      ...this.stats
+    };
+  }
+
+  _ack(entry, eventId) {
+    this._append({ op: 'ack', id: entry.id, eventId });
+    this.pending.delete(entry.id);
+    this.acksSinceCompact++;
+
+    if (this.pending.size === 0 || this.acksSinceCompact >= COMPACT_AFTER_ACKS) {
+      this._compact();
+    }
+  }
+
+  _fail(entry, error) {
+    entry.attempts++;
+    entry.lastError = error.message;
+    this.stats.failures++;
+    this.stats.lastError = error.message;
+
+    if (entry.attempts >= this.config.maxAttempts) {
+      this._append({ op: 'dead', id: entry.id, attempts: entry.attempts, error: error.message });
+      this.pending.delete(entry.id);
+      this.deadLetters.set(entry.id, entry);
+      console.error(`☠️  Webhook queue: giving up on ${entry.payload.callId} (${entry.payload.status}) after ${entry.attempts} attempts: ${error.message}`);
+      return;
+    }
+
+    const delay = Math.min(this.config.retryBaseMs * 2 ** (entry.attempts - 1), this.config.retryMaxMs);
+    entry.nextAttemptAt = Date.now() + delay;
+    console.error(`⚠️  Webhook queue: push failed for ${entry.payload.callId} (attempt ${entry.attempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+  }
+
+  _append(record) {
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.journalPath, 'a');
+    }
+    fs.writeSync(this.fd, `${JSON.stringify(record)}\n`);
+    fs.fsyncSync(this.fd);
+  }
+
+  /**
+   * Rebuild pending/dead-letter state from the journal
+   */
+  _replay() {
+    if (!fs.existsSync(this.journalPath)) return;
+
+    const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+    lines.forEach(line => {
+      if (!line.trim()) return;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-write can leave a torn last line - it was never acknowledged
+        console.warn(`⚠️  Webhook queue: skipping unreadable journal line`);
+        return;
+      }
+
+      const { op, ...entry } = record;
+      if (op === 'enqueue') {
+        this.pending.set(entry.id, { ...entry, attempts: 0, nextAttemptAt: 0, lastError: null });
+      } else if (op === 'ack') {
+        this.pending.delete(entry.id);
+      } else if (op === 'dead') {
+        const dead = this.pending.get(entry.id);
+        this.pending.delete(entry.id);
+        if (dead) this.deadLetters.set(entry.id, { ...dead, attempts: entry.attempts, lastError: entry.error });
+      }
+    });
+  }
+
+  /**
+   * Rewrite the journal with only unacknowledged entries
+   */
+  _compact() {
+    const records = [];
+    this.pending.forEach(({ id, receivedAt, fingerprint, payload }) => {
+      records.push({ op: 'enqueue', id, receivedAt, fingerprint, payload });
+    });
+    this.deadLetters.forEach(({ id, receivedAt, fingerprint, payload, attempts, lastError }) => {
+      records.push({ op: 'enqueue', id, receivedAt, fingerprint, payload });
+      records.push({ op: 'dead', id, attempts, error: lastError });
+    });
+
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+
+    const tmp = `${this.journalPath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    fs.writeSync(fd, records.map(r => `${JSON.stringify(r)}\n`).join(''));
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fs.renameSync(tmp, this.journalPath);
+
+    this.fd = fs.openSync(this.journalPath, 'a');
+    this.acksSinceCompact = 0;
+  }
+}
+
+module.exports = new WebhookQueueService();
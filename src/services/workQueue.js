@@ -0,0 +1,375 @@
+const { fields } = require('../config/airtable');
+const slaConfig = require('../config/sla');
+const workQueueConfig = require('../config/workQueue');
+const calendar = require('./calendar');
+const contactWindows = require('./contactWindows');
+const followupService = require('./followups');
+const callerService = require('./callers');
+const callService = require('./calls');
+const callerChangeService = require('./callerChanges');
+const teamMemberService = require('./teamMembers');
+
+const F = fields.followups;
+const CALL = fields.calls;
+const CALLER = fields.callers;
+const CHANGE = fields.callerChanges;
+const MEMBER = fields.teamMembers;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MISSED_STATUSES = ['Missed', 'Abandoned'];
+// Callers a mentor is still working with
+const CASELOAD_STATUSES = ['New', 'Active'];
+
+/**
+ * Work Queue Service
+ *
+ * One prioritized list of what a mentor has to do:
+ *   - follow-ups assigned to them that are overdue, due now
+ *     (WORK_QUEUE_DUE_NOW_MINUTES) or due later today
+ *   - voicemails left for them (Received By / Mentor for Follow-up)
+ *   - missed calls from their callers, one item per caller
+ *   - their callers still waiting for a first contact (no answered call
+ *     with them, no completed follow-up and no missed call on the list)
+ * Voicemails and missed calls drop off once a follow-up was created for
+ * them, the caller has been reached since, or the caller already has an open
+ * follow-up on the list; only the last WORK_QUEUE_LOOKBACK_DAYS count.
+ * Follow-ups due after today wait for their day; everything else stays on
+ * the list until it is handled, even before it breaches.
+ *
+ * Every item has an SLA policy and the moment it breaches (a follow-up's due
+ * time; otherwise the policy's window from the voicemail, first missed call or
+ * assignment). Items are ordered by urgency (Crisis first), then callers who
+ * can be called now (contactWindows.js), then breach time.
+ *
+ * The calls, follow-ups, assignments and callers it checks against are read
+ * once per queue (one query per table), not per caller.
+ */
+class WorkQueueService {
+  constructor(config = workQueueConfig) {
+    this.config = config;
+  }
+
+  /**
+   * A mentor's work queue
+   * @param {string} teamMemberId - Team member record ID
+   * @returns {Object} { teamMemberId, name, generatedAt, counts, items }
+   */
+  async getQueue(teamMemberId, now = Date.now()) {
+    try {
+      const member = await teamMemberService.getMemberById(teamMemberId);
+      const since = now - this.config.lookbackDays * DAY_MS;
+      const [followups, callers] = await Promise.all([
+        followupService.getOpenByAssignee(teamMemberId),
+        callerService.getCallersByMentor(teamMemberId)
+      ]);
+
+      const context = await this.loadContext(teamMemberId, callers, since, now);
+      // Callers already on the list through an open follow-up
+      const onList = new Set(followups.map(followup => (followup[F.CALLER] || [])[0]).filter(Boolean));
+
+      const missed = await this.missedCallItems(callers, since, onList, context);
+      // Returning a missed call is the first contact too
+      missed.forEach(item => onList.add(item.callerId));
+
+      const items = [
+        ...followups.map(followup => this.followupItem(followup, now)).filter(item => item.bucket !== 'later'),
+        ...await this.voicemailItems(teamMemberId, since, onList, context),
+        ...missed,
+        ...this.newCallerItems(teamMemberId, callers, onList, context)
+      ];
+
+      await this.loadCallers(items, context);
+      items.forEach(item => this.addContactWindow(item, context));
+
+      const rank = item => slaConfig.order.indexOf(item.urgency);
+      items.sort((a, b) => (rank(a) - rank(b)) ||
+        (b.callableNow - a.callableNow) ||
+        (Date.parse(a.breachAt) - Date.parse(b.breachAt)));
+      items.forEach((item, i) => { item.position = i + 1; });
+
+      const count = predicate => items.filter(predicate).length;
+      return {
+        teamMemberId,
+        name: member[MEMBER.NAME] || null,
+        generatedAt: new Date(now).toISOString(),
+        counts: {
+          total: items.length,
+          overdue: count(item => item.bucket === 'overdue'),
+          dueNow: count(item => item.bucket === 'due-now'),
+          dueToday: count(item => item.bucket === 'due-today'),
+          callableNow: count(item => item.callableNow),
+          followups: count(item => item.kind === 'followup'),
+          voicemails: count(item => item.kind === 'voicemail'),
+          missedCalls: count(item => item.kind === 'missed-call'),
+          newCallers: count(item => item.kind === 'new-caller')
+        },
+        items
+      };
+    } catch (error) {
+      throw new Error(`Failed to build work queue for ${teamMemberId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * What the items are checked against, one read per table: answered calls
+   * with a caller (since the lookback, or ever with the mentor), the caller
+   * IDs of the mentor's completed follow-ups and when the mentor was assigned
+   * each caller (Caller Changes)
+   */
+  async loadContext(teamMemberId, callers, since, now) {
+    const [answered, completed, assignments] = await Promise.all([
+      callService.getAllCalls({
+        filterByFormula: `AND(
+          {${CALL.FINAL_STATUS}} = 'Answered',
+          NOT({${CALL.CALLER}} = BLANK()),
+          OR(
+            IS_AFTER({${CALL.DATE_TIME}}, '${new Date(since).toISOString()}'),
+            FIND('${teamMemberId}', ARRAYJOIN({${CALL.RECEIVED_BY}}, ',')) > 0
+          )
+        )`,
+        maxRecords: 10000
+      }),
+      followupService.getAllFollowups({
+        filterByFormula: `AND(
+          {${F.STATUS}} = 'Completed',
+          FIND('${teamMemberId}', ARRAYJOIN({${F.ASSIGNED_TO}}, ',')) > 0
+        )`,
+        maxRecords: 10000
+      }),
+      callerChangeService.getAssignmentsTo(teamMemberId).catch(() => [])
+    ]);
+
+    const answeredCalls = new Map();
+    answered.forEach(call => (call[CALL.CALLER] || []).forEach(callerId => {
+      if (!answeredCalls.has(callerId)) answeredCalls.set(callerId, []);
+      answeredCalls.get(callerId).push(call);
+    }));
+    // Oldest first, so the last assignment wins
+    const assignedAt = new Map();
+    assignments.forEach(change => {
+      const at = Date.parse(change[CHANGE.CHANGED_AT]);
+      if (at) (change[CHANGE.CALLER] || []).forEach(callerId => assignedAt.set(callerId, at));
+    });
+
+    return {
+      now,
+      callers: new Map(callers.map(caller => [caller.id, caller])),
+      answeredCalls,
+      completed: new Set(completed.flatMap(followup => followup[F.CALLER] || [])),
+      assignedAt
+    };
+  }
+
+  /**
+   * The callers on items that aren't the mentor's own (voicemails, follow-ups
+   * for other callers), in one read
+   */
+  async loadCallers(items, context) {
+    const missing = [...new Set(items.map(item => item.callerId))]
+      .filter(callerId => callerId && !context.callers.has(callerId));
+    if (missing.length === 0) return;
+
+    const callers = await callerService.getAllCallers({
+      filterByFormula: `OR(${missing.map(callerId => `RECORD_ID() = '${callerId}'`).join(', ')})`,
+      maxRecords: missing.length
+    }).catch(() => []);
+    callers.forEach(caller => context.callers.set(caller.id, caller));
+  }
+
+  followupItem(followup, now) {
+    const urgency = followup[F.SLA_POLICY] || followupService.slaPolicy({ priority: followup[F.PRIORITY] });
+    const breachAt = followup[F.DUE_DATE_TIME] || new Date(now).toISOString();
+    return {
+      kind: 'followup',
+      title: `${followup[F.TYPE] || 'Follow-up'}${followup[F.STATUS] !== 'Pending' ? ` (${followup[F.STATUS]})` : ''}`,
+      urgency,
+      ...this.timing(breachAt, now),
+      callerId: (followup[F.CALLER] || [])[0] || null,
+      needsCaller: followupService.needsCaller(followup),
+      followupId: followup.id,
+      record: followup
+    };
+  }
+
+  /**
+   * Voicemails left for the mentor that nobody has acted on
+   */
+  async voicemailItems(teamMemberId, since, onList, context) {
+    const calls = await callService.getAllCalls({
+      filterByFormula: `AND(
+        OR({${CALL.CALL_TYPE}} = 'Voicemail', {${CALL.FINAL_STATUS}} = 'Voicemail'),
+        OR(
+          FIND('${teamMemberId}', ARRAYJOIN({${CALL.RECEIVED_BY}}, ',')) > 0,
+          FIND('${teamMemberId}', ARRAYJOIN({${CALL.MENTOR_FOR_FOLLOWUP}}, ',')) > 0
+        ),
+        IS_AFTER({${CALL.DATE_TIME}}, '${new Date(since).toISOString()}'),
+        NOT({${CALL.FOLLOWUP_CREATED}})
+      )`,
+      sort: [{ field: CALL.DATE_TIME, direction: 'asc' }],
+      maxRecords: 1000
+    });
+
+    const items = [];
+    for (const call of calls) {
+      const callerId = (call[CALL.CALLER] || [])[0] || null;
+      if (callerId && (onList.has(callerId) || this.reachedSince(callerId, call[CALL.DATE_TIME], context))) continue;
+
+      const urgency = slaConfig.urgency[call[CALL.URGENCY]] || this.config.voicemailPolicy;
+      items.push({
+        kind: 'voicemail',
+        title: 'Voicemail',
+        urgency,
+        ...this.timing(followupService.slaDueDate(urgency, call[CALL.DATE_TIME]), context.now),
+        callerId,
+        needsCaller: true,
+        callIds: [call.id],
+        receivedAt: call[CALL.DATE_TIME] || null,
+        callerNumber: call[CALL.CALLER_NUMBER] || null,
+        record: call
+      });
+    }
+    return items;
+  }
+
+  /**
+   * Missed calls from the mentor's callers not returned yet - one item per caller
+   */
+  async missedCallItems(callers, since, onList, context) {
+    if (callers.length === 0) return [];
+    const calls = await callService.getAllCalls({
+      filterByFormula: `AND(
+        OR({${CALL.DIRECTION}} = 'Missed', ${MISSED_STATUSES.map(status => `{${CALL.FINAL_STATUS}} = '${status}'`).join(', ')}),
+        IS_AFTER({${CALL.DATE_TIME}}, '${new Date(since).toISOString()}'),
+        NOT({${CALL.FOLLOWUP_CREATED}})
+      )`,
+      sort: [{ field: CALL.DATE_TIME, direction: 'asc' }],
+      maxRecords: 1000
+    });
+
+    const mine = new Set(callers.map(caller => caller.id));
+    const byCaller = new Map();
+    calls.forEach(call => {
+      const callerId = (call[CALL.CALLER] || [])[0];
+      if (!callerId || !mine.has(callerId) || onList.has(callerId)) return;
+      if (!byCaller.has(callerId)) byCaller.set(callerId, []);
+      byCaller.get(callerId).push(call);
+    });
+
+    const items = [];
+    for (const [callerId, missed] of byCaller) {
+      // Only the calls since the caller was last reached
+      const reachedAt = this.lastReached(callerId, context);
+      const open = missed.filter(call => !(reachedAt > Date.parse(call[CALL.DATE_TIME])));
+      if (open.length === 0) continue;
+
+      const first = open[0];
+      const last = open[open.length - 1];
+      const urgency = this.config.missedCallPolicy;
+      items.push({
+        kind: 'missed-call',
+        title: open.length === 1 ? 'Missed call' : `${open.length} missed calls`,
+        urgency,
+        ...this.timing(followupService.slaDueDate(urgency, first[CALL.DATE_TIME]), context.now),
+        callerId,
+        needsCaller: true,
+        callIds: open.map(call => call.id),
+        receivedAt: last[CALL.DATE_TIME] || null,
+        record: last
+      });
+    }
+    return items;
+  }
+
+  /**
+   * The mentor's New / Active callers they haven't spoken to yet
+   */
+  newCallerItems(teamMemberId, callers, onList, context) {
+    const items = [];
+    for (const caller of callers) {
+      if (!CASELOAD_STATUSES.includes(caller[CALLER.STATUS]) || onList.has(caller.id)) continue;
+
+      const spoken = (context.answeredCalls.get(caller.id) || []).some(call =>
+        (call[CALL.RECEIVED_BY] || []).includes(teamMemberId));
+      if (spoken || context.completed.has(caller.id)) continue;
+
+      const assignedAt = this.assignedAt(caller, context);
+      const urgency = this.config.newCallerPolicy;
+      items.push({
+        kind: 'new-caller',
+        title: 'First contact',
+        urgency,
+        ...this.timing(followupService.slaDueDate(urgency, assignedAt), context.now),
+        callerId: caller.id,
+        needsCaller: true,
+        assignedAt: new Date(assignedAt).toISOString(),
+        record: caller
+      });
+    }
+    return items;
+  }
+
+  /**
+   * Caller details and their contact window on an item
+   */
+  addContactWindow(item, context) {
+    const caller = (item.callerId && context.callers.get(item.callerId)) || null;
+    const outside = item.needsCaller ? contactWindows.check(contactWindows.forCaller(caller), context.now) : null;
+
+    item.caller = caller
+      ? { id: caller.id, name: caller[CALLER.NAME] || null, phone: caller[CALLER.PHONE] || null, contactPreference: caller[CALLER.CONTACT_PREFERENCE] || null }
+      : null;
+    item.callableNow = !outside;
+    item.nextOpening = new Date(outside ? outside.nextOpening : context.now).toISOString();
+    item.warning = outside ? outside.message : null;
+    delete item.needsCaller;
+  }
+
+  /**
+   * When an item breaches and how urgent that makes it now:
+   * overdue (past its breach time, Shabbos / Yom Tov not counted), due-now,
+   * due-today or later
+   */
+  timing(breachAt, now) {
+    const breach = Date.parse(breachAt);
+    let bucket;
+    if (breach <= now) {
+      bucket = calendar.openTimeBetween(breach, now) > 0 ? 'overdue' : 'due-now';
+    } else if (breach - now <= this.config.dueNowMinutes * 60 * 1000) {
+      bucket = 'due-now';
+    } else if (breach <= calendar.endOfDay(now)) {
+      bucket = 'due-today';
+    } else {
+      bucket = 'later';
+    }
+    return {
+      bucket,
+      breachAt: new Date(breach).toISOString(),
+      minutesPastDue: bucket === 'overdue' ? Math.round(calendar.openTimeBetween(breach, now) / 60000) : 0
+    };
+  }
+
+  /**
+   * When the mentor was assigned the caller (their Caller Changes), else the
+   * caller's first contact
+   */
+  assignedAt(caller, context) {
+    return context.assignedAt.get(caller.id) || Date.parse(caller[CALLER.FIRST_CONTACT]) || Date.now();
+  }
+
+  /**
+   * Whether the caller has been reached (an answered call) after a moment
+   */
+  reachedSince(callerId, time, context) {
+    return this.lastReached(callerId, context) > (Date.parse(time) || 0);
+  }
+
+  /**
+   * The last answered call with a caller (ms), or 0
+   */
+  lastReached(callerId, context) {
+    const answered = (context.answeredCalls.get(callerId) || []).map(call => Date.parse(call[CALL.DATE_TIME]) || 0);
+    return answered.length > 0 ? Math.max(...answered) : 0;
+  }
+}
+
+module.exports = new WorkQueueService();
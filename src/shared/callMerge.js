@@ -0,0 +1,570 @@
+/**
+ * Call Merge Logic (shared)
+ *
+ * The one implementation of how the Telebroad webhook events for a callId
+ * become a single Calls record. Used by:
+ *   - src/services/webhookMerger.js      (stage-then-merge mode)
+ *   - src/webhooks/telebroad-handler.js  (live aggregation mode)
+ *   - airtable-scripts/merge-webhook-to-calls.js and
+ *     google-apps-script/LevLehazin.gs   (embedded copies)
+ *
+ * The embedded copies are generated - after changing this file run
+ * `npm run sync:merge` (CI can use `npm run check:merge` to catch drift).
+ *
+ * Keep this file self-contained: no require(), no Node APIs - it has to run
+ * unchanged in Airtable's scripting block and in Google Apps Script.
+ *
+ * Events are in staging-table shape: { 'Call ID', 'Status', 'Send Type', ... }
+ */
+
+var CallMerge = (function () {
+  // Staging columns that identify one delivery of one leg event
+  var FINGERPRINT_FIELDS = [
+    'Call ID', 'Unique ID', 'Status', 'Send Type', 'Send Number',
+    'Destination Type', 'Destination Number', 'Start Time'
+  ];
+
+  // Order of statuses that share a timestamp
+  var STATUS_ORDER = { ringing: 0, answered: 1, ended: 2 };
+
+  /**
+   * Convert a raw Telebroad payload into staging-table shape
+   * @param {Object} webhookData - Raw webhook from Telebroad
+   * @param {string} receivedAt - ISO time the webhook arrived
+   */
+  function payloadToEventFields(webhookData, receivedAt) {
+    var fields = {
+      'Received At': receivedAt || new Date().toISOString(),
+      'Call ID': webhookData.callId || '',
+      'Unique ID': webhookData.UniqueId || '',
+      'Status': webhookData.status || '',
+      'Direction': webhookData.direction || '',
+      'Send Type': webhookData.sendType || '',
+      'Send Name': webhookData.sendName || '',
+      'Send Number': webhookData.sendNumber || '',
+      'Destination Type': webhookData.destinationType || '',
+      'Destination Name': webhookData.destinationName || '',
+      'Destination Number': webhookData.destinationNumber || '',
+      'Called Type': webhookData.calledType || '',
+      'Called Number': webhookData.calledNumber || '',
+      'Caller ID Internal': webhookData.callerIdInternal || '',
+      'Caller ID External': webhookData.callerIdExternal || '',
+      'Caller Name Internal': webhookData.callerNameInternal || '',
+      'Caller Name External': webhookData.callerNameExternal || '',
+      'Start Time': webhookData.startTime || '',
+      'Call Start Time': webhookData.callStartTime || ''
+    };
+    // Only senders that stamp each event send one (Telebroad itself doesn't) -
+    // left out otherwise so staging tables without the column keep working
+    var eventTimestamp = webhookData.eventTime || webhookData.timestamp;
+    if (eventTimestamp) fields['Event Time'] = String(eventTimestamp);
+    return fields;
+  }
+
+  /**
+   * Normalized identity of an event - equal for repeated deliveries
+   */
+  function eventKey(event) {
+    return FINGERPRINT_FIELDS.map(function (field) {
+      var value = event[field];
+      return String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+    }).join('|');
+  }
+
+  /**
+   * Drop repeated deliveries, keeping the first of each
+   */
+  function uniqueEvents(events) {
+    var seen = {};
+    return events.filter(function (event) {
+      var key = eventKey(event);
+      if (seen[key]) return false;
+      seen[key] = true;
+      return true;
+    });
+  }
+
+  function isOutbound(event) {
+    return event['Direction'] === 'outgoing';
+  }
+
+  /**
+   * The event that ends the whole call: the external caller hanging up, or on
+   * an outbound call the end of the leg to the outside number (either side)
+   */
+  function isTerminalEvent(event) {
+    if (event['Status'] !== 'ended') return false;
+    return event['Send Type'] === 'external' || (isOutbound(event) && event['Destination Type'] === 'external');
+  }
+
+  function timeOf(value) {
+    var time = value ? new Date(value).getTime() : NaN;
+    return isNaN(time) ? null : time;
+  }
+
+  /**
+   * Delivery lag for a call: how long after its start time a ringing event arrived.
+   * Measured on the first ringing event, which Telebroad sends in real time.
+   */
+  function deliveryLag(events) {
+    var sample = events.find(function (e) {
+      return e['Status'] === 'ringing' && timeOf(e['Start Time']) !== null && timeOf(e['Received At']) !== null;
+    });
+    return sample ? Math.max(0, timeOf(sample['Received At']) - timeOf(sample['Start Time'])) : 0;
+  }
+
+  /**
+   * When an event happened - its own Event Time when the sender stamped it.
+   * Otherwise: Telebroad stamps every event of a leg with the leg's start
+   * time, so a ringing event's Start Time is accurate but "answered" and
+   * "ended" events need their arrival time instead - less the call's delivery
+   * lag, so queued events stay on the call's own clock.
+   * @param {Object} event - Staging-shaped event
+   * @param {Array} events - All events of the call (for the delivery lag)
+   */
+  function eventTime(event, events) {
+    var stamped = timeOf(event['Event Time']);
+    if (stamped !== null) return stamped;
+
+    var legStart = timeOf(event['Start Time']);
+    if (event['Status'] !== 'ringing' && timeOf(event['Received At']) !== null) {
+      var arrived = timeOf(event['Received At']) - deliveryLag(events || [event]);
+      return legStart !== null ? Math.max(arrived, legStart) : arrived;
+    }
+    return legStart || timeOf(event['Call Start Time']) || timeOf(event['Received At']);
+  }
+
+  /**
+   * Chronological order: when each event happened, then status, then arrival.
+   * The caller's final hang-up always comes last - anything delivered after it
+   * is late and still belongs before it.
+   */
+  function sortEvents(events) {
+    return events.slice().sort(function (a, b) {
+      var terminalA = isTerminalEvent(a) ? 1 : 0;
+      var terminalB = isTerminalEvent(b) ? 1 : 0;
+      if (terminalA !== terminalB) return terminalA - terminalB;
+
+      var timeA = eventTime(a, events) || 0;
+      var timeB = eventTime(b, events) || 0;
+      if (timeA !== timeB) return timeA - timeB;
+
+      var statusA = STATUS_ORDER[a['Status']] === undefined ? 3 : STATUS_ORDER[a['Status']];
+      var statusB = STATUS_ORDER[b['Status']] === undefined ? 3 : STATUS_ORDER[b['Status']];
+      if (statusA !== statusB) return statusA - statusB;
+
+      return (timeOf(a['Received At']) || 0) - (timeOf(b['Received At']) || 0);
+    });
+  }
+
+  function toIso(time) {
+    return time === null || time === undefined ? null : new Date(time).toISOString();
+  }
+
+  function seconds(from, to) {
+    return from === null || to === null ? 0 : Math.max(0, Math.round((to - from) / 1000));
+  }
+
+  // ---------------------------------------------------------------
+  // Call-leg state machine
+  //
+  // A leg is one hop of the call: caller → IVR menu, IVR → hunt group,
+  // hunt group → extension, extension → extension (transfer), or on an
+  // outbound call extension → outside number.
+  //
+  //   ringing ──answered──▶ answered ──ended──▶ hungup
+  //      │                     │
+  //      │                     └──next hop from this leg──▶ transferred
+  //      ├──next hop from this leg (IVR/hunt group moved on)──▶ transferred
+  //      └──ended / another extension answered / caller left──▶ missed
+  // ---------------------------------------------------------------
+
+  var OPEN_STATES = { ringing: true, answered: true };
+
+  function legKey(event) {
+    return [event['Unique ID'], event['Destination Type'], event['Destination Number']].join('|');
+  }
+
+  function party(type, name, number) {
+    return { type: type || '', name: name || '', number: number || '' };
+  }
+
+  function openLeg(legs, event, time) {
+    var leg = {
+      key: legKey(event),
+      uniqueId: event['Unique ID'],
+      from: party(event['Send Type'], event['Send Name'], event['Send Number']),
+      to: party(event['Destination Type'], event['Destination Name'], event['Destination Number']),
+      state: 'ringing',
+      ringStart: time,
+      answeredAt: null,
+      endedAt: null,
+      transferredTo: null,
+      endedBy: null
+    };
+    legs.push(leg);
+    return leg;
+  }
+
+  function closeLeg(leg, time, endedBy) {
+    if (!OPEN_STATES[leg.state]) return;
+    if (leg.state === 'answered') {
+      leg.state = 'hungup';
+    } else {
+      // Extensions (or outside numbers we dialed) that rang and never picked up
+      // are missed; an IVR or hunt group the caller left is simply over
+      leg.state = leg.to.type === 'phone' || leg.to.type === 'external' ? 'missed' : 'hungup';
+    }
+    leg.endedAt = time;
+    leg.endedBy = endedBy;
+  }
+
+  function transferLeg(leg, next, time) {
+    if (!OPEN_STATES[leg.state]) return;
+    leg.state = 'transferred';
+    leg.endedAt = time;
+    leg.transferredTo = next.to.name || next.to.number;
+  }
+
+  /**
+   * The open leg a new hop was sent from (the sender is that leg's destination)
+   */
+  function parentLeg(legs, event) {
+    for (var i = legs.length - 1; i >= 0; i--) {
+      var leg = legs[i];
+      if (OPEN_STATES[leg.state] && leg.to.type === event['Send Type'] &&
+          (leg.to.number === event['Send Number'] || leg.to.name === event['Send Name'])) {
+        return leg;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Leg an "ended" event belongs to
+   */
+  function legForEnded(legs, event) {
+    var key = legKey(event);
+    var i;
+    for (i = legs.length - 1; i >= 0; i--) {
+      if (legs[i].key === key) return legs[i];
+    }
+    // An extension hanging up reports itself as the sender
+    if (event['Send Type'] === 'phone') {
+      for (i = legs.length - 1; i >= 0; i--) {
+        if (OPEN_STATES[legs[i].state] && legs[i].to.type === 'phone' && legs[i].to.number === event['Send Number']) {
+          return legs[i];
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Walk every event in order and build the call's legs
+   * @param {Array} sorted - Unique events in chronological order
+   * @returns {Object} { legs, endTime, ended, endedBy }
+   */
+  function buildLegs(sorted) {
+    var legs = [];
+    var byKey = {};
+    var endTime = null;
+    var ended = false;
+    var endedBy = null;
+
+    var latest = null;
+
+    sorted.forEach(function (event) {
+      var status = event['Status'];
+      var time = eventTime(event, sorted);
+
+      if (isTerminalEvent(event)) {
+        // Call is over - everything still open ends now (never before what already happened).
+        // Only on an outbound call can our own extension be the one that ended it.
+        if (latest !== null && time < latest) time = latest;
+        endTime = time;
+        ended = true;
+        endedBy = event['Send Type'] === 'phone' ? 'agent' : 'caller';
+        if (isOutbound(event) && !byKey[legKey(event)]) {
+          // Never saw the dial-out ring - the leg still happened
+          byKey[legKey(event)] = openLeg(legs, event, timeOf(event['Start Time']) || time);
+        }
+        legs.forEach(function (leg) { closeLeg(leg, time, endedBy); });
+        return;
+      }
+
+      if (latest === null || time > latest) latest = time;
+
+      if (status === 'ended') {
+        var endedLeg = legForEnded(legs, event);
+        if (endedLeg) closeLeg(endedLeg, time, endedLeg.state === 'answered' ? 'agent' : 'system');
+        if (endTime === null || time > endTime) endTime = time;
+        return;
+      }
+
+      var key = legKey(event);
+      var leg = byKey[key];
+      if (!leg) {
+        var parent = parentLeg(legs, event);
+        // Telebroad stamps the leg start on every event of the leg
+        leg = openLeg(legs, event, timeOf(event['Start Time']) || time);
+        byKey[key] = leg;
+
+        // Moving on from an IVR menu, or an extension passing the call on, ends that leg.
+        // A hunt group stays open while it rings its extensions.
+        if (parent && parent.to.type !== 'huntgroup') {
+          transferLeg(parent, leg, leg.ringStart);
+        }
+      }
+
+      if (status === 'answered' && leg.state === 'ringing') {
+        leg.state = 'answered';
+        leg.answeredAt = time;
+
+        if (leg.to.type === 'phone') {
+          // The hunt group connected the call; the other extensions it rang are missed
+          legs.forEach(function (other) {
+            if (other === leg) return;
+            if (other.to.type === 'huntgroup' && other.to.name === leg.from.name && OPEN_STATES[other.state]) {
+              transferLeg(other, leg, time);
+            } else if (other.to.type === 'phone' && other.state === 'ringing' &&
+                other.from.type === 'huntgroup' && other.from.name === leg.from.name) {
+              closeLeg(other, time, 'system');
+            }
+          });
+        }
+      }
+    });
+
+    return { legs: legs, endTime: endTime, ended: ended, endedBy: endedBy };
+  }
+
+  /**
+   * Public (timestamp-formatted) view of a leg with ring and talk time
+   */
+  function describeLeg(leg, index) {
+    return {
+      sequence: index + 1,
+      uniqueId: leg.uniqueId,
+      from: leg.from,
+      to: leg.to,
+      state: leg.state,
+      ringStart: toIso(leg.ringStart),
+      answeredAt: toIso(leg.answeredAt),
+      endedAt: toIso(leg.endedAt),
+      ringSeconds: seconds(leg.ringStart, leg.answeredAt !== null ? leg.answeredAt : leg.endedAt),
+      // Only people talk - an "answered" IVR or hunt group is just the system picking up
+      talkSeconds: (leg.to.type === 'phone' || leg.to.type === 'external') && leg.answeredAt !== null
+        ? seconds(leg.answeredAt, leg.endedAt)
+        : 0,
+      transferredTo: leg.transferredTo,
+      endedBy: leg.endedBy
+    };
+  }
+
+  /**
+   * Merge all events for one call into call data
+   * @param {Array} events - Staging-shaped events for one callId (any order, may repeat)
+   * @returns {Object} callData (same keys CallService.createCall accepts, plus legs)
+   */
+  function mergeEvents(events) {
+    var sorted = sortEvents(uniqueEvents(events));
+    var firstEvent = sorted[0];
+    var machine = buildLegs(sorted);
+    var legs = machine.legs.map(describeLeg);
+
+    var outbound = isOutbound(firstEvent);
+    var ivrLegs = legs.filter(function (l) { return l.to.type === 'ivr'; });
+    var huntGroupLegs = legs.filter(function (l) { return l.to.type === 'huntgroup'; });
+    var phoneLegs = legs.filter(function (l) { return l.to.type === 'phone'; });
+    // Legs that connect the call to a person: our extensions on an inbound
+    // call, the outside number we dialed on an outbound one
+    var connectLegs = outbound ? legs.filter(function (l) { return l.to.type === 'external'; }) : phoneLegs;
+    var answeredLegs = connectLegs.filter(function (l) { return l.answeredAt !== null; });
+    var voicemailLeg = legs.find(function (l) { return l.to.type === 'voicemail'; });
+    var firstAnswered = answeredLegs[0] || null;
+
+    // IVR menus visited, in order
+    var ivrPath = [];
+    ivrLegs.forEach(function (l) {
+      if (l.to.name && ivrPath.indexOf(l.to.name) === -1) ivrPath.push(l.to.name);
+    });
+
+    var huntGroup = huntGroupLegs.length > 0 ? huntGroupLegs[0].to.name : null;
+    if (!huntGroup) {
+      var fromHuntGroup = legs.find(function (l) { return l.from.type === 'huntgroup'; });
+      huntGroup = fromHuntGroup ? fromHuntGroup.from.name : null;
+    }
+
+    // Where the call was when the caller left: the last leg still open at hang-up
+    var lastClosedByCaller = legs.filter(function (l) { return l.endedBy === 'caller'; }).pop();
+    var hangupStage = !outbound && lastClosedByCaller ? lastClosedByCaller.to.type : null;
+
+    // Final status and direction
+    var direction = outbound ? 'Outbound' : 'Inbound';
+    var finalStatus;
+
+    if (firstAnswered) {
+      finalStatus = 'Answered';
+    } else if (voicemailLeg) {
+      finalStatus = 'Voicemail';
+    } else if (outbound || huntGroup || phoneLegs.length > 0) {
+      // Reached the hunt group / rang extensions (or the number we dialed) but nobody picked up
+      finalStatus = 'Missed';
+    } else if (ivrPath.length > 0) {
+      finalStatus = 'IVR Only';
+    } else {
+      finalStatus = 'Abandoned';
+    }
+    if (!firstAnswered && !outbound) {
+      direction = 'Missed';
+    }
+
+    // Who ended the conversation: our side (agent) or the other party (caller)
+    var lastAnswered = answeredLegs[answeredLegs.length - 1];
+    var hangupSide = machine.endedBy;
+    if (lastAnswered) {
+      hangupSide = lastAnswered.endedBy === 'system' ? null : lastAnswered.endedBy;
+    }
+
+    var talkSeconds = answeredLegs.reduce(function (sum, l) { return sum + l.talkSeconds; }, 0);
+    // An extension passing the call on (IVR and hunt group hand-offs are routing, not transfers)
+    var transfers = phoneLegs.filter(function (l) { return l.state === 'transferred'; }).length;
+
+    var callerNumber;
+    var callerName;
+    var placedBy = null;
+    if (outbound) {
+      // The remote party is who we dialed; the extension that dialed is the mentor
+      var dialLeg = connectLegs[0] || null;
+      callerNumber = (dialLeg && dialLeg.to.number) || firstEvent['Called Number'] || '';
+      callerName = dialLeg && dialLeg.to.name !== dialLeg.to.number ? dialLeg.to.name : '';
+      placedBy = dialLeg && dialLeg.from.type === 'phone'
+        ? dialLeg.from
+        : party('phone', firstEvent['Caller Name Internal'], firstEvent['Caller ID Internal']);
+    } else {
+      callerNumber = firstEvent['Caller ID External'] || firstEvent['Caller ID Internal'] || firstEvent['Send Number'] || '';
+      callerName = firstEvent['Caller Name External'] || firstEvent['Caller Name Internal'] || '';
+    }
+    var callStartTime = firstEvent['Call Start Time'] || firstEvent['Start Time'];
+    var callStart = timeOf(callStartTime);
+
+    var callData = {
+      telebroadCallId: firstEvent['Call ID'],
+      direction: direction,
+      dateTime: callStartTime,
+      callerNumber: callerNumber,
+      callerName: callerName,
+      calledNumber: firstEvent['Called Number'] || '',
+      ivrPath: ivrPath.join(' → '),
+      huntGroup: huntGroup,
+      finalStatus: finalStatus,
+      callStartTime: callStartTime,
+      answerTime: firstAnswered ? firstAnswered.answeredAt : null,
+      endTime: toIso(machine.endTime),
+      duration: talkSeconds,
+      // Wait from call start until the first pick-up
+      ringSeconds: firstAnswered ? seconds(callStart, timeOf(firstAnswered.answeredAt)) : 0,
+      webhookEvents: sorted.length,
+      pickedUpByName: firstAnswered && !outbound ? firstAnswered.to.name : null,
+      pickedUpByExtension: firstAnswered && !outbound ? firstAnswered.to.number : null,
+      placedByName: placedBy ? placedBy.name : null,
+      placedByExtension: placedBy ? placedBy.number : null,
+      answeredBy: outbound ? [] : answeredLegs.map(function (l) { return { name: l.to.name, extension: l.to.number, talkSeconds: l.talkSeconds }; }),
+      transfers: transfers,
+      hangupSide: hangupSide,
+      hangupStage: hangupStage,
+      legs: legs,
+      ended: machine.ended
+    };
+
+    callData.summary = buildSummary(callData);
+    return callData;
+  }
+
+  function formatDuration(seconds) {
+    return Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's';
+  }
+
+  function buildSummary(callData) {
+    var parts = [];
+    if (callData.direction === 'Outbound') {
+      parts.push(callData.callerName
+        ? 'To: ' + callData.callerName + ' (' + callData.callerNumber + ')'
+        : 'To: ' + callData.callerNumber);
+      if (callData.placedByName) parts.push('Placed by: ' + callData.placedByName);
+      if (callData.finalStatus === 'Answered') {
+        if (callData.duration > 0) parts.push('Duration: ' + formatDuration(callData.duration));
+      } else {
+        parts.push('Status: No answer');
+      }
+      return parts.join(' | ');
+    }
+
+    parts.push(callData.callerName
+      ? 'From: ' + callData.callerName + ' (' + callData.callerNumber + ')'
+      : 'From: ' + callData.callerNumber);
+
+    if (callData.ivrPath) parts.push('IVR: ' + callData.ivrPath);
+    if (callData.huntGroup) parts.push('Hunt Group: ' + callData.huntGroup);
+
+    if (callData.pickedUpByName) {
+      parts.push('Answered by: ' + callData.pickedUpByName);
+      callData.answeredBy.slice(1).forEach(function (agent) {
+        parts.push('Transferred to: ' + agent.name);
+      });
+      if (callData.duration > 0) parts.push('Duration: ' + formatDuration(callData.duration));
+    } else if (callData.hangupStage === 'ivr') {
+      parts.push('Status: ' + callData.finalStatus + ' (hung up in IVR)');
+    } else if (callData.hangupStage === 'huntgroup' || callData.hangupStage === 'phone') {
+      parts.push('Status: ' + callData.finalStatus + ' (hung up while ringing)');
+    } else {
+      parts.push('Status: ' + callData.finalStatus);
+    }
+
+    return parts.join(' | ');
+  }
+
+  /**
+   * Calls table field values for merged call data (for scripts that write raw fields)
+   */
+  function toCallFields(callData) {
+    return {
+      'TB Call ID': callData.telebroadCallId,
+      'Direction': callData.direction,
+      'Date/Time': callData.dateTime,
+      'Final Status': callData.finalStatus,
+      'Call Start Time': callData.callStartTime,
+      'Answer Time': callData.answerTime,
+      'End Time': callData.endTime,
+      'Duration': callData.duration,
+      'Summary': callData.summary,
+      'IVR Path': callData.ivrPath || null,
+      'Hunt Group': callData.huntGroup,
+      'Caller Number': callData.callerNumber,
+      'Caller Name': callData.callerName || null,
+      'Called Number': callData.calledNumber,
+      'Picked Up By Name': callData.pickedUpByName,
+      'Picked Up By Extension': callData.pickedUpByExtension,
+      'Webhook Events': callData.webhookEvents
+    };
+  }
+
+  return {
+    FINGERPRINT_FIELDS: FINGERPRINT_FIELDS,
+    payloadToEventFields: payloadToEventFields,
+    eventKey: eventKey,
+    uniqueEvents: uniqueEvents,
+    isOutbound: isOutbound,
+    isTerminalEvent: isTerminalEvent,
+    eventTime: eventTime,
+    sortEvents: sortEvents,
+    buildLegs: buildLegs,
+    mergeEvents: mergeEvents,
+    toCallFields: toCallFields
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CallMerge;
+}
@@ -0,0 +1,136 @@
+/**
+ * Phone Number Normalization
+ *
+ * Every phone number the system stores or looks up goes through normalize(),
+ * so "+17185551234", "7185551234" and "(718) 555-1234" are the same caller.
+ * Numbers are kept in E.164 ("+<country code><number>"); numbers written
+ * without a country code are read as PHONE_DEFAULT_COUNTRY numbers.
+ *
+ * Internal extensions, short codes and withheld numbers ("anonymous",
+ * "Restricted") don't normalize - normalize() returns null for them.
+ */
+
+const phoneConfig = require('../config/phone');
+
+// E.164 allows at most 15 digits; anything under 8 is an extension or short code
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+function countryFor(country) {
+  return phoneConfig.countries[(country || phoneConfig.defaultCountry).toUpperCase()] ||
+    phoneConfig.countries[phoneConfig.defaultCountry];
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} raw - Number as typed or received ("(718) 555-1234", "0521234567", "+44 20 ...")
+ * @param {string} country - Country for numbers without a country code (default PHONE_DEFAULT_COUNTRY)
+ * @returns {string|null} E.164 number, or null when it isn't a dialable outside number
+ */
+function normalize(raw, country) {
+  if (raw === null || raw === undefined) return null;
+
+  // Drop an extension suffix ("x12", "ext. 12")
+  const text = String(raw).trim().replace(/\s*(?:x|ext\.?|extension)\s*\d+$/i, '');
+  let digits = text.replace(/\D/g, '');
+  if (!digits) return null;
+
+  if (text.startsWith('+')) {
+    return digits.length >= MIN_DIGITS && digits.length <= MAX_DIGITS ? `+${digits}` : null;
+  }
+
+  const home = countryFor(country);
+
+  // Dialed internationally from home ("011 44 ...", "00 972 ...")
+  if (digits.startsWith(home.internationalPrefix) && digits.length - home.internationalPrefix.length >= MIN_DIGITS) {
+    digits = digits.slice(home.internationalPrefix.length);
+    return digits.length <= MAX_DIGITS ? `+${digits}` : null;
+  }
+
+  // National number, with or without the trunk prefix
+  if (home.nationalLength.includes(digits.length)) {
+    return `+${home.code}${digits}`;
+  }
+  if (digits.startsWith(home.trunkPrefix) && home.nationalLength.includes(digits.length - home.trunkPrefix.length)) {
+    return `+${home.code}${digits.slice(home.trunkPrefix.length)}`;
+  }
+
+  // Country code written without the "+"
+  if (digits.startsWith(home.code) && home.nationalLength.includes(digits.length - home.code.length)) {
+    return `+${digits}`;
+  }
+  if (digits.length > Math.max(...home.nationalLength) && digits.length <= MAX_DIGITS) {
+    return `+${digits}`;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a value is a dialable outside number
+ */
+function isValid(raw, country) {
+  return normalize(raw, country) !== null;
+}
+
+/**
+ * Whether two numbers are the same phone
+ */
+function sameNumber(a, b, country) {
+  const left = normalize(a, country);
+  return left !== null && left === normalize(b, country);
+}
+
+/**
+ * The ways a number may have been typed into records saved before
+ * normalization (used to still find them by exact match)
+ * @param {string} raw - Any form of the number
+ * @returns {Array} Distinct spellings, E.164 first
+ */
+function variants(raw, country) {
+  const e164 = normalize(raw, country);
+  if (!e164) return raw ? [String(raw).trim()] : [];
+
+  const home = countryFor(country);
+  const all = [e164, e164.slice(1)];
+
+  if (e164.startsWith(`+${home.code}`)) {
+    const national = e164.slice(home.code.length + 1);
+    all.push(national, `${home.trunkPrefix}${national}`, `+${home.code} ${national}`);
+
+    if (national.length === 10) {
+      const [area, exchange, line] = [national.slice(0, 3), national.slice(3, 6), national.slice(6)];
+      all.push(
+        `(${area}) ${exchange}-${line}`,
+        `(${area})${exchange}-${line}`,
+        `${area}-${exchange}-${line}`,
+        `${area}.${exchange}.${line}`,
+        `${area} ${exchange} ${line}`,
+        `${home.trunkPrefix}-${area}-${exchange}-${line}`,
+        `+${home.code} (${area}) ${exchange}-${line}`,
+        `+${home.code} ${area}-${exchange}-${line}`
+      );
+    }
+  }
+
+  all.push(String(raw).trim());
+  return [...new Set(all)];
+}
+
+/**
+ * Airtable formula matching a phone field against every spelling of a number
+ * @param {string} fieldName - Phone field name
+ * @param {string} raw - Number to look up
+ */
+function lookupFormula(fieldName, raw, country) {
+  const conditions = variants(raw, country).map(value => `{${fieldName}} = '${value.replace(/'/g, "\\'")}'`);
+  return conditions.length === 1 ? conditions[0] : `OR(${conditions.join(', ')})`;
+}
+
+module.exports = {
+  normalize,
+  isValid,
+  sameNumber,
+  variants,
+  lookupFormula
+};
@@ -0,0 +1,127 @@
+/**
+ * Airtable Storage Adapter
+ *
+ * Implements the storage interface on top of the live Airtable base.
+ * Records are returned flattened as { id, ...fields }.
+ */
+
+// Airtable allows max 10 records per batch
+const BATCH_SIZE = 10;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function flatten(record) {
+  return { id: record.id, ...record.fields };
+}
+
+class AirtableAdapter {
+  /**
+   * @param {Function} base - Airtable base instance from config/airtable
+   */
+  constructor(base) {
+    if (!base) {
+      throw new Error('Airtable storage requires AIRTABLE_PAT and AIRTABLE_BASE_ID');
+    }
+    this.base = base;
+    this.name = 'airtable';
+  }
+
+  /**
+   * Select records from a table
+   * @param {string} table - Table name
+   * @param {Object} options - Airtable select options (filterByFormula, sort, maxRecords, view, fields)
+   */
+  async select(table, options = {}) {
+    const selectOptions = {};
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) selectOptions[key] = value;
+    });
+
+    const records = [];
+    await this.base(table).select(selectOptions).eachPage((pageRecords, fetchNextPage) => {
+      records.push(...pageRecords.map(flatten));
+      fetchNextPage();
+    });
+    return records;
+  }
+
+  /**
+   * Find a record by ID
+   * @param {string} table - Table name
+   * @param {string} recordId - Record ID
+   */
+  async find(table, recordId) {
+    const record = await this.base(table).find(recordId);
+    return flatten(record);
+  }
+
+  /**
+   * Create a single record
+   * @param {string} table - Table name
+   * @param {Object} fields - Field values
+   */
+  async create(table, fields) {
+    const record = await this.base(table).create(fields);
+    return flatten(record);
+  }
+
+  /**
+   * Create many records (batched)
+   * @param {string} table - Table name
+   * @param {Array} fieldsList - Array of field objects
+   */
+  async createMany(table, fieldsList) {
+    const created = [];
+    for (const batch of chunk(fieldsList, BATCH_SIZE)) {
+      const records = await this.base(table).create(batch.map(fields => ({ fields })));
+      created.push(...records.map(flatten));
+    }
+    return created;
+  }
+
+  /**
+   * Update a single record (partial update)
+   * @param {string} table - Table name
+   * @param {string} recordId - Record ID
+   * @param {Object} fields - Fields to update
+   */
+  async update(table, recordId, fields) {
+    const record = await this.base(table).update(recordId, fields);
+    return flatten(record);
+  }
+
+  /**
+   * Update many records (batched)
+   * @param {string} table - Table name
+   * @param {Array} updates - Array of { id, fields }
+   */
+  async updateMany(table, updates) {
+    const updated = [];
+    for (const batch of chunk(updates, BATCH_SIZE)) {
+      const records = await this.base(table).update(batch);
+      updated.push(...records.map(flatten));
+    }
+    return updated;
+  }
+
+  /**
+   * Delete one or more records
+   * @param {string} table - Table name
+   * @param {string|Array} recordIds - Record ID or array of IDs
+   */
+  async destroy(table, recordIds) {
+    const ids = Array.isArray(recordIds) ? recordIds : [recordIds];
+    for (const batch of chunk(ids, BATCH_SIZE)) {
+      await this.base(table).destroy(batch);
+    }
+    return ids;
+  }
+}
+
+module.exports = AirtableAdapter;
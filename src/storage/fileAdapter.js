@@ -0,0 +1,198 @@
+/**
+ * File Storage Adapter
+ *
+ * Embedded storage backend that keeps each table as a JSON file on local disk.
+ * Lets the server, scheduler and merger run offline (development, CI,
+ * disaster recovery) with the same service code that talks to Airtable.
+ *
+ * - Record IDs look like Airtable's ("rec" + 14 chars) so link-field checks keep working
+ * - filterByFormula and sort are evaluated locally (see ./formula.js)
+ * - Writes go to a temp file and are renamed into place, so a crash never
+ *   leaves a half-written table behind
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { compile, sortRecords } = require('./formula');
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+function generateRecordId() {
+  const bytes = crypto.randomBytes(14);
+  let id = 'rec';
+  for (const byte of bytes) {
+    id += ID_ALPHABET[byte % ID_ALPHABET.length];
+  }
+  return id;
+}
+
+function tableFileName(table) {
+  return `${table.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').toLowerCase()}.json`;
+}
+
+function notFound(table, recordId) {
+  const error = new Error(`Could not find record ${recordId} in table ${table}`);
+  error.statusCode = 404;
+  error.error = 'NOT_FOUND';
+  return error;
+}
+
+function flatten(record) {
+  return { id: record.id, ...record.fields };
+}
+
+// Drop undefined/null values - Airtable clears a cell when it's set to null
+function applyFields(target, fields) {
+  Object.entries(fields || {}).forEach(([key, value]) => {
+    if (value === undefined || value === null) {
+      delete target[key];
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+class FileAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Directory holding one JSON file per table
+   */
+  constructor({ dataDir }) {
+    this.dataDir = dataDir;
+    this.name = 'file';
+    this.tables = new Map();
+    fs.mkdirSync(this.dataDir, { recursive: true });
+  }
+
+  /**
+   * Load a table into memory (lazily, once)
+   */
+  _table(table) {
+    if (!this.tables.has(table)) {
+      const file = path.join(this.dataDir, tableFileName(table));
+      let records = [];
+      if (fs.existsSync(file)) {
+        records = JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+      this.tables.set(table, new Map(records.map(r => [r.id, r])));
+    }
+    return this.tables.get(table);
+  }
+
+  /**
+   * Persist a table atomically
+   */
+  _save(table) {
+    const file = path.join(this.dataDir, tableFileName(table));
+    const tmp = `${file}.${process.pid}.tmp`;
+    const records = [...this._table(table).values()];
+    fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * Select records from a table
+   * @param {string} table - Table name
+   * @param {Object} options - filterByFormula, sort, maxRecords, fields (view is ignored)
+   */
+  async select(table, options = {}) {
+    const matches = compile(options.filterByFormula);
+    const now = new Date();
+
+    let records = [...this._table(table).values()].filter(r => matches(r, { now }));
+    records = sortRecords(records, options.sort);
+
+    if (options.maxRecords) {
+      records = records.slice(0, options.maxRecords);
+    }
+
+    if (Array.isArray(options.fields)) {
+      records = records.map(r => ({
+        ...r,
+        fields: Object.fromEntries(options.fields.filter(f => f in r.fields).map(f => [f, r.fields[f]]))
+      }));
+    }
+
+    return records.map(flatten);
+  }
+
+  /**
+   * Find a record by ID
+   */
+  async find(table, recordId) {
+    const record = this._table(table).get(recordId);
+    if (!record) throw notFound(table, recordId);
+    return flatten(record);
+  }
+
+  /**
+   * Create a single record
+   */
+  async create(table, fields) {
+    const [record] = await this.createMany(table, [fields]);
+    return record;
+  }
+
+  /**
+   * Create many records
+   */
+  async createMany(table, fieldsList) {
+    const records = this._table(table);
+    const created = fieldsList.map(fields => {
+      const record = {
+        id: generateRecordId(),
+        createdTime: new Date().toISOString(),
+        fields: applyFields({}, fields)
+      };
+      records.set(record.id, record);
+      return flatten(record);
+    });
+    this._save(table);
+    return created;
+  }
+
+  /**
+   * Update a single record (partial update)
+   */
+  async update(table, recordId, fields) {
+    const [record] = await this.updateMany(table, [{ id: recordId, fields }]);
+    return record;
+  }
+
+  /**
+   * Update many records
+   */
+  async updateMany(table, updates) {
+    const records = this._table(table);
+    updates.forEach(({ id }) => {
+      if (!records.has(id)) throw notFound(table, id);
+    });
+
+    const updated = updates.map(({ id, fields }) => {
+      const record = records.get(id);
+      applyFields(record.fields, fields);
+      return flatten(record);
+    });
+    this._save(table);
+    return updated;
+  }
+
+  /**
+   * Delete one or more records
+   */
+  async destroy(table, recordIds) {
+    const ids = Array.isArray(recordIds) ? recordIds : [recordIds];
+    const records = this._table(table);
+    ids.forEach(id => {
+      if (!records.has(id)) throw notFound(table, id);
+    });
+    ids.forEach(id => records.delete(id));
+    this._save(table);
+    return ids;
+  }
+}
+
+module.exports = FileAdapter;
+module.exports.generateRecordId = generateRecordId;
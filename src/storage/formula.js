@@ -0,0 +1,501 @@
+/**
+ * Airtable Formula Evaluator
+ *
+ * Parses and evaluates the subset of Airtable's formula language that the
+ * services use in `filterByFormula`, so non-Airtable storage backends can
+ * answer the same queries.
+ *
+ * Supported:
+ * - Field references: {Field Name}
+ * - Literals: 'text', "text", 123, 1.5
+ * - Operators: = != < > <= >= & + - * /
+ * - Logic: AND, OR, NOT, IF, TRUE, FALSE, BLANK
+ * - Text: FIND, SEARCH, LEN, LOWER, UPPER, TRIM, CONCATENATE, ARRAYJOIN
+ * - Dates: TODAY, NOW, IS_SAME, IS_BEFORE, IS_AFTER, DATETIME_DIFF, DATEADD
+ * - Records: RECORD_ID
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Milliseconds per unit for DATETIME_DIFF / DATEADD
+const UNIT_MS = {
+  milliseconds: 1,
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+  weeks: 7 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_ALIASES = {
+  ms: 'milliseconds', millisecond: 'milliseconds',
+  s: 'seconds', second: 'seconds',
+  m: 'minutes', minute: 'minutes',
+  h: 'hours', hour: 'hours',
+  d: 'days', day: 'days',
+  w: 'weeks', week: 'weeks',
+  M: 'months', month: 'months',
+  y: 'years', year: 'years'
+};
+
+function normalizeUnit(unit) {
+  const raw = String(unit || 'days');
+  return UNIT_ALIASES[raw] || UNIT_ALIASES[raw.toLowerCase()] || raw.toLowerCase();
+}
+
+// ============================================
+// Tokenizer
+// ============================================
+
+function tokenize(formula) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < formula.length) {
+    const ch = formula[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '{') {
+      const end = formula.indexOf('}', i);
+      if (end === -1) throw new Error(`Unclosed field reference at position ${i}`);
+      tokens.push({ type: 'field', value: formula.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === "'" || ch === '"') {
+      let value = '';
+      i++;
+      while (i < formula.length && formula[i] !== ch) {
+        if (formula[i] === '\\' && i + 1 < formula.length) {
+          i++;
+        }
+        value += formula[i];
+        i++;
+      }
+      if (i >= formula.length) throw new Error('Unclosed string literal');
+      tokens.push({ type: 'string', value });
+      i++;
+      continue;
+    }
+
+    if (/[0-9.]/.test(ch)) {
+      const match = /^[0-9]*\.?[0-9]+/.exec(formula.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(formula.slice(i));
+      tokens.push({ type: 'ident', value: match[0].toUpperCase() });
+      i += match[0].length;
+      continue;
+    }
+
+    const two = formula.slice(i, i + 2);
+    if (two === '!=' || two === '<=' || two === '>=') {
+      tokens.push({ type: 'op', value: two });
+      i += 2;
+      continue;
+    }
+
+    if ('=<>&+-*/(),'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch });
+      i++;
+      continue;
+    }
+
+    throw new Error(`Unexpected character '${ch}' at position ${i}`);
+  }
+
+  return tokens;
+}
+
+// ============================================
+// Parser (recursive descent, Airtable precedence)
+// ============================================
+
+function parse(formula) {
+  const tokens = tokenize(formula);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`Expected '${value}' but found '${peek() ? peek().value : 'end of formula'}'`);
+    }
+    pos++;
+  };
+
+  function binary(next, operators) {
+    return () => {
+      let left = next();
+      while (peek() && peek().type === 'op' && operators.includes(peek().value)) {
+        const op = tokens[pos++].value;
+        left = { type: 'binary', op, left, right: next() };
+      }
+      return left;
+    };
+  }
+
+  function primary() {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Unexpected end of formula');
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'field') {
+      return { type: 'field', name: token.value };
+    }
+    if (token.type === 'ident') {
+      const args = [];
+      if (isOp('(')) {
+        pos++;
+        if (!isOp(')')) {
+          args.push(comparison());
+          while (isOp(',')) {
+            pos++;
+            args.push(comparison());
+          }
+        }
+        expect(')');
+      }
+      return { type: 'call', name: token.value, args };
+    }
+    if (token.type === 'op' && token.value === '(') {
+      const inner = comparison();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'op' && token.value === '-') {
+      return { type: 'binary', op: '-', left: { type: 'literal', value: 0 }, right: primary() };
+    }
+
+    throw new Error(`Unexpected token '${token.value}'`);
+  }
+
+  const multiplicative = binary(primary, ['*', '/']);
+  const additive = binary(multiplicative, ['+', '-']);
+  const concat = binary(additive, ['&']);
+  const comparison = binary(concat, ['=', '!=', '<', '>', '<=', '>=']);
+
+  const ast = comparison();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected token '${tokens[pos].value}'`);
+  }
+  return ast;
+}
+
+// ============================================
+// Value helpers
+// ============================================
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function toText(value) {
+  if (isBlank(value)) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  return String(value);
+}
+
+function toNumber(value) {
+  if (isBlank(value)) return 0;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.getTime();
+  const n = Number(value);
+  return Number.isNaN(n) ? 0 : n;
+}
+
+function truthy(value) {
+  if (isBlank(value)) return false;
+  if (typeof value === 'string') return value !== '0';
+  return Boolean(value);
+}
+
+/**
+ * Parse a date the way Airtable reads date fields:
+ * date-only values ("2025-12-15") are local midnight, not UTC midnight.
+ */
+function toDate(value) {
+  if (isBlank(value)) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'string' && DATE_ONLY.test(value)) {
+    const [y, m, d] = value.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function startOf(date, unit) {
+  const d = new Date(date);
+  switch (unit) {
+    case 'years':
+      return new Date(d.getFullYear(), 0, 1);
+    case 'months':
+      return new Date(d.getFullYear(), d.getMonth(), 1);
+    case 'weeks':
+      return new Date(d.getFullYear(), d.getMonth(), d.getDate() - d.getDay());
+    case 'days':
+      return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+    case 'hours':
+      d.setMinutes(0, 0, 0);
+      return d;
+    case 'minutes':
+      d.setSeconds(0, 0);
+      return d;
+    default:
+      return d;
+  }
+}
+
+function addUnits(date, count, unit) {
+  const d = new Date(date);
+  if (unit === 'months') {
+    d.setMonth(d.getMonth() + count);
+  } else if (unit === 'years') {
+    d.setFullYear(d.getFullYear() + count);
+  } else if (unit === 'days' || unit === 'weeks') {
+    // Calendar arithmetic so DST changes don't shift the time of day
+    d.setDate(d.getDate() + count * (unit === 'weeks' ? 7 : 1));
+  } else {
+    d.setTime(d.getTime() + count * (UNIT_MS[unit] || 1));
+  }
+  return d;
+}
+
+function diffUnits(a, b, unit) {
+  if (unit === 'months' || unit === 'years') {
+    const months = (a.getFullYear() - b.getFullYear()) * 12 + (a.getMonth() - b.getMonth());
+    return unit === 'years' ? Math.trunc(months / 12) : months;
+  }
+  return Math.trunc((a.getTime() - b.getTime()) / (UNIT_MS[unit] || UNIT_MS.days));
+}
+
+function looseEquals(a, b) {
+  if (isBlank(a) || isBlank(b)) {
+    // BLANK() / empty checkbox / 0 all compare equal to an empty cell
+    const emptyish = (v) => isBlank(v) || v === false || v === 0;
+    return emptyish(a) && emptyish(b);
+  }
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    return truthy(a) === truthy(b);
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    return toNumber(a) === toNumber(b);
+  }
+  return toText(a) === toText(b);
+}
+
+function compare(a, b) {
+  const dateA = a instanceof Date ? a : null;
+  const dateB = b instanceof Date ? b : null;
+  if (dateA || dateB) {
+    return toNumber(toDate(a)) - toNumber(toDate(b));
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    return toNumber(a) - toNumber(b);
+  }
+  return toText(a).localeCompare(toText(b));
+}
+
+// ============================================
+// Evaluator
+// ============================================
+
+const FUNCTIONS = {
+  AND: (args) => args.every(truthy),
+  OR: (args) => args.some(truthy),
+  NOT: ([value]) => !truthy(value),
+  IF: ([condition, whenTrue, whenFalse]) => (truthy(condition) ? whenTrue : (whenFalse ?? null)),
+  TRUE: () => true,
+  FALSE: () => false,
+  BLANK: () => null,
+
+  FIND: ([needle, haystack, start]) => {
+    const index = toText(haystack).indexOf(toText(needle), start ? toNumber(start) - 1 : 0);
+    return index + 1;
+  },
+  SEARCH: ([needle, haystack, start]) => {
+    const index = toText(haystack).toLowerCase()
+      .indexOf(toText(needle).toLowerCase(), start ? toNumber(start) - 1 : 0);
+    return index === -1 ? null : index + 1;
+  },
+  LEN: ([value]) => toText(value).length,
+  LOWER: ([value]) => toText(value).toLowerCase(),
+  UPPER: ([value]) => toText(value).toUpperCase(),
+  TRIM: ([value]) => toText(value).trim(),
+  CONCATENATE: (args) => args.map(toText).join(''),
+  ARRAYJOIN: ([values, separator]) => {
+    if (isBlank(values)) return '';
+    const list = Array.isArray(values) ? values : [values];
+    return list.map(toText).join(separator === undefined ? ', ' : toText(separator));
+  },
+
+  TODAY: (args, ctx) => startOf(ctx.now, 'days'),
+  NOW: (args, ctx) => new Date(ctx.now),
+  IS_SAME: ([a, b, unit]) => {
+    const dateA = toDate(a);
+    const dateB = toDate(b);
+    if (!dateA || !dateB) return false;
+    const u = normalizeUnit(unit || 'milliseconds');
+    return startOf(dateA, u).getTime() === startOf(dateB, u).getTime();
+  },
+  IS_BEFORE: ([a, b]) => {
+    const dateA = toDate(a);
+    const dateB = toDate(b);
+    return !!dateA && !!dateB && dateA.getTime() < dateB.getTime();
+  },
+  IS_AFTER: ([a, b]) => {
+    const dateA = toDate(a);
+    const dateB = toDate(b);
+    return !!dateA && !!dateB && dateA.getTime() > dateB.getTime();
+  },
+  DATETIME_DIFF: ([a, b, unit]) => {
+    const dateA = toDate(a);
+    const dateB = toDate(b);
+    if (!dateA || !dateB) return null;
+    return diffUnits(dateA, dateB, normalizeUnit(unit));
+  },
+  DATEADD: ([date, count, unit]) => {
+    const d = toDate(date);
+    return d ? addUnits(d, toNumber(count), normalizeUnit(unit)) : null;
+  },
+
+  RECORD_ID: (args, ctx) => ctx.record.id
+};
+
+function evaluateNode(node, ctx) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'field': {
+      const value = ctx.record.fields[node.name];
+      return value === undefined ? null : value;
+    }
+
+    case 'call': {
+      const fn = FUNCTIONS[node.name];
+      if (!fn) throw new Error(`Unsupported formula function: ${node.name}()`);
+      return fn(node.args.map(arg => evaluateNode(arg, ctx)), ctx);
+    }
+
+    case 'binary': {
+      const left = evaluateNode(node.left, ctx);
+      const right = evaluateNode(node.right, ctx);
+      switch (node.op) {
+        case '=': return looseEquals(left, right);
+        case '!=': return !looseEquals(left, right);
+        case '<': return compare(left, right) < 0;
+        case '>': return compare(left, right) > 0;
+        case '<=': return compare(left, right) <= 0;
+        case '>=': return compare(left, right) >= 0;
+        case '&': return toText(left) + toText(right);
+        case '+': return toNumber(left) + toNumber(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case '/': return toNumber(right) === 0 ? null : toNumber(left) / toNumber(right);
+        default: throw new Error(`Unsupported operator: ${node.op}`);
+      }
+    }
+
+    default:
+      throw new Error(`Unknown formula node: ${node.type}`);
+  }
+}
+
+// Parsed formulas are cached; the services reuse a small set of formula shapes
+const cache = new Map();
+const CACHE_LIMIT = 500;
+
+/**
+ * Compile a formula into a predicate over records
+ * @param {string} formula - Airtable formula
+ * @returns {Function} (record, { now }) => boolean
+ */
+function compile(formula) {
+  if (!formula || !String(formula).trim()) {
+    return () => true;
+  }
+
+  let ast = cache.get(formula);
+  if (!ast) {
+    ast = parse(String(formula));
+    if (cache.size >= CACHE_LIMIT) cache.clear();
+    cache.set(formula, ast);
+  }
+
+  return (record, options = {}) => truthy(evaluateNode(ast, {
+    record,
+    now: options.now || new Date()
+  }));
+}
+
+/**
+ * Evaluate a formula against a single record
+ * @param {string} formula - Airtable formula
+ * @param {Object} record - { id, fields }
+ * @param {Object} options - { now: Date }
+ */
+function evaluate(formula, record, options = {}) {
+  return compile(formula)(record, options);
+}
+
+/**
+ * Sort records the way Airtable's `sort` parameter does
+ * @param {Array} records - Array of { id, fields }
+ * @param {Array} sort - [{ field, direction }]
+ */
+function sortRecords(records, sort = []) {
+  if (!sort || sort.length === 0) return records;
+
+  return [...records].sort((a, b) => {
+    for (const { field, direction } of sort) {
+      const valueA = a.fields[field];
+      const valueB = b.fields[field];
+      const blankA = isBlank(valueA);
+      const blankB = isBlank(valueB);
+
+      let result;
+      if (blankA || blankB) {
+        // Empty cells sort last regardless of direction
+        if (blankA && blankB) continue;
+        return blankA ? 1 : -1;
+      }
+
+      const dateA = typeof valueA === 'string' ? toDate(valueA) : null;
+      const dateB = typeof valueB === 'string' ? toDate(valueB) : null;
+      if (dateA && dateB && /^\d{4}-\d{2}-\d{2}/.test(valueA) && /^\d{4}-\d{2}-\d{2}/.test(valueB)) {
+        result = dateA.getTime() - dateB.getTime();
+      } else {
+        result = compare(valueA, valueB);
+      }
+
+      if (result !== 0) {
+        return direction === 'desc' ? -result : result;
+      }
+    }
+    return 0;
+  });
+}
+
+module.exports = {
+  compile,
+  evaluate,
+  sortRecords,
+  parse,
+  toDate
+};
@@ -0,0 +1,34 @@
+/**
+ * Storage Repository
+ *
+ * Single entry point the services use to read and write records.
+ * The backend is chosen by STORAGE_BACKEND:
+ *   - airtable (default): live Airtable base
+ *   - file: embedded JSON tables in STORAGE_DATA_DIR (offline)
+ *
+ * Every adapter implements the same interface and returns records
+ * flattened as { id, ...fields }:
+ *   select(table, { filterByFormula, sort, maxRecords, view, fields })
+ *   find(table, recordId)
+ *   create(table, fields)
+ *   createMany(table, fieldsList)
+ *   update(table, recordId, fields)
+ *   updateMany(table, [{ id, fields }])
+ *   destroy(table, recordIdOrIds)
+ */
+
+const storageConfig = require('../config/storage');
+const AirtableAdapter = require('./airtableAdapter');
+const FileAdapter = require('./fileAdapter');
+
+function createStore(config = storageConfig) {
+  if (config.backend === 'file') {
+    return new FileAdapter({ dataDir: config.dataDir });
+  }
+
+  const { base } = require('../config/airtable');
+  return new AirtableAdapter(base);
+}
+
+module.exports = createStore();
+module.exports.createStore = createStore;
@@ -7,6 +7,20 @@ const callService = require('../services/calls');
 const callerService = require('../services/callers');
 const teamMemberService = require('../services/teamMembers');
 const followupService = require('../services/followups');
+const callerLookup = require('../services/callerLookup');
+const screenPop = require('../services/screenPop');
+const queueStats = require('../services/queueStats');
+const presence = require('../services/presence');
+const calendar = require('../services/calendar');
+
+/**
+ * The call a legacy webhook is about, for presence - every handler has to
+ * agree, or a call started under one ID is never ended under another
+ */
+function legacyCallKey(webhookData) {
+  return webhookData.callId || webhookData.call_id ||
+    webhookData.uniqueid || webhookData.uniqueId || webhookData.unique_id || null;
+}
 
 /**
  * Handler for Live Call Tracking
@@ -34,7 +48,7 @@ async function handleCallLive(webhookData) {
     const result = {
       success: true,
       timestamp: new Date().toISOString(),
-      callId: webhookData.callId || webhookData.uniqueid || webhookData.call_id,
+      callId: legacyCallKey(webhookData),
       status: webhookData.status || 'active'
     };
 
@@ -43,8 +57,8 @@ async function handleCallLive(webhookData) {
       const teamMember = await teamMemberService.findByPhoneExtension(webhookData.extension);
       
       if (teamMember) {
-        // Update team member status to "Busy"
-        await teamMemberService.updateStatus(teamMember.id, '🟡 Busy');
+        // On a call → Busy (their own status comes back when the call ends)
+        await presence.callStarted(webhookData.extension, result.callId);
         console.log(`  ✅ Updated ${teamMember.Name} status to Busy`);
         
         result.teamMember = {
@@ -156,11 +170,13 @@ async function handleCallEnded(webhookData) {
     const call = await callService.createCall(callData);
     console.log(`  ✅ Created call record: ${call.id}`);
 
-    // Update team member status back to Available (if we know who handled it)
-    if (callData.receivedBy) {
+    // Put the team member back on the status they had before the call (if we know who handled it)
+    const callKey = legacyCallKey(webhookData);
+    if (callKey || callData.receivedBy) {
       try {
-        await teamMemberService.updateStatus(callData.receivedBy, '🟢 Available');
-        console.log(`  ✅ Updated team member status back to Available`);
+        if (callKey) await presence.endCall(callKey);
+        else await presence.callEnded(webhookData.extension, null);
+        console.log(`  ✅ Restored team member status after the call`);
       } catch (error) {
         console.warn('  ⚠️ Could not update team member status:', error.message);
       }
@@ -280,12 +296,24 @@ async function handleCreateFollowupFromCall(callRecordId) {
 
 /**
  * Handler for overdue follow-up alerts
- * Returns list of overdue follow-ups for notification
+ * Returns list of overdue follow-ups for notification (none during Shabbos / Yom Tov)
  */
 async function handleOverdueFollowupAlert() {
   try {
     console.log('⏰ Checking for overdue follow-ups');
 
+    const window = calendar.windowAt();
+    if (window) {
+      console.log(`  Held for ${window.name} until ${new Date(window.end).toISOString()}`);
+      return {
+        success: true,
+        count: 0,
+        followups: [],
+        heldUntil: new Date(window.end).toISOString(),
+        message: `Overdue alerts are held for ${window.name}`
+      };
+    }
+
     const overdueFollowups = await followupService.getOverdue();
     
     if (overdueFollowups.length === 0) {
@@ -300,6 +328,7 @@ async function handleOverdueFollowupAlert() {
       id: f.id,
       followupId: f['Follow-up ID'],
       dueDate: f['Due Date/Time'],
+      daysOverdue: calendar.daysOverdue(f['Due Date/Time']),
       type: f['Type'],
       priority: f['Priority'],
       assignedTo: f['Assigned To'],
@@ -321,16 +350,22 @@ async function handleOverdueFollowupAlert() {
 /**
  * Handler for daily digest
  * Returns summary of follow-ups due today and overdue
+ * (heldUntil is set during Shabbos / Yom Tov - don't send it until then)
  */
 async function handleDailyDigest() {
   try {
     console.log('📊 Generating daily digest');
 
+    const window = calendar.windowAt();
     const digest = await followupService.getDailyDigest();
+    const queues = await getDigestQueueStats();
     
     console.log(`  Due today: ${digest.dueToday}`);
     console.log(`  Overdue: ${digest.overdue}`);
     console.log(`  Urgent: ${digest.urgent}`);
+    if (queues) {
+      console.log(`  Hunt group callers (24h): ${queues.totals.offered}, abandoned: ${queues.totals.abandoned}`);
+    }
 
     return {
       success: true,
@@ -353,8 +388,11 @@ async function handleDailyDigest() {
         type: f['Type'],
         priority: f['Priority'],
         assignedTo: f['Assigned To'],
-        dueDate: f['Due Date/Time']
-      }))
+        dueDate: f['Due Date/Time'],
+        daysOverdue: calendar.daysOverdue(f['Due Date/Time'])
+      })),
+      queues,
+      heldUntil: window ? new Date(window.end).toISOString() : null
     };
   } catch (error) {
     console.error('❌ Error generating daily digest:', error);
@@ -362,6 +400,19 @@ async function handleDailyDigest() {
   }
 }
 
+/**
+ * Hunt group stats for the digest (last 24 hours) - the digest still goes out without them
+ */
+async function getDigestQueueStats() {
+  try {
+    const until = new Date();
+    return await queueStats.getStats({ since: new Date(until.getTime() - 24 * 60 * 60 * 1000), until });
+  } catch (error) {
+    console.warn(`⚠️  Digest: hunt group stats unavailable: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Handler for Voicemail Created
  * Triggered when someone leaves a voicemail
@@ -483,21 +534,30 @@ async function handleCallRinging(webhookData) {
       }
     }
 
-    // Check if caller is known
+    // Check if caller is known (screen-pop lookup, pushed to the ringing extension)
     const phone = webhookData.callerNumber || webhookData.caller_number;
     if (phone) {
-      const existingCaller = await callerService.findByPhone(phone);
-      
-      if (existingCaller) {
+      const pop = await screenPop.popRinging(result.callId, webhookData.extension, phone);
+      const lookup = pop ? pop.lookup : await callerLookup.lookup(phone);
+      result.lookup = lookup;
+
+      if (lookup.known) {
         result.caller = {
-          id: existingCaller.id,
-          callerId: existingCaller['Caller ID'],
-          name: existingCaller.Name || 'Anonymous',
+          id: lookup.caller.id,
+          callerId: lookup.caller.callerId,
+          name: lookup.caller.name || 'Anonymous',
           isKnown: true,
-          primaryIssue: existingCaller['Primary Issue'],
-          assignedMentor: existingCaller['Assigned Mentor']
+          primaryIssue: lookup.caller.primaryIssue,
+          assignedMentor: lookup.assignedMentor ? [lookup.assignedMentor.id] : undefined
+        };
+        console.log(`  📋 Known caller: ${lookup.caller.callerId}`);
+      } else if (lookup.known === null) {
+        // Lookup ran past its latency budget - the pop is updated when it completes
+        result.caller = {
+          phone,
+          isKnown: null,
+          lookupPending: true
         };
-        console.log(`  📋 Known caller: ${existingCaller['Caller ID']}`);
       } else {
         result.caller = {
           phone,
@@ -538,7 +598,7 @@ async function handleCallTransferred(webhookData) {
     const result = {
       success: true,
       timestamp: new Date().toISOString(),
-      callId: webhookData.callId || webhookData.uniqueid,
+      callId: legacyCallKey(webhookData),
       transferType: webhookData.transferType || 'blind'
     };
 
@@ -570,12 +630,18 @@ async function handleCallTransferred(webhookData) {
         };
         console.log(`  📥 Transferred to: ${toMember.Name}`);
         
-        // Update their status to Busy
-        await teamMemberService.updateStatus(toMember.id, '🟡 Busy');
+        // They are on the call now
+        await presence.callStarted(toExt, result.callId);
         console.log(`  ✅ Updated ${toMember.Name} status to Busy`);
       }
     }
 
+    // A blind transfer takes the transferring extension off the call
+    const fromExt = webhookData.fromExtension || webhookData.from_extension;
+    if (fromExt && result.transferType === 'blind') {
+      await presence.callEnded(fromExt, result.callId);
+    }
+
     // If we have a Telebroad call ID, we could update the existing call record
     // to note that it was transferred (optional enhancement)
     if (webhookData.callId || webhookData.call_id) {
@@ -611,7 +677,7 @@ async function handleCallAnswered(webhookData) {
     const result = {
       success: true,
       timestamp: new Date().toISOString(),
-      callId: webhookData.callId || webhookData.uniqueid,
+      callId: legacyCallKey(webhookData),
       status: 'connected'
     };
 
@@ -620,8 +686,8 @@ async function handleCallAnswered(webhookData) {
       const teamMember = await teamMemberService.findByPhoneExtension(webhookData.extension);
       
       if (teamMember) {
-        // Update team member status to "Busy"
-        await teamMemberService.updateStatus(teamMember.id, '🟡 Busy');
+        // On a call → Busy (their own status comes back when the call ends)
+        await presence.callStarted(webhookData.extension, result.callId);
         console.log(`  ✅ ${teamMember.Name} answered call - status updated to Busy`);
         
         result.answeredBy = {
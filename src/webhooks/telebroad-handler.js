@@ -27,23 +27,22 @@
  * }
  */
 
-const callService = require('../services/calls');
-const callerService = require('../services/callers');
 const teamMemberService = require('../services/teamMembers');
-const { fields } = require('../config/airtable');
-
-const F = fields.calls;
+const webhookMerger = require('../services/webhookMerger');
+const CallMerge = require('../shared/callMerge');
+const webhookConfig = require('../config/webhooks');
 
 // In-memory store for aggregating call events (resets on server restart)
-// In production, consider using Redis or database
+// callId → { events: [staging-shaped events], lastEventAt }
 const callCache = new Map();
 
-// Cache timeout - how long to keep call data before forcing a save
-const CACHE_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+// Cache timeout - how long a call may go quiet before it is saved anyway
+const CACHE_TIMEOUT_MS = webhookConfig.mergeWorker.gracePeriodMs;
 
 /**
- * Process incoming Telebroad webhook event
- * Aggregates multiple events per call into one Airtable record
+ * Process incoming Telebroad webhook event (live aggregation mode)
+ * Collects the events per call in memory and saves one Airtable record
+ * when the caller hangs up, using the same merge as the staging pipeline.
  */
 async function handleTelebroadWebhook(webhookData) {
   const callId = webhookData.callId;
@@ -58,24 +57,31 @@ async function handleTelebroadWebhook(webhookData) {
   console.log(`   ${webhookData.sendType}(${webhookData.sendName}) → ${webhookData.destinationType}(${webhookData.destinationName})`);
 
   // Get or create cache entry for this call
-  let callData = callCache.get(callId);
+  let entry = callCache.get(callId);
   
-  if (!callData) {
-    callData = createInitialCallData(webhookData);
-    callCache.set(callId, callData);
+  if (!entry) {
+    entry = { events: [], lastEventAt: Date.now() };
+    callCache.set(callId, entry);
     console.log(`   📝 New call started`);
   }
 
-  // Update call data based on this event
-  updateCallData(callData, webhookData);
+  const event = CallMerge.payloadToEventFields(webhookData, new Date().toISOString());
+  const duplicate = entry.events.some(e => CallMerge.eventKey(e) === CallMerge.eventKey(event));
+  if (duplicate) {
+    console.log(`   ⏭️  Duplicate delivery ignored`);
+    return { success: true, duplicate: true, callId, status: 'processing', eventsReceived: entry.events.length };
+  }
+
+  entry.events.push(event);
+  entry.lastEventAt = Date.now();
 
   // Check if call has ended
-  if (webhookData.status === 'ended' && webhookData.sendType === 'external') {
+  if (CallMerge.isTerminalEvent(event)) {
     // This is the final "ended" event - save to Airtable
     console.log(`   🏁 Call ended - saving to Airtable`);
     
     try {
-      const result = await saveCallToAirtable(callData);
+      const result = await saveCallToAirtable(callId, entry.events);
       callCache.delete(callId); // Clean up cache
       return result;
     } catch (error) {
@@ -84,214 +90,51 @@ async function handleTelebroadWebhook(webhookData) {
     }
   }
 
-  // Update team member status based on events
-  await updateTeamMemberStatus(webhookData);
-
   return {
     success: true,
     callId,
     status: 'processing',
-    eventsReceived: callData.webhookEvents,
+    eventsReceived: entry.events.length,
     currentStatus: webhookData.status
   };
 }
 
 /**
- * Create initial call data structure from first webhook event
+ * Save aggregated call events to Airtable through the shared merger
  */
-function createInitialCallData(webhookData) {
-  return {
-    callId: webhookData.callId,
-    direction: webhookData.direction === 'incoming' ? 'Inbound' : 'Outbound',
-    callerNumber: webhookData.callerIdExternal || webhookData.sendNumber,
-    callerName: webhookData.callerNameExternal || '',
-    calledNumber: webhookData.calledNumber,
-    callStartTime: webhookData.callStartTime || webhookData.startTime,
-    ivrPath: [],
-    huntGroup: null,
-    answeredBy: null,
-    answeredByExtension: null,
-    answerTime: null,
-    endTime: null,
-    finalStatus: 'IVR Only', // Default, will be updated
-    wasAnswered: false,
-    webhookEvents: 0,
-    uniqueIds: new Set(),
-    lastWebhook: null
-  };
-}
-
-/**
- * Update call data based on new webhook event
- */
-function updateCallData(callData, webhookData) {
-  callData.webhookEvents++;
-  callData.uniqueIds.add(webhookData.UniqueId);
-  callData.lastWebhook = JSON.stringify(webhookData);
-
-  // Track IVR path
-  if (webhookData.destinationType === 'ivr' && webhookData.destinationName) {
-    if (!callData.ivrPath.includes(webhookData.destinationName)) {
-      callData.ivrPath.push(webhookData.destinationName);
-    }
-  }
+async function saveCallToAirtable(callId, events) {
+  const result = await webhookMerger.mergeCallEvents(callId, events);
+  const { callData } = result;
 
-  // Track hunt group
-  if (webhookData.destinationType === 'huntgroup' || webhookData.sendType === 'huntgroup') {
-    callData.huntGroup = webhookData.destinationName || webhookData.sendName;
-  }
-
-  // Track if answered by a live person
-  if (webhookData.status === 'answered' && webhookData.destinationType === 'phone') {
-    callData.wasAnswered = true;
-    callData.answeredBy = webhookData.destinationName;
-    callData.answeredByExtension = webhookData.destinationNumber;
-    callData.answerTime = webhookData.startTime;
-    callData.finalStatus = 'Answered';
-  }
-
-  // Track end time
-  if (webhookData.status === 'ended') {
-    // Update end time - use the latest ended event time
-    if (!callData.endTime || new Date(webhookData.startTime) > new Date(callData.endTime)) {
-      callData.endTime = webhookData.startTime;
-    }
-    
-    // Determine final status
-    if (!callData.wasAnswered) {
-      // Check if it went to IVR only or was abandoned
-      if (callData.huntGroup && !callData.answeredBy) {
-        callData.finalStatus = 'Missed'; // Went to hunt group but no one answered
-      } else if (callData.ivrPath.length > 0 && !callData.huntGroup) {
-        callData.finalStatus = 'IVR Only'; // Only went through IVR
-      } else {
-        callData.finalStatus = 'Abandoned';
-      }
-    }
-  }
-}
-
-/**
- * Save aggregated call data to Airtable
- */
-async function saveCallToAirtable(callData) {
-  console.log(`\n   💾 Saving call ${callData.callId} to Airtable`);
-  console.log(`      Direction: ${callData.direction}`);
+  console.log(`\n   💾 ${result.action} call ${callId}: ${result.callRecordId}`);
   console.log(`      Final Status: ${callData.finalStatus}`);
-  console.log(`      IVR Path: ${callData.ivrPath.join(' → ') || 'None'}`);
-  console.log(`      Hunt Group: ${callData.huntGroup || 'None'}`);
-  console.log(`      Answered By: ${callData.answeredBy || 'No one'}`);
-
-  // Check if call already exists in Airtable
-  const existingCall = await callService.findByTelebroadCallId(callData.callId);
-  
-  // Prepare Airtable record data
-  const airtableData = {
-    telebroadCallId: callData.callId,
-    direction: callData.finalStatus === 'Missed' ? 'Missed' : callData.direction,
-    dateTime: callData.callStartTime,
-    callerNumber: callData.callerNumber,
-    calledNumber: callData.calledNumber,
-    callerName: callData.callerName,
-    ivrPath: callData.ivrPath.join(' → '),
-    huntGroup: callData.huntGroup,
-    pickedUpByName: callData.answeredBy,
-    pickedUpByExtension: callData.answeredByExtension,
-    finalStatus: callData.finalStatus,
-    callStartTime: callData.callStartTime,
-    answerTime: callData.answerTime,
-    endTime: callData.endTime,
-    webhookEvents: callData.webhookEvents,
-    rawWebhookData: callData.lastWebhook
-  };
-
-  // Calculate duration if we have both times
-  if (callData.answerTime && callData.endTime) {
-    const answerDate = new Date(callData.answerTime);
-    const endDate = new Date(callData.endTime);
-    airtableData.duration = Math.round((endDate - answerDate) / 1000); // in seconds
-  }
-
-  // Try to link to Caller record
-  if (callData.callerNumber) {
-    const existingCaller = await callerService.findByPhone(callData.callerNumber);
-    if (existingCaller) {
-      airtableData.caller = existingCaller.id;
-      console.log(`      📋 Linked to caller: ${existingCaller['Caller ID'] || existingCaller.Name}`);
-    }
-  }
-
-  // Try to link to Team Member who answered
-  if (callData.answeredByExtension) {
-    const teamMember = await teamMemberService.findByPhoneExtension(callData.answeredByExtension);
-    if (teamMember) {
-      airtableData.receivedBy = teamMember.id;
-      console.log(`      👤 Linked to team member: ${teamMember.Name}`);
-    }
-  }
-
-  let result;
-  if (existingCall) {
-    // Update existing record
-    result = await callService.updateCall(existingCall.id, airtableData);
-    console.log(`      ✅ Updated call record: ${existingCall.id}`);
-  } else {
-    // Create new record
-    result = await callService.createCall(airtableData);
-    console.log(`      ✅ Created call record: ${result.id}`);
-  }
+  console.log(`      IVR Path: ${callData.ivrPath || 'None'}`);
+  console.log(`      Answered By: ${callData.pickedUpByName || 'No one'}`);
 
   return {
     success: true,
-    callId: result.id,
-    telebroadCallId: callData.callId,
+    callId: result.callRecordId,
+    telebroadCallId: callId,
     finalStatus: callData.finalStatus,
-    answeredBy: callData.answeredBy,
-    duration: airtableData.duration,
-    ivrPath: callData.ivrPath.join(' → ')
+    answeredBy: callData.pickedUpByName,
+    duration: callData.duration,
+    ivrPath: callData.ivrPath
   };
 }
 
 /**
- * Update team member status based on call events
- */
-async function updateTeamMemberStatus(webhookData) {
-  // When a phone starts ringing or is answered, set to Busy
-  if ((webhookData.status === 'ringing' || webhookData.status === 'answered') && 
-      webhookData.destinationType === 'phone') {
-    const teamMember = await teamMemberService.findByPhoneExtension(webhookData.destinationNumber);
-    if (teamMember) {
-      await teamMemberService.updateStatus(teamMember.id, '🟡 Busy');
-      console.log(`      📱 ${teamMember.Name} → Busy`);
-    }
-  }
-
-  // When a call ends and this was the answered party, set back to Available
-  if (webhookData.status === 'ended' && webhookData.sendType === 'phone') {
-    const teamMember = await teamMemberService.findByPhoneExtension(webhookData.sendNumber);
-    if (teamMember) {
-      await teamMemberService.updateStatus(teamMember.id, '🟢 Available');
-      console.log(`      📱 ${teamMember.Name} → Available`);
-    }
-  }
-}
-
-/**
- * Force save any cached calls older than timeout
+ * Force save any cached calls with no events for longer than the timeout
  * Call this periodically to handle cases where "ended" webhook is missed
  */
 async function flushStaleCalls() {
   const now = Date.now();
   
-  for (const [callId, callData] of callCache.entries()) {
-    const callStart = new Date(callData.callStartTime).getTime();
-    
-    if (now - callStart > CACHE_TIMEOUT_MS) {
+  for (const [callId, entry] of callCache.entries()) {
+    if (now - entry.lastEventAt > CACHE_TIMEOUT_MS) {
       console.log(`⏰ Flushing stale call: ${callId}`);
-      callData.finalStatus = callData.wasAnswered ? 'Answered' : 'Abandoned';
       
       try {
-        await saveCallToAirtable(callData);
+        await saveCallToAirtable(callId, entry.events);
         callCache.delete(callId);
       } catch (error) {
         console.error(`Error flushing call ${callId}:`, error.message);
@@ -305,12 +148,13 @@ async function flushStaleCalls() {
  */
 function getCacheStatus() {
   const calls = [];
-  for (const [callId, data] of callCache.entries()) {
+  for (const [callId, entry] of callCache.entries()) {
+    const callData = CallMerge.mergeEvents(entry.events);
     calls.push({
       callId,
-      events: data.webhookEvents,
-      status: data.finalStatus,
-      answeredBy: data.answeredBy
+      events: callData.webhookEvents,
+      status: callData.finalStatus,
+      answeredBy: callData.pickedUpByName
     });
   }
   return { activeCalls: calls.length, calls };
@@ -1,23 +1,67 @@
 /**
- * Telebroad Webhook Receiver (Simplified Approach)
+ * Telebroad Webhook Receiver
  * 
- * This handler saves ALL incoming Telebroad webhooks directly to the
- * "Webhook Events" staging table without any processing.
+ * Single ingestion pipeline for POST /webhooks/telebroad. The processing mode
+ * is chosen by TELEBROAD_PROCESSING_MODE:
  * 
- * An Airtable automation then merges events by callId into the Calls table.
+ * - stage (default): every event is saved to the "Webhook Events" staging
+ *   table (through the write-ahead queue) and merged into Calls by the merge
+ *   worker as soon as the caller hangs up. Never loses webhook data, can reprocess at any time,
+ *   keeps an audit trail of all events.
+ * - live: events are aggregated in memory (telebroad-handler.js) and the
+ *   Calls record is written as soon as the caller hangs up.
  * 
- * Benefits:
- * - Never lose webhook data
- * - Can reprocess/merge at any time
- * - Audit trail of all webhook events
- * - Simpler webhook endpoint (just save and acknowledge)
+ * Both modes merge with the same logic (src/shared/callMerge.js).
  */
 
 const webhookEventService = require('../services/webhookEvents');
+const webhookQueue = require('../services/webhookQueue');
+const mergeWorker = require('../services/mergeWorker');
+const screenPop = require('../services/screenPop');
+const liveBoard = require('../services/liveBoard');
+const presence = require('../services/presence');
+const webhookConfig = require('../config/webhooks');
+const telebroadHandler = require('./telebroad-handler');
 
 /**
- * Handle incoming Telebroad webhook
- * Simply saves to staging table and returns success
+ * Handle incoming Telebroad webhook in the configured processing mode
+ * @param {Object} webhookData - Raw webhook from Telebroad
+ */
+async function processTelebroadWebhook(webhookData) {
+  // Screen-pops, presence and the live board update alongside processing - never hold up the acknowledgement
+  screenPop.handleTelebroadEvent(webhookData)
+    .catch(error => console.warn(`⚠️  Screen-pop for ${webhookData.callId} failed: ${error.message}`));
+
+  presence.handleTelebroadEvent(webhookData)
+    .catch(error => console.warn(`⚠️  Presence update for ${webhookData.callId} failed: ${error.message}`));
+
+  try {
+    liveBoard.handleTelebroadEvent(webhookData);
+  } catch (error) {
+    console.warn(`⚠️  Live board update for ${webhookData.callId} failed: ${error.message}`);
+  }
+
+  if (webhookConfig.processingMode === 'live') {
+    return telebroadHandler.handleTelebroadWebhook(webhookData);
+  }
+  return handleTelebroadWebhook(webhookData);
+}
+
+/**
+ * Get pipeline status for the configured mode
+ */
+function getPipelineStatus() {
+  if (webhookConfig.processingMode === 'live') {
+    return { mode: 'live', ...telebroadHandler.getCacheStatus() };
+  }
+  return { mode: 'stage', queue: webhookQueue.getStatus(), mergeWorker: mergeWorker.getStatus() };
+}
+
+/**
+ * Handle incoming Telebroad webhook (stage mode)
+ * Journals it to the local write-ahead queue and acknowledges immediately;
+ * the queue drainer saves it to the staging table in the background.
+ * With WEBHOOK_QUEUE_ENABLED=false it saves to the staging table inline.
  * 
  * @param {Object} webhookData - Raw webhook from Telebroad
  * @returns {Object} Result with success status
@@ -29,13 +73,44 @@ async function handleTelebroadWebhook(webhookData) {
     console.log(`   Status: ${webhookData.status}`);
     console.log(`   ${webhookData.sendType}(${webhookData.sendName}) → ${webhookData.destinationType}(${webhookData.destinationName})`);
 
-    // Save to staging table
-    const savedEvent = await webhookEventService.createEvent(webhookData);
+    if (webhookConfig.queue.enabled) {
+      const { duplicate, entry } = webhookQueue.enqueue(webhookData);
+      console.log(duplicate
+        ? `   ⏭️  Duplicate delivery - already queued as ${entry.id}`
+        : `   📦 Queued for staging: ${entry.id}`);
+
+      return {
+        success: true,
+        duplicate,
+        queued: true,
+        queueId: entry.id,
+        callId: webhookData.callId,
+        status: webhookData.status,
+        message: duplicate ? 'Duplicate webhook ignored (already queued)' : 'Webhook received and queued for staging table'
+      };
+    }
+
+    // Save to staging table (retried deliveries of the same event are not saved again)
+    const { duplicate, event: savedEvent } = await webhookEventService.ingestEvent(webhookData);
+
+    if (duplicate) {
+      console.log(`   ⏭️  Duplicate delivery - already saved as ${savedEvent.id}`);
+      return {
+        success: true,
+        duplicate: true,
+        eventId: savedEvent.id,
+        callId: webhookData.callId,
+        status: webhookData.status,
+        message: 'Duplicate webhook ignored (already in staging table)'
+      };
+    }
 
     console.log(`   ✅ Saved to Webhook Events table: ${savedEvent.id}`);
+    mergeWorker.notify(savedEvent);
 
     return {
       success: true,
+      duplicate: false,
       eventId: savedEvent.id,
       callId: webhookData.callId,
       status: webhookData.status,
@@ -101,10 +176,12 @@ async function handleWebhookWithValidation(webhookData) {
   }
 
   // Process
-  return handleTelebroadWebhook(webhookData);
+  return processTelebroadWebhook(webhookData);
 }
 
 module.exports = {
+  processTelebroadWebhook,
+  getPipelineStatus,
   handleTelebroadWebhook,
   handleWebhookWithValidation,
   validateWebhookData
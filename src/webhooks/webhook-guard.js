@@ -0,0 +1,282 @@
+/**
+ * Webhook Guard
+ *
+ * Express middleware chain that protects every /webhooks/* route:
+ * 1. Source IP allow-list (optional)
+ * 2. Shared-secret authentication - plain token or HMAC signature
+ * 3. Replay protection - a timestamp must be recent and each signature (HMAC)
+ *    is accepted once. Token mode has nothing to tell a replay from a retry
+ *    by, so repeats there are left to the staging fingerprint dedupe
+ * 4. Payload validation (per route, e.g. validateWebhookData for Telebroad)
+ *
+ * Every rejection is logged and counted; see getRejectionStats().
+ *
+ * HMAC mode - the sender computes:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<raw body>")>
+ *
+ * Token mode - the sender passes the secret as-is:
+ *   X-Webhook-Token: <secret>   (or ?token=<secret> for senders that only support a URL)
+ */
+
+const crypto = require('crypto');
+const webhookSecurity = require('../config/webhooks');
+
+// Keep the most recent rejections for the status endpoint
+const RECENT_REJECTIONS_LIMIT = 50;
+
+const rejectionStats = {
+  total: 0,
+  byReason: {},
+  recent: []
+};
+
+// Requests already accepted ("METHOD path signature" → expiry ms) for replay protection
+const seenSignatures = new Map();
+
+let warnedUnprotected = false;
+
+/**
+ * express.json() `verify` hook - keeps the raw body for signature checks
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf.toString('utf8');
+}
+
+function normalizeIp(ip) {
+  if (!ip) return '';
+  return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(p => Number.isNaN(p) || p < 0 || p > 255)) return null;
+  return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+/**
+ * Check an IP against a list of exact IPs and IPv4 CIDR ranges
+ * @param {string} ip - Client IP
+ * @param {Array} allowlist - e.g. ['203.0.113.7', '198.51.100.0/24']
+ */
+function isIpAllowed(ip, allowlist) {
+  const clientIp = normalizeIp(ip);
+
+  return allowlist.some(entry => {
+    if (!entry.includes('/')) {
+      return normalizeIp(entry) === clientIp;
+    }
+
+    const [range, bitsStr] = entry.split('/');
+    const bits = parseInt(bitsStr, 10);
+    const rangeInt = ipv4ToInt(range);
+    const clientInt = ipv4ToInt(clientIp);
+    if (rangeInt === null || clientInt === null || Number.isNaN(bits)) return false;
+
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return (rangeInt & mask) === (clientInt & mask);
+  });
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Compute the HMAC signature for a request
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix seconds
+ * @param {string} rawBody - Raw request body
+ */
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody || ''}`)
+    .digest('hex');
+}
+
+/**
+ * Build the headers a sender needs to pass the guard
+ * (used by the test scripts and anything that forwards webhooks internally)
+ * @param {Object|string} body - Request body (object is JSON-serialized)
+ * @param {Object} config - Webhook security config
+ */
+function signWebhookRequest(body, config = webhookSecurity) {
+  if (!config.secret) return {};
+
+  if (config.signatureMode === 'token') {
+    return { [config.tokenHeader]: config.secret };
+  }
+
+  const rawBody = typeof body === 'string' ? body : (body ? JSON.stringify(body) : '');
+  const timestamp = Math.floor(Date.now() / 1000);
+  return {
+    [config.timestampHeader]: String(timestamp),
+    [config.signatureHeader]: `sha256=${computeSignature(config.secret, timestamp, rawBody)}`
+  };
+}
+
+/**
+ * Log and count a rejected request, then respond
+ */
+function reject(req, res, statusCode, reason, detail) {
+  recordRejection(req, reason, detail);
+  console.warn(`🚫 Webhook rejected [${reason}] ${req.method} ${req.originalUrl.split('?')[0]} from ${normalizeIp(req.ip)}: ${detail}`);
+
+  return res.status(statusCode).json({ success: false, error: detail });
+}
+
+function recordRejection(req, reason, detail) {
+  rejectionStats.total++;
+  rejectionStats.byReason[reason] = (rejectionStats.byReason[reason] || 0) + 1;
+  rejectionStats.recent.unshift({
+    at: new Date().toISOString(),
+    reason,
+    detail,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ip: normalizeIp(req.ip)
+  });
+  rejectionStats.recent.length = Math.min(rejectionStats.recent.length, RECENT_REJECTIONS_LIMIT);
+}
+
+function pruneSeenSignatures(now) {
+  for (const [key, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) seenSignatures.delete(key);
+  }
+}
+
+/**
+ * Remember a request for the replay window
+ * @returns {boolean} false when it was already received
+ */
+function acceptOnce(req, fingerprint, config, now) {
+  // Body-less GETs to different routes can share a signature, so key by route too
+  const replayKey = `${req.method} ${req.originalUrl.split('?')[0]} ${fingerprint}`;
+  pruneSeenSignatures(now);
+  if (seenSignatures.has(replayKey)) return false;
+  seenSignatures.set(replayKey, now + config.maxSkewSeconds * 1000);
+  return true;
+}
+
+/**
+ * Verify a signed timestamp is within the allowed skew window
+ * @returns {Object|null} { reason, detail } on failure, or null if OK
+ */
+function checkTimestamp(timestampHeader, config, now) {
+  const timestamp = Number(timestampHeader);
+  if (!timestampHeader || !Number.isFinite(timestamp)) {
+    return { reason: 'invalid_timestamp', detail: 'Invalid or missing timestamp' };
+  }
+  if (Math.abs(now / 1000 - timestamp) > config.maxSkewSeconds) {
+    return { reason: 'stale_timestamp', detail: `Timestamp outside the allowed window of ${config.maxSkewSeconds}s` };
+  }
+  return null;
+}
+
+/**
+ * Create the guard middleware chain for webhook routes
+ * @param {Object} config - Webhook security config (defaults to config/webhooks)
+ * @returns {Array} Express middleware
+ */
+function createWebhookGuard(config = webhookSecurity) {
+  function checkSourceIp(req, res, next) {
+    if (config.ipAllowlist.length === 0) return next();
+
+    if (!isIpAllowed(req.ip, config.ipAllowlist)) {
+      return reject(req, res, 403, 'ip_not_allowed', 'Source IP is not allowed');
+    }
+    next();
+  }
+
+  function authenticate(req, res, next) {
+    if (!config.secret) {
+      if (!warnedUnprotected && config.ipAllowlist.length === 0) {
+        warnedUnprotected = true;
+        console.warn('⚠️  WEBHOOK_SECRET is not set - webhook endpoints accept unauthenticated requests');
+      }
+      return next();
+    }
+
+    const now = Date.now();
+    const timestampHeader = req.get(config.timestampHeader);
+
+    if (config.signatureMode === 'token') {
+      const token = req.get(config.tokenHeader) || req.query.token;
+      if (!token || !safeEqual(token, config.secret)) {
+        return reject(req, res, 401, 'invalid_token', 'Missing or invalid webhook token');
+      }
+      // Senders that include a timestamp get the skew check too
+      if (timestampHeader) {
+        const timestampError = checkTimestamp(timestampHeader, config, now);
+        if (timestampError) return reject(req, res, 401, timestampError.reason, timestampError.detail);
+      }
+      return next();
+    }
+
+    // HMAC mode
+    const timestampError = checkTimestamp(timestampHeader, config, now);
+    if (timestampError) {
+      return reject(req, res, 401, timestampError.reason, timestampError.detail);
+    }
+
+    const provided = (req.get(config.signatureHeader) || '').replace(/^sha256=/, '');
+    const expected = computeSignature(config.secret, timestampHeader, req.rawBody);
+    if (!provided || !safeEqual(provided, expected)) {
+      return reject(req, res, 401, 'invalid_signature', 'Missing or invalid webhook signature');
+    }
+
+    if (!acceptOnce(req, provided, config, now)) {
+      return reject(req, res, 409, 'replayed', 'Webhook request was already received');
+    }
+
+    next();
+  }
+
+  return [checkSourceIp, authenticate];
+}
+
+/**
+ * Create middleware that validates the payload as the last link of the chain
+ * @param {Function} validator - (body) => { valid, errors }
+ */
+function validatePayload(validator) {
+  return function checkPayload(req, res, next) {
+    const validation = validator(req.body || {});
+    if (!validation.valid) {
+      recordRejection(req, 'invalid_payload', validation.errors.join('; '));
+      console.error('❌ Invalid webhook data:', validation.errors);
+      return res.status(400).json({ success: false, errors: validation.errors });
+    }
+    next();
+  };
+}
+
+/**
+ * Counts of rejected webhook requests (for monitoring)
+ */
+function getRejectionStats() {
+  return {
+    total: rejectionStats.total,
+    byReason: { ...rejectionStats.byReason },
+    recent: [...rejectionStats.recent],
+    protection: {
+      secret: !!webhookSecurity.secret,
+      signatureMode: webhookSecurity.signatureMode,
+      ipAllowlist: webhookSecurity.ipAllowlist.length > 0,
+      maxSkewSeconds: webhookSecurity.maxSkewSeconds
+    }
+  };
+}
+
+module.exports = {
+  captureRawBody,
+  createWebhookGuard,
+  validatePayload,
+  signWebhookRequest,
+  computeSignature,
+  isIpAllowed,
+  getRejectionStats
+};